@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+
+/* ========= Authentication and authorization for management routes ========= */
+
+/*
+ * Callers identify themselves with an API key ("Authorization: Bearer <key>")
+ * or with the session cookie POST /login hands out for one. Each role can do
+ * everything the ones before it can:
+ *   viewer    read members, queues, files and statuses
+ *   operator  day-to-day changes: member edits, eligibility runs, re-sends
+ *   admin     the Squarespace connection, webhooks, backfills, test uploads
+ */
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const SESSION_COOKIE = 'pf_session';
+const SESSION_HOURS = Number(process.env.SESSION_HOURS || 12);
+// Requests that change nothing and so need no CSRF token
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+let apiKeys = null;
+
+const sameSecret = (a, b) => {
+  const [x, y] = [a, b].map(value => crypto.createHash('sha256').update(String(value)).digest());
+  return crypto.timingSafeEqual(x, y);
+};
+
+/**
+ * Load the API keys from API_KEYS ("name:role:key,name:role:key"). ADMIN_API_TOKEN
+ * is still accepted as an admin key named "admin". Throws on a malformed entry,
+ * so a typo stops startup instead of locking someone out quietly.
+ */
+function loadApiKeys(env = process.env) {
+  const keys = (env.API_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [name, role, ...rest] = entry.split(':');
+    const key = rest.join(':');
+    if (!name || !ROLES.includes(role) || key.length < 16) {
+      throw new Error(`Invalid API_KEYS entry "${name}": expected name:${ROLES.join('|')}:key, with a key of at least 16 characters.`);
+    }
+    return { name, role, key };
+  });
+  if (env.ADMIN_API_TOKEN) keys.push({ name: 'admin', role: 'admin', key: env.ADMIN_API_TOKEN });
+  apiKeys = keys;
+  console.log(`Loaded ${keys.length} API key(s).`);
+  return keys;
+}
+
+function getApiKeys() {
+  return apiKeys || loadApiKeys();
+}
+
+/**
+ * The API key entry for a presented key, or null.
+ */
+function findApiKey(given) {
+  if (!given || typeof given !== 'string') return null;
+  return getApiKeys().find(entry => sameSecret(given, entry.key)) || null;
+}
+
+const sign = value => crypto.createHmac('sha256', process.env.SESSION_SECRET).update(value).digest('base64url');
+
+function readCookie(req, name) {
+  const pair = (req.get('cookie') || '').split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+}
+
+/**
+ * The session in a signed cookie value, or null if it's forged, expired or
+ * its key has since been removed. The role is the key's current one.
+ */
+function readSession(value) {
+  if (!value || !process.env.SESSION_SECRET) return null;
+  const [payload, signature] = value.split('.');
+  if (!payload || !signature || !sameSecret(signature, sign(payload))) return null;
+  const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const key = getApiKeys().find(entry => entry.name === session.name);
+  if (!key || session.expires < Date.now()) return null;
+  return { ...session, role: key.role };
+}
+
+/**
+ * The CSRF token that goes with a session; forms send it as "_csrf", scripts
+ * as an X-CSRF-Token header.
+ */
+function csrfTokenFor(session) {
+  return sign(`csrf:${session.id}`);
+}
+
+/**
+ * Start a session for an API key: sets the cookie and returns the CSRF token.
+ * Throws if SESSION_SECRET isn't set.
+ */
+function startSession(req, res, key) {
+  if (!process.env.SESSION_SECRET) throw new Error('Sessions are disabled (SESSION_SECRET is not set).');
+  const session = {
+    id: crypto.randomBytes(16).toString('base64url'),
+    name: key.name,
+    expires: Date.now() + SESSION_HOURS * 60 * 60 * 1000,
+  };
+  const payload = Buffer.from(JSON.stringify(session)).toString('base64url');
+  res.cookie(SESSION_COOKIE, `${payload}.${sign(payload)}`, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure || req.get('x-forwarded-proto') === 'https',
+    maxAge: SESSION_HOURS * 60 * 60 * 1000,
+  });
+  console.log(`Session started for ${key.name} (${key.role}) from ${req.ip}`);
+  return csrfTokenFor(session);
+}
+
+function endSession(res) {
+  res.clearCookie(SESSION_COOKIE);
+}
+
+/**
+ * Express middleware: work out who is calling (API key first, then session
+ * cookie) and put it on `req.principal`. Rejects nothing; requireRole does that.
+ */
+function authenticate(req, res, next) {
+  const [scheme, given] = (req.get('authorization') || '').split(' ');
+  if (scheme === 'Bearer') {
+    const key = findApiKey(given);
+    req.principal = key ? { name: key.name, role: key.role, via: 'key' } : null;
+    if (!key) req.authError = 'unknown API key';
+    return next();
+  }
+  const session = readSession(readCookie(req, SESSION_COOKIE));
+  req.principal = session ? { name: session.name, role: session.role, via: 'session', session } : null;
+  next();
+}
+
+/**
+ * True if a caller has at least `role`.
+ */
+function hasRole(principal, role) {
+  return Boolean(principal) && ROLES.indexOf(principal.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Express middleware allowing only callers with at least `role`. Changes made
+ * with a session cookie also need the session's CSRF token. Every decision is
+ * logged. Pages pass `redirectTo` to send anonymous visitors to a login page.
+ */
+function requireRole(role, { redirectTo = null } = {}) {
+  return (req, res, next) => {
+    const who = req.principal;
+    const request = `${req.method} ${req.originalUrl}`;
+    const deny = (status, reason) => {
+      const caller = who ? `${who.name} (${who.role})` : `anonymous${req.authError ? ` (${req.authError})` : ''}`;
+      console.error(`Access denied: ${caller} ${request} from ${req.ip}: ${reason}`);
+      if (status === 401 && redirectTo) return res.redirect(redirectTo);
+      if (status === 401) res.set('WWW-Authenticate', 'Bearer');
+      res.status(status).json({ error: reason });
+    };
+
+    if (!who) return deny(401, 'Authentication required.');
+    if (!hasRole(who, role)) return deny(403, `Requires the ${role} role.`);
+    if (who.via === 'session' && !SAFE_METHODS.includes(req.method)) {
+      const given = req.get('x-csrf-token') || (req.body && req.body._csrf);
+      if (!given || !sameSecret(given, csrfTokenFor(who.session))) return deny(403, 'Missing or invalid CSRF token.');
+      if (req.body) delete req.body._csrf;
+    }
+    console.log(`Access granted: ${who.name} (${who.role}) ${request}`);
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  loadApiKeys,
+  findApiKey,
+  csrfTokenFor,
+  startSession,
+  endSession,
+  authenticate,
+  hasRole,
+  requireRole,
+};
@@ -0,0 +1,56 @@
+require('dotenv').config();
+const { loadPlanCatalog } = require('./planCatalog');
+const { backfillOrders } = require('./orders');
+const { syncTransactions } = require('./ledger');
+const { DEFAULT_SITE_ID, requireSite } = require('./sites');
+
+/**
+ * Rebuild a site's members from its Squarespace orders, then their payment
+ * ledger from the transactions, and print a reconciliation report.
+ *
+ *   node backfill.js --from 2025-01-01 [--to 2025-03-31] [--site default] [--dry-run]
+ */
+function parseArgs(argv) {
+  const args = { dryRun: false, site: DEFAULT_SITE_ID };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--from') args.from = argv[++i];
+    else if (argv[i] === '--to') args.to = argv[++i];
+    else if (argv[i] === '--site') args.site = argv[++i];
+    else if (argv[i] === '--dry-run') args.dryRun = true;
+  }
+  return args;
+}
+
+function printSection(title, rows) {
+  console.log(`\n${title} (${rows.length})`);
+  rows.forEach(row => console.log('  ' + Object.entries(row).map(([k, v]) => `${k}=${v}`).join('  ')));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const from = new Date(args.from);
+  const to = args.to ? new Date(args.to) : new Date();
+  if (!args.from || isNaN(from) || isNaN(to)) {
+    console.error('Usage: node backfill.js --from YYYY-MM-DD [--to YYYY-MM-DD] [--site SITE] [--dry-run]');
+    process.exit(1);
+  }
+
+  const siteId = requireSite(args.site).id;
+  loadPlanCatalog({ siteId });
+  const report = await backfillOrders({ from, to, dryRun: args.dryRun, siteId });
+  const ledger = args.dryRun ? null : await syncTransactions({ from, to, siteId });
+
+  console.log(`\nSite ${siteId}. Orders fetched: ${report.ordersFetched}, replayed: ${report.ordersReplayed}${args.dryRun ? ' (dry run)' : ''}`);
+  if (ledger) console.log(`Transactions synced: ${ledger.transactions}, members updated: ${ledger.members}`);
+  if (ledger && ledger.failed.length) console.log(`Transactions that failed to apply: ${ledger.failed.join(', ')}`);
+  printSection('Members missing from the store', report.missingMembers);
+  printSection('Store entries with no backing order', report.orphanedMembers);
+  printSection('Plan mismatches', report.planMismatches);
+  if (report.ordersSkipped && report.ordersSkipped.length) printSection('Orders not replayed', report.ordersSkipped);
+  if (report.errors.length) printSection('Errors', report.errors);
+}
+
+main().catch(err => {
+  console.error("Backfill failed:", err.response ? err.response.data : err.message);
+  process.exit(1);
+});
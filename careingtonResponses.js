@@ -0,0 +1,164 @@
+const path = require('path');
+const { getDb } = require('./storage');
+const { applyCareingtonResponse } = require('./eligibility');
+const { withSftp } = require('./sftpTransport');
+const { DEFAULT_SITE_ID, listSites } = require('./sites');
+
+/* ========= Careington response/error file ingestion ========= */
+
+// Where Careington drops its response files, and where processed ones are moved
+// (a site with its own sftp.responseDir has them in an "archive" directory under it)
+const RESPONSE_DIR = process.env.CAREINGTON_RESPONSE_DIR || '/returns';
+const ARCHIVE_DIR = process.env.CAREINGTON_ARCHIVE_DIR || path.posix.join(RESPONSE_DIR, 'archive');
+const POLL_MINUTES = Number(process.env.CAREINGTON_RESPONSE_POLL_MINUTES || 60);
+
+// Number of fields in a CI007 record (see vendors/careington.js)
+const CI007_FIELD_COUNT = 26;
+
+/**
+ * Careington status code → our status. Anything not listed stays pending.
+ */
+function statusFor(code) {
+  const value = (code || '').trim().toUpperCase();
+  if (['A', 'ACC', 'ACCEPTED', 'OK', 'S', 'SUCCESS'].includes(value)) return 'accepted';
+  if (['R', 'REJ', 'REJECTED', 'E', 'ERR', 'ERROR'].includes(value)) return 'rejected';
+  return 'pending';
+}
+
+/**
+ * Parse a response file into { recordKey, status, reason } entries.
+ * Lines are pipe-delimited, either our CI007 record echoed back followed by a
+ * status code and message, or the short form "UniqueID|Seq|Status|Message".
+ * Header, trailer and blank lines (no usable Unique ID) are skipped. In an
+ * error file (name contains ERR or REJ) a line without a status is a rejection.
+ */
+function parseResponseFile(text, fileName = '') {
+  const isErrorFile = /ERR|REJ/i.test(fileName);
+  const entries = [];
+  for (const line of text.split(/\r?\n/)) {
+    const fields = line.split('|').map(field => field.trim());
+    let uniqueId, sequenceNum, code, reason;
+    if (fields.length >= CI007_FIELD_COUNT) {
+      [uniqueId, sequenceNum] = [fields[5], fields[6]];
+      code = fields[CI007_FIELD_COUNT];
+      reason = fields.slice(CI007_FIELD_COUNT + 1).join('|');
+    } else if (fields.length >= 2) {
+      [uniqueId, sequenceNum, code = '', ...reason] = fields;
+      reason = reason.join('|');
+    } else {
+      continue;
+    }
+    if (!/^[A-Z0-9]{3,12}$/i.test(uniqueId || '') || !/^\d{2}$/.test(sequenceNum || '')) continue;
+    const status = !code && isErrorFile ? 'rejected' : statusFor(code);
+    entries.push({ recordKey: `${uniqueId}${sequenceNum}`, status, reason: reason || '' });
+  }
+  return entries;
+}
+
+function alreadyProcessed(fileName, siteId) {
+  return Boolean(getDb().prepare('SELECT 1 FROM careington_response_files WHERE site_id = ? AND file_name = ?')
+    .get(siteId, fileName));
+}
+
+/**
+ * Apply a response file downloaded from a site's server and remember it as
+ * processed for that site.
+ */
+function applyResponseFile(fileName, text, siteId = DEFAULT_SITE_ID) {
+  const counts = { accepted: 0, rejected: 0, pending: 0, unmatched: 0 };
+  const entries = parseResponseFile(text, fileName);
+  if (!entries.length && text.trim()) {
+    console.error(`Careington response ${fileName} has no usable lines; check the file by hand.`);
+  }
+  for (const { recordKey, status, reason } of entries) {
+    if (applyCareingtonResponse(recordKey, status, reason, fileName)) {
+      counts[status] += 1;
+    } else {
+      counts.unmatched += 1;
+      console.error(`Careington response ${fileName}: unknown record ${recordKey}`);
+    }
+  }
+  getDb().prepare(`
+    INSERT INTO careington_response_files (site_id, file_name, processed_on, accepted, rejected, pending, unmatched)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(siteId, fileName, new Date().toISOString(), counts.accepted, counts.rejected, counts.pending, counts.unmatched);
+  return counts;
+}
+
+/**
+ * Download, apply and archive every file in a response directory on a site's
+ * SFTP server (see sftpTransport.js).
+ * A file is only archived after it has been applied; one that was applied
+ * before but couldn't be archived is archived without being applied again.
+ */
+function pollResponseFiles({ responseDir = RESPONSE_DIR, archiveDir = ARCHIVE_DIR, siteId = DEFAULT_SITE_ID } = {}) {
+  return withSftp(async sftp => {
+    const results = [];
+    if (!(await sftp.exists(responseDir))) {
+      console.log(`No Careington response directory ${responseDir} yet.`);
+      return results;
+    }
+    const files = (await sftp.list(responseDir)).filter(item => item.type === '-');
+    if (files.length && !(await sftp.exists(archiveDir))) await sftp.mkdir(archiveDir, true);
+
+    for (const { name } of files) {
+      const remotePath = path.posix.join(responseDir, name);
+      try {
+        let counts = null;
+        if (!alreadyProcessed(name, siteId)) {
+          const text = (await sftp.get(remotePath)).toString('utf8');
+          counts = applyResponseFile(name, text, siteId);
+          console.log(`Processed Careington response ${name}:`, counts);
+        }
+        let archived = path.posix.join(archiveDir, name);
+        if (await sftp.exists(archived)) archived = `${archived}.${Date.now()}`;
+        await sftp.rename(remotePath, archived);
+        results.push({ file: name, counts, archivedTo: archived });
+      } catch (err) {
+        console.error(`Error processing Careington response ${name}:`, err.message);
+        results.push({ file: name, error: err.message });
+      }
+    }
+    return results;
+  }, { label: `Careington response poll of site ${siteId}`, siteId });
+}
+
+/**
+ * Poll the response directory of every site on that site's server. Responses
+ * are matched to the records we sent by record key, so sites sharing a
+ * directory is fine. A site whose server can't be reached doesn't stop the rest.
+ */
+async function pollAllResponseFiles() {
+  const results = [];
+  for (const site of listSites()) {
+    const responseDir = site.sftp.responseDir || RESPONSE_DIR;
+    const archiveDir = responseDir === RESPONSE_DIR ? ARCHIVE_DIR : path.posix.join(responseDir, 'archive');
+    try {
+      results.push(...(await pollResponseFiles({ responseDir, archiveDir, siteId: site.id }))
+        .map(result => ({ site: site.id, ...result })));
+    } catch (err) {
+      console.error(`Careington response poll of site ${site.id} failed:`, err.message);
+      results.push({ site: site.id, error: err.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * Poll for response files every CAREINGTON_RESPONSE_POLL_MINUTES.
+ */
+function startResponsePolling() {
+  const run = () => pollAllResponseFiles().catch(err => {
+    console.error("Careington response polling failed:", err.message);
+  });
+  setInterval(run, POLL_MINUTES * 60 * 1000);
+  setImmediate(run);
+}
+
+module.exports = {
+  parseResponseFile,
+  applyResponseFile,
+  pollResponseFiles,
+  pollAllResponseFiles,
+  startResponsePolling,
+};
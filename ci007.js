@@ -0,0 +1,179 @@
+const { parseISO, isValid } = require('date-fns');
+
+/* ========= Careington CI007 record validation and normalization ========= */
+
+const US_STATES = {
+  ALABAMA: 'AL', ALASKA: 'AK', ARIZONA: 'AZ', ARKANSAS: 'AR', CALIFORNIA: 'CA', COLORADO: 'CO',
+  CONNECTICUT: 'CT', DELAWARE: 'DE', 'DISTRICT OF COLUMBIA': 'DC', FLORIDA: 'FL', GEORGIA: 'GA',
+  HAWAII: 'HI', IDAHO: 'ID', ILLINOIS: 'IL', INDIANA: 'IN', IOWA: 'IA', KANSAS: 'KS', KENTUCKY: 'KY',
+  LOUISIANA: 'LA', MAINE: 'ME', MARYLAND: 'MD', MASSACHUSETTS: 'MA', MICHIGAN: 'MI', MINNESOTA: 'MN',
+  MISSISSIPPI: 'MS', MISSOURI: 'MO', MONTANA: 'MT', NEBRASKA: 'NE', NEVADA: 'NV', 'NEW HAMPSHIRE': 'NH',
+  'NEW JERSEY': 'NJ', 'NEW MEXICO': 'NM', 'NEW YORK': 'NY', 'NORTH CAROLINA': 'NC', 'NORTH DAKOTA': 'ND',
+  OHIO: 'OH', OKLAHOMA: 'OK', OREGON: 'OR', PENNSYLVANIA: 'PA', 'RHODE ISLAND': 'RI',
+  'SOUTH CAROLINA': 'SC', 'SOUTH DAKOTA': 'SD', TENNESSEE: 'TN', TEXAS: 'TX', UTAH: 'UT', VERMONT: 'VT',
+  VIRGINIA: 'VA', WASHINGTON: 'WA', 'WEST VIRGINIA': 'WV', WISCONSIN: 'WI', WYOMING: 'WY',
+  'PUERTO RICO': 'PR', 'VIRGIN ISLANDS': 'VI', GUAM: 'GU', 'AMERICAN SAMOA': 'AS',
+  'NORTHERN MARIANA ISLANDS': 'MP',
+};
+// Military mail
+const STATE_CODES = new Set([...Object.values(US_STATES), 'AA', 'AE', 'AP']);
+
+// Letters that don't decompose into ASCII + accent
+const TRANSLITERATIONS = {
+  'ß': 'ss', 'Æ': 'AE', 'æ': 'ae', 'Ø': 'O', 'ø': 'o', 'Œ': 'OE', 'œ': 'oe', 'Ł': 'L', 'ł': 'l',
+  'Đ': 'D', 'đ': 'd', 'Þ': 'TH', 'þ': 'th', 'ı': 'i',
+  '‘': "'", '’': "'", '“': '"', '”': '"', '–': '-', '—': '-',
+};
+
+const EMAIL = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+/**
+ * Plain printable ASCII: accents stripped, special letters spelled out, and
+ * pipes (the field separator), control characters and anything else dropped.
+ */
+function toAscii(value) {
+  return String(value == null ? '' : value)
+    .replace(/[^\u0000-\u007F]/g, ch => TRANSLITERATIONS[ch] || ch)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\|/g, ' ')
+    .replace(/[^\x20-\x7E]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function normalizePhone(value) {
+  const digits = value.replace(/\D/g, '');
+  return digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+}
+
+function normalizeState(value) {
+  const upper = value.toUpperCase().replace(/\./g, '');
+  return US_STATES[upper] || upper;
+}
+
+const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && isValid(parseISO(value));
+
+/*
+ * The CI007 layout, in file order (fillers and formatting live in vendors/careington.js).
+ *   width        maximum length in the file
+ *   required     a record without it is held back
+ *   truncate     free text that may be cut to width; anything else that's too long is an error
+ *   normalize    clean-up applied before checking
+ *   pattern/oneOf/date  what a valid value looks like
+ *   dropIfInvalid  optional contact fields: an invalid value is blanked with a warning
+ *                  instead of holding the record back
+ * Dates are checked as YYYY-MM-DD, the way the store keeps them; buildMemberLine
+ * writes them as MMDDYYYY.
+ */
+const CI007_FIELDS = [
+  { name: 'title',           width: 3,  truncate: true },
+  { name: 'firstName',       width: 15, truncate: true, required: true },
+  { name: 'middleName',      width: 1,  truncate: true },
+  { name: 'lastName',        width: 20, truncate: true, required: true },
+  { name: 'postName',        width: 4,  truncate: true },
+  { name: 'uniqueId',        width: 12, required: true, pattern: /^[A-Z0-9]+$/ },
+  { name: 'sequenceNum',     width: 2,  required: true, pattern: /^\d{2}$/ },
+  { name: 'address1',        width: 33, truncate: true, required: true },
+  { name: 'address2',        width: 33, truncate: true },
+  { name: 'city',            width: 21, truncate: true, required: true },
+  { name: 'state',           width: 2,  required: true, normalize: normalizeState, oneOf: STATE_CODES },
+  { name: 'zip',             width: 5,  required: true, pattern: /^\d{5}$/ },
+  { name: 'plus4',           width: 4,  pattern: /^\d{4}$/, dropIfInvalid: true },
+  { name: 'homePhone',       width: 10, normalize: normalizePhone, pattern: /^\d{10}$/, dropIfInvalid: true },
+  { name: 'workPhone',       width: 10, normalize: normalizePhone, pattern: /^\d{10}$/, dropIfInvalid: true },
+  { name: 'coverage',        width: 2,  required: true, normalize: v => v.toUpperCase(), pattern: /^[A-Z]{2}$/ },
+  { name: 'groupCode',       width: 10, required: true },
+  { name: 'terminationDate', width: 10, date: true },
+  { name: 'effectiveDate',   width: 10, required: true, date: true },
+  { name: 'dateOfBirth',     width: 10, date: true, dropIfInvalid: true },
+  { name: 'relation',        width: 1,  oneOf: new Set(['S', 'C']) },
+  { name: 'studentStatus',   width: 1,  oneOf: new Set(['Y', 'N']) },
+  { name: 'gender',          width: 1,  normalize: v => v.toUpperCase(), oneOf: new Set(['M', 'F']) },
+  { name: 'email',           width: 64, pattern: EMAIL, dropIfInvalid: true },
+];
+
+function checkValue(field, value) {
+  if (field.date && !isDate(value)) return 'is not a valid date';
+  if (field.pattern && !field.pattern.test(value)) return 'has an invalid format';
+  if (field.oneOf && !field.oneOf.has(value)) return `"${value}" is not an allowed value`;
+  return null;
+}
+
+/**
+ * Normalize one eligibility record to the CI007 layout.
+ * Returns { record, errors, warnings }: `record` is the cleaned copy to send,
+ * `errors` mean the record must be held back, `warnings` list what was
+ * truncated or dropped on the way.
+ */
+function normalizeRecord(input) {
+  const record = { ...input };
+  const errors = [];
+  const warnings = [];
+
+  // ZIP+4 in the zip field ("12345-6789" or "123456789") fills plus4
+  const zip = toAscii(record.zip).match(/^(\d{5})-?(\d{4})?$/);
+  if (zip) {
+    record.zip = zip[1];
+    if (zip[2] && !toAscii(record.plus4)) record.plus4 = zip[2];
+  }
+
+  for (const field of CI007_FIELDS) {
+    const raw = String(record[field.name] == null ? '' : record[field.name]);
+    let value = toAscii(raw);
+    if (/[^\x20-\x7E]|\|/.test(raw.trim())) warnings.push(`${field.name}: "${raw}" written as "${value}"`);
+    if (field.normalize) value = field.normalize(value);
+
+    if (value === '') {
+      if (field.required) errors.push(`${field.name} is required`);
+      record[field.name] = '';
+      continue;
+    }
+    const problem = checkValue(field, value);
+    if (problem) {
+      if (field.dropIfInvalid && !field.required) {
+        warnings.push(`${field.name} ${problem}; left blank`);
+        value = '';
+      } else {
+        errors.push(`${field.name} ${problem}`);
+      }
+    }
+    if (value.length > field.width) {
+      if (field.truncate) {
+        warnings.push(`${field.name}: truncated to ${field.width} characters`);
+        value = value.slice(0, field.width);
+      } else {
+        errors.push(`${field.name} is longer than ${field.width} characters`);
+      }
+    }
+    record[field.name] = value;
+  }
+  return { record, errors, warnings };
+}
+
+/**
+ * Validate eligibility records for a file.
+ * Returns { valid, invalid }: `valid` holds the normalized records to send,
+ * `invalid` one { record, errors, warnings } report per record held back.
+ */
+function validateRecords(records) {
+  const valid = [];
+  const invalid = [];
+  for (const input of records) {
+    const { record, errors, warnings } = normalizeRecord(input);
+    if (errors.length) {
+      invalid.push({ record: input, errors, warnings });
+    } else {
+      if (warnings.length) console.log(`Eligibility record ${record.uniqueId}${record.sequenceNum}: ${warnings.join('; ')}`);
+      valid.push(record);
+    }
+  }
+  return { valid, invalid };
+}
+
+module.exports = {
+  CI007_FIELDS,
+  toAscii,
+  normalizeRecord,
+  validateRecords,
+};
@@ -0,0 +1,40 @@
+const { format, endOfMonth, subMonths, parseISO } = require('date-fns');
+
+function formatDateMMDDYYYY(dateObj) {
+  const mm = String(dateObj.getMonth() + 1).padStart(2, '0');
+  const dd = String(dateObj.getDate()).padStart(2, '0');
+  const yyyy = dateObj.getFullYear();
+  return `${mm}${dd}${yyyy}`;
+}
+
+function toCareingtonEffectiveDate(dateString) {
+  const dateObj = dateString ? new Date(dateString) : new Date();
+  const year = dateObj.getFullYear();
+  const month = dateObj.getMonth();
+  const day = dateObj.getDate();
+  if (day <= 15) return new Date(year, month, 1);
+  return month === 11 ? new Date(year + 1, 0, 1) : new Date(year, month + 1, 1);
+}
+
+/**
+ * Careington termination date (YYYY-MM-DD) for the last day of coverage.
+ * Coverage ends on the last day of a month, with the same mid-month cut-off
+ * as effective dates: up to the 15th ends the previous month, after the 15th
+ * ends the current one. Never earlier than the Careington effective date,
+ * so a member cancelled before coverage starts is terminated on that date.
+ */
+function toCareingtonTerminationDate(lastCoveredDate, effectiveDate = null) {
+  const d = typeof lastCoveredDate === 'string' ? parseISO(lastCoveredDate) : lastCoveredDate;
+  let term = d.getDate() <= 15 ? endOfMonth(subMonths(d, 1)) : endOfMonth(d);
+  if (effectiveDate) {
+    const effective = toCareingtonEffectiveDate(effectiveDate);
+    if (term < effective) term = effective;
+  }
+  return format(term, 'yyyy-MM-dd');
+}
+
+module.exports = {
+  formatDateMMDDYYYY,
+  toCareingtonEffectiveDate,
+  toCareingtonTerminationDate,
+};
@@ -0,0 +1,298 @@
+/* ========= Admin dashboard: server-rendered pages ========= */
+
+/*
+ * Plain HTML from template literals; everything interpolated with html`` is
+ * escaped unless it was itself produced by html``. Buttons that change
+ * something are forms posting the session's CSRF token, and are only shown
+ * to roles allowed to use them.
+ */
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = value => String(value == null ? '' : value).replace(/[&<>"']/g, ch => ESCAPES[ch]);
+
+class Markup {
+  constructor(text) {
+    this.text = text;
+  }
+
+  toString() {
+    return this.text;
+  }
+}
+
+function render(value) {
+  if (Array.isArray(value)) return value.map(render).join('');
+  if (value instanceof Markup) return value.text;
+  return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+  return new Markup(strings.reduce((out, text, i) => out + render(values[i - 1]) + text));
+}
+
+const STYLE = `
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 0; color: #222; }
+  header { background: #1f3a5f; color: #fff; padding: 8px 16px; display: flex; gap: 16px; align-items: center; }
+  header a { color: #fff; text-decoration: none; }
+  header .who { margin-left: auto; }
+  main { padding: 16px; }
+  table { border-collapse: collapse; margin: 8px 0 16px; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+  th { background: #f0f0f0; }
+  form.inline { display: inline; }
+  .notice { background: #e8f4e8; border: 1px solid #9c9; padding: 8px; }
+  .error { background: #fbe9e9; border: 1px solid #d99; padding: 8px; }
+  .status-active, .status-reinstated { color: #176117; }
+  .status-past_due, .status-grace { color: #a06000; }
+  .status-lapsed, .status-terminated { color: #a01717; }
+`;
+
+/**
+ * A button that posts to `action` (with `fields` as hidden inputs).
+ */
+function actionButton(page, action, label, fields = {}) {
+  return html`<form class="inline" method="post" action="${action}">
+    <input type="hidden" name="_csrf" value="${page.csrfToken}">
+    ${Object.entries(fields).map(([name, value]) => html`<input type="hidden" name="${name}" value="${value}">`)}
+    <button>${label}</button>
+  </form>`;
+}
+
+function layout(page, title, body) {
+  return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title} · Subscription admin</title>
+<style>${new Markup(STYLE)}</style>
+</head>
+<body>
+<header>
+  <strong>Subscription admin</strong>
+  <a href="/admin/members">Members</a>
+  <a href="/admin/review">Review queue</a>
+  <a href="/admin/files">Eligibility files</a>
+  <a href="/admin/webhooks">Webhooks</a>
+  <span class="who">${page.principal.name} (${page.principal.role})</span>
+  ${actionButton(page, '/admin/logout', 'Log out')}
+</header>
+<main>
+${page.notice ? html`<p class="notice">${page.notice}</p>` : ''}
+${page.error ? html`<p class="error">${page.error}</p>` : ''}
+<h1>${title}</h1>
+${body}
+</main>
+</body>
+</html>`.text;
+}
+
+function table(headings, rows) {
+  if (!rows.length) return html`<p>None.</p>`;
+  return html`<table>
+    <tr>${headings.map(heading => html`<th>${heading}</th>`)}</tr>
+    ${rows.map(cells => html`<tr>${cells.map(cell => html`<td>${cell}</td>`)}</tr>`)}
+  </table>`;
+}
+
+const status = value => html`<span class="status-${value}">${value}</span>`;
+
+function loginPage({ error = null } = {}) {
+  return html`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>Log in · Subscription admin</title><style>${new Markup(STYLE)}</style></head>
+<body><main>
+<h1>Subscription admin</h1>
+${error ? html`<p class="error">${error}</p>` : ''}
+<form method="post" action="/admin/login">
+  <label>API key <input type="password" name="apiKey" autocomplete="current-password" required></label>
+  <button>Log in</button>
+</form>
+</main></body>
+</html>`.text;
+}
+
+/**
+ * Member list with search, filters and paging.
+ */
+function memberListPage(page, { members, total, filters, pageNumber, pageSize, sites, plans, states }) {
+  const query = extra => new URLSearchParams({ ...filters, pageSize, ...extra }).toString();
+  const pages = Math.max(1, Math.ceil(total / pageSize));
+  const option = (value, selected) => html`<option value="${value}" ${value === selected ? new Markup('selected') : ''}>${value || 'any'}</option>`;
+
+  return layout(page, 'Members', html`
+<form method="get" action="/admin/members">
+  <input name="q" value="${filters.q}" placeholder="ID, name, email, phone">
+  ${sites.length > 1 ? html`<label>Site <select name="site">${['', ...sites].map(value => option(value, filters.site))}</select></label>` : ''}
+  <label>Plan <select name="plan">${['', ...plans].map(value => option(value, filters.plan))}</select></label>
+  <label>Status <select name="status">${['', ...states].map(value => option(value, filters.status))}</select></label>
+  <label>State <input name="state" value="${filters.state}" size="2" maxlength="2"></label>
+  <button>Search</button>
+</form>
+<p>${total} member(s)</p>
+${table(['Member ID', 'Site', 'Name', 'Email', 'Plan', 'Status', 'Paid through', 'Terminated'], members.map(member => [
+    html`<a href="/admin/members/${encodeURIComponent(member.uniqueId)}">${member.uniqueId}</a>`,
+    member.siteId,
+    `${member.firstName} ${member.lastName}`,
+    member.email,
+    member.subscriptionPlan,
+    status(member.lifecycleStatus),
+    member.nextDueDate,
+    member.terminationDate,
+  ]))}
+<p>
+  ${pageNumber > 1 ? html`<a href="/admin/members?${query({ page: pageNumber - 1 })}">&laquo; Previous</a>` : ''}
+  Page ${pageNumber} of ${pages}
+  ${pageNumber < pages ? html`<a href="/admin/members?${query({ page: pageNumber + 1 })}">Next &raquo;</a>` : ''}
+</p>`);
+}
+
+/**
+ * One member: details, dependents, orders and payments, lifecycle history and
+ * the eligibility files their records went out in.
+ */
+function memberDetailPage(page, { member, orders, history, transitions, files, responses }) {
+  const address = [member.address1, member.address2, `${member.city} ${member.state} ${member.zip}`].filter(Boolean).join(', ');
+  return layout(page, `${member.firstName} ${member.lastName} (${member.uniqueId})`, html`
+<table>
+  <tr><th>Status</th><td>${status(member.lifecycleStatus)} since ${member.lifecycleChangedOn}</td></tr>
+  <tr><th>Site</th><td>${member.siteId}</td></tr>
+  <tr><th>Email</th><td>${member.email}</td></tr>
+  <tr><th>Phone</th><td>${member.homePhone}</td></tr>
+  <tr><th>Address</th><td>${address}</td></tr>
+  <tr><th>Date of birth</th><td>${member.dateOfBirth}</td></tr>
+  <tr><th>Plan</th><td>${member.subscriptionPlan} (coverage ${member.coverage}, group ${member.groupCode})</td></tr>
+  <tr><th>Effective</th><td>${member.effectiveDate}</td></tr>
+  <tr><th>Paid through</th><td>${member.nextDueDate}</td></tr>
+  <tr><th>Terminated</th><td>${member.terminationDate}</td></tr>
+</table>
+
+<h2>Dependents</h2>
+${table(['Seq', 'Name', 'Relation', 'Date of birth', 'Effective', 'Terminated'], member.dependents.map(dep => [
+    dep.sequenceNum, `${dep.firstName} ${dep.lastName}`, dep.relation, dep.dateOfBirth, dep.effectiveDate, dep.terminationDate,
+  ]))}
+
+<h2>Orders and payments</h2>
+${table(['Order', 'Product', 'Ordered', 'Paid', 'Amount', 'Plan', 'Next due', 'Payment'], orders.map(order => [
+    order.orderNumber || order.orderId, order.productName, order.createdOn, order.paymentDate, order.amount,
+    order.subscriptionPlan, order.nextDueDate, order.paymentStatus,
+  ]))}
+<p>Ledger: paid ${member.ledger.totals.paid}, refunded ${member.ledger.totals.refunded},
+  fees ${member.ledger.totals.fees}, net ${member.ledger.totals.net} ${member.ledger.totals.currency}</p>
+
+<h2>Lifecycle</h2>
+${table(['When', 'From', 'To', 'Reason', 'Source'], transitions.map(t => [t.createdOn, t.fromStatus, t.toStatus, t.reason, t.source]))}
+${table(['When', 'Event', 'Effective', 'Reason', 'Source'], history.map(h => [h.createdOn, h.event, h.effectiveDate, h.reason, h.source]))}
+
+<h2>Careington responses</h2>
+${table(['Record', 'Status', 'Reason', 'Updated'], responses.map(r => [r.recordKey, r.status, r.reason, r.updatedOn]))}
+
+<h2>File history</h2>
+${table(['File', 'Vendor', 'Kind', 'Generated', 'Record', 'Action', 'Upload'], files.map(file => [
+    html`<a href="/outbound-files/${file.id}/download">${file.file_name}</a>`, file.vendor, file.kind, file.generated_on,
+    file.record_key, file.action, file.upload_status || 'not uploaded',
+  ]))}`);
+}
+
+/**
+ * Open review items (orders that couldn't be enrolled) and the records held
+ * back from each vendor's latest file.
+ */
+function reviewPage(page, { items, held, canOperate }) {
+  return layout(page, 'Review queue', html`
+<h2>Orders needing review</h2>
+${table(['Site', 'Order', 'Reason', 'Details', 'Flagged', ''], items.map(item => [
+    item.siteId,
+    item.orderId,
+    item.reason,
+    html`<code>${JSON.stringify(item.details)}</code>`,
+    item.createdOn,
+    canOperate
+      ? html`${actionButton(page, `/admin/review/${item.id}/replay`, 'Replay order')}
+             ${actionButton(page, `/admin/review/${item.id}/dismiss`, 'Dismiss')}`
+      : '',
+  ]))}
+
+<h2>Records held back from the latest files</h2>
+${table(['Site', 'Vendor', 'File', 'Record', 'Name', 'Problems'], held.map(row => [
+    row.site, row.vendor, row.fileName, row.recordKey, `${row.record.firstName} ${row.record.lastName}`, row.errors.join('; '),
+  ]))}`);
+}
+
+/**
+ * Eligibility runs: buttons to generate and upload FULL/DELTA files per site
+ * and vendor, and the archived files with their upload results.
+ */
+function filesPage(page, { sites, site, vendors, files, canOperate }) {
+  const option = value => html`<option value="${value}" ${value === site ? new Markup('selected') : ''}>${value || 'any'}</option>`;
+  const send = (siteId, vendor, kind) =>
+    actionButton(page, '/admin/eligibility-files', `Send ${kind}`, { site: siteId, vendor: vendor.name, kind });
+  return layout(page, 'Eligibility files', html`
+${canOperate ? html`<h2>Generate and upload</h2>
+${table(['Site', 'Vendor', ''], sites.flatMap(siteId => vendors.map(vendor => [
+    siteId,
+    vendor.label,
+    html`${send(siteId, vendor, 'FULL')} ${vendor.tracksChanges ? send(siteId, vendor, 'DELTA') : ''}`,
+  ])))}` : ''}
+
+<h2>Archived files</h2>
+${sites.length > 1 ? html`<form method="get" action="/admin/files">
+  <label>Site <select name="site">${['', ...sites].map(option)}</select></label>
+  <button>Show</button>
+</form>` : ''}
+${table(['#', 'Site', 'Vendor', 'File', 'Kind', 'Records', 'Generated', 'Trigger', 'Upload', ''], files.map(file => [
+    file.id,
+    file.site_id,
+    file.vendor,
+    html`<a href="/outbound-files/${file.id}/download">${file.file_name}</a>`,
+    file.kind,
+    file.record_count,
+    file.generated_on,
+    file.trigger,
+    file.upload_status ? `${file.upload_status} ${file.uploaded_on}${file.upload_error ? `: ${file.upload_error}` : ''}` : 'not uploaded',
+    canOperate ? actionButton(page, `/admin/files/${file.id}/resend`, 'Re-send') : '',
+  ]))}`);
+}
+
+/**
+ * Webhook health: what the last subscription check and test notification of
+ * each site found, and the event queue.
+ */
+function webhooksPage(page, { sites, queue, canAdmin, canOperate }) {
+  return layout(page, 'Webhooks', html`
+${sites.map(({ id, name, endpointUrl, health }) => html`
+<h2>Subscriptions of ${name} (${id})</h2>
+<p>Endpoint: <code>${endpointUrl}</code></p>
+${health.checkedOn
+    ? html`<p>Last checked ${health.checkedOn}: ${health.ok ? 'OK' : html`<span class="error">${health.error}</span>`}
+        ${health.changes.length ? ` (changed: ${health.changes.join(', ')})` : ''}</p>`
+    : html`<p>Not checked yet.</p>`}
+${health.lastTest
+    ? html`<p>Last test notification ${health.lastTest.testedOn}: ${health.lastTest.received
+      ? `received (endpoint answered ${health.lastTest.statusCode})`
+      : html`<span class="error">not received${health.lastTest.error ? `: ${health.lastTest.error}` : ''}</span>`}</p>`
+    : ''}
+${table(['ID', 'Topics', 'Endpoint', 'Ours', 'Secret stored'], health.subscriptions.map(sub => [
+    sub.id, sub.topics.join(', '), sub.endpointUrl, sub.ours ? 'yes' : 'no', sub.hasSecret ? 'yes' : html`<strong>no</strong>`,
+  ]))}
+${health.missingTopics.length ? html`<p class="error">Missing topics: ${health.missingTopics.join(', ')}</p>` : ''}
+${canAdmin ? html`${actionButton(page, '/admin/webhooks/plan', 'Preview changes', { site: id })}
+    ${actionButton(page, '/admin/webhooks/test', 'Send test notification', { site: id })}` : ''}`)}
+${canAdmin ? actionButton(page, '/admin/webhooks/check', 'Check and repair now') : ''}
+
+<h2>Event queue</h2>
+<p>${queue.pending} pending, ${queue.processed} processed recently, ${Object.keys(queue.deadLetter).length} dead-lettered.</p>
+${table(['Event', 'Attempts', 'Received', 'Failed', 'Last error', ''], Object.entries(queue.deadLetter).map(([id, entry]) => [
+    id, entry.attempts, entry.receivedOn, entry.failedOn, entry.lastError,
+    canOperate ? actionButton(page, `/admin/webhooks/dead-letter/${encodeURIComponent(id)}/retry`, 'Retry') : '',
+  ]))}`);
+}
+
+module.exports = {
+  loginPage,
+  memberListPage,
+  memberDetailPage,
+  reviewPage,
+  filesPage,
+  webhooksPage,
+};
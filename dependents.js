@@ -0,0 +1,143 @@
+const { format, parse, isValid } = require('date-fns');
+
+/*
+ * Dependents are collected on the subscription product as customizations,
+ * one field per label, grouped by a prefix:
+ *   "Spouse First Name", "Spouse Date of Birth", ...
+ *   "Child 1 Name", "Child 1 Date of Birth", "Child 1 Student", ...
+ *   "Dependent 2 First Name", "Dependent 2 Relationship", ...
+ */
+const DEPENDENT_LABEL = /^(spouse|child\s*#?\s*(\d+)|dependent\s*#?\s*(\d+))\b\s*[-:]?\s*(.*)$/i;
+
+// Careington coverage codes by number of covered dependents
+const COVERAGE_MEMBER_ONLY = 'MO';
+const COVERAGE_MEMBER_PLUS_ONE = 'MD';
+const COVERAGE_FAMILY = 'MF';
+
+/**
+ * True if a customization label belongs to a dependent rather than the primary.
+ */
+function isDependentLabel(label) {
+  return DEPENDENT_LABEL.test((label || '').trim());
+}
+
+/**
+ * Parse a customization date ("1/10/1982" or "1982-01-10") into YYYY-MM-DD.
+ * Returns '' if the value isn't a date.
+ */
+function parseCustomizationDate(value) {
+  const text = (value || '').trim();
+  for (const pattern of ['M/d/yyyy', 'yyyy-MM-dd', 'M-d-yyyy']) {
+    const parsed = parse(text, pattern, new Date());
+    if (isValid(parsed)) return format(parsed, 'yyyy-MM-dd');
+  }
+  return '';
+}
+
+function relationCode(value) {
+  return /spouse|wife|husband|partner/i.test(value || '') ? 'S' : 'C';
+}
+
+function genderCode(value) {
+  const v = (value || '').trim().toUpperCase();
+  if (v.startsWith('M')) return 'M';
+  if (v.startsWith('F')) return 'F';
+  return '';
+}
+
+function studentCode(value) {
+  return /^(y|yes|true|full)/i.test((value || '').trim()) ? 'Y' : '';
+}
+
+/**
+ * Parse dependents out of a line item's customizations.
+ * Returns null when the line item has no customizations at all (e.g. a renewal
+ * order), so callers can tell "no change" apart from "no dependents".
+ */
+function parseDependents(customizations, primaryLastName = '') {
+  if (!Array.isArray(customizations)) return null;
+
+  const groups = new Map();
+  for (const { label, value } of customizations) {
+    const match = DEPENDENT_LABEL.exec((label || '').trim());
+    if (!match || !value) continue;
+    const key = match[1].toLowerCase().replace(/\s|#/g, '');
+    const field = match[4].toLowerCase();
+    const group = groups.get(key) || { relation: match[1].toLowerCase() === 'spouse' ? 'S' : match[2] ? 'C' : '' };
+    groups.set(key, group);
+
+    if (/first/.test(field)) group.firstName = value.trim();
+    else if (/middle/.test(field)) group.middleName = value.trim().charAt(0);
+    else if (/last/.test(field)) group.lastName = value.trim();
+    else if (/birth|dob/.test(field)) group.dateOfBirth = parseCustomizationDate(value);
+    else if (/relation/.test(field)) group.relation = relationCode(value);
+    else if (/gender|sex/.test(field)) group.gender = genderCode(value);
+    else if (/student/.test(field)) group.studentStatus = studentCode(value);
+    else if (/name/.test(field) || field === '') {
+      const [first, ...rest] = value.trim().split(/\s+/);
+      group.firstName = group.firstName || first;
+      group.lastName = group.lastName || rest.join(' ');
+    }
+  }
+
+  return [...groups.values()]
+    .filter(d => d.firstName)
+    .map(d => ({
+      firstName: d.firstName,
+      middleName: d.middleName || '',
+      lastName: d.lastName || primaryLastName,
+      dateOfBirth: d.dateOfBirth || '',
+      relation: d.relation || 'C',
+      studentStatus: d.studentStatus || '',
+      gender: d.gender || '',
+    }));
+}
+
+/**
+ * Family coverage code for a number of active dependents.
+ */
+function coverageForDependents(dependents) {
+  const count = (dependents || []).filter(d => !d.terminationDate).length;
+  if (count === 0) return COVERAGE_MEMBER_ONLY;
+  if (count === 1) return COVERAGE_MEMBER_PLUS_ONE;
+  return COVERAGE_FAMILY;
+}
+
+/**
+ * Expand members into eligibility records: each primary followed by one record
+ * per dependent, sharing the primary's Unique ID, address, coverage and group.
+ */
+function eligibilityRecords(members) {
+  return members.flatMap(member => {
+    const { dependents = [], ...primary } = member;
+    return [
+      primary,
+      ...dependents.map(dep => ({
+        ...primary,
+        title: '',
+        firstName: dep.firstName,
+        middleName: dep.middleName,
+        lastName: dep.lastName,
+        postName: '',
+        sequenceNum: dep.sequenceNum,
+        homePhone: '',
+        workPhone: '',
+        dateOfBirth: dep.dateOfBirth,
+        relation: dep.relation,
+        studentStatus: dep.studentStatus,
+        gender: dep.gender,
+        email: '',
+        effectiveDate: dep.effectiveDate || primary.effectiveDate,
+        terminationDate: dep.terminationDate || primary.terminationDate,
+      })),
+    ];
+  });
+}
+
+module.exports = {
+  isDependentLabel,
+  parseCustomizationDate,
+  parseDependents,
+  coverageForDependents,
+  eligibilityRecords,
+};
@@ -0,0 +1,364 @@
+const path = require('path');
+const { getDb, listMembers } = require('./storage');
+const { toCareingtonTerminationDate } = require('./coverageDates');
+const { VENDORS, getVendor, vendorsForMember, formatRecord } = require('./vendors');
+const { archiveFile, uploadArchivedFile } = require('./outboundArchive');
+const { DEFAULT_SITE_ID, listSites, requireSite } = require('./sites');
+
+const SCHEDULE_CHECK_MS = 15 * 60 * 1000;
+
+// The latest file run per `${site}:${vendor}`; the next one waits for it
+const runQueues = new Map();
+
+/* ========= Vendor file generation ========= */
+
+/**
+ * Write diff entries ({ action, record }) to a site's vendor file (named by
+ * the adapter) in the outbound archive. Returns { archiveId, filePath }.
+ */
+function writeVendorFile(vendor, entries, { isFull = true, isTest = false, trigger = 'manual', siteId = DEFAULT_SITE_ID } = {}) {
+  const date = new Date();
+  const site = requireSite(siteId);
+  const contents = vendor.buildFile
+    ? vendor.buildFile(entries, { isFull, isTest, date, site })
+    : entries.map(entry => formatRecord(vendor, entry.record)).join('\n');
+  const { id, filePath } = archiveFile(vendor.name, vendor.fileName({ isFull, isTest, date, site }), contents, {
+    siteId,
+    kind: isTest ? 'TEST' : isFull ? 'FULL' : 'DELTA',
+    trigger,
+    entries: entries.map(entry => ({
+      key: entry.key || recordKey(entry.record),
+      action: entry.action,
+      line: entry.line || formatRecord(vendor, entry.record),
+      record: entry.record,
+    })),
+  });
+  console.log(`${vendor.label} file generated: ${filePath}`);
+  return { archiveId: id, filePath };
+}
+
+/* ========= FULL/DELTA runs against the last-sent snapshot ========= */
+
+/**
+ * Key of an eligibility record: Unique ID plus sequence number.
+ */
+function recordKey(record) {
+  return `${record.uniqueId}${record.sequenceNum || '00'}`;
+}
+
+/**
+ * What a vendor was last sent for a site, keyed by record key.
+ */
+function loadSnapshot(vendorName, siteId) {
+  const rows = getDb().prepare(`
+    SELECT record_key, line, record FROM eligibility_snapshot WHERE vendor = ? AND site_id = ?
+  `).all(vendorName, siteId);
+  return new Map(rows.map(row => [row.record_key, { line: row.line, record: JSON.parse(row.record) }]));
+}
+
+/**
+ * Terminations a vendor has acknowledged, as "recordKey|terminationDate".
+ */
+function loadAcknowledgedTerminations(vendorName) {
+  const rows = getDb().prepare('SELECT record_key, termination_date FROM termination_acks WHERE vendor = ?').all(vendorName);
+  return new Set(rows.map(row => `${row.record_key}|${row.termination_date}`));
+}
+
+/**
+ * Mark the termination of a member (and their terminated dependents) as
+ * acknowledged by a vendor, so it drops out of that vendor's later files.
+ */
+function acknowledgeTermination(member, vendorName = 'careington') {
+  const records = getVendor(vendorName).toRecords([member]).filter(record => record.terminationDate);
+  const ack = getDb().prepare(`
+    INSERT OR IGNORE INTO termination_acks (vendor, record_key, termination_date, acknowledged_on) VALUES (?, ?, ?, ?)
+  `);
+  const now = new Date().toISOString();
+  getDb().transaction(() => {
+    records.forEach(record => ack.run(vendorName, recordKey(record), record.terminationDate, now));
+  })();
+  return records.length;
+}
+
+/**
+ * Compare a vendor's current records for a site with the site's snapshot.
+ * Each entry is { key, action, record, line } with action add, change,
+ * terminate or (FULL only) unchanged. DELTAs contain only the changes, except
+ * that terminated records are repeated until the vendor acknowledges them.
+ * Records that vanished from the store altogether (e.g. merged members) are
+ * terminated once, with `removed` set. Keys in `heldKeys` (records held back by
+ * validation) are left as they are, not treated as vanished. For vendors that
+ * don't track changes, vanished records are simply dropped from the snapshot
+ * (`omit` keeps them out of the file).
+ */
+function diffAgainstSnapshot(vendor, records, isFull, heldKeys = new Set(), siteId = DEFAULT_SITE_ID) {
+  const snapshot = loadSnapshot(vendor.name, siteId);
+  const acknowledged = loadAcknowledgedTerminations(vendor.name);
+  const current = new Map(records.map(record => [recordKey(record), record]));
+  const entries = [];
+
+  for (const [key, record] of current) {
+    const line = formatRecord(vendor, record);
+    const sent = snapshot.get(key);
+    if (record.terminationDate) {
+      if (!acknowledged.has(`${key}|${record.terminationDate}`)) {
+        entries.push({ key, action: 'terminate', record, line });
+      }
+    } else if (!sent) {
+      entries.push({ key, action: 'add', record, line });
+    } else if (sent.line !== line) {
+      entries.push({ key, action: 'change', record, line });
+    } else if (isFull) {
+      entries.push({ key, action: 'unchanged', record, line });
+    }
+  }
+  for (const [key, sent] of snapshot) {
+    if (current.has(key) || heldKeys.has(key)) continue;
+    if (!vendor.tracksChanges) {
+      entries.push({ key, action: 'terminate', record: sent.record, line: sent.line, removed: true, omit: true });
+      continue;
+    }
+    if (sent.record.terminationDate) continue;
+    const record = { ...sent.record, terminationDate: toCareingtonTerminationDate(new Date(), sent.record.effectiveDate) };
+    entries.push({ key, action: 'terminate', record, line: formatRecord(vendor, record), removed: true });
+  }
+  return entries;
+}
+
+/**
+ * Record a site's sent file for audit, with the records held back from it, and
+ * move the site's snapshot for the vendor forward to match it.
+ */
+function recordSentFile(siteId, vendorName, fileName, isFull, trigger, entries, held = [], archiveId = null) {
+  const database = getDb();
+  const sent = entries.filter(entry => !entry.omit);
+  database.transaction(() => {
+    const now = new Date().toISOString();
+    const fileId = database.prepare(`
+      INSERT INTO eligibility_files (site_id, vendor, file_name, kind, trigger, record_count, generated_on, archive_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(siteId, vendorName, fileName, isFull ? 'FULL' : 'DELTA', trigger, sent.length, now, archiveId).lastInsertRowid;
+
+    const addRecord = database.prepare(`
+      INSERT INTO eligibility_file_records (file_id, record_key, action, line) VALUES (?, ?, ?, ?)
+    `);
+    const upsertSnapshot = database.prepare(`
+      INSERT INTO eligibility_snapshot (vendor, record_key, line, record, file_id, sent_on, site_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(vendor, record_key) DO UPDATE SET
+        line = excluded.line, record = excluded.record, file_id = excluded.file_id, sent_on = excluded.sent_on,
+        -- a changed record waits for the vendor's verdict again
+        response_status = CASE WHEN line = excluded.line THEN response_status ELSE 'pending' END,
+        response_reason = CASE WHEN line = excluded.line THEN response_reason ELSE '' END
+    `);
+    const dropSnapshot = database.prepare('DELETE FROM eligibility_snapshot WHERE vendor = ? AND record_key = ?');
+
+    for (const entry of entries) {
+      if (!entry.omit) addRecord.run(fileId, entry.key, entry.action, entry.line);
+      if (entry.removed) {
+        dropSnapshot.run(vendorName, entry.key);
+      } else {
+        upsertSnapshot.run(vendorName, entry.key, entry.line, JSON.stringify(entry.record), fileId, now, siteId);
+      }
+    }
+
+    const addHeld = database.prepare(`
+      INSERT INTO eligibility_held_records (file_id, record_key, errors, record) VALUES (?, ?, ?, ?)
+    `);
+    held.forEach(({ record, errors }) => addHeld.run(fileId, recordKey(record), JSON.stringify(errors), JSON.stringify(record)));
+  })();
+}
+
+/**
+ * Run `fn` once the site and vendor's previous file run has finished, so two
+ * runs never diff against the same snapshot and send the same changes twice.
+ */
+function serializeRun(siteId, vendorName, fn) {
+  const key = `${siteId}:${vendorName}`;
+  const result = (runQueues.get(key) || Promise.resolve()).then(fn);
+  const settled = result.catch(() => {});
+  runQueues.set(key, settled);
+  settled.then(() => {
+    if (runQueues.get(key) === settled) runQueues.delete(key);
+  });
+  return result;
+}
+
+/**
+ * Generate a FULL or DELTA file for a vendor from a site's members into the
+ * outbound archive, upload it with `upload(filePath, transport)` (the attempt
+ * is logged with the archived file) and, once uploaded, record it and update
+ * the site's snapshot. Only members whose plan enrolls them with the vendor
+ * are included. Records that fail the vendor's validation are held back and
+ * reported with the run (see listHeldRecords); they go out once they're fixed.
+ * Vendors that don't track changes always get a FULL file.
+ * A DELTA with nothing to report is recorded but no file is sent.
+ * Runs for the same site and vendor (webhook, schedule, manual) go one at a
+ * time. Returns the file path, or null if nothing was sent.
+ */
+async function sendEligibilityFile({ site: siteId = DEFAULT_SITE_ID, vendor: vendorName = 'careington', isFull, trigger, upload }) {
+  const vendor = getVendor(vendorName);
+  const site = requireSite(siteId);
+  return serializeRun(site.id, vendor.name, () => runEligibilityFile(site, vendor, { isFull, trigger, upload }));
+}
+
+async function runEligibilityFile(site, vendor, { isFull, trigger, upload }) {
+  const full = isFull || !vendor.tracksChanges;
+  const members = listMembers(site.id).filter(member =>
+    vendor.includeMember(member) && vendorsForMember(member).includes(vendor.name));
+  const records = vendor.toRecords(members);
+  const { valid, invalid } = vendor.validate ? vendor.validate(records) : { valid: records, invalid: [] };
+  invalid.forEach(({ record, errors }) => {
+    console.error(`${vendor.label} record ${recordKey(record)} held back: ${errors.join('; ')}`);
+  });
+  const heldKeys = new Set(invalid.map(({ record }) => recordKey(record)));
+  const entries = diffAgainstSnapshot(vendor, valid, full, heldKeys, site.id);
+  if (!full && entries.length === 0) {
+    console.log(`No ${vendor.label} changes for site ${site.id} since the last file; DELTA skipped.`);
+    recordSentFile(site.id, vendor.name, '', false, trigger, [], invalid);
+    return null;
+  }
+  const sent = entries.filter(entry => !entry.omit);
+  const { archiveId, filePath } = writeVendorFile(vendor, sent, { isFull: full, trigger, siteId: site.id });
+  await uploadArchivedFile(archiveId, upload, trigger);
+  recordSentFile(site.id, vendor.name, path.basename(filePath), full, trigger, entries, invalid, archiveId);
+  console.log(`Sent ${full ? 'FULL' : 'DELTA'} ${vendor.label} file for site ${site.id} with ${sent.length} records (${trigger})` +
+    `${invalid.length ? `, ${invalid.length} held back` : ''}.`);
+  return filePath;
+}
+
+/**
+ * Send a site's DELTA to every vendor whose DELTAs go out after each
+ * processed webhook event.
+ */
+async function sendEventFiles(trigger, upload, siteId = DEFAULT_SITE_ID) {
+  for (const vendor of VENDORS.filter(v => v.schedule.delta === 'event')) {
+    await sendEligibilityFile({ site: siteId, vendor: vendor.name, isFull: false, trigger, upload });
+  }
+}
+
+/**
+ * Run each site's file for each vendor once a day after the vendor's run
+ * hour: a FULL on its full day (or every day), otherwise a DELTA if it takes
+ * daily DELTAs. Runs are tracked per site and vendor in eligibility_files, so
+ * a restart doesn't send the day's file twice.
+ */
+function startEligibilitySchedule(upload) {
+  const running = new Set();
+  const check = async (site, vendor) => {
+    const now = new Date();
+    const { runHour, fullOn, delta } = vendor.schedule;
+    const runKey = `${site.id}:${vendor.name}`;
+    if (running.has(runKey) || now.getHours() < runHour) return;
+    const isFull = fullOn === 'daily' || now.getDay() === fullOn;
+    if (!isFull && delta !== 'daily') return;
+
+    const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate()).toISOString();
+    const alreadyRan = getDb().prepare(`
+      SELECT 1 FROM eligibility_files
+      WHERE site_id = ? AND vendor = ? AND trigger = 'schedule' AND generated_on >= ? LIMIT 1
+    `).get(site.id, vendor.name, todayStart);
+    if (alreadyRan) return;
+
+    running.add(runKey);
+    try {
+      await sendEligibilityFile({ site: site.id, vendor: vendor.name, isFull, trigger: 'schedule', upload });
+    } catch (err) {
+      console.error(`Scheduled ${vendor.label} file for site ${site.id} failed:`, err.message);
+    } finally {
+      running.delete(runKey);
+    }
+  };
+  const checkAll = () => listSites().forEach(site => VENDORS.forEach(vendor => check(site, vendor)));
+  setInterval(checkAll, SCHEDULE_CHECK_MS);
+  setImmediate(checkAll);
+}
+
+/* ========= Careington responses ========= */
+
+/**
+ * Record Careington's verdict on a sent record (from a response file).
+ * An accepted termination counts as acknowledged, so it stops being repeated
+ * in DELTAs. Returns false if we never sent that record.
+ */
+function applyCareingtonResponse(key, status, reason, fileName) {
+  const database = getDb();
+  return database.transaction(() => {
+    const sent = database.prepare(`
+      SELECT record FROM eligibility_snapshot WHERE vendor = 'careington' AND record_key = ?
+    `).get(key);
+    if (!sent) return false;
+    const now = new Date().toISOString();
+    database.prepare(`
+      UPDATE eligibility_snapshot SET response_status = ?, response_reason = ?, response_updated_on = ?
+      WHERE vendor = 'careington' AND record_key = ?
+    `).run(status, reason || '', now, key);
+    database.prepare(`
+      INSERT INTO careington_responses (file_name, record_key, status, reason, received_on) VALUES (?, ?, ?, ?, ?)
+    `).run(fileName, key, status, reason || '', now);
+
+    const { terminationDate } = JSON.parse(sent.record);
+    if (status === 'accepted' && terminationDate) {
+      database.prepare(`
+        INSERT OR IGNORE INTO termination_acks (vendor, record_key, termination_date, acknowledged_on)
+        VALUES ('careington', ?, ?, ?)
+      `).run(key, terminationDate, now);
+    }
+    return true;
+  })();
+}
+
+/**
+ * Careington status of every sent record, optionally only one status
+ * ('accepted', 'rejected' or 'pending') and/or one site's records.
+ */
+function listCareingtonStatuses(status = null, siteId = null) {
+  const filters = [['response_status = ?', status], ['site_id = ?', siteId]].filter(([, value]) => value);
+  return getDb().prepare(`
+    SELECT record_key AS recordKey, site_id AS siteId, response_status AS status, response_reason AS reason,
+           response_updated_on AS updatedOn, sent_on AS sentOn, record
+    FROM eligibility_snapshot
+    WHERE vendor = 'careington' ${filters.map(([clause]) => `AND ${clause}`).join(' ')}
+    ORDER BY record_key
+  `).all(...filters.map(([, value]) => value)).map(({ record, ...row }) => {
+    const { uniqueId, firstName, lastName } = JSON.parse(record);
+    return { ...row, memberId: uniqueId, name: `${firstName} ${lastName}` };
+  });
+}
+
+/**
+ * History of generated files (newest first), for audit; optionally for one
+ * vendor and/or one site.
+ */
+function listSentFiles(limit = 50, vendorName = null, siteId = null) {
+  const filters = [['f.vendor = ?', vendorName], ['f.site_id = ?', siteId]].filter(([, value]) => value);
+  return getDb().prepare(`
+    SELECT f.*, (SELECT COUNT(*) FROM eligibility_held_records h WHERE h.file_id = f.id) AS held_count
+    FROM eligibility_files f
+    ${filters.length ? `WHERE ${filters.map(([clause]) => clause).join(' AND ')}` : ''}
+    ORDER BY f.id DESC LIMIT ?
+  `).all(...filters.map(([, value]) => value), limit);
+}
+
+/**
+ * Error report for the records held back from a file run.
+ */
+function listHeldRecords(fileId) {
+  return getDb().prepare('SELECT record_key, errors, record FROM eligibility_held_records WHERE file_id = ?')
+    .all(fileId)
+    .map(row => ({ recordKey: row.record_key, errors: JSON.parse(row.errors), record: JSON.parse(row.record) }));
+}
+
+module.exports = {
+  recordKey,
+  writeVendorFile,
+  diffAgainstSnapshot,
+  acknowledgeTermination,
+  sendEligibilityFile,
+  sendEventFiles,
+  startEligibilitySchedule,
+  listSentFiles,
+  listHeldRecords,
+  applyCareingtonResponse,
+  listCareingtonStatuses,
+};
@@ -0,0 +1,277 @@
+const { format, parseISO, subDays, startOfDay } = require('date-fns');
+const {
+  getMember,
+  getOrderPayment,
+  settlePayment,
+  saveTransaction,
+  hasAdjustment,
+  recordAdjustment,
+  flagForReview,
+  getSyncState,
+  setSyncState,
+} = require('./storage');
+const { getPlan } = require('./planCatalog');
+const { DEFAULT_SITE_ID, listSites } = require('./sites');
+const squarespace = require('./squarespaceApi');
+const { computeNextDueDate } = require('./orders');
+const { toCareingtonTerminationDate } = require('./coverageDates');
+const { paidThroughDate, evaluateMember, terminate } = require('./lifecycle');
+
+/* ========= Squarespace transactions → payment ledger ========= */
+
+// Followed by ":<site id>"; each site syncs on its own
+const SYNC_STATE_KEY = 'transactions.syncedThrough';
+
+// How often the ledger is synced, and how far back the first sync looks
+const SYNC_INTERVAL_MINUTES = Number(process.env.LEDGER_SYNC_INTERVAL_MINUTES || 60);
+const FIRST_SYNC_DAYS = 30;
+
+const toCents = money => Math.round(Number((money && money.value) || 0) * 100);
+
+/**
+ * Ledger entries for one transaction document: each payment, its refunds, its
+ * processing fees and their refunds. Fees have no date of their own, so they
+ * take the payment's.
+ */
+function ledgerEntries(doc) {
+  const entries = [];
+  for (const payment of doc.payments || []) {
+    const paidOn = payment.paidOn || doc.createdOn;
+    entries.push({
+      id: payment.id,
+      kind: 'payment',
+      amount: payment.amount.value,
+      currency: payment.amount.currency,
+      occurredOn: paidOn,
+      reference: payment.externalTransactionId || '',
+    });
+    for (const refund of payment.refunds || []) {
+      entries.push({
+        id: refund.id,
+        kind: 'refund',
+        amount: refund.amount.value,
+        currency: refund.amount.currency,
+        occurredOn: refund.refundedOn || doc.modifiedOn,
+        reference: refund.externalTransactionId || '',
+      });
+    }
+    for (const fee of payment.processingFees || []) {
+      entries.push({
+        id: fee.id,
+        kind: 'fee',
+        amount: fee.amount.value,
+        currency: fee.amount.currency,
+        occurredOn: paidOn,
+      });
+      for (const feeRefund of fee.feeRefunds || []) {
+        entries.push({
+          id: feeRefund.id,
+          kind: 'fee_refund',
+          amount: feeRefund.amount.value,
+          currency: feeRefund.amount.currency,
+          occurredOn: feeRefund.refundedOn || doc.modifiedOn,
+        });
+      }
+    }
+  }
+  return entries;
+}
+
+/**
+ * What a transaction says about the order's payment:
+ *   void        the transaction was voided
+ *   refunded    every payment was refunded in full
+ *   settled     at least one payment went through (or nothing was owed)
+ *   provisional no payment yet; keep what the order said
+ * Settled payments carry the latest paidOn date and the amount kept after refunds.
+ */
+function settlementOf(doc) {
+  if (doc.voided) return { status: 'void' };
+  const payments = doc.payments || [];
+  const kept = payments.filter(p => p.paidOn && toCents(p.amount) - toCents(p.refundedAmount) > 0);
+  if (kept.length) {
+    const paidOn = kept.map(p => p.paidOn).sort().pop();
+    const cents = kept.reduce((total, p) => total + toCents(p.amount) - toCents(p.refundedAmount), 0);
+    return { status: 'settled', paidOn, amount: (cents / 100).toFixed(2) };
+  }
+  if (payments.length) return { status: 'refunded' };
+  // Free orders (100% discounts) have nothing to pay
+  if (toCents(doc.total) === 0) return { status: 'settled', paidOn: doc.createdOn, amount: '0.00' };
+  return { status: 'provisional' };
+}
+
+/**
+ * Refunds and voids in a transaction that may change the member's coverage.
+ * A void replaces everything else; otherwise each refund is full or partial
+ * depending on whether any of its own payment is left.
+ */
+function adjustmentsOf(doc) {
+  if (doc.voided) {
+    return [{ reference: 'void', kind: 'void', amount: (doc.total && doc.total.value) || '' }];
+  }
+  return (doc.payments || []).flatMap(payment => {
+    const kind = toCents(payment.amount) - toCents(payment.refundedAmount) === 0 ? 'full_refund' : 'partial_refund';
+    return (payment.refunds || []).map(refund => ({ reference: refund.id, kind, amount: refund.amount.value }));
+  });
+}
+
+/**
+ * Take away the coverage a refunded or voided payment paid for. That payment
+ * no longer counts, so the paid-through date now comes from the member's other
+ * payments: if those still cover today nothing changes; otherwise the member is
+ * terminated at the end of what they did pay for, or cancelled retroactively
+ * (as of their effective date) if nothing is left. Returns what was done.
+ */
+function endRefundedCoverage(memberId, kind, transactionId, today = new Date()) {
+  const member = getMember(memberId);
+  if (member.terminationDate) return `already terminated as of ${member.terminationDate}`;
+  if (member.nextDueDate && paidThroughDate(member) >= startOfDay(today)) {
+    return `coverage unchanged, paid through ${format(paidThroughDate(member), 'yyyy-MM-dd')} by other payments`;
+  }
+  const lastCovered = member.nextDueDate ? paidThroughDate(member) : parseISO(member.effectiveDate);
+  const terminationDate = toCareingtonTerminationDate(lastCovered, member.effectiveDate);
+  terminate(memberId, {
+    terminationDate,
+    reason: kind === 'void' ? 'voided' : 'refunded',
+    source: `transaction:${transactionId}`,
+  });
+  return member.nextDueDate ? `terminated as of ${terminationDate}` : `cancelled retroactively as of ${terminationDate}`;
+}
+
+/**
+ * Apply the transaction's refunds and voids to the member, once each: full
+ * refunds and voids end the coverage they paid for, partial refunds go to the
+ * review queue. Every one is logged with the transaction id.
+ */
+function applyAdjustments(doc, memberId, siteId) {
+  for (const adjustment of adjustmentsOf(doc)) {
+    if (hasAdjustment(doc.id, adjustment.reference)) continue;
+    let action;
+    if (adjustment.kind === 'partial_refund') {
+      flagForReview(doc.salesOrderId, 'partial_refund', {
+        memberId,
+        transactionId: doc.id,
+        refundId: adjustment.reference,
+        amount: adjustment.amount,
+      }, siteId);
+      action = 'flagged for review';
+    } else {
+      action = endRefundedCoverage(memberId, adjustment.kind, doc.id);
+    }
+    recordAdjustment(memberId, { transactionId: doc.id, ...adjustment, action });
+  }
+}
+
+/**
+ * Apply one of a site's transaction documents to the ledger and adjust the
+ * member's coverage for its refunds and voids. Transactions for orders we don't
+ * know on that site (other products) are skipped. Returns the member ID it was
+ * booked to, or null.
+ */
+function applyTransaction(doc, siteId = DEFAULT_SITE_ID) {
+  const order = doc.salesOrderId && getOrderPayment(doc.salesOrderId);
+  if (!order || order.siteId !== siteId) return null;
+
+  saveTransaction(order.memberId, {
+    id: doc.id,
+    orderId: doc.salesOrderId,
+    createdOn: doc.createdOn,
+    modifiedOn: doc.modifiedOn,
+    voided: doc.voided,
+    total: (doc.total && doc.total.value) || '0.00',
+    netPayment: (doc.totalNetPayment && doc.totalNetPayment.value) || '0.00',
+    currency: (doc.total && doc.total.currency) || 'USD',
+    raw: doc,
+  }, ledgerEntries(doc));
+
+  const settlement = settlementOf(doc);
+  if (settlement.status === 'settled') {
+    const plan = getPlan(order.subscriptionPlan, siteId);
+    settlePayment(doc.salesOrderId, {
+      status: 'settled',
+      paymentDate: format(parseISO(settlement.paidOn), 'yyyyMMdd'),
+      amount: settlement.amount,
+      nextDueDate: plan ? format(computeNextDueDate(settlement.paidOn, plan), 'yyyyMMdd') : null,
+    });
+  } else if (settlement.status !== 'provisional') {
+    settlePayment(doc.salesOrderId, { status: settlement.status });
+  }
+  applyAdjustments(doc, order.memberId, siteId);
+  return order.memberId;
+}
+
+/**
+ * Fetch every transaction document of a site modified in [from, to], across all pages.
+ */
+async function fetchTransactions(from, to, siteId = DEFAULT_SITE_ID) {
+  const documents = await squarespace.collect(squarespace.iterateTransactions({
+    modifiedAfter: from.toISOString(), modifiedBefore: to.toISOString(),
+  }, siteId));
+  console.log(`Fetched ${documents.length} transactions of site ${siteId} modified between ${from.toISOString()} and ${to.toISOString()}`);
+  return documents;
+}
+
+/**
+ * Sync the ledger with a site's Squarespace transactions modified in [from, to]
+ * and re-evaluate the members they belong to. Without `from`, picks up where
+ * the site's last sync stopped (with a day of overlap, since syncing is idempotent).
+ * If a transaction can't be applied, the site is only synced through the
+ * earliest such transaction's modifiedOn, so the next sync fetches it again.
+ */
+async function syncTransactions({ from = null, to = new Date(), siteId = DEFAULT_SITE_ID } = {}) {
+  const stateKey = `${SYNC_STATE_KEY}:${siteId}`;
+  const syncedThrough = getSyncState(stateKey);
+  const start = from || subDays(syncedThrough ? parseISO(syncedThrough) : to, syncedThrough ? 1 : FIRST_SYNC_DAYS);
+  const documents = await fetchTransactions(start, to, siteId);
+
+  const members = new Set();
+  const failed = [];
+  const sorted = [...documents].sort((a, b) => a.createdOn.localeCompare(b.createdOn));
+  for (const doc of sorted) {
+    try {
+      const memberId = applyTransaction(doc, siteId);
+      if (memberId) members.add(memberId);
+    } catch (err) {
+      console.error(`Error applying transaction ${doc.id}:`, err.message);
+      failed.push(doc);
+    }
+  }
+  for (const memberId of members) {
+    try {
+      evaluateMember(memberId);
+    } catch (err) {
+      console.error(`Lifecycle evaluation failed for ${memberId}:`, err.message);
+    }
+  }
+  if (!from) {
+    const retryFrom = failed.map(doc => doc.modifiedOn || doc.createdOn).sort()[0];
+    setSyncState(stateKey, retryFrom || to.toISOString());
+    if (retryFrom) console.error(`Ledger sync of site ${siteId}: ${failed.length} transaction(s) failed; synced through ${retryFrom} only.`);
+  }
+  console.log(`Ledger sync of site ${siteId} complete: ${documents.length} transaction(s), ${members.size} member(s) updated.`);
+  return { transactions: documents.length, members: members.size, failed: failed.map(doc => doc.id) };
+}
+
+/**
+ * Sync every site's ledger now and then every LEDGER_SYNC_INTERVAL_MINUTES.
+ */
+function startLedgerSync() {
+  const run = async () => {
+    for (const { id: siteId } of listSites()) {
+      await syncTransactions({ siteId }).catch(error => {
+        console.error(`Ledger sync of site ${siteId} failed:`, error.response ? error.response.data : error.message);
+      });
+    }
+  };
+  run();
+  setInterval(run, SYNC_INTERVAL_MINUTES * 60 * 1000);
+}
+
+module.exports = {
+  ledgerEntries,
+  settlementOf,
+  applyTransaction,
+  fetchTransactions,
+  syncTransactions,
+  startLedgerSync,
+};
@@ -0,0 +1,183 @@
+const { format, parse, subDays, differenceInCalendarDays } = require('date-fns');
+const {
+  listMembers,
+  getMember,
+  terminateMember,
+  reinstateMember,
+  setLifecycleStatus,
+} = require('./storage');
+const { toCareingtonTerminationDate } = require('./coverageDates');
+const { getPlan, DEFAULT_GRACE_DAYS } = require('./planCatalog');
+
+/*
+ * Member lifecycle:
+ *   pending     enrolled, no payment on record yet
+ *   active      paid through nextDueDate (settled payments, once the ledger has synced)
+ *   past_due    nextDueDate passed, within the payment retry window
+ *   grace       still covered while the plan's grace period runs
+ *   lapsed      grace period over without payment; coverage terminated
+ *   terminated  cancelled, refunded or terminated by hand
+ *   reinstated  covered again after a lapse/termination (becomes active the next day)
+ */
+const TRANSITIONS = {
+  pending:    ['active', 'past_due', 'grace', 'lapsed', 'terminated'],
+  active:     ['past_due', 'grace', 'lapsed', 'terminated'],
+  past_due:   ['active', 'grace', 'lapsed', 'terminated'],
+  grace:      ['active', 'lapsed', 'terminated'],
+  lapsed:     ['reinstated', 'terminated'],
+  terminated: ['reinstated'],
+  reinstated: ['active', 'past_due', 'grace', 'lapsed', 'terminated'],
+};
+
+// States in which the member has coverage
+const COVERED_STATES = ['active', 'past_due', 'grace', 'reinstated'];
+
+// Days after nextDueDate that count as past due (Squarespace retries the card)
+const PAST_DUE_DAYS = Number(process.env.PAST_DUE_DAYS || 3);
+
+/**
+ * Grace period in days for the member's plan (from their site's plan catalog), counted from nextDueDate.
+ */
+function graceDaysFor(member) {
+  const plan = getPlan(member.subscriptionPlan, member.siteId);
+  return plan ? plan.graceDays : DEFAULT_GRACE_DAYS;
+}
+
+function isCovered(member) {
+  return COVERED_STATES.includes(member.lifecycleStatus);
+}
+
+/**
+ * Whether a member belongs in the Careington file at all. Covered members are
+ * sent without a termination date, lapsed/terminated ones with theirs; pending
+ * members haven't paid and aren't sent yet.
+ */
+function isIncludedInEligibility(member) {
+  return member.lifecycleStatus !== 'pending';
+}
+
+/**
+ * Last day a member has paid for (the day before nextDueDate).
+ */
+function paidThroughDate(member) {
+  return subDays(parse(member.nextDueDate, 'yyyyMMdd', new Date()), 1);
+}
+
+/**
+ * The state a member should be in today, based on their payments and
+ * termination date. Terminations are never undone here; only a new payment
+ * (which clears the termination date) or an explicit reinstatement does that.
+ */
+function targetStatus(member, today = new Date()) {
+  const current = member.lifecycleStatus;
+  if (member.terminationDate) {
+    return current === 'lapsed' ? 'lapsed' : 'terminated';
+  }
+  if (!member.lastPaymentDate || !member.nextDueDate) {
+    // A member whose only payment was voided or refunded has nothing to be covered by.
+    return current === 'pending' ? 'pending' : 'lapsed';
+  }
+  if (current === 'terminated' || current === 'lapsed') return 'reinstated';
+
+  const daysPastDue = differenceInCalendarDays(today, parse(member.nextDueDate, 'yyyyMMdd', new Date()));
+  if (daysPastDue <= 0) {
+    // Keep "reinstated" visible for the day it happened.
+    const changedToday = member.lifecycleChangedOn &&
+      format(new Date(member.lifecycleChangedOn), 'yyyyMMdd') === format(today, 'yyyyMMdd');
+    return current === 'reinstated' && changedToday ? 'reinstated' : 'active';
+  }
+  if (daysPastDue <= PAST_DUE_DAYS) return 'past_due';
+  if (daysPastDue <= graceDaysFor(member)) return 'grace';
+  return 'lapsed';
+}
+
+function lapseReason(member, to) {
+  if (to !== 'lapsed') return '';
+  return member.nextDueDate ? 'grace period expired' : 'no settled payment';
+}
+
+/**
+ * Move a member to a new state, if the state machine allows it.
+ * Entering lapsed/terminated sets the termination date; entering reinstated
+ * from a termination clears it.
+ */
+function transition(member, to, { reason = '', source = '', terminationDate = null } = {}) {
+  const from = member.lifecycleStatus;
+  if (from === to) return false;
+  if (!TRANSITIONS[from] || !TRANSITIONS[from].includes(to)) {
+    throw new Error(`Member ${member.uniqueId} can't go from ${from} to ${to}.`);
+  }
+
+  if ((to === 'lapsed' || to === 'terminated') && !member.terminationDate) {
+    const date = terminationDate || toCareingtonTerminationDate(
+      member.nextDueDate ? paidThroughDate(member) : new Date(),
+      member.effectiveDate
+    );
+    terminateMember(member.uniqueId, { terminationDate: date, reason: reason || to, source });
+  } else if (to === 'reinstated' && member.terminationDate) {
+    reinstateMember(member.uniqueId, { reason, source });
+  }
+  setLifecycleStatus(member.uniqueId, from, to, { reason, source });
+  console.log(`Member ${member.uniqueId}: ${from} → ${to}${reason ? ` (${reason})` : ''}`);
+  return true;
+}
+
+/**
+ * Bring one member's state up to date. Returns the member's state afterwards.
+ */
+function evaluateMember(uniqueId, today = new Date()) {
+  const member = getMember(uniqueId);
+  if (!member) return null;
+  const to = targetStatus(member, today);
+  transition(member, to, { reason: lapseReason(member, to), source: 'lifecycle' });
+  return to;
+}
+
+/**
+ * Daily job: evaluate every member's transitions.
+ */
+function evaluateAllMembers(today = new Date()) {
+  let changed = 0;
+  for (const member of listMembers()) {
+    try {
+      const to = targetStatus(member, today);
+      if (transition(member, to, { reason: lapseReason(member, to), source: 'lifecycle' })) {
+        changed += 1;
+      }
+    } catch (err) {
+      console.error(`Lifecycle evaluation failed for ${member.uniqueId}:`, err.message);
+    }
+  }
+  console.log(`Lifecycle evaluation complete: ${changed} member(s) changed state.`);
+  return changed;
+}
+
+/**
+ * Terminate a member (cancellation, refund, manual).
+ */
+function terminate(uniqueId, { terminationDate = null, reason = '', source = '' } = {}) {
+  const member = getMember(uniqueId);
+  if (!member) throw new Error(`Member ${uniqueId} not found.`);
+  return transition(member, 'terminated', { terminationDate, reason, source });
+}
+
+/**
+ * Reinstate a lapsed or terminated member.
+ */
+function reinstate(uniqueId, { reason = '', source = '' } = {}) {
+  const member = getMember(uniqueId);
+  if (!member) throw new Error(`Member ${uniqueId} not found.`);
+  return transition(member, 'reinstated', { reason, source });
+}
+
+module.exports = {
+  TRANSITIONS,
+  isCovered,
+  isIncludedInEligibility,
+  paidThroughDate,
+  targetStatus,
+  evaluateMember,
+  evaluateAllMembers,
+  terminate,
+  reinstate,
+};
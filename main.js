@@ -1,663 +1,864 @@
 require('dotenv').config();
 const express = require('express');
-const axios = require('axios');
-const SFTPClient = require('ssh2-sftp-client');
 const bodyParser = require('body-parser');
-const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
-const { format: dfFormat } = require('date-fns');
-const { format, addMonths, addYears, parseISO } = require('date-fns');
+const {
+  getMember,
+  searchMembers,
+  findMemberForOrder,
+  getMemberHistory,
+  getMemberOrders,
+  getLifecycleTransitions,
+  mergeMembers,
+  splitMember,
+  listReviewItems,
+  getReviewItem,
+  resolveReviewItem,
+  importSubscriptionsJson,
+} = require('./storage');
+const { DEFAULT_SITE_ID, loadSites, listSites, getSite, siteEnv } = require('./sites');
+const { loadPlanCatalog, listPlans } = require('./planCatalog');
+const {
+  validateNewMember,
+  validateMemberChanges,
+  validateDependent,
+  createMember,
+  updateMember,
+  addDependent,
+  terminateDependent,
+} = require('./memberAdmin');
+const {
+  loadApiKeys,
+  findApiKey,
+  csrfTokenFor,
+  startSession,
+  endSession,
+  authenticate,
+  hasRole,
+  requireRole,
+} = require('./auth');
+const dashboard = require('./dashboard');
+const {
+  loadWebhookSecrets,
+  verifyWebhookSignature,
+} = require('./webhookSecrets');
+const {
+  enqueueWebhookEvent,
+  startWebhookWorker,
+  retryDeadLetter,
+  getQueueStatus,
+} = require('./webhookQueue');
+const {
+  writeVendorFile,
+  acknowledgeTermination,
+  sendEligibilityFile,
+  sendEventFiles,
+  startEligibilitySchedule,
+  listSentFiles,
+  listHeldRecords,
+  listCareingtonStatuses,
+} = require('./eligibility');
+const { VENDORS, VENDOR_NAMES, getVendor } = require('./vendors');
+const { pollAllResponseFiles, startResponsePolling } = require('./careingtonResponses');
+const { uploadFile } = require('./sftpTransport');
+const {
+  listArchivedFiles,
+  getArchivedFile,
+  uploadArchivedFile,
+  listFilesForMember,
+  diffArchivedFiles,
+} = require('./outboundArchive');
+const { toCareingtonTerminationDate } = require('./coverageDates');
+const {
+  TRANSITIONS,
+  evaluateAllMembers,
+  terminate,
+  reinstate,
+} = require('./lifecycle');
+const {
+  updateSubscriptionRecord,
+  applyOrder,
+  getOrderDetailsByOrderId,
+  getRandomOrder,
+  backfillOrders,
+} = require('./orders');
+const { syncTransactions, startLedgerSync } = require('./ledger');
+const { exchangeAuthorizationCode, startTokenRefresh } = require('./oauthTokens');
+const { authorizeUrl, getOrder } = require('./squarespaceApi');
+const {
+  TEST_ORDER_ID,
+  listSubscriptions,
+  reconcileWebhooks,
+  describeStep,
+  deleteSubscription,
+  sendTestNotification,
+  confirmTestNotification,
+} = require('./webhookSubscriptions');
 
 const app = express();
-app.use(bodyParser.json());
+// Keep the raw body around so webhook signatures can be checked byte for byte.
+app.use(bodyParser.json({
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
+// Who is calling; each management route then checks the role it needs (see auth.js).
+app.use(authenticate);
 
-// SFTP configuration
-const sftpConfig = {
-  host: process.env.SFTP_HOST,
-  port: process.env.SFTP_PORT || 22,
-  username: process.env.SFTP_USER,
-  password: process.env.SFTP_PASS,
-};
+// The sites and their plan catalogs must load and validate before anything is enrolled.
+loadSites();
+listSites().forEach(site => loadPlanCatalog({ knownVendors: VENDOR_NAMES, siteId: site.id }));
 
-const sftp = new SFTPClient();
+// API keys for the management routes; a malformed entry stops startup.
+loadApiKeys();
 
-// Path for persistent subscription store
+// Legacy JSON subscription store, imported into the SQLite store once on startup.
 const subscriptionsFilePath = path.join(__dirname, 'subscriptions.json');
-// In-memory subscriptions store (keyed by customerEmail)
-let subscriptionsStore = {};
+importSubscriptionsJson(subscriptionsFilePath);
+
+/* ========= OAuth, token refresh and webhooks ========= */
+
+// Each site's OAuth tokens live in its encrypted store and are refreshed ahead of expiry (see oauthTokens.js).
+try {
+  listSites().forEach(site => startTokenRefresh(site.id));
+} catch (err) {
+  // Usually a missing or bad TOKEN_STORE_KEY; the message says how to fix it
+  console.error(`Can't load the OAuth tokens: ${err.message}`);
+  process.exit(1);
+}
 
 /**
- * Load subscriptions from persistent store (JSON file).
+ * The site a management request is about: "site" in the query or body, or
+ * the only site there is. Null if it's missing or unknown.
  */
-function loadSubscriptions() {
-  if (fs.existsSync(subscriptionsFilePath)) {
-    const data = fs.readFileSync(subscriptionsFilePath, 'utf8');
-    try {
-      subscriptionsStore = JSON.parse(data);
-      console.log("Loaded subscriptions from disk.");
-    } catch (err) {
-      console.error("Error parsing subscriptions file:", err);
-      subscriptionsStore = {};
-    }
-  } else {
-    subscriptionsStore = {};
-  }
+function requestedSite(req) {
+  const given = req.query.site || (req.body && req.body.site);
+  if (given) return getSite(String(given));
+  const sites = listSites();
+  return sites.length === 1 ? sites[0] : null;
 }
 
+const siteRequired = () => `A known "site" is required (one of ${listSites().map(site => site.id).join(', ')}).`;
+
+// What the last webhook check of each site found, for the dashboard's health panel
+const webhookHealth = {};
+const uncheckedHealth = () => ({ checkedOn: null, ok: false, error: null, subscriptions: [], missingTopics: [], changes: [], lastTest: null });
+
 /**
- * Save the current subscriptions store to disk.
+ * Reconcile a site's webhook subscriptions (see webhookSubscriptions.js) and
+ * record what it now has. Returns the health.
  */
-function saveSubscriptions() {
-  fs.writeFileSync(subscriptionsFilePath, JSON.stringify(subscriptionsStore, null, 2), 'utf8');
-  console.log("Subscriptions saved to disk.");
+async function checkAndSetupWebhooks(site) {
+  const health = { ...uncheckedHealth(), checkedOn: new Date().toISOString(), lastTest: (webhookHealth[site.id] || {}).lastTest || null };
+  try {
+    const { steps } = await reconcileWebhooks(site);
+    const failed = steps.filter(step => !step.ok);
+    health.changes = steps.filter(step => step.ok).map(step => `${step.action} ${step.subscriptionId}`);
+    const subscriptions = await listSubscriptions(site);
+    const secrets = loadWebhookSecrets(site.id);
+    health.subscriptions = subscriptions.map(sub => ({
+      id: sub.id,
+      endpointUrl: sub.endpointUrl,
+      topics: sub.topics || [],
+      ours: sub.endpointUrl === site.webhookEndpointUrl,
+      hasSecret: Boolean(secrets[sub.id]),
+    }));
+    const topics = health.subscriptions.filter(sub => sub.ours).flatMap(sub => sub.topics);
+    health.missingTopics = site.webhookTopics.filter(topic => !topics.includes(topic));
+    health.ok = !failed.length && !health.missingTopics.length;
+    if (failed.length) health.error = failed.map(step => `${step.action} ${step.subscriptionId || ''}: ${step.error}`).join('; ');
+    else if (!health.ok) health.error = 'Not every webhook topic is subscribed.';
+    console.log(`Webhook check of site ${site.id} complete.`);
+  } catch (error) {
+    console.error(`Error checking webhooks of site ${site.id}:`, error.response ? error.response.data : error.message);
+    health.error = error.response ? JSON.stringify(error.response.data) : error.message;
+  }
+  webhookHealth[site.id] = health;
+  return health;
 }
 
-// Load subscriptions on startup.
-loadSubscriptions();
+async function checkAllWebhooks() {
+  for (const site of listSites()) await checkAndSetupWebhooks(site);
+}
+checkAllWebhooks();
+setInterval(checkAllWebhooks, 30 * 60 * 1000);
 
 /**
- * Calculate the next due date based on lastPaymentDate and plan.
- * Assumes ISO string for lastPaymentDate.
+ * Send a test notification to a site's endpoint and record whether it arrived.
  */
-function computeNextDueDate(lastPaymentDate, subscriptionPlan) {
-  const dateObj = parseISO(lastPaymentDate);
-  if (subscriptionPlan === 'Monthly') {
-    return addMonths(dateObj, 1);
-  } else if (subscriptionPlan === 'Annual') {
-    return addYears(dateObj, 1);
+async function testWebhookDelivery(site) {
+  const health = webhookHealth[site.id] || (webhookHealth[site.id] = uncheckedHealth());
+  try {
+    health.lastTest = { ...await sendTestNotification(site), testedOn: new Date().toISOString() };
+  } catch (err) {
+    console.error(`Error sending test notification for site ${site.id}:`, err.response ? err.response.data : err.message);
+    health.lastTest = { received: false, error: err.response ? JSON.stringify(err.response.data) : err.message, testedOn: new Date().toISOString() };
   }
-  return dateObj;
+  return health.lastTest;
 }
 
 /**
- * Determine if a subscription is active.
- * Active if the current date is before the nextDueDate.
+ * Swap an API key for a session cookie, for use from a browser.
+ * Body: { "apiKey": "..." }. Returns the CSRF token that changes made with
+ * the session must carry (as X-CSRF-Token or a "_csrf" form field).
  */
-function isActiveSubscription(subscriptionRecord) {
-  const now = new Date();
-  // Convert "YYYYMMDD" to "YYYY-MM-DD" so that new Date can parse it reliably
-  const nd = subscriptionRecord.nextDueDate;
-  const isoDate = nd.substring(0, 4) + '-' + nd.substring(4, 6) + '-' + nd.substring(6, 8);
-  const nextDue = new Date(isoDate);
-  return now < nextDue;
-}
+app.post('/login', (req, res) => {
+  const key = findApiKey(req.body && req.body.apiKey);
+  if (!key) {
+    console.error(`Login refused from ${req.ip}: unknown API key`);
+    return res.status(401).json({ error: 'Invalid API key.' });
+  }
+  try {
+    res.json({ name: key.name, role: key.role, csrfToken: startSession(req, res, key) });
+  } catch (err) {
+    res.status(503).json({ error: err.message });
+  }
+});
+
+app.post('/logout', (req, res) => {
+  endSession(res);
+  res.json({ loggedOut: true });
+});
+
+// Connecting Squarespace replaces the site's stored tokens, so only admins start it.
+// ?site=<id> picks the site (not needed when there is only one).
+app.get('/oauth/login', requireRole('admin'), (req, res) => {
+  const site = requestedSite(req);
+  if (!site) return res.status(400).send(siteRequired());
+  // The state names the site, so the callback knows whose tokens these are
+  const state = `${site.id}:${siteEnv(site.id, 'STATE')}`;
+  res.redirect(authorizeUrl(site.id, state));
+});
+
+// Squarespace redirects here; the state parameter ties it to our /oauth/login for a site.
+app.get('/oauth/callback', async (req, res) => {
+  const authCode = req.query.code;
+  const [siteId, ...rest] = String(req.query.state || '').split(':');
+  const site = getSite(siteId);
+
+  if (!site || !siteEnv(site.id, 'STATE') || rest.join(':') !== siteEnv(site.id, 'STATE')) {
+    return res.status(400).send('Invalid state parameter.');
+  }
+  if (!authCode) {
+    return res.status(400).send('Authorization code is missing.');
+  }
+
+  try {
+    await exchangeAuthorizationCode(authCode, site.id);
+    res.send(`OAuth successful! Access token for ${site.name} updated.`);
+  } catch (error) {
+    console.error('OAuth Error:', error.response ? error.response.data : error.message);
+    res.status(500).send('OAuth failed.');
+  }
+});
 
 /**
- * Update (or create) a subscription record from order details.
- * This function extracts the most recent payment data and additional fields.s
- */
-function updateSubscriptionRecord(orderDetails) {
-  const email = orderDetails.customerEmail;
-  const billing = orderDetails.billingAddress || {};
-
-  // determine plan & dates (unchanged)
-  const items = orderDetails.salesLineItems || orderDetails.lineItems;
-  const subscriptionItem = items.find(item => item.lineItemType === "PAYWALL_PRODUCT");
-  const paymentAmount   = subscriptionItem.unitPricePaid.value;
-  const subscriptionPlan= paymentAmount==='19.99' ? 'Monthly' : 'Annual';
-  const paymentDate     = orderDetails.fulfilledOn || orderDetails.createdOn;
-  const lastPaymentDate = format(parseISO(paymentDate), 'yyyyMMdd');
-  const nextDueDate     = format(computeNextDueDate(paymentDate, subscriptionPlan), 'yyyyMMdd');
-  // ——— NEW: use createdOn for Careington effectiveDate ———
-  const createdOnRaw       = orderDetails.createdOn;                   // e.g. "2025-03-24T21:05:11.040Z"
-  const effectiveDateIso   = format(parseISO(createdOnRaw), 'yyyy-MM-dd'); 
-  // (we store ISO here so `new Date(effectiveDateIso)` works cleanly in buildMemberLine)
-
-  // ——— NEW: pull DOB from the “Date of Birth” customization ———
-  let dateOfBirth = '';
-    const dobField = subscriptionItem.customizations?.find(c =>
-      c.label.toLowerCase().includes('date of birth')
-    );
-   if (dobField && dobField.value) {
-      // input looks like "1/10/1982"
-     const parsed = parse(dobField.value, 'M/d/yyyy', new Date());
-     dateOfBirth = format(parsed, 'yyyy-MM-dd');
-    }
+ * Bring a site's webhook subscriptions in line with its configuration: one
+ * subscription at its endpoint with its topics, and a stored secret.
+ * ?site=<id> (or "site" in the body); ?dryRun=true (or "dryRun": true) only
+ * returns the planned changes.
+ */
+app.post('/setup-webhooks', requireRole('admin'), async (req, res) => {
+  const site = requestedSite(req);
+  if (!site) return res.status(400).send(siteRequired());
+  const dryRun = String(req.query.dryRun || (req.body && req.body.dryRun) || '') === 'true';
+  if (!dryRun) {
+    const health = await checkAndSetupWebhooks(site);
+    return res.status(health.ok ? 200 : 500).json(health);
+  }
+  try {
+    res.json(await reconcileWebhooks(site, { dryRun }));
+  } catch (error) {
+    console.error("Error planning webhook changes:", error.response ? error.response.data : error.message);
+    res.status(500).send('Error planning webhook changes.');
+  }
+});
 
-  // — now stash everything into your store object —
-  subscriptionsStore[email] = {
-    title:           '',
-    firstName:       billing.firstName  || '',
-    middleName:      '',
-    lastName:        billing.lastName   || '',
-    postName:        '',
-    uniqueId:        orderDetails.id,
-    sequenceNum:     '00',
-    filler:          '',
-    address1:        billing.address1   || '',
-    address2:        billing.address2   || '',
-    city:            billing.city       || '',
-    state:           billing.state      || '',
-    zip:             billing.postalCode || '',
-    plus4:           '',
-    homePhone:       billing.phone      || '',
-    workPhone:       '',
-    coverage:        'MO',
-    groupCode:       process.env.CAREINGTON_GROUP_CODE,
-    terminationDate: '',
-    effectiveDate:   effectiveDateIso,   // YYYY-MM-DD
-    dateOfBirth,                        // <— with our new parsed DOB
-    relation:        '',
-    studentStatus:   '',
-    filler2:         '',
-    gender:          '',
-    email,                               // customerEmail
-
-    // extras...
-    lastPaymentDate,
-    paymentAmount,
-    subscriptionPlan,
-    nextDueDate,
-    orderId: orderDetails.id,
-    productName: subscriptionItem.productName
-  };
+/**
+ * Have Squarespace send a test notification to a site's endpoint and report
+ * whether it arrived here with a valid signature. ?site=<id>
+ */
+app.post('/webhooks/test', requireRole('admin'), async (req, res) => {
+  const site = requestedSite(req);
+  if (!site) return res.status(400).send(siteRequired());
+  const result = await testWebhookDelivery(site);
+  res.status(result.received ? 200 : 502).json(result);
+});
 
-  console.log(`Updated subscription record for ${email}`);
-  saveSubscriptions();
-}
+/**
+ * A site's webhook subscriptions as Squarespace has them. ?site=<id>
+ */
+app.get('/list-webhooks', requireRole('viewer'), async (req, res) => {
+  const site = requestedSite(req);
+  if (!site) return res.status(400).send(siteRequired());
+  try {
+    res.json(await listSubscriptions(site));
+  } catch (error) {
+    console.error("Error listing webhook subscriptions:", error.response ? error.response.data : error.message);
+    res.status(500).send('Error retrieving webhook subscriptions.');
+  }
+});
+
+/**
+ * Delete one of a site's webhook subscriptions and forget its secret. ?site=<id>
+ */
+app.delete('/webhooks/:id', requireRole('admin'), async (req, res) => {
+  const site = requestedSite(req);
+  if (!site) return res.status(400).send(siteRequired());
+  try {
+    await deleteSubscription(site, req.params.id);
+    res.send('Webhook deleted.');
+  } catch (error) {
+    console.error(`Error deleting webhook ${req.params.id}:`, error.response ? error.response.data : error.message);
+    res.status(500).send('Error deleting webhook.');
+  }
+});
 
 /**
- * Remove a subscription record based on order cancellation.
+ * Process one queued webhook event, for the site it was delivered to.
+ * For order.create or order.update (FULFILLED), update the subscription record.
+ * For cancellation events (or fully refunded orders), terminate the member.
+ * Also, if a test webhook is received with "test-order-id", a random order is chosen.
+ * Throws on any failure so the queue worker retries the event.
  */
-function removeSubscriptionRecord(orderDetails) {
-  const email = orderDetails.customerEmail;
-  if (subscriptionsStore[email]) {
-    delete subscriptionsStore[email];
-    console.log(`Removed subscription record for ${email}`);
-    saveSubscriptions();
+async function processWebhookEvent(event) {
+  const { topic, data } = event;
+  // Events queued before there were sites came from the default one
+  const siteId = event.siteId || DEFAULT_SITE_ID;
+
+  // only care about create/fulfill vs cancel
+  const isEnrollment = topic === 'order.create' ||
+    (topic === 'order.update' && data.update === 'FULFILLED');
+  const isCancellation = topic === 'order.update' && data.update === 'CANCELED';
+  if (!isEnrollment && !isCancellation) {
+    console.log(`No action for ${topic} event on order ${data.orderId}`);
+    return;
   }
+
+  let orderId = data.orderId;
+
+  // test mode → random order
+  if (orderId === TEST_ORDER_ID) {
+    const randomOrder = await getRandomOrder(siteId);
+    if (!randomOrder) throw new Error('No orders for test');
+    orderId = randomOrder.id;
+  }
+
+  // fetch full order with the site's API key
+  const orderDetails = await getOrderDetailsByOrderId(orderId, siteId);
+  if (!orderDetails) throw new Error(`Order ${orderId} not found on site ${siteId}`);
+
+  applyOrder(orderDetails, isEnrollment ? 'enroll' : 'cancel', { siteId });
+
+  // push the changes right away to vendors whose DELTAs go out per event; the schedule covers the rest
+  await sendEventFiles(`webhook:${event.id}`, uploadEligibilityFile, siteId);
 }
 
+startWebhookWorker(processWebhookEvent);
+
 /**
- * Upload subscription SDF file to SFTP.
- * Here, the file is generated in ASCII fixed‑width format.
+ * Webhook endpoint, one per site: /webhook/squarespace/<site id>, with the
+ * bare path for the default site (as registered before there were sites).
+ * Requests must carry a Squarespace-Signature valid for that site's webhook
+ * secrets; anything else gets a 401.
+ * Valid events are persisted to the webhook queue and acknowledged right away;
+ * the queue worker does the actual processing. Squarespace retries of an event
+ * we've already seen are acknowledged without being queued again.
  */
-async function uploadSubscriptionSDF(filePath) {
+app.post('/webhook/squarespace/:siteId?', (req, res) => {
+  const site = getSite(req.params.siteId || DEFAULT_SITE_ID);
+  if (!site) return res.status(404).send('Unknown site');
+  if (!verifyWebhookSignature(req.rawBody, req.get('Squarespace-Signature'), site.id)) {
+    console.error(`Rejected webhook for site ${site.id} with missing or invalid signature.`);
+    return res.status(401).send('Invalid signature');
+  }
+  // Only what identifies the notification; the payload can carry customer details
+  console.log(`Webhook ${req.body.id} (${req.body.topic}) for site ${site.id}`);
+  // A test notification we sent to check delivery isn't an order event
+  if (confirmTestNotification(site.id, req.body)) return res.status(200).send('Test notification received');
+  const { id, topic, data } = req.body;
+  if (!data || !data.orderId) return res.status(400).send('Invalid webhook');
+
+  // Notifications carry their own id; fall back to a hash of the body if one is ever missing.
+  const eventId = id || crypto.createHash('sha256').update(req.rawBody).digest('hex');
   try {
-    await sftp.connect(sftpConfig);
-    // For example, place the file in /subscriptions on SFTP.
-    const remoteFilePath = `${path.basename(filePath)}`;
-    await sftp.put(filePath, remoteFilePath);
-    console.log(`Uploaded subscription SDF file: ${remoteFilePath}`);
-    await sftp.end();
+    const queued = enqueueWebhookEvent(eventId, { id: eventId, siteId: site.id, topic, data, createdOn: req.body.createdOn });
+    res.status(200).send(queued ? 'Event queued' : 'Duplicate event');
   } catch (err) {
-    console.error("SFTP Upload Error:", err);
+    // Only fail the request if the event couldn't be persisted, so Squarespace retries it.
+    console.error("Error queueing webhook event:", err);
+    res.status(500).send('Could not queue event');
   }
-}
+});
 
 /**
- * Generate an ASCII SDF file (fixed field lengths) from active subscriptions.
- * Field layout (all fields are fixed width):
- *   Customer Email:     50 chars (left-justified)
- *   Subscription Plan:  10 chars (left-justified)
- *   Last Payment Date:   8 chars (YYYYMMDD)
- *   Next Due Date:       8 chars (YYYYMMDD)
- *   Payment Amount:      8 chars (right-justified, padded with spaces)
- *   First Name:         20 chars (left-justified)
- *   Last Name:          20 chars (left-justified)
- *   Order ID:           24 chars (left-justified)
- */
-function generateSubscriptionSDF(subscriptions) {
-  const lines = [];
-  // Header (optional – if you need a header record, you can add one)
-  // Iterate over active subscriptions only.
-  Object.values(subscriptions).forEach(record => {
-    if (isActiveSubscription(record)) {
-      const email = record.customerEmail.padEnd(50, ' ');
-      const plan = record.subscriptionPlan.padEnd(10, ' ');
-      const lastPay = record.lastPaymentDate; // already 8 chars
-      const nextDue = record.nextDueDate;     // already 8 chars
-      // Payment amount: right-justify within 8 chars. Assume fixed two decimals.
-      const amount = record.paymentAmount.padStart(8, ' ');
-      const fName = record.firstName.padEnd(20, ' ');
-      const lName = record.lastName.padEnd(20, ' ');
-      const orderId = record.orderId.padEnd(24, ' ');
-      const line = email + plan + lastPay + nextDue + amount + fName + lName + orderId;
-      lines.push(line);
-    }
-  });
-  // Define file name based on a group code (for example, use an env variable or a constant)
-  const groupCode = process.env.SHAREINGTON_GROUP_CODE || 'SHAREING';
-  const datePart = format(new Date(), 'MMddyy');
-  const fileName = `${groupCode}${datePart}_full.txt`;
-  const outputFilePath = path.join(__dirname, fileName);
-  fs.writeFileSync(outputFilePath, lines.join('\n'), 'utf8');
-  console.log(`Subscription SDF file created: ${outputFilePath}`);
-  return outputFilePath;
-}
-
-/* ========= Existing functions for OAuth, token refresh, webhook management, etc. ========= */
+ * Webhook queue status, including the dead-letter list.
+ */
+app.get('/webhook-queue', requireRole('viewer'), (req, res) => {
+  res.json(getQueueStatus());
+});
 
-// (The unchanged functions for OAuth, token refresh, webhook creation, etc. remain as in your original code.)
+/**
+ * Put a dead-lettered event back on the queue.
+ */
+app.post('/webhook-queue/dead-letter/:id/retry', requireRole('operator'), (req, res) => {
+  if (!retryDeadLetter(req.params.id)) return res.status(404).send('Event not found');
+  res.send('Event re-queued.');
+});
 
-async function uploadSubscriptionData(userData, fileName) {
+/**
+ * Merge a duplicate member into this one.
+ * Body: { "from": "<member ID of the duplicate>" }
+ */
+app.post('/members/:memberId/merge', requireRole('operator'), (req, res) => {
+  const from = req.body && req.body.from;
+  if (!from) return res.status(400).send('Missing member ID to merge from.');
   try {
-    await sftp.connect(sftpConfig);
-    const filePath = `${fileName}.json`;
-    await sftp.put(Buffer.from(JSON.stringify(userData, null, 2)), filePath);
-    console.log(`Uploaded subscription data for ${userData.username}`);
-    await sftp.end();
+    mergeMembers(req.params.memberId, from);
+    res.json(getMember(req.params.memberId));
   } catch (err) {
-    console.error("SFTP Upload Error:", err);
+    console.error("Error merging members:", err.message);
+    res.status(400).send(err.message);
   }
-}
+});
 
-async function deleteSubscriptionFile(fileName) {
+/**
+ * Split orders off this member into a new member.
+ * Body: { "orderIds": ["..."], "email": "optional email that moves with them" }
+ */
+app.post('/members/:memberId/split', requireRole('operator'), (req, res) => {
+  const { orderIds, email } = req.body || {};
   try {
-    await sftp.connect(sftpConfig);
-    const filePath = `${fileName}.json`;
-    await sftp.delete(filePath);
-    console.log(`Deleted subscription file for ${fileName}`);
-    await sftp.end();
+    const newMemberId = splitMember(req.params.memberId, { orderIds, email });
+    res.json(getMember(newMemberId));
   } catch (err) {
-    console.error("SFTP Deletion Error:", err);
+    console.error("Error splitting member:", err.message);
+    res.status(400).send(err.message);
   }
-}
+});
 
-function updateEnvFile(newAccessToken, newRefreshToken) {
-  const envPath = path.join(__dirname, '.env');
-  let envContents = fs.readFileSync(envPath, 'utf8');
+/**
+ * Termination/reinstatement history of a member.
+ */
+app.get('/members/:memberId/history', requireRole('viewer'), (req, res) => {
+  res.json(getMemberHistory(req.params.memberId));
+});
 
-  envContents = envContents.replace(/^ACCESS_TOKEN=.*/m, `ACCESS_TOKEN=${newAccessToken}`);
-  if (newRefreshToken) {
-    if (/^REFRESH_TOKEN=.*/m.test(envContents)) {
-      envContents = envContents.replace(/^REFRESH_TOKEN=.*/m, `REFRESH_TOKEN=${newRefreshToken}`);
-    } else {
-      envContents += `\nREFRESH_TOKEN=${newRefreshToken}\n`;
-    }
-  }
-  fs.writeFileSync(envPath, envContents);
-  console.log("Updated .env file with new tokens.");
+/**
+ * Lifecycle state changes of a member.
+ */
+app.get('/members/:memberId/lifecycle', requireRole('viewer'), (req, res) => {
+  res.json(getLifecycleTransitions(req.params.memberId));
+});
 
-  process.env.ACCESS_TOKEN = newAccessToken;
-  if (newRefreshToken) process.env.REFRESH_TOKEN = newRefreshToken;
-}
+/**
+ * Payment ledger of a member (transactions, refunds and fees, with totals).
+ */
+app.get('/members/:memberId/ledger', requireRole('viewer'), (req, res) => {
+  const member = getMember(req.params.memberId);
+  if (!member) return res.status(404).send('Member not found.');
+  res.json(member.ledger);
+});
 
-async function refreshAccessToken() {
+/**
+ * Sync a site's payment ledger with its Squarespace transactions now.
+ * Body: { "site": "<id>", "from": "YYYY-MM-DD", "to": "YYYY-MM-DD" } (all optional
+ * with a single site); without dates, picks up where the last sync stopped.
+ */
+app.post('/ledger/sync', requireRole('operator'), async (req, res) => {
+  const { from, to } = req.body || {};
+  const site = requestedSite(req);
+  if (!site) return res.status(400).send(siteRequired());
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : new Date();
+  if ((fromDate && isNaN(fromDate)) || isNaN(toDate)) return res.status(400).send('Invalid "from" or "to" date.');
   try {
-    console.log("Refreshing access token...");
-    const credentials = `${process.env.CLIENT_ID}:${process.env.CLIENT_SECRET}`;
-    const encodedCredentials = Buffer.from(credentials).toString('base64');
-    
-    const response = await axios.post(
-      'https://login.squarespace.com/api/1/login/oauth/provider/tokens',
-      {
-        grant_type: 'refresh_token',
-        refresh_token: process.env.REFRESH_TOKEN
-      },
-      {
-        headers: {
-          'Authorization': `Basic ${encodedCredentials}`,
-          'Content-Type': 'application/json',
-          'User-Agent': process.env.USER_AGENT
-        }
-      }
-    );
-    
-    const newAccessToken = response.data.access_token;
-    const newRefreshToken = response.data.refresh_token;
-    console.log('New Access Token:', newAccessToken);
-
-    updateEnvFile(newAccessToken, newRefreshToken);
-    console.log("Access token refreshed successfully.");
-  } catch (error) {
-    console.error("Error refreshing access token:", error.response ? error.response.data : error.message);
+    res.json(await syncTransactions({ from: fromDate, to: toDate, siteId: site.id }));
+  } catch (err) {
+    console.error("Ledger sync failed:", err.response ? err.response.data : err.message);
+    res.status(500).send('Ledger sync failed.');
   }
-}
-setInterval(refreshAccessToken, 25 * 60 * 1000);
+});
 
-async function checkAndSetupWebhooks() {
-  try {
-    const response = await axios.get('https://api.squarespace.com/1.0/webhook_subscriptions', {
-      headers: {
-        'Authorization': `Bearer ${process.env.ACCESS_TOKEN}`,
-        'User-Agent': process.env.USER_AGENT
-      }
-    });
-    const subscriptions = response.data.webhookSubscriptions || response.data.result || [];
-    const topics = subscriptions.reduce((acc, sub) => {
-      if (sub.topics && Array.isArray(sub.topics)) {
-        return acc.concat(sub.topics);
-      }
-      return acc;
-    }, []);
-    if (!topics.includes('order.create')) {
-      await createWebhook('order.create');
-    }
-    if (!topics.includes('order.update')) {
-      await createWebhook('order.update');
-    }
-    console.log("Webhook check complete.");
-  } catch (error) {
-    console.error("Error checking webhooks:", error.response ? error.response.data : error.message);
-  }
-}
-checkAndSetupWebhooks();
-setInterval(checkAndSetupWebhooks, 30 * 60 * 1000);
+/**
+ * Record that a vendor (Careington unless the body names one) has acknowledged
+ * a member's termination, so it stops being repeated in DELTA files.
+ */
+app.post('/members/:memberId/acknowledge-termination', requireRole('operator'), (req, res) => {
+  const vendor = (req.body && req.body.vendor) || 'careington';
+  if (!VENDOR_NAMES.includes(vendor)) return res.status(400).send(`Unknown vendor "${vendor}".`);
+  const member = getMember(req.params.memberId);
+  if (!member) return res.status(404).send('Member not found.');
+  res.json({ acknowledged: acknowledgeTermination(member, vendor) });
+});
 
-app.get('/oauth/login', (req, res) => {
-  const authUrl = `https://login.squarespace.com/api/1/login/oauth/provider/authorize?client_id=${process.env.CLIENT_ID}&response_type=code&redirect_uri=${encodeURIComponent(process.env.REDIRECT_URI)}&scope=website.orders,website.inventory&state=${process.env.STATE}`;
-  res.redirect(authUrl);
+/**
+ * Orders waiting for review (e.g. products missing from the plan catalog).
+ * ?all=1 includes resolved items; ?site=<id> lists only that site's.
+ */
+app.get('/review-queue', requireRole('viewer'), (req, res) => {
+  res.json(listReviewItems({ includeResolved: Boolean(req.query.all), siteId: req.query.site || null }));
 });
 
-app.get('/oauth/callback', async (req, res) => {
-  const authCode = req.query.code;
-  const state = req.query.state;
-  
-  if (state !== process.env.STATE) {
-    return res.status(400).send('Invalid state parameter.');
+/**
+ * Resolve a review item.
+ * Body: { "replay": true } re-runs the order (e.g. after the catalog was fixed);
+ * otherwise { "resolution": "why it was dismissed" }.
+ */
+app.post('/review-queue/:id/resolve', requireRole('operator'), async (req, res) => {
+  const item = getReviewItem(Number(req.params.id));
+  if (!item || item.resolvedOn) return res.status(404).send('Open review item not found.');
+  const { replay, resolution } = req.body || {};
+
+  if (!replay) {
+    resolveReviewItem(item.id, resolution || 'dismissed');
+    return res.send('Review item dismissed.');
   }
-  if (!authCode) {
-    return res.status(400).send('Authorization code is missing.');
+  let orderDetails;
+  try {
+    orderDetails = await getOrder(item.orderId, item.siteId);
+  } catch (err) {
+    if (err.code === 'not_found') return res.status(404).send('Order not found.');
+    console.error(`Fetching order ${item.orderId} for review item ${item.id} failed:`, err.message);
+    return res.status(502).send(`Error fetching the order from Squarespace: ${err.message}`);
   }
-
   try {
-    const credentials = `${process.env.CLIENT_ID}:${process.env.CLIENT_SECRET}`;
-    const encodedCredentials = Buffer.from(credentials).toString('base64');
-    
-    const response = await axios.post(
-      'https://login.squarespace.com/api/1/login/oauth/provider/tokens',
-      {
-        grant_type: 'authorization_code',
-        code: authCode,
-        redirect_uri: process.env.REDIRECT_URI
-      },
-      {
-        headers: {
-          'Authorization': `Basic ${encodedCredentials}`,
-          'Content-Type': 'application/json',
-          'User-Agent': process.env.USER_AGENT
-        }
-      }
-    );
-    
-    const accessToken = response.data.access_token;
-    const refreshToken = response.data.refresh_token;
-    console.log('Access Token:', accessToken);
-
-    updateEnvFile(accessToken, refreshToken);
-    res.send('OAuth successful! Access token updated.');
-  } catch (error) {
-    console.error('OAuth Error:', error.response ? error.response.data : error.message);
-    res.status(500).send('OAuth failed.');
+    const memberId = replayReviewItem(item, orderDetails);
+    if (!memberId) return res.status(409).send('Order still cannot be enrolled.');
+    res.json(getMember(memberId));
+  } catch (err) {
+    console.error(`Replay of review item ${item.id} failed:`, err.message);
+    res.status(500).send(`Error replaying the order: ${err.message}`);
   }
 });
 
-async function createWebhook(eventType) {
+/**
+ * Enroll a review item's order again (e.g. after its product was added to the
+ * site's plan catalog), resolving the item if that works. Returns the member ID or null.
+ */
+function replayReviewItem(item, orderDetails) {
+  const memberId = updateSubscriptionRecord(orderDetails, { siteId: item.siteId });
+  if (memberId) resolveReviewItem(item.id, `enrolled as ${memberId}`);
+  return memberId;
+}
+
+/**
+ * Replay a site's Squarespace orders (and then their transactions) from a date
+ * range into the store and report what didn't match.
+ * Body: { "site": "<id>", "from": "YYYY-MM-DD", "to": "YYYY-MM-DD", "dryRun": true } (same as `npm run backfill`).
+ */
+app.post('/backfill', requireRole('admin'), async (req, res) => {
+  const { from, to, dryRun } = req.body || {};
+  const site = requestedSite(req);
+  if (!site) return res.status(400).send(siteRequired());
+  const fromDate = new Date(from);
+  const toDate = to ? new Date(to) : new Date();
+  if (!from || isNaN(fromDate) || isNaN(toDate)) return res.status(400).send('Valid "from" (and optional "to") dates are required.');
   try {
-    const response = await axios.post(
-      'https://api.squarespace.com/1.0/webhook_subscriptions',
-      {
-        endpointUrl: 'https://services.patriotfrontline.com/webhook/squarespace',
-        topics: [eventType]
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${process.env.ACCESS_TOKEN}`,
-          'Content-Type': 'application/json',
-          'User-Agent': process.env.USER_AGENT
-        }
-      }
-    );
-    console.log(`Webhook for ${eventType} created:`, response.data);
+    const report = await backfillOrders({ from: fromDate, to: toDate, dryRun: Boolean(dryRun), siteId: site.id });
+    if (!dryRun) report.ledger = await syncTransactions({ from: fromDate, to: toDate, siteId: site.id });
+    res.json(report);
   } catch (err) {
-    console.error(`Error creating webhook for ${eventType}:`, err.response ? err.response.data : err.message);
+    console.error("Backfill failed:", err.response ? err.response.data : err.message);
+    res.status(500).send('Backfill failed.');
   }
-}
+});
+
+/* ========= Admin API: members ========= */
 
-app.get('/setup-webhooks', async (req, res) => {
-  await createWebhook('order.create');
-  await createWebhook('order.update');
-  res.send('Webhooks registered.');
+// JSON endpoints for managing members.
+const LIFECYCLE_STATES = Object.keys(TRANSITIONS);
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Members, newest first, a page at a time.
+ * ?q=text (member ID, name, email, phone) &plan=&state=&status=&site= &page=1&pageSize=50
+ */
+app.get('/api/members', requireRole('viewer'), (req, res) => {
+  const { q = '', plan = '', state = '', status = '', site = '' } = req.query;
+  const page = Number(req.query.page || 1);
+  const pageSize = Number(req.query.pageSize || 50);
+  const errors = [];
+  if (!Number.isInteger(page) || page < 1) errors.push('page: must be a positive integer');
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    errors.push(`pageSize: must be an integer from 1 to ${MAX_PAGE_SIZE}`);
+  }
+  if (status && !LIFECYCLE_STATES.includes(status)) errors.push(`status: must be one of ${LIFECYCLE_STATES.join(', ')}`);
+  if (site && !getSite(site)) errors.push(`site: must be one of ${listSites().map(s => s.id).join(', ')}`);
+  if ([q, plan, state, status, site].some(value => typeof value !== 'string')) errors.push('filters may only be given once');
+  if (errors.length) return res.status(400).json({ errors });
+
+  const { total, members } = searchMembers({
+    q: q.trim(), plan, state: state.toUpperCase(), status, site, limit: pageSize, offset: (page - 1) * pageSize,
+  });
+  res.json({ members, page, pageSize, total });
+});
+
+/**
+ * One member with dependents and ledger.
+ */
+app.get('/api/members/:memberId', requireRole('viewer'), (req, res) => {
+  const member = getMember(req.params.memberId);
+  if (!member) return res.status(404).json({ error: 'Member not found.' });
+  res.json(member);
 });
 
-app.get('/list-webhooks', async (req, res) => {
+/**
+ * Enroll a member by hand. Body: member fields plus "subscriptionPlan", "siteId"
+ * (unless there is a single site) and optionally "paymentDate", "paymentAmount",
+ * "orderId" and "dependents".
+ */
+app.post('/api/members', requireRole('operator'), (req, res) => {
+  const errors = validateNewMember(req.body);
+  if (errors.length) return res.status(400).json({ errors });
+  // Validation made sure a site is given when there are several
+  const siteId = req.body.siteId || listSites()[0].id;
+  const existing = findMemberForOrder({ id: req.body.orderId, customerEmail: req.body.email }, siteId);
+  if (existing) return res.status(409).json({ error: `Member ${existing} already has this email or order.`, memberId: existing });
   try {
-    const response = await axios.get('https://api.squarespace.com/1.0/webhook_subscriptions', {
-      headers: {
-        'Authorization': `Bearer ${process.env.ACCESS_TOKEN}`,
-        'User-Agent': process.env.USER_AGENT
-      }
-    });
-    res.json(response.data);
-  } catch (error) {
-    console.error("Error listing webhook subscriptions:", error.response ? error.response.data : error.message);
-    res.status(500).send('Error retrieving webhook subscriptions.');
+    res.status(201).json(createMember(req.body));
+  } catch (err) {
+    console.error("Error creating member:", err.message);
+    res.status(500).json({ error: 'Error creating member.' });
   }
 });
 
-app.get('/delete-webhook/:id', async (req, res) => {
+/**
+ * Change a member's details. Body: the fields to change; "dependents", if
+ * given, is the complete list of active dependents.
+ */
+app.patch('/api/members/:memberId', requireRole('operator'), (req, res) => {
+  const errors = validateMemberChanges(req.body);
+  if (errors.length) return res.status(400).json({ errors });
   try {
-    await axios.delete(`https://api.squarespace.com/1.0/webhook_subscriptions/${req.params.id}`, {
-      headers: { 
-        'Authorization': `Bearer ${process.env.ACCESS_TOKEN}`,
-        'User-Agent': process.env.USER_AGENT
-      }
-    });
-    res.send('Webhook deleted.');
-  } catch (error) {
-    res.status(500).send('Error deleting webhook.');
+    const member = updateMember(req.params.memberId, req.body);
+    if (!member) return res.status(404).json({ error: 'Member not found.' });
+    res.json(member);
+  } catch (err) {
+    console.error("Error updating member:", err.message);
+    res.status(500).json({ error: 'Error updating member.' });
   }
 });
 
 /**
- * Helper: Retrieve order details using API_KEY.
- * Uses a narrow date window based on createdOn.
- * Now prints out the search parameters and the results found.
+ * Terminate a member.
+ * Body: { "terminationDate": "YYYY-MM-DD" (default: end of the current coverage month), "reason": "..." }
  */
-async function getOrderDetailsByOrderId(orderId) {
+function handleTerminateMember(req, res) {
+  const member = getMember(req.params.memberId);
+  if (!member) return res.status(404).json({ error: 'Member not found.' });
+  const { terminationDate, reason } = req.body || {};
+  if (terminationDate && !/^\d{4}-\d{2}-\d{2}$/.test(terminationDate)) {
+    return res.status(400).json({ errors: ['terminationDate: must be a date (YYYY-MM-DD)'] });
+  }
   try {
-    const url = `https://api.squarespace.com/1.0/commerce/orders/${orderId}`;
-    console.log(`GET ${url}`);
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': `Bearer ${process.env.API_KEY}`,
-        'User-Agent': process.env.USER_AGENT
-      }
+    terminate(member.uniqueId, {
+      terminationDate: terminationDate || toCareingtonTerminationDate(new Date(), member.effectiveDate),
+      reason: reason || 'manual',
+      source: 'admin-api',
     });
-    if (response.data) {
-      console.log("Order details retrieved:", response.data);
-      return response.data;
-    }
-    return null;
-  } catch (error) {
-    console.error("Error retrieving order details:", error.response ? error.response.data : error.message);
-    return null;
+    res.json(getMember(member.uniqueId));
+  } catch (err) {
+    res.status(409).json({ error: err.message });
   }
 }
 
-
 /**
- * Helper: Retrieve a random order from the orders endpoint.
+ * Reinstate a lapsed or terminated member. Body (optional): { "reason": "..." }
  */
-async function getRandomOrder() {
+function handleReinstateMember(req, res) {
+  const member = getMember(req.params.memberId);
+  if (!member) return res.status(404).json({ error: 'Member not found.' });
   try {
-    const url = `https://api.squarespace.com/1.0/commerce/orders`;
-    console.log("Fetching all orders for random selection from:", url);
-    const response = await axios.get(url, {
-      headers: {
-        'Authorization': `Bearer ${process.env.API_KEY}`,
-        'User-Agent': process.env.USER_AGENT
-      }
-    });
-    if (response.data && Array.isArray(response.data.result)) {
-      const orders = response.data.result;
-      if (orders.length > 0) {
-        const randomIndex = Math.floor(Math.random() * orders.length);
-        const randomOrder = orders[randomIndex];
-        console.log("Random order selected:", randomOrder.id);
-        return randomOrder;
-      }
-    }
-    console.error("No orders found for random selection.");
-    return null;
-  } catch (error) {
-    console.error("Error retrieving random order:", error.response ? error.response.data : error.message);
-    return null;
+    reinstate(member.uniqueId, { reason: (req.body && req.body.reason) || 'manual', source: 'admin-api' });
+    res.json(getMember(member.uniqueId));
+  } catch (err) {
+    res.status(409).json({ error: err.message });
   }
 }
 
+// Each also answers at its older path under /members
+app.post('/api/members/:memberId/terminate', requireRole('operator'), handleTerminateMember);
+app.post('/members/:memberId/terminate', requireRole('operator'), handleTerminateMember);
+app.post('/api/members/:memberId/reinstate', requireRole('operator'), handleReinstateMember);
+app.post('/members/:memberId/reinstate', requireRole('operator'), handleReinstateMember);
+
 /**
- * Updated webhook endpoint.
- * For order.create or order.update (FULFILLED), update the subscription record.
- * For cancellation events, remove the subscription record.
- * Also, if a test webhook is received with "test-order-id", a random order is chosen.
+ * Add a dependent. Body: { firstName, lastName, dateOfBirth, relation: "S"|"C", ... }
  */
-app.post('/webhook/squarespace', async (req, res) => {
-  console.log("Raw POST data:", JSON.stringify(req.body, null, 2));
-  const { topic, data, createdOn } = req.body;
-  if (!data || !data.orderId) return res.status(400).send('Invalid webhook');
-
-  let orderId = data.orderId;
-
-  // test mode → random order
-  if (orderId === 'test-order-id') {
-    const randomOrder = await getRandomOrder();
-    if (!randomOrder) return res.status(404).send("No orders for test");
-    orderId = randomOrder.id;
+app.post('/api/members/:memberId/dependents', requireRole('operator'), (req, res) => {
+  const errors = validateDependent(req.body);
+  if (errors.length) return res.status(400).json({ errors });
+  try {
+    const member = addDependent(req.params.memberId, req.body);
+    if (!member) return res.status(404).json({ error: 'Member not found.' });
+    res.status(201).json(member);
+  } catch (err) {
+    console.error("Error adding dependent:", err.message);
+    res.status(500).json({ error: 'Error adding dependent.' });
   }
+});
 
-  // fetch full order by API_KEY
-  const orderDetails = await getOrderDetailsByOrderId(orderId);
-  if (!orderDetails) return res.status(404).send('Order not found');
-
-  // only care about create/fulfill vs cancel
-  if (
-    topic === 'order.create' ||
-   (topic === 'order.update' && data.update === 'FULFILLED')
-  ) {
-    updateSubscriptionRecord(orderDetails);
-
-  } else if (topic === 'order.update' && data.update === 'CANCELED') {
-    removeSubscriptionRecord(orderDetails);
-
-  } else {
-    return res.status(200).send('No action for this event');
+/**
+ * Terminate a dependent by sequence number.
+ * Body (optional): { "terminationDate": "YYYY-MM-DD" (default: end of the current coverage month) }
+ */
+app.post('/api/members/:memberId/dependents/:sequenceNum/terminate', requireRole('operator'), (req, res) => {
+  try {
+    const member = terminateDependent(req.params.memberId, req.params.sequenceNum, {
+      terminationDate: req.body && req.body.terminationDate,
+    });
+    if (!member) return res.status(404).json({ error: 'Member not found.' });
+    res.json(member);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
   }
+});
 
-  // rebuild & push **eligibility** file (pipe‑delimited per CI007)
-  const membersArray = Object.values(subscriptionsStore);
-  const filePath = generateEligibilityFile(
-    membersArray,
-    process.env.CAREINGTON_GROUP_CODE,
-    true
-  );
-  await uploadEligibilityFile(filePath);
+/* ========= Daily Lifecycle Evaluation ========= */
 
-  res.status(200).send('Eligibility file updated');
-});
+// Bring lifecycle states up to date on startup; the daily job keeps them current.
+evaluateAllMembers();
 
-/* ========= Daily Scheduled Job to Re-Generate SDF File ========= */
+// Settled payments (and the paid-through dates they give) come from each site's transaction ledger.
+startLedgerSync();
 
-// This job runs once a day to recalc active subscriptions and generate/upload the SDF file.
+// This job runs once a day to recalc lifecycle states; the SDF now goes out with the eligibility schedule.
 setInterval(() => {
-  console.log("Running daily subscription status check and SDF file generation...");
-  // (Optional: Here you could re-validate each subscription’s active status if needed)
-  const sdfFilePath = generateSubscriptionSDF(subscriptionsStore);
-  uploadSubscriptionSDF(sdfFilePath);
+  console.log("Running daily subscription status check...");
+  evaluateAllMembers();
 }, 24 * 60 * 60 * 1000); // Every 24 hours
 
-/* ========= Existing Eligibility File Generation Functions (unchanged) ========= */
+/* ========= Eligibility File Upload and Schedule ========= */
 
-function formatDateMMDDYYYY(dateObj) {
-  const mm = String(dateObj.getMonth() + 1).padStart(2, '0');
-  const dd = String(dateObj.getDate()).padStart(2, '0');
-  const yyyy = dateObj.getFullYear();
-  return `${mm}${dd}${yyyy}`;
+/**
+ * Upload a vendor file to the vendor's remote directory for its site (see
+ * sftpTransport.js). Failures are thrown, so the file isn't recorded as sent.
+ */
+function uploadEligibilityFile(localFilePath, transport = {}) {
+  return uploadFile(localFilePath, { remoteDir: transport.remoteDir, siteId: transport.siteId });
 }
 
-function toCareingtonEffectiveDate(dateString) {
-  const dateObj = dateString ? new Date(dateString) : new Date();
-  const year = dateObj.getFullYear();
-  const month = dateObj.getMonth();
-  const day = dateObj.getDate();
-  if (day <= 15) return new Date(year, month, 1);
-  return month === 11 ? new Date(year + 1, 0, 1) : new Date(year, month + 1, 1);
-}
+startEligibilitySchedule(uploadEligibilityFile);
+startResponsePolling();
 
-function buildMemberLine(member) {
-  const formatMMDDYYYY = d => {
-    const mm = String(d.getMonth() + 1).padStart(2, '0');
-    const dd = String(d.getDate()).padStart(2, '0');
-    const yyyy = String(d.getFullYear());
-    return mm + dd + yyyy;
-  };
+/**
+ * History of sent eligibility files. ?vendor=sdf and/or ?site=<id> narrow it down.
+ */
+app.get('/eligibility-files', requireRole('viewer'), (req, res) => {
+  res.json(listSentFiles(Number(req.query.limit) || 50, req.query.vendor || null, req.query.site || null));
+});
 
-  // Careington wants effective date = 1st of month (with mid-month logic)
-  const toCareingtonEffectiveDate = dateString => {
-    const d = dateString ? new Date(dateString) : new Date();
-    const day = d.getDate(), m = d.getMonth(), y = d.getFullYear();
-    if (day <= 15) return new Date(y, m, 1);
-    return m === 11 ? new Date(y + 1, 0, 1) : new Date(y, m + 1, 1);
-  };
+/**
+ * Records held back from a file run by validation, with their errors.
+ */
+app.get('/eligibility-files/:id/held', requireRole('viewer'), (req, res) => {
+  res.json(listHeldRecords(Number(req.params.id)));
+});
 
-  const effDate = formatMMDDYYYY(toCareingtonEffectiveDate(member.effectiveDate));
-  const dob     = member.dateOfBirth
-                ? formatMMDDYYYY(new Date(member.dateOfBirth))
-                : '';
-  const term    = member.terminationDate || '';
-
-  const fields = [
-    member.title        || '', // Title (3)
-    member.firstName    || '', // First Name (15)
-    member.middleName   || '', // Middle Initial (1)
-    member.lastName     || '', // Last Name (20)
-    member.postName     || '', // Post Name (4)
-    member.uniqueId     || '', // Unique ID (12)
-    member.sequenceNum  || '', // Sequence Number (2)
-    member.filler       || '', // Filler (9)
-    member.address1     || '', // Address Line 1 (33)
-    member.address2     || '', // Address Line 2 (33)
-    member.city         || '', // City (21)
-    member.state        || '', // State (2)
-    member.zip          || '', // Zip (5)
-    member.plus4        || '', // Plus 4 (4)
-    member.homePhone    || '', // Home Phone (10)
-    member.workPhone    || '', // Work Phone (10)
-    member.coverage     || '', // Coverage (2)
-    member.groupCode    || '', // Group Code (10)
-    term,                       // Termination Date (8)
-    effDate,                    // Effective Date (8)
-    dob,                        // Date of Birth (8)
-    member.relation     || '', // Relation (1)
-    member.studentStatus|| '', // Student Status (1)
-    member.filler2      || '', // Filler (4)
-    member.gender       || '', // Gender (1)
-    member.email        || ''  // Email (64)
-  ];
+/**
+ * Careington's verdict on each record we've sent (accepted, rejected or pending,
+ * with the reason). ?status=rejected lists only those; ?site=<id> only that site's.
+ */
+app.get('/careington-status', requireRole('viewer'), (req, res) => {
+  res.json(listCareingtonStatuses(req.query.status || null, req.query.site || null));
+});
 
-  // this will produce exactly N pipes and no padding
-  return fields.join('|');
-}
+/**
+ * Fetch and process Careington response files of every site now.
+ */
+app.post('/careington-responses/poll', requireRole('operator'), async (req, res) => {
+  try {
+    res.json(await pollAllResponseFiles());
+  } catch (err) {
+    console.error("Careington response polling failed:", err.message);
+    res.status(500).send('Error polling Careington response files.');
+  }
+});
 
+/**
+ * Generate and upload a site's eligibility file now.
+ * Body: { "site": "<id>", "vendor": "careington" | "sdf" | ..., "kind": "FULL" | "DELTA" }
+ */
+app.post('/eligibility-files', requireRole('operator'), async (req, res) => {
+  const vendor = (req.body && req.body.vendor) || 'careington';
+  if (!VENDOR_NAMES.includes(vendor)) return res.status(400).send(`Unknown vendor "${vendor}".`);
+  const site = requestedSite(req);
+  if (!site) return res.status(400).send(siteRequired());
+  const isFull = (req.body && req.body.kind || 'DELTA').toUpperCase() === 'FULL';
+  try {
+    const filePath = await sendEligibilityFile({ site: site.id, vendor, isFull, trigger: 'manual', upload: uploadEligibilityFile });
+    res.send(filePath ? `Eligibility file sent: ${path.basename(filePath)}` : 'No changes to send.');
+  } catch (err) {
+    console.error("Error sending eligibility file:", err.message);
+    res.status(500).send('Error sending eligibility file.');
+  }
+});
 
-function generateEligibilityFile(members, parentGroupCode, isFull = true, isTest = false) {
-  // build MMDDYY
-  const datePart = dfFormat(new Date(), 'MMddyy');   
-  const suffix   = isFull ? 'FULL' : 'DELTA';        // upper-case
-  const prefix   = isTest ? 'TEST_' : '';            // static TEST_
-  const fileName = `${prefix}${parentGroupCode}${datePart}_${suffix}.txt`;
-  const filePath = path.join(__dirname, fileName);
+/**
+ * Archived outbound files (newest first) with their latest upload result.
+ * ?vendor=careington and/or ?site=<id> narrow it down.
+ */
+app.get('/outbound-files', requireRole('viewer'), (req, res) => {
+  res.json(listArchivedFiles({
+    vendor: req.query.vendor || null, site: req.query.site || null, limit: Number(req.query.limit) || 50,
+  }));
+});
 
-  // build the body
-  const lines = members.map(buildMemberLine);
-  fs.writeFileSync(filePath, lines.join('\n'), 'utf8');
-  console.log(`Eligibility file generated: ${filePath}`);
-  return filePath;
-}
+/**
+ * One archived file with its upload history.
+ */
+app.get('/outbound-files/:id', requireRole('viewer'), (req, res) => {
+  const file = getArchivedFile(Number(req.params.id));
+  if (!file) return res.status(404).send('Outbound file not found.');
+  res.json(file);
+});
 
-async function uploadEligibilityFile(localFilePath) {
-  const remote = `${path.basename(localFilePath)}`;
-  await sftp.connect(sftpConfig);
-  await sftp.put(localFilePath, remote);
-  console.log(`Uploaded eligibility file to: ${remote}`);
-  await sftp.end();
-}
+/**
+ * The archived file itself, under the name the vendor received.
+ */
+app.get('/outbound-files/:id/download', requireRole('viewer'), (req, res) => {
+  const file = getArchivedFile(Number(req.params.id));
+  if (!file) return res.status(404).send('Outbound file not found.');
+  res.download(file.filePath, file.file_name);
+});
 
-app.get('/test-generate-file', async (req, res) => {
+/**
+ * Upload an archived file to its vendor again, byte for byte.
+ */
+app.post('/outbound-files/:id/resend', requireRole('operator'), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!getArchivedFile(id)) return res.status(404).send('Outbound file not found.');
+  try {
+    const remotePath = await uploadArchivedFile(id, uploadEligibilityFile, 'resend');
+    res.json({ resent: id, remotePath });
+  } catch (err) {
+    console.error(`Re-send of outbound file ${id} failed:`, err.message);
+    res.status(500).send('Error re-sending outbound file.');
+  }
+});
+
+/**
+ * Record-level differences between two archived files.
+ */
+app.get('/outbound-files/:id/diff/:otherId', requireRole('viewer'), (req, res) => {
+  try {
+    res.json(diffArchivedFiles(Number(req.params.id), Number(req.params.otherId)));
+  } catch (err) {
+    res.status(404).send(err.message);
+  }
+});
+
+/**
+ * Generate a Careington TEST file for a site from fixed sample members and
+ * upload it. Body: { "site": "<id>" } unless there is a single site.
+ * This goes to the real SFTP server, hence admin only.
+ */
+app.post('/test-generate-file', requireRole('admin'), async (req, res) => {
+  const site = requestedSite(req);
+  if (!site) return res.status(400).send(siteRequired());
   // Use today for all effective dates
   const todayIso = new Date().toISOString();
-  const parentCode = process.env.CAREINGTON_GROUP_CODE;
+  const parentCode = site.groupCode;
 
   // Build an array with 3 primaries + 1 dependent
   const testMembers = [
@@ -780,13 +981,226 @@ app.get('/test-generate-file', async (req, res) => {
   ];
 
   // Generate and upload the file
-  const filePath = generateEligibilityFile(testMembers, parentCode, /*isFull=*/true, /*isTest=*/true);
-  await uploadEligibilityFile(filePath);
+  const entries = testMembers.map(record => ({ action: 'add', record }));
+  const { archiveId, filePath } = writeVendorFile(getVendor('careington'), entries, {
+    isFull: true, isTest: true, trigger: 'test', siteId: site.id,
+  });
+  try {
+    await uploadArchivedFile(archiveId, uploadEligibilityFile, 'test');
+  } catch (err) {
+    // The file stays archived, so it can be re-sent from /outbound-files/:id/resend
+    console.error(`Upload of test file ${archiveId} failed:`, err.message);
+    return res.status(500).json({ archiveId, filePath, error: `Upload failed: ${err.message}` });
+  }
 
   res.send(`Test eligibility file generated at: ${filePath}`);
 });
 
 
+/* ========= Admin dashboard ========= */
+
+// Forms post urlencoded bodies; the JSON routes are unaffected.
+app.use('/admin', bodyParser.urlencoded({ extended: false }));
+
+const DASHBOARD_LOGIN = '/admin/login';
+const DASHBOARD_PAGE_SIZE = 50;
+
+/**
+ * Common page state: who is looking, their CSRF token for action buttons, and
+ * a notice/error carried over from the action that redirected here.
+ */
+function dashboardPage(req) {
+  const { principal } = req;
+  return {
+    principal,
+    csrfToken: principal.via === 'session' ? csrfTokenFor(principal.session) : '',
+    notice: typeof req.query.notice === 'string' ? req.query.notice : null,
+    error: typeof req.query.error === 'string' ? req.query.error : null,
+  };
+}
+
+const backTo = (res, pagePath, message, isError = false) =>
+  res.redirect(`${pagePath}?${new URLSearchParams({ [isError ? 'error' : 'notice']: message })}`);
+
+app.get('/admin/login', (req, res) => {
+  if (req.principal) return res.redirect('/admin');
+  res.send(dashboard.loginPage());
+});
+
+app.post('/admin/login', (req, res) => {
+  const key = findApiKey(req.body && req.body.apiKey);
+  if (!key) {
+    console.error(`Dashboard login refused from ${req.ip}: unknown API key`);
+    return res.status(401).send(dashboard.loginPage({ error: 'Unknown API key.' }));
+  }
+  try {
+    startSession(req, res, key);
+    res.redirect('/admin');
+  } catch (err) {
+    res.status(503).send(dashboard.loginPage({ error: err.message }));
+  }
+});
+
+app.post('/admin/logout', requireRole('viewer', { redirectTo: DASHBOARD_LOGIN }), (req, res) => {
+  endSession(res);
+  res.redirect(DASHBOARD_LOGIN);
+});
+
+app.get('/admin', (req, res) => res.redirect('/admin/members'));
+
+app.get('/admin/members', requireRole('viewer', { redirectTo: DASHBOARD_LOGIN }), (req, res) => {
+  const text = name => (typeof req.query[name] === 'string' ? req.query[name].trim() : '');
+  const filters = {
+    q: text('q'), site: text('site'), plan: text('plan'), status: text('status'), state: text('state').toUpperCase(),
+  };
+  const pageNumber = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const { total, members } = searchMembers({
+    ...filters, limit: DASHBOARD_PAGE_SIZE, offset: (pageNumber - 1) * DASHBOARD_PAGE_SIZE,
+  });
+  // Plans of the chosen site, or of every site
+  const sites = listSites();
+  const planSites = sites.filter(site => !filters.site || site.id === filters.site);
+  res.send(dashboard.memberListPage(dashboardPage(req), {
+    members, total, filters, pageNumber, pageSize: DASHBOARD_PAGE_SIZE,
+    sites: sites.map(site => site.id),
+    plans: [...new Set(planSites.flatMap(site => listPlans(site.id).map(plan => plan.name)))],
+    states: LIFECYCLE_STATES,
+  }));
+});
+
+app.get('/admin/members/:memberId', requireRole('viewer', { redirectTo: DASHBOARD_LOGIN }), (req, res) => {
+  const member = getMember(req.params.memberId);
+  if (!member) return res.status(404).send('Member not found.');
+  res.send(dashboard.memberDetailPage(dashboardPage(req), {
+    member,
+    orders: getMemberOrders(member.uniqueId),
+    history: getMemberHistory(member.uniqueId),
+    transitions: getLifecycleTransitions(member.uniqueId),
+    files: listFilesForMember(member.uniqueId),
+    responses: listCareingtonStatuses(null, member.siteId).filter(row => row.memberId === member.uniqueId),
+  }));
+});
+
+app.get('/admin/review', requireRole('viewer', { redirectTo: DASHBOARD_LOGIN }), (req, res) => {
+  // Records held back from each site's most recent file for each vendor
+  const held = listSites().flatMap(site => VENDORS.flatMap(vendor => {
+    const [latest] = listSentFiles(1, vendor.name, site.id);
+    if (!latest) return [];
+    return listHeldRecords(latest.id).map(row => ({ ...row, site: site.id, vendor: vendor.label, fileName: latest.file_name }));
+  }));
+  res.send(dashboard.reviewPage(dashboardPage(req), {
+    items: listReviewItems(),
+    held,
+    canOperate: hasRole(req.principal, 'operator'),
+  }));
+});
+
+app.post('/admin/review/:id/replay', requireRole('operator', { redirectTo: DASHBOARD_LOGIN }), async (req, res) => {
+  const item = getReviewItem(Number(req.params.id));
+  if (!item || item.resolvedOn) return backTo(res, '/admin/review', 'That review item is already resolved.', true);
+  try {
+    const orderDetails = await getOrderDetailsByOrderId(item.orderId, item.siteId);
+    if (!orderDetails) return backTo(res, '/admin/review', `Order ${item.orderId} not found in Squarespace.`, true);
+    const memberId = replayReviewItem(item, orderDetails);
+    if (!memberId) return backTo(res, '/admin/review', `Order ${item.orderId} still cannot be enrolled.`, true);
+    backTo(res, '/admin/review', `Order ${item.orderId} enrolled as ${memberId}.`);
+  } catch (err) {
+    console.error(`Error replaying review item ${item.id}:`, err.response ? err.response.data : err.message);
+    backTo(res, '/admin/review', `Error replaying order ${item.orderId}.`, true);
+  }
+});
+
+app.post('/admin/review/:id/dismiss', requireRole('operator', { redirectTo: DASHBOARD_LOGIN }), (req, res) => {
+  const item = getReviewItem(Number(req.params.id));
+  if (!item || item.resolvedOn) return backTo(res, '/admin/review', 'That review item is already resolved.', true);
+  resolveReviewItem(item.id, `dismissed by ${req.principal.name}`);
+  backTo(res, '/admin/review', `Review item for order ${item.orderId} dismissed.`);
+});
+
+app.get('/admin/files', requireRole('viewer', { redirectTo: DASHBOARD_LOGIN }), (req, res) => {
+  const site = typeof req.query.site === 'string' ? req.query.site : '';
+  res.send(dashboard.filesPage(dashboardPage(req), {
+    sites: listSites().map(s => s.id),
+    site,
+    vendors: VENDORS,
+    files: listArchivedFiles({ site: site || null, limit: 100 }),
+    canOperate: hasRole(req.principal, 'operator'),
+  }));
+});
+
+app.post('/admin/eligibility-files', requireRole('operator', { redirectTo: DASHBOARD_LOGIN }), async (req, res) => {
+  const { vendor, kind } = req.body;
+  const site = requestedSite(req);
+  if (!site || !VENDOR_NAMES.includes(vendor) || !['FULL', 'DELTA'].includes(kind)) {
+    return backTo(res, '/admin/files', 'Unknown site, vendor or file kind.', true);
+  }
+  try {
+    const filePath = await sendEligibilityFile({
+      site: site.id, vendor, isFull: kind === 'FULL', trigger: `dashboard:${req.principal.name}`, upload: uploadEligibilityFile,
+    });
+    backTo(res, '/admin/files', filePath ? `Sent ${path.basename(filePath)}.` : `No changes to send for site ${site.id}.`);
+  } catch (err) {
+    console.error("Error sending eligibility file:", err.message);
+    backTo(res, '/admin/files', `Error sending the ${site.id} ${getVendor(vendor).label} ${kind} file: ${err.message}`, true);
+  }
+});
+
+app.post('/admin/files/:id/resend', requireRole('operator', { redirectTo: DASHBOARD_LOGIN }), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!getArchivedFile(id)) return backTo(res, '/admin/files', 'Outbound file not found.', true);
+  try {
+    const remotePath = await uploadArchivedFile(id, uploadEligibilityFile, `resend:${req.principal.name}`);
+    backTo(res, '/admin/files', `Re-sent file ${id} to ${remotePath}.`);
+  } catch (err) {
+    console.error(`Re-send of outbound file ${id} failed:`, err.message);
+    backTo(res, '/admin/files', `Re-send of file ${id} failed: ${err.message}`, true);
+  }
+});
+
+app.get('/admin/webhooks', requireRole('viewer', { redirectTo: DASHBOARD_LOGIN }), (req, res) => {
+  res.send(dashboard.webhooksPage(dashboardPage(req), {
+    sites: listSites().map(site => ({
+      id: site.id, name: site.name, endpointUrl: site.webhookEndpointUrl, health: webhookHealth[site.id] || uncheckedHealth(),
+    })),
+    queue: getQueueStatus(),
+    canAdmin: hasRole(req.principal, 'admin'),
+    canOperate: hasRole(req.principal, 'operator'),
+  }));
+});
+
+app.post('/admin/webhooks/check', requireRole('admin', { redirectTo: DASHBOARD_LOGIN }), async (req, res) => {
+  await checkAllWebhooks();
+  const failed = listSites().filter(site => !webhookHealth[site.id].ok);
+  if (!failed.length) backTo(res, '/admin/webhooks', 'Webhooks checked.');
+  else backTo(res, '/admin/webhooks', `Webhook check failed for ${failed.map(site => `${site.id}: ${webhookHealth[site.id].error}`).join('; ')}`, true);
+});
+
+app.post('/admin/webhooks/plan', requireRole('admin', { redirectTo: DASHBOARD_LOGIN }), async (req, res) => {
+  const site = requestedSite(req);
+  if (!site) return backTo(res, '/admin/webhooks', 'Unknown site.', true);
+  try {
+    const { steps } = await reconcileWebhooks(site, { dryRun: true });
+    backTo(res, '/admin/webhooks', steps.length
+      ? `Changes for site ${site.id}: ${steps.map(describeStep).join('; ')}`
+      : `Webhooks of site ${site.id} are as configured.`);
+  } catch (err) {
+    backTo(res, '/admin/webhooks', `Could not plan webhook changes for site ${site.id}: ${err.message}`, true);
+  }
+});
+
+app.post('/admin/webhooks/test', requireRole('admin', { redirectTo: DASHBOARD_LOGIN }), async (req, res) => {
+  const site = requestedSite(req);
+  if (!site) return backTo(res, '/admin/webhooks', 'Unknown site.', true);
+  const result = await testWebhookDelivery(site);
+  if (result.received) backTo(res, '/admin/webhooks', `Test notification for site ${site.id} received.`);
+  else backTo(res, '/admin/webhooks', `Test notification for site ${site.id} was not received: ${result.error || `endpoint answered ${result.statusCode}`}`, true);
+});
+
+app.post('/admin/webhooks/dead-letter/:id/retry', requireRole('operator', { redirectTo: DASHBOARD_LOGIN }), (req, res) => {
+  if (!retryDeadLetter(req.params.id)) return backTo(res, '/admin/webhooks', 'Event not found.', true);
+  backTo(res, '/admin/webhooks', `Event ${req.params.id} re-queued.`);
+});
+
 // Start Express server
 const PORT = process.env.PORT || 3050;
 app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
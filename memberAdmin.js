@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const { format, parse, isValid } = require('date-fns');
+const { getMember } = require('./storage');
+const { getPlan } = require('./planCatalog');
+const { listSites, getSite } = require('./sites');
+const { coverageForDependents } = require('./dependents');
+const { toCareingtonTerminationDate } = require('./coverageDates');
+const { computeNextDueDate, saveSubscriptionRecord } = require('./orders');
+
+/* ========= Member administration: validated edits through the order path ========= */
+
+// Member fields an admin may set, with a check for each (empty strings are always allowed
+// for optional fields)
+const MEMBER_FIELDS = {
+  email:         value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) || 'must be an email address',
+  title:         value => value.length <= 10 || 'must be at most 10 characters',
+  firstName:     value => value.length <= 50 || 'must be at most 50 characters',
+  middleName:    value => value.length <= 1 || 'must be an initial',
+  lastName:      value => value.length <= 50 || 'must be at most 50 characters',
+  postName:      value => value.length <= 10 || 'must be at most 10 characters',
+  address1:      value => value.length <= 100 || 'must be at most 100 characters',
+  address2:      value => value.length <= 100 || 'must be at most 100 characters',
+  city:          value => value.length <= 50 || 'must be at most 50 characters',
+  state:         value => /^[A-Z]{2}$/.test(value) || 'must be a two-letter state code',
+  zip:           value => /^\d{5}$/.test(value) || 'must be a 5-digit ZIP code',
+  plus4:         value => /^\d{4}$/.test(value) || 'must be 4 digits',
+  homePhone:     value => /^\d{10}$/.test(value.replace(/\D/g, '')) || 'must be a 10-digit phone number',
+  workPhone:     value => /^\d{10}$/.test(value.replace(/\D/g, '')) || 'must be a 10-digit phone number',
+  coverage:      value => ['MO', 'MD', 'MF'].includes(value) || 'must be MO, MD or MF',
+  groupCode:     value => value.length <= 10 || 'must be at most 10 characters',
+  effectiveDate: value => isDate(value) || 'must be a date (YYYY-MM-DD)',
+  dateOfBirth:   value => isDate(value) || 'must be a date (YYYY-MM-DD)',
+  gender:        value => ['M', 'F'].includes(value) || 'must be M or F',
+};
+
+// Only needed when creating a member; the site is fixed from then on, and the plan
+// and payment after that come from orders. The plan is checked against the site's
+// catalog in validateNewMember.
+const CREATE_FIELDS = {
+  siteId:           value => !!getSite(value) || 'must be a configured site',
+  subscriptionPlan: value => value.length <= 100 || 'must be at most 100 characters',
+  paymentDate:      value => isDate(value) || 'must be a date (YYYY-MM-DD)',
+  paymentAmount:    value => /^\d+(\.\d{1,2})?$/.test(value) || 'must be an amount like 29.99',
+  orderId:          value => value.length <= 64 || 'must be at most 64 characters',
+};
+const REQUIRED_ON_CREATE = ['firstName', 'lastName', 'email', 'subscriptionPlan'];
+
+const DEPENDENT_FIELDS = {
+  firstName:     value => value.length <= 50 || 'must be at most 50 characters',
+  middleName:    value => value.length <= 1 || 'must be an initial',
+  lastName:      value => value.length <= 50 || 'must be at most 50 characters',
+  dateOfBirth:   value => isDate(value) || 'must be a date (YYYY-MM-DD)',
+  relation:      value => ['S', 'C'].includes(value) || 'must be S (spouse) or C (child)',
+  studentStatus: value => value === 'Y' || 'must be Y',
+  gender:        value => ['M', 'F'].includes(value) || 'must be M or F',
+};
+const REQUIRED_FOR_DEPENDENT = ['firstName', 'lastName', 'dateOfBirth', 'relation'];
+
+function isDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && isValid(parse(value, 'yyyy-MM-dd', new Date()));
+}
+
+/**
+ * Check `input` against a set of field checks and return a list of problems.
+ * Every value must be a string; unknown fields are rejected rather than dropped.
+ */
+function checkFields(input, fields, required, where = '') {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return [`${where || 'body'} must be an object`];
+  const errors = [];
+  for (const [field, value] of Object.entries(input)) {
+    const name = `${where}${field}`;
+    if (!fields[field]) {
+      errors.push(`${name}: unknown field`);
+    } else if (typeof value !== 'string') {
+      errors.push(`${name}: must be a string`);
+    } else if (value.trim()) {
+      const result = fields[field](value.trim());
+      if (result !== true) errors.push(`${name}: ${result}`);
+    }
+  }
+  required.filter(field => !String(input[field] || '').trim())
+    .forEach(field => errors.push(`${where}${field}: is required`));
+  return errors;
+}
+
+function checkDependents(dependents) {
+  if (dependents === undefined) return [];
+  if (!Array.isArray(dependents)) return ['dependents: must be a list'];
+  return dependents.flatMap((dep, i) => checkFields(dep, DEPENDENT_FIELDS, REQUIRED_FOR_DEPENDENT, `dependents[${i}].`));
+}
+
+/**
+ * The site a new member is for: the one given, or the only one there is.
+ */
+function siteIdFor(input) {
+  const sites = listSites();
+  return (typeof input.siteId === 'string' && input.siteId.trim()) || (sites.length === 1 ? sites[0].id : '');
+}
+
+/**
+ * Problems with a new member (empty if valid). "siteId" may only be left out
+ * when there is a single site.
+ */
+function validateNewMember(input) {
+  const { dependents, ...fields } = input || {};
+  const errors = [
+    ...checkFields(fields, { ...MEMBER_FIELDS, ...CREATE_FIELDS }, REQUIRED_ON_CREATE),
+    ...checkDependents(dependents),
+  ];
+  if (!input || typeof input !== 'object') return errors;
+  const siteId = siteIdFor(input);
+  const plan = typeof fields.subscriptionPlan === 'string' ? fields.subscriptionPlan.trim() : '';
+  if (!siteId) {
+    errors.push('siteId: is required when there is more than one site');
+  } else if (getSite(siteId) && plan && !getPlan(plan, siteId)) {
+    errors.push(`subscriptionPlan: must be a plan in the plan catalog of site ${siteId}`);
+  }
+  return errors;
+}
+
+/**
+ * Problems with changes to an existing member (empty if valid). Names and email
+ * can't be blanked; member ID, plan, payments and termination aren't editable here.
+ */
+function validateMemberChanges(changes) {
+  const { dependents, ...fields } = changes || {};
+  const errors = [
+    ...checkFields(fields, MEMBER_FIELDS, []),
+    ...checkDependents(dependents),
+  ];
+  ['firstName', 'lastName', 'email']
+    .filter(field => field in fields && !String(fields[field]).trim())
+    .forEach(field => errors.push(`${field}: can't be empty`));
+  return errors;
+}
+
+/**
+ * Problems with a single dependent (empty if valid).
+ */
+function validateDependent(dep) {
+  return checkFields(dep, DEPENDENT_FIELDS, REQUIRED_FOR_DEPENDENT);
+}
+
+const trimmed = input => Object.fromEntries(Object.entries(input).map(([key, value]) => [key, value.trim()]));
+
+function cleanDependent(dep) {
+  const { middleName = '', studentStatus = '', gender = '', ...rest } = trimmed(dep);
+  return { ...rest, middleName, studentStatus, gender };
+}
+
+const activeDependents = member => member.dependents.filter(dep => !dep.terminationDate);
+
+/**
+ * Enroll a member of a site by hand (e.g. a phone sign-up). The payment is recorded under
+ * `orderId` (a generated "manual-..." reference if none is given), so the member
+ * is covered from `paymentDate` just like an order. Returns the new member.
+ */
+function createMember(input) {
+  const siteId = siteIdFor(input);
+  const { dependents = [], siteId: given, ...rest } = input;
+  const { subscriptionPlan, paymentDate, paymentAmount = '', orderId, ...fields } = trimmed(rest);
+  const plan = getPlan(subscriptionPlan, siteId);
+  const paidOn = paymentDate || format(new Date(), 'yyyy-MM-dd');
+  const deps = dependents.map(cleanDependent);
+
+  const memberId = saveSubscriptionRecord({
+    sequenceNum: '00',
+    ...fields,
+    uniqueId: '',
+    siteId,
+    coverage: fields.coverage || plan.coverage || coverageForDependents(deps),
+    groupCode: fields.groupCode || plan.groupCode,
+    effectiveDate: fields.effectiveDate || paidOn,
+    dependents: deps,
+    lastPaymentDate: paidOn.replace(/-/g, ''),
+    paymentAmount,
+    subscriptionPlan: plan.name,
+    nextDueDate: format(computeNextDueDate(paidOn, plan), 'yyyyMMdd'),
+    orderId: orderId || `manual-${crypto.randomUUID()}`,
+    productName: plan.name,
+  });
+  console.log(`Created member ${memberId} of site ${siteId} for ${fields.email} by hand`);
+  return getMember(memberId);
+}
+
+/**
+ * Apply changes to a member. A `dependents` list replaces the member's active
+ * dependents: ones left out are terminated at the end of the current coverage
+ * month, and coverage follows the new count unless the plan or `changes` fix it.
+ * Returns the updated member, or null if there is no such member.
+ */
+function updateMember(uniqueId, changes) {
+  const member = getMember(uniqueId);
+  if (!member) return null;
+  const { dependents, ...fields } = changes;
+  const updated = { ...member, ...trimmed(fields), uniqueId: member.uniqueId };
+
+  if (dependents) {
+    const plan = getPlan(member.subscriptionPlan, member.siteId);
+    updated.dependents = dependents.map(cleanDependent);
+    updated.dependentTerminationDate = toCareingtonTerminationDate(new Date(), member.effectiveDate);
+    if (!fields.coverage) updated.coverage = (plan && plan.coverage) || coverageForDependents(updated.dependents);
+  } else {
+    delete updated.dependents;
+  }
+  // Payments and orders stay as they are; only orders change those.
+  saveSubscriptionRecord({ ...updated, orderId: '' });
+  console.log(`Updated member ${member.uniqueId} by hand`);
+  return getMember(member.uniqueId);
+}
+
+/**
+ * Add a dependent to a member's active dependents. Returns the updated member,
+ * or null if there is no such member.
+ */
+function addDependent(uniqueId, dep) {
+  const member = getMember(uniqueId);
+  if (!member) return null;
+  return updateMember(uniqueId, { dependents: [...activeDependents(member), dep] });
+}
+
+/**
+ * Terminate one of a member's dependents by sequence number (default: at the
+ * end of the current coverage month). Throws if the dependent isn't active.
+ * Returns the updated member, or null if there is no such member.
+ */
+function terminateDependent(uniqueId, sequenceNum, { terminationDate = null } = {}) {
+  if (terminationDate && !isDate(terminationDate)) throw new Error('terminationDate must be a date (YYYY-MM-DD).');
+  const member = getMember(uniqueId);
+  if (!member) return null;
+  const active = activeDependents(member);
+  if (!active.some(dep => dep.sequenceNum === sequenceNum)) {
+    throw new Error(`Member ${uniqueId} has no active dependent ${sequenceNum}.`);
+  }
+  const plan = getPlan(member.subscriptionPlan, member.siteId);
+  const remaining = active.filter(dep => dep.sequenceNum !== sequenceNum);
+  saveSubscriptionRecord({
+    ...member,
+    orderId: '',
+    coverage: (plan && plan.coverage) || coverageForDependents(remaining),
+    dependents: remaining,
+    dependentTerminationDate: terminationDate || toCareingtonTerminationDate(new Date(), member.effectiveDate),
+  });
+  console.log(`Terminated dependent ${sequenceNum} of member ${uniqueId} by hand`);
+  return getMember(uniqueId);
+}
+
+module.exports = {
+  validateNewMember,
+  validateMemberChanges,
+  validateDependent,
+  createMember,
+  updateMember,
+  addDependent,
+  terminateDependent,
+};
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DEFAULT_SITE_ID, requireSite, siteEnv } = require('./sites');
+const squarespace = require('./squarespaceApi');
+
+/* ========= Squarespace OAuth tokens: encrypted store and refresh ========= */
+
+// Encrypted token stores (AES-256-GCM), one per site: the default site's at
+// TOKEN_STORE_PATH, other sites' next to it as oauth-tokens.<site>.enc. The key is
+// 32 bytes, base64 or hex, from TOKEN_STORE_KEY or the file named by
+// TOKEN_STORE_KEY_FILE (`openssl rand -base64 32`).
+const defaultStorePath = process.env.TOKEN_STORE_PATH || path.join(__dirname, 'oauth-tokens.enc');
+const STORE_VERSION = 1;
+
+// Refresh this long before the access token expires
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+// Lifetime assumed when a token response has no expires_in
+const DEFAULT_EXPIRES_IN_S = 30 * 60;
+// Wait before retrying a scheduled refresh that failed
+const REFRESH_RETRY_MS = 60 * 1000;
+
+// Per site: { tokens: { accessToken, refreshToken, expiresAt (ms), updatedOn } or null,
+// loaded, refreshing (the refresh in progress, shared by everyone who needs a
+// fresh token), refreshTimer }
+const states = new Map();
+
+function stateFor(siteId) {
+  if (!states.has(siteId)) {
+    requireSite(siteId);
+    states.set(siteId, { tokens: null, loaded: false, refreshing: null, refreshTimer: null });
+  }
+  return states.get(siteId);
+}
+
+function storeFilePath(siteId) {
+  if (siteId === DEFAULT_SITE_ID) return defaultStorePath;
+  return path.join(path.dirname(defaultStorePath), `oauth-tokens.${siteId}.enc`);
+}
+
+const KEY_HINT = 'Generate one with `openssl rand -base64 32` and set it as TOKEN_STORE_KEY in .env ' +
+  '(or put it in a file named by TOKEN_STORE_KEY_FILE).';
+
+function storeKey() {
+  const text = (process.env.TOKEN_STORE_KEY ||
+    (process.env.TOKEN_STORE_KEY_FILE ? fs.readFileSync(process.env.TOKEN_STORE_KEY_FILE, 'utf8') : '')).trim();
+  if (!text) throw new Error(`TOKEN_STORE_KEY is not set; the OAuth tokens are kept encrypted with it. ${KEY_HINT}`);
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+  if (key.length !== 32) throw new Error(`TOKEN_STORE_KEY must be 32 bytes (base64 or hex). ${KEY_HINT}`);
+  return key;
+}
+
+function encrypt(data) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', storeKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+  return JSON.stringify({
+    version: STORE_VERSION,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: encrypted.toString('base64'),
+  });
+}
+
+function decrypt(contents) {
+  const { version, iv, tag, data } = JSON.parse(contents);
+  if (version !== STORE_VERSION) throw new Error(`Unsupported token store version ${version}.`);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', storeKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  const decrypted = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+  return JSON.parse(decrypted.toString('utf8'));
+}
+
+/**
+ * Write a site's store atomically (temp file, fsync, rename), readable by us only.
+ */
+function saveStore(siteId) {
+  const filePath = storeFilePath(siteId);
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  // Encrypt first, so a missing key leaves no temp file behind
+  const contents = encrypt(stateFor(siteId).tokens);
+  const fd = fs.openSync(tmpPath, 'w', 0o600);
+  try {
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Load a site's tokens (once). A store that can't be decrypted throws rather
+ * than being replaced, since that would mean connecting Squarespace again.
+ * Tokens still in .env (ACCESS_TOKEN/REFRESH_TOKEN, prefixed for other sites)
+ * are moved into the store.
+ */
+function loadTokens(siteId) {
+  const state = stateFor(siteId);
+  if (state.loaded) return state.tokens;
+  const filePath = storeFilePath(siteId);
+  if (fs.existsSync(filePath)) {
+    try {
+      state.tokens = decrypt(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      throw new Error(`Can't read the token store ${filePath} (wrong key?): ${err.message}`);
+    }
+  } else if (siteEnv(siteId, 'REFRESH_TOKEN')) {
+    // Expiry unknown, so the first use refreshes it
+    state.tokens = {
+      accessToken: siteEnv(siteId, 'ACCESS_TOKEN'),
+      refreshToken: siteEnv(siteId, 'REFRESH_TOKEN'),
+      expiresAt: 0,
+      updatedOn: new Date().toISOString(),
+    };
+    saveStore(siteId);
+    console.log(`Moved the OAuth tokens of site ${siteId} from .env into ${filePath}; they can be removed from .env.`);
+  }
+  state.loaded = true;
+  return state.tokens;
+}
+
+/**
+ * Keep a site's token response (authorization code or refresh grant) and
+ * schedule the next refresh from its expires_in.
+ */
+function saveTokenResponse(siteId, data) {
+  const previous = loadTokens(siteId);
+  stateFor(siteId).tokens = {
+    accessToken: data.access_token,
+    // Squarespace may or may not rotate the refresh token
+    refreshToken: data.refresh_token || (previous && previous.refreshToken) || '',
+    expiresAt: Date.now() + (Number(data.expires_in) || DEFAULT_EXPIRES_IN_S) * 1000,
+    updatedOn: new Date().toISOString(),
+  };
+  saveStore(siteId);
+  scheduleRefresh(siteId);
+}
+
+async function requestTokens(siteId, grant) {
+  saveTokenResponse(siteId, await squarespace.requestTokens(grant, siteId));
+}
+
+const expiresAt = siteId => new Date(stateFor(siteId).tokens.expiresAt).toISOString();
+
+/**
+ * Swap the authorization code from a site's OAuth callback for tokens.
+ */
+async function exchangeAuthorizationCode(code, siteId = DEFAULT_SITE_ID) {
+  await requestTokens(siteId, { grant_type: 'authorization_code', code, redirect_uri: process.env.REDIRECT_URI });
+  console.log(`Connected site ${siteId} to Squarespace; access token expires at ${expiresAt(siteId)}.`);
+}
+
+/**
+ * Refresh a site's access token. Callers that arrive while a refresh is
+ * running wait for that one instead of starting another.
+ */
+function refreshTokens(siteId = DEFAULT_SITE_ID) {
+  const state = stateFor(siteId);
+  if (state.refreshing) return state.refreshing;
+  state.refreshing = (async () => {
+    const current = loadTokens(siteId);
+    if (!current || !current.refreshToken) {
+      throw new Error(`No refresh token for site ${siteId}; an admin needs to connect it at /oauth/login?site=${siteId}.`);
+    }
+    console.log(`Refreshing access token of site ${siteId}...`);
+    await requestTokens(siteId, { grant_type: 'refresh_token', refresh_token: current.refreshToken });
+    console.log(`Access token of site ${siteId} refreshed; expires at ${expiresAt(siteId)}.`);
+  })().finally(() => {
+    state.refreshing = null;
+  });
+  return state.refreshing;
+}
+
+function scheduleRefresh(siteId, delay = stateFor(siteId).tokens.expiresAt - REFRESH_MARGIN_MS - Date.now()) {
+  const state = stateFor(siteId);
+  clearTimeout(state.refreshTimer);
+  state.refreshTimer = setTimeout(() => {
+    refreshTokens(siteId).catch(err => {
+      console.error(`Error refreshing access token of site ${siteId}:`, err.response ? err.response.data : err.message);
+      scheduleRefresh(siteId, REFRESH_RETRY_MS);
+    });
+  }, Math.max(0, delay));
+  state.refreshTimer.unref();
+}
+
+/**
+ * Load a site's store and keep its access token fresh from here on.
+ */
+function startTokenRefresh(siteId = DEFAULT_SITE_ID) {
+  if (loadTokens(siteId)) scheduleRefresh(siteId);
+  else console.log(`Site ${siteId} is not connected to Squarespace yet; an admin needs to visit /oauth/login?site=${siteId}.`);
+}
+
+/**
+ * A usable access token for a site, refreshing first if it's about to expire.
+ */
+async function getAccessToken(siteId = DEFAULT_SITE_ID) {
+  const current = loadTokens(siteId);
+  if (!current) throw new Error(`Site ${siteId} is not connected to Squarespace; an admin needs to visit /oauth/login?site=${siteId}.`);
+  if (current.expiresAt - REFRESH_MARGIN_MS <= Date.now()) await refreshTokens(siteId);
+  return stateFor(siteId).tokens.accessToken;
+}
+
+module.exports = {
+  exchangeAuthorizationCode,
+  refreshTokens,
+  startTokenRefresh,
+  getAccessToken,
+};
@@ -0,0 +1,415 @@
+const { format, addWeeks, addMonths, addYears, parseISO } = require('date-fns');
+const {
+  listMembers,
+  getMember,
+  findMemberForOrder,
+  latestOrderCreatedOn,
+  saveMember,
+  flagForReview,
+} = require('./storage');
+const { findPlanForLineItem } = require('./planCatalog');
+const { DEFAULT_SITE_ID } = require('./sites');
+const squarespace = require('./squarespaceApi');
+const {
+  isDependentLabel,
+  parseCustomizationDate,
+  parseDependents,
+  coverageForDependents,
+} = require('./dependents');
+const { toCareingtonTerminationDate } = require('./coverageDates');
+const { paidThroughDate, evaluateMember, evaluateAllMembers, terminate } = require('./lifecycle');
+
+/* ========= Squarespace orders → subscription records ========= */
+
+/**
+ * Calculate the next due date based on lastPaymentDate and the plan's billing interval.
+ * Assumes ISO string for lastPaymentDate.
+ */
+function computeNextDueDate(lastPaymentDate, plan) {
+  const dateObj = parseISO(lastPaymentDate);
+  if (plan.interval === 'week') {
+    return addWeeks(dateObj, plan.intervalCount);
+  } else if (plan.interval === 'month') {
+    return addMonths(dateObj, plan.intervalCount);
+  } else if (plan.interval === 'year') {
+    return addYears(dateObj, plan.intervalCount);
+  }
+  return dateObj;
+}
+
+/**
+ * An order's subscription line item, whether Squarespace lists it under
+ * salesLineItems or lineItems.
+ */
+function subscriptionItemOf(order) {
+  return [...(order.salesLineItems || []), ...(order.lineItems || [])]
+    .find(item => item.lineItemType === 'PAYWALL_PRODUCT');
+}
+
+/**
+ * Update (or create) a subscription record from order details.
+ * This function extracts the most recent payment data and additional fields.
+ * The plan comes from the site's plan catalog; orders whose subscription product
+ * isn't in the catalog are flagged for review rather than guessed.
+ * `siteId` is the site the order was placed on; the member is looked up and
+ * created among that site's members only.
+ * `asOf` is the date the member's lifecycle is evaluated at (default now;
+ * backfills use the order's own date so history isn't rewritten).
+ * Returns the member ID, or null if the order wasn't enrolled.
+ */
+function updateSubscriptionRecord(orderDetails, { asOf, siteId = DEFAULT_SITE_ID } = {}) {
+  const email = orderDetails.customerEmail;
+  const billing = orderDetails.billingAddress || {};
+
+  // determine plan & dates
+  const subscriptionItem = subscriptionItemOf(orderDetails);
+  if (!subscriptionItem) {
+    console.log(`Order ${orderDetails.id} has no subscription product; nothing to enroll.`);
+    return null;
+  }
+  const plan = findPlanForLineItem(subscriptionItem, siteId);
+  if (!plan) {
+    flagForReview(orderDetails.id, 'unmapped_product', {
+      productId: subscriptionItem.productId,
+      sku: subscriptionItem.sku,
+      variantId: subscriptionItem.variantId,
+      productName: subscriptionItem.productName,
+      customerEmail: email,
+    }, siteId);
+    return null;
+  }
+  const paymentAmount   = subscriptionItem.unitPricePaid.value;
+  const subscriptionPlan= plan.name;
+  const paymentDate     = orderDetails.fulfilledOn || orderDetails.createdOn;
+  const lastPaymentDate = format(parseISO(paymentDate), 'yyyyMMdd');
+  const nextDueDate     = format(computeNextDueDate(paymentDate, plan), 'yyyyMMdd');
+  // ——— NEW: use createdOn for Careington effectiveDate ———
+  const createdOnRaw       = orderDetails.createdOn;                   // e.g. "2025-03-24T21:05:11.040Z"
+  const effectiveDateIso   = format(parseISO(createdOnRaw), 'yyyy-MM-dd'); 
+  // (we store ISO here so `new Date(effectiveDateIso)` works cleanly in buildMemberLine)
+
+  // ——— NEW: pull DOB from the “Date of Birth” customization ———
+  // (dependent fields like "Spouse Date of Birth" are handled below)
+  let dateOfBirth = '';
+    const dobField = subscriptionItem.customizations?.find(c =>
+      c.label.toLowerCase().includes('date of birth') && !isDependentLabel(c.label)
+    );
+   if (dobField && dobField.value) {
+      // input looks like "1/10/1982"
+     dateOfBirth = parseCustomizationDate(dobField.value);
+    }
+
+  const existingId = findMemberForOrder(orderDetails, siteId);
+  const existing = existingId && getMember(existingId);
+  // Coverage runs from the first order: renewals keep the member's effective
+  // date (moving it would show up as a change in every DELTA). A terminated
+  // member coming back starts again from this order.
+  const effectiveDate = existing && existing.effectiveDate && !existing.terminationDate
+    ? existing.effectiveDate
+    : effectiveDateIso;
+
+  // Dependents from the order's customizations. Orders without customizations
+  // (e.g. renewals) keep whatever dependents the member already has.
+  let dependents = parseDependents(subscriptionItem.customizations, billing.lastName || '');
+  if (!dependents) dependents = existing ? existing.dependents : [];
+  // A dependent dropped on renewal keeps the coverage the member already paid for
+  const dependentTerminationDate = existing && existing.nextDueDate
+    ? toCareingtonTerminationDate(paidThroughDate(existing), existing.effectiveDate)
+    : toCareingtonTerminationDate(parseISO(paymentDate), effectiveDateIso);
+
+  // — now stash everything into the store —
+  const memberId = saveSubscriptionRecord({
+    title:           '',
+    firstName:       billing.firstName  || '',
+    middleName:      '',
+    lastName:        billing.lastName   || '',
+    postName:        '',
+    uniqueId:        '',                 // assigned/looked up by the store (stable member ID)
+    sequenceNum:     '00',
+    filler:          '',
+    address1:        billing.address1   || '',
+    address2:        billing.address2   || '',
+    city:            billing.city       || '',
+    state:           billing.state      || '',
+    zip:             billing.postalCode || '',
+    plus4:           '',
+    homePhone:       billing.phone      || '',
+    workPhone:       '',
+    coverage:        plan.coverage || coverageForDependents(dependents),
+    groupCode:       plan.groupCode,
+    terminationDate: '',
+    effectiveDate,                       // YYYY-MM-DD
+    dateOfBirth,                        // <— with our new parsed DOB
+    relation:        '',
+    studentStatus:   '',
+    filler2:         '',
+    gender:          '',
+    email,                               // customerEmail
+    customerId:      orderDetails.customerId || '',
+    siteId,
+    dependents,
+    dependentEffectiveDate: effectiveDateIso,
+    dependentTerminationDate,
+
+    // extras...
+    lastPaymentDate,
+    paymentAmount,
+    subscriptionPlan,
+    nextDueDate,
+    orderId: orderDetails.id,
+    productName: subscriptionItem.productName
+  }, orderDetails, { asOf });
+
+  console.log(`Updated subscription record ${memberId} for ${email}`);
+  return memberId;
+}
+
+/**
+ * Save a member record and bring their lifecycle state up to date.
+ * Orders and admin edits both go through here (see saveMember for `record`).
+ */
+function saveSubscriptionRecord(record, orderDetails = null, { asOf } = {}) {
+  const memberId = saveMember(record, orderDetails);
+  evaluateMember(memberId, asOf);
+  return memberId;
+}
+
+/**
+ * True if an order has been refunded in full.
+ */
+function isFullyRefunded(orderDetails) {
+  const refunded = Number(orderDetails.refundedTotal && orderDetails.refundedTotal.value);
+  const total = Number(orderDetails.grandTotal && orderDetails.grandTotal.value);
+  return refunded > 0 && refunded >= total;
+}
+
+/**
+ * Terminate the site's member behind an order (cancellation or refund).
+ * Cancelled members keep coverage through the period they paid for; refunded
+ * members lose it as of the refund. The date is then rounded to Careington's
+ * end-of-month rule. The member is kept so they can be reinstated.
+ */
+function terminateSubscriptionRecord(orderDetails, reason, siteId = DEFAULT_SITE_ID) {
+  const memberId = findMemberForOrder(orderDetails, siteId);
+  const member = memberId && getMember(memberId);
+  if (!member) return;
+  if (member.terminationDate) {
+    console.log(`Member ${memberId} is already terminated as of ${member.terminationDate}`);
+    return;
+  }
+
+  const eventDate = parseISO(orderDetails.modifiedOn || new Date().toISOString());
+  let lastCovered = eventDate;
+  if (reason === 'canceled' && member.nextDueDate) {
+    const paidThrough = paidThroughDate(member);
+    if (paidThrough > eventDate) lastCovered = paidThrough;
+  }
+  terminate(memberId, {
+    terminationDate: toCareingtonTerminationDate(lastCovered, member.effectiveDate),
+    reason,
+    source: `order:${orderDetails.id}`,
+  });
+}
+
+/**
+ * Apply an order to the store, the same way for webhooks and backfills.
+ * 'enroll' (order.create / FULFILLED) updates the member; 'cancel' terminates
+ * them. A fully refunded order terminates the member either way.
+ * `options` are { siteId, asOf } as for updateSubscriptionRecord.
+ */
+function applyOrder(orderDetails, action, options = {}) {
+  const siteId = options.siteId || DEFAULT_SITE_ID;
+  if (isFullyRefunded(orderDetails)) {
+    terminateSubscriptionRecord(orderDetails, 'refunded', siteId);
+  } else if (action === 'enroll') {
+    updateSubscriptionRecord(orderDetails, { ...options, siteId });
+  } else {
+    terminateSubscriptionRecord(orderDetails, 'canceled', siteId);
+  }
+}
+
+/* ========= Squarespace Orders API (see squarespaceApi.js) ========= */
+
+/**
+ * Helper: Retrieve order details using the site's API key.
+ * Prints out the order found; null if there is none or the request failed.
+ */
+async function getOrderDetailsByOrderId(orderId, siteId = DEFAULT_SITE_ID) {
+  try {
+    console.log(`Fetching order ${orderId} of site ${siteId}`);
+    const order = await squarespace.getOrder(orderId, siteId);
+    if (order) {
+      console.log("Order details retrieved:", order);
+      return order;
+    }
+    return null;
+  } catch (error) {
+    console.error("Error retrieving order details:", error.response ? error.response.data : error.message);
+    return null;
+  }
+}
+
+
+/**
+ * Helper: Retrieve a random order of a site, picked from every page of its
+ * orders (reservoir sampling, so they needn't all be held at once).
+ */
+async function getRandomOrder(siteId = DEFAULT_SITE_ID) {
+  try {
+    console.log(`Fetching all orders of site ${siteId} for random selection`);
+    let randomOrder = null;
+    let seen = 0;
+    for await (const order of squarespace.iterateOrders({}, siteId)) {
+      seen += 1;
+      if (Math.random() * seen < 1) randomOrder = order;
+    }
+    if (randomOrder) {
+      console.log(`Random order selected from ${seen}:`, randomOrder.id);
+      return randomOrder;
+    }
+    console.error("No orders found for random selection.");
+    return null;
+  } catch (error) {
+    console.error("Error retrieving random order:", error.response ? error.response.data : error.message);
+    return null;
+  }
+}
+
+/**
+ * Fetch every order of a site modified in [from, to], across all pages.
+ */
+async function fetchOrders(from, to, siteId = DEFAULT_SITE_ID) {
+  const orders = await squarespace.collect(squarespace.iterateOrders({
+    modifiedAfter: from.toISOString(), modifiedBefore: to.toISOString(),
+  }, siteId));
+  console.log(`Fetched ${orders.length} orders of site ${siteId} modified between ${from.toISOString()} and ${to.toISOString()}`);
+  return orders;
+}
+
+/* ========= Backfill and reconciliation ========= */
+
+/**
+ * Compare a site's Squarespace orders with its members in the store:
+ *   missingMembers  subscription orders whose member isn't in the store
+ *   orphanedMembers store members with no order, or whose latest order no longer exists in Squarespace
+ *   planMismatches  members whose stored plan differs from the catalog plan of their latest order
+ */
+async function reconcile(orders, siteId = DEFAULT_SITE_ID) {
+  const report = { missingMembers: [], orphanedMembers: [], planMismatches: [] };
+  const byId = new Map(orders.map(order => [order.id, order]));
+  // Members whose order is outside the range are looked up in all of the
+  // site's orders, fetched once when first needed.
+  let allOrders = null;
+  const findOrder = async orderId => {
+    if (byId.has(orderId)) return byId.get(orderId);
+    if (!allOrders) {
+      allOrders = new Map();
+      for await (const order of squarespace.iterateOrders({}, siteId)) allOrders.set(order.id, order);
+    }
+    return allOrders.get(orderId) || null;
+  };
+
+  for (const order of orders) {
+    if (!subscriptionItemOf(order) || order.fulfillmentStatus === 'CANCELED') continue;
+    if (!findMemberForOrder(order, siteId)) {
+      report.missingMembers.push({ orderId: order.id, orderNumber: order.orderNumber, customerEmail: order.customerEmail });
+    }
+  }
+
+  for (const member of listMembers(siteId)) {
+    if (!member.orderId) {
+      report.orphanedMembers.push({ memberId: member.uniqueId, email: member.email, orderId: null });
+      continue;
+    }
+    const order = await findOrder(member.orderId);
+    if (!order) {
+      report.orphanedMembers.push({ memberId: member.uniqueId, email: member.email, orderId: member.orderId });
+      continue;
+    }
+    const item = subscriptionItemOf(order);
+    const plan = item && findPlanForLineItem(item, siteId);
+    if (plan && plan.name !== member.subscriptionPlan) {
+      report.planMismatches.push({
+        memberId: member.uniqueId,
+        email: member.email,
+        orderId: member.orderId,
+        storedPlan: member.subscriptionPlan,
+        catalogPlan: plan.name,
+      });
+    }
+  }
+  return report;
+}
+
+/**
+ * Why a backfill shouldn't replay an order, or null if it should. An order
+ * older than the newest one applied to its member would bring back stale
+ * details (or terminate a member who renewed since), and a replay never
+ * reinstates a terminated member: an order that would is flagged for review.
+ */
+function replaySkipReason(order, siteId) {
+  const memberId = findMemberForOrder(order, siteId);
+  if (!memberId) return null;
+  const latest = latestOrderCreatedOn(memberId);
+  if (latest && order.createdOn < latest) return `older than member ${memberId}'s latest order`;
+  const member = getMember(memberId);
+  if (!member.terminationDate) return null;
+  if (order.createdOn > latest && !isFullyRefunded(order) && order.fulfillmentStatus !== 'CANCELED') {
+    flagForReview(order.id, 'terminated_member', {
+      memberId,
+      terminationDate: member.terminationDate,
+      customerEmail: order.customerEmail,
+    }, siteId);
+  }
+  return `member ${memberId} is terminated`;
+}
+
+/**
+ * Rebuild a site's members from its Squarespace orders for a date range.
+ * The reconciliation report is taken before anything is replayed, so it shows
+ * what was wrong. Unless dryRun is set, every order is then replayed oldest
+ * first as if its webhooks had arrived: created (enroll), then cancelled if it
+ * was. Orders replaySkipReason turns down are listed in ordersSkipped.
+ */
+async function backfillOrders({ from, to, dryRun = false, siteId = DEFAULT_SITE_ID }) {
+  const orders = await fetchOrders(from, to, siteId);
+  const report = await reconcile(orders, siteId);
+  report.ordersFetched = orders.length;
+  report.ordersReplayed = 0;
+  report.ordersSkipped = [];
+  report.errors = [];
+  if (dryRun) return report;
+
+  const sorted = [...orders].sort((a, b) => a.createdOn.localeCompare(b.createdOn));
+  for (const order of sorted) {
+    try {
+      const skipReason = replaySkipReason(order, siteId);
+      if (skipReason) {
+        report.ordersSkipped.push({ orderId: order.id, reason: skipReason });
+        continue;
+      }
+      applyOrder(order, 'enroll', { siteId, asOf: parseISO(order.fulfilledOn || order.createdOn) });
+      if (order.fulfillmentStatus === 'CANCELED') applyOrder(order, 'cancel', { siteId });
+      report.ordersReplayed += 1;
+    } catch (err) {
+      console.error(`Error replaying order ${order.id}:`, err.message);
+      report.errors.push({ orderId: order.id, error: err.message });
+    }
+  }
+  // Replayed renewals can leave members mid-transition; settle them all once.
+  evaluateAllMembers();
+  return report;
+}
+
+module.exports = {
+  computeNextDueDate,
+  updateSubscriptionRecord,
+  saveSubscriptionRecord,
+  terminateSubscriptionRecord,
+  applyOrder,
+  getOrderDetailsByOrderId,
+  getRandomOrder,
+  fetchOrders,
+  reconcile,
+  backfillOrders,
+};
@@ -0,0 +1,65 @@
+require('dotenv').config();
+const {
+  listArchivedFiles,
+  uploadArchivedFile,
+  diffArchivedFiles,
+} = require('./outboundArchive');
+const { uploadFile, closeSftp } = require('./sftpTransport');
+
+/**
+ * Browse the outbound file archive, re-send a file or compare two.
+ *
+ *   node outbound.js list [--vendor careington] [--site default] [--limit 20]
+ *   node outbound.js resend <id>
+ *   node outbound.js diff <fromId> <toId>
+ */
+function parseArgs(argv) {
+  const args = { positional: [], limit: 20 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--vendor') args.vendor = argv[++i];
+    else if (argv[i] === '--site') args.site = argv[++i];
+    else if (argv[i] === '--limit') args.limit = Number(argv[++i]);
+    else args.positional.push(argv[i]);
+  }
+  return args;
+}
+
+function printSection(title, rows, format) {
+  console.log(`\n${title} (${rows.length})`);
+  rows.forEach(row => console.log('  ' + format(row)));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const [command, ...ids] = args.positional;
+
+  if (command === 'list') {
+    for (const file of listArchivedFiles({ vendor: args.vendor || null, site: args.site || null, limit: args.limit })) {
+      console.log([
+        String(file.id).padStart(5), file.generated_on, file.site_id, file.vendor, file.kind, file.file_name,
+        `members=${file.member_count}`, `records=${file.record_count}`, `trigger=${file.trigger}`,
+        `upload=${file.upload_status || 'none'}`, `sha256=${file.sha256.slice(0, 12)}`,
+      ].join('  '));
+    }
+  } else if (command === 'resend' && ids.length === 1) {
+    const upload = (filePath, transport) => uploadFile(filePath, { remoteDir: transport.remoteDir, siteId: transport.siteId });
+    console.log(`Re-sent to ${await uploadArchivedFile(Number(ids[0]), upload, 'resend:cli')}`);
+  } else if (command === 'diff' && ids.length === 2) {
+    const diff = diffArchivedFiles(Number(ids[0]), Number(ids[1]));
+    console.log(`${diff.from.file_name} (${diff.from.id}) → ${diff.to.file_name} (${diff.to.id}), ${diff.unchanged} unchanged`);
+    printSection('Added', diff.added, r => `${r.key} [${r.action}] ${r.line}`);
+    printSection('Removed', diff.removed, r => `${r.key} [${r.action}] ${r.line}`);
+    printSection('Changed', diff.changed, r =>
+      `${r.key}\n    - [${r.from.action}] ${r.from.line}\n    + [${r.to.action}] ${r.to.line}`);
+  } else {
+    console.error('Usage: node outbound.js list [--vendor NAME] [--site SITE] [--limit N] | resend <id> | diff <fromId> <toId>');
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch(err => {
+    console.error("Outbound archive command failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(closeSftp);
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { format } = require('date-fns');
+const { getDb } = require('./storage');
+const { getVendor } = require('./vendors');
+const { DEFAULT_SITE_ID, requireSite, remoteDirFor } = require('./sites');
+
+/* ========= Outbound file archive ========= */
+
+// Generated files live here, by site and vendor, one directory per file so names never collide
+const ARCHIVE_DIR = path.resolve(process.env.OUTBOUND_ARCHIVE_DIR || path.join(__dirname, 'outbound'));
+
+const sha256 = buffer => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Store a site's generated vendor file in the archive and return { id, filePath }.
+ * `entries` are the file's records as { key, action, line, record }.
+ */
+function archiveFile(vendorName, fileName, contents, { kind, trigger, entries, siteId = DEFAULT_SITE_ID }) {
+  const now = new Date();
+  const relativeDir = path.join(siteId, vendorName, `${format(now, 'yyyyMMdd-HHmmss')}-${crypto.randomBytes(3).toString('hex')}`);
+  fs.mkdirSync(path.join(ARCHIVE_DIR, relativeDir), { recursive: true });
+  const archivePath = path.join(relativeDir, fileName);
+  const filePath = path.join(ARCHIVE_DIR, archivePath);
+  const buffer = Buffer.from(contents, 'utf8');
+  fs.writeFileSync(filePath, buffer);
+
+  const database = getDb();
+  const id = database.transaction(() => {
+    const archiveId = database.prepare(`
+      INSERT INTO outbound_files
+        (site_id, vendor, file_name, archive_path, sha256, size, kind, member_count, record_count, trigger, generated_on)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      siteId, vendorName, fileName, archivePath, sha256(buffer), buffer.length, kind,
+      new Set(entries.map(entry => entry.record.uniqueId)).size, entries.length, trigger, now.toISOString()
+    ).lastInsertRowid;
+    const addRecord = database.prepare(`
+      INSERT INTO outbound_file_records (archive_id, record_key, action, line) VALUES (?, ?, ?, ?)
+    `);
+    entries.forEach(entry => addRecord.run(archiveId, entry.key, entry.action, entry.line));
+    return archiveId;
+  })();
+  console.log(`Archived ${fileName} as outbound file ${id}: ${filePath}`);
+  return { id, filePath };
+}
+
+function rowToArchivedFile(row) {
+  return { ...row, filePath: path.join(ARCHIVE_DIR, row.archive_path) };
+}
+
+/**
+ * Archived files (newest first) with the result of their latest upload;
+ * optionally for one vendor and/or one site.
+ */
+function listArchivedFiles({ vendor = null, site = null, limit = 50 } = {}) {
+  const filters = [['f.vendor = ?', vendor], ['f.site_id = ?', site]].filter(([, value]) => value);
+  return getDb().prepare(`
+    SELECT f.*, u.status AS upload_status, u.attempted_on AS uploaded_on, u.remote_path, u.error AS upload_error
+    FROM outbound_files f
+    LEFT JOIN outbound_uploads u ON u.id = (SELECT MAX(id) FROM outbound_uploads WHERE archive_id = f.id)
+    ${filters.length ? `WHERE ${filters.map(([clause]) => clause).join(' AND ')}` : ''}
+    ORDER BY f.id DESC LIMIT ?
+  `).all(...filters.map(([, value]) => value), limit).map(rowToArchivedFile);
+}
+
+/**
+ * One archived file with its full upload history, or null.
+ */
+function getArchivedFile(id) {
+  const row = getDb().prepare('SELECT * FROM outbound_files WHERE id = ?').get(id);
+  if (!row) return null;
+  const uploads = getDb().prepare('SELECT * FROM outbound_uploads WHERE archive_id = ? ORDER BY id').all(id);
+  return { ...rowToArchivedFile(row), uploads };
+}
+
+/**
+ * Upload an archived file with `upload(filePath, transport)` and record the
+ * result. Used for the first upload and for re-sends; the file must still
+ * match its checksum, so what goes out is exactly what was generated. The
+ * transport carries the file's siteId (whose server it goes to) and its
+ * remote directory, the vendor's under the site's. Returns the remote path.
+ */
+async function uploadArchivedFile(id, upload, trigger) {
+  const file = getArchivedFile(id);
+  if (!file) throw new Error(`Outbound file ${id} not found.`);
+  if (!fs.existsSync(file.filePath) || sha256(fs.readFileSync(file.filePath)) !== file.sha256) {
+    throw new Error(`Outbound file ${id} is missing or no longer matches its checksum.`);
+  }
+  const record = getDb().prepare(`
+    INSERT INTO outbound_uploads (archive_id, trigger, status, remote_path, error, attempted_on) VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  try {
+    const vendor = getVendor(file.vendor);
+    const transport = { ...vendor.transport, siteId: file.site_id, remoteDir: remoteDirFor(requireSite(file.site_id), vendor) };
+    const remotePath = await upload(file.filePath, transport);
+    record.run(id, trigger, 'uploaded', remotePath || null, null, new Date().toISOString());
+    return remotePath;
+  } catch (err) {
+    record.run(id, trigger, 'failed', null, err.message, new Date().toISOString());
+    throw err;
+  }
+}
+
+/**
+ * The archived files a member's records went out in (newest first), with the
+ * action each file carried for them and the file's latest upload result.
+ */
+function listFilesForMember(uniqueId, limit = 100) {
+  return getDb().prepare(`
+    SELECT f.id, f.vendor, f.file_name, f.kind, f.trigger, f.generated_on, r.record_key, r.action,
+           u.status AS upload_status, u.attempted_on AS uploaded_on
+    FROM outbound_file_records r
+    JOIN outbound_files f ON f.id = r.archive_id
+    LEFT JOIN outbound_uploads u ON u.id = (SELECT MAX(id) FROM outbound_uploads WHERE archive_id = f.id)
+    WHERE r.record_key LIKE ? || '%'
+    ORDER BY f.id DESC, r.record_key LIMIT ?
+  `).all(uniqueId, limit);
+}
+
+function loadRecords(id) {
+  const rows = getDb().prepare('SELECT record_key, action, line FROM outbound_file_records WHERE archive_id = ?').all(id);
+  return new Map(rows.map(row => [row.record_key, { action: row.action, line: row.line }]));
+}
+
+/**
+ * Record-level differences between two archived files: records only in the
+ * first (removed), only in the second (added), and in both with a different
+ * line or action (changed).
+ */
+function diffArchivedFiles(fromId, toId) {
+  const [from, to] = [fromId, toId].map(id => {
+    const file = getArchivedFile(id);
+    if (!file) throw new Error(`Outbound file ${id} not found.`);
+    return file;
+  });
+  const before = loadRecords(from.id);
+  const after = loadRecords(to.id);
+  const diff = { from, to, added: [], removed: [], changed: [], unchanged: 0 };
+
+  for (const [key, record] of after) {
+    const old = before.get(key);
+    if (!old) diff.added.push({ key, ...record });
+    else if (old.line !== record.line || old.action !== record.action) diff.changed.push({ key, from: old, to: record });
+    else diff.unchanged += 1;
+  }
+  for (const [key, record] of before) {
+    if (!after.has(key)) diff.removed.push({ key, ...record });
+  }
+  return diff;
+}
+
+module.exports = {
+  ARCHIVE_DIR,
+  archiveFile,
+  listArchivedFiles,
+  getArchivedFile,
+  uploadArchivedFile,
+  listFilesForMember,
+  diffArchivedFiles,
+};
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const { DEFAULT_SITE_ID, requireSite } = require('./sites');
+
+// Each site has its own plan catalog (see plans.example.json for the format and
+// sites.js for where it lives)
+
+const INTERVALS = ['week', 'month', 'year'];
+const MATCH_KEYS = ['variantId', 'sku', 'productId'];
+const DEFAULT_GRACE_DAYS = 7;
+
+// Loaded catalogs by site id
+const catalogs = new Map();
+
+/**
+ * Check a parsed catalog and return a list of problems (empty if valid).
+ * `knownVendors`, if given, are the eligibility vendors a plan may list.
+ */
+function validatePlanCatalog(data, knownVendors = null) {
+  const errors = [];
+  if (!data || !Array.isArray(data.plans) || data.plans.length === 0) {
+    return ['"plans" must be a non-empty array'];
+  }
+  const names = new Set();
+  const signatures = new Set();
+  data.plans.forEach((plan, i) => {
+    const where = `plans[${i}]${plan && plan.name ? ` (${plan.name})` : ''}`;
+    if (!plan || typeof plan.name !== 'string' || !plan.name.trim()) {
+      errors.push(`${where}: "name" is required`);
+    } else if (names.has(plan.name)) {
+      errors.push(`${where}: duplicate plan name`);
+    } else {
+      names.add(plan.name);
+    }
+    if (!INTERVALS.includes(plan.interval)) {
+      errors.push(`${where}: "interval" must be one of ${INTERVALS.join(', ')}`);
+    }
+    if (plan.intervalCount != null && !(Number.isInteger(plan.intervalCount) && plan.intervalCount > 0)) {
+      errors.push(`${where}: "intervalCount" must be a positive integer`);
+    }
+    if (plan.coverage != null && !/^[A-Z]{2}$/.test(plan.coverage)) {
+      errors.push(`${where}: "coverage" must be a two-letter Careington coverage code`);
+    }
+    if (plan.groupCode != null && (typeof plan.groupCode !== 'string' || plan.groupCode.length > 10)) {
+      errors.push(`${where}: "groupCode" must be a string of at most 10 characters`);
+    }
+    if (plan.graceDays != null && !(Number.isInteger(plan.graceDays) && plan.graceDays >= 0)) {
+      errors.push(`${where}: "graceDays" must be a non-negative integer`);
+    }
+    if (plan.vendors != null) {
+      if (!Array.isArray(plan.vendors) || !plan.vendors.length || plan.vendors.some(v => typeof v !== 'string')) {
+        errors.push(`${where}: "vendors" must be a non-empty list of vendor names`);
+      } else if (knownVendors) {
+        plan.vendors.filter(v => !knownVendors.includes(v))
+          .forEach(v => errors.push(`${where}: unknown vendor "${v}"`));
+      }
+    }
+    const match = plan.match || {};
+    const keys = Object.keys(match);
+    if (!keys.some(key => MATCH_KEYS.includes(key))) {
+      errors.push(`${where}: "match" needs at least one of ${MATCH_KEYS.join(', ')}`);
+    }
+    keys.filter(key => !MATCH_KEYS.includes(key) || typeof match[key] !== 'string' || !match[key])
+      .forEach(key => errors.push(`${where}: invalid match key "${key}"`));
+    const signature = MATCH_KEYS.map(key => match[key] || '').join('|');
+    if (signatures.has(signature)) errors.push(`${where}: same match as an earlier plan`);
+    signatures.add(signature);
+  });
+  return errors;
+}
+
+/**
+ * Load and validate a site's catalog. Throws if it is missing or invalid, so a
+ * bad catalog stops startup instead of mis-enrolling members. Plans without a
+ * group code get the site's.
+ */
+function loadPlanCatalog({ knownVendors = null, siteId = DEFAULT_SITE_ID } = {}) {
+  const site = requireSite(siteId);
+  const catalogFilePath = site.planCatalog;
+  if (!fs.existsSync(catalogFilePath)) {
+    throw new Error(`Plan catalog for site ${site.id} not found at ${catalogFilePath} (see plans.example.json).`);
+  }
+  const data = JSON.parse(fs.readFileSync(catalogFilePath, 'utf8'));
+  const errors = validatePlanCatalog(data, knownVendors);
+  if (errors.length) {
+    throw new Error(`Invalid plan catalog ${catalogFilePath}:\n  ${errors.join('\n  ')}`);
+  }
+  const catalog = data.plans.map(plan => ({
+    intervalCount: 1,
+    graceDays: DEFAULT_GRACE_DAYS,
+    ...plan,
+    groupCode: plan.groupCode || site.groupCode,
+  }));
+  catalogs.set(site.id, catalog);
+  console.log(`Loaded plan catalog for site ${site.id} with ${catalog.length} plans.`);
+  return catalog;
+}
+
+function getCatalog(siteId) {
+  return catalogs.get(siteId) || loadPlanCatalog({ siteId });
+}
+
+/**
+ * The plan of a site for an order line item, or null if it isn't mapped.
+ * Every key in a plan's "match" must equal the line item's; when several plans
+ * match, the most specific (most keys) wins.
+ */
+function findPlanForLineItem(item, siteId = DEFAULT_SITE_ID) {
+  const matches = getCatalog(siteId).filter(plan =>
+    Object.entries(plan.match).every(([key, value]) => item[key] === value)
+  );
+  if (!matches.length) return null;
+  return matches.sort((a, b) => Object.keys(b.match).length - Object.keys(a.match).length)[0];
+}
+
+/**
+ * Every plan in a site's catalog.
+ */
+function listPlans(siteId = DEFAULT_SITE_ID) {
+  return getCatalog(siteId);
+}
+
+/**
+ * A site's plan by name, or null.
+ */
+function getPlan(name, siteId = DEFAULT_SITE_ID) {
+  return getCatalog(siteId).find(plan => plan.name === name) || null;
+}
+
+module.exports = {
+  DEFAULT_GRACE_DAYS,
+  validatePlanCatalog,
+  loadPlanCatalog,
+  findPlanForLineItem,
+  getPlan,
+  listPlans,
+};
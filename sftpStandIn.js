@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  Server,
+  utils: { generateKeyPairSync, parseKey, sftp: { STATUS_CODE, flagsToString } },
+} = require('ssh2');
+const { fingerprint } = require('./sftpTransport');
+
+/**
+ * Local SFTP stand-in for Careington's server, for trying out uploads and the
+ * response poller without touching the real one. Serves a local directory
+ * with password auth (or a public key) and a throwaway host key, whose
+ * fingerprint is printed on startup for SFTP_HOST_FINGERPRINT.
+ *
+ *   node sftpStandIn.js [--root ./sftp-root] [--port 2222] [--user test] [--password test] [--authorized-key id.pub]
+ *
+ * Then point SFTP_HOST=127.0.0.1, SFTP_PORT, SFTP_USER and SFTP_PASS (or
+ * SFTP_PRIVATE_KEY_PATH) at it.
+ * Only what ssh2-sftp-client needs is implemented (list, stat, get, put,
+ * rename, mkdir, delete). Not for production use.
+ */
+function startSftpStandIn({ root, port = 2222, host = '127.0.0.1', username = 'test', password = 'test', authorizedKey }) {
+  const rootDir = path.resolve(root);
+  fs.mkdirSync(rootDir, { recursive: true });
+  const hostKey = generateKeyPairSync('ed25519').private;
+  const hostFingerprint = fingerprint(parseKey(hostKey).getPublicSSH());
+  const allowedKey = authorizedKey ? parseKey(fs.readFileSync(authorizedKey)) : null;
+  const isAllowedKey = ctx => allowedKey && ctx.key.algo === allowedKey.type &&
+    ctx.key.data.equals(allowedKey.getPublicSSH()) &&
+    (!ctx.signature || allowedKey.verify(ctx.blob, ctx.signature, ctx.hashAlgo) === true);
+
+  // Client paths are absolute POSIX paths under the served directory.
+  const remotePath = p => path.posix.resolve('/', p || '.');
+  const localPath = p => path.join(rootDir, ...remotePath(p).split('/').filter(Boolean));
+
+  const attrsOf = stats => ({
+    mode: stats.mode,
+    uid: stats.uid,
+    gid: stats.gid,
+    size: stats.size,
+    atime: Math.floor(stats.atimeMs / 1000),
+    mtime: Math.floor(stats.mtimeMs / 1000),
+  });
+  const longnameOf = (name, stats) =>
+    `${stats.isDirectory() ? 'd' : '-'}rw-r--r-- 1 ${username} ${username} ${stats.size} Jan 1 00:00 ${name}`;
+
+  const server = new Server({ hostKeys: [hostKey] }, client => {
+    client.on('authentication', ctx => {
+      if (ctx.username === username) {
+        if (ctx.method === 'password' && ctx.password === password) return ctx.accept();
+        if (ctx.method === 'publickey' && isAllowedKey(ctx)) return ctx.accept();
+      }
+      ctx.reject(allowedKey ? ['password', 'publickey'] : ['password']);
+    }).on('ready', () => {
+      client.on('session', acceptSession => {
+        acceptSession().on('sftp', acceptSftp => {
+          const sftp = acceptSftp();
+          const handles = new Map();
+          let nextHandle = 0;
+
+          const newHandle = state => {
+            const handle = Buffer.alloc(4);
+            handle.writeUInt32BE(nextHandle, 0);
+            handles.set(nextHandle++, state);
+            return handle;
+          };
+          const stateOf = handle => handle.length === 4 && handles.get(handle.readUInt32BE(0));
+          // Run a filesystem call, answering with a failure status if it throws.
+          const attempt = (reqid, fn) => {
+            try {
+              fn();
+            } catch (err) {
+              sftp.status(reqid, err.code === 'ENOENT' ? STATUS_CODE.NO_SUCH_FILE : STATUS_CODE.FAILURE, err.message);
+            }
+          };
+          const stat = (reqid, p) => attempt(reqid, () => sftp.attrs(reqid, attrsOf(fs.statSync(localPath(p)))));
+
+          sftp.on('REALPATH', (reqid, p) => {
+            const resolved = remotePath(p);
+            sftp.name(reqid, [{ filename: resolved, longname: resolved, attrs: {} }]);
+          }).on('STAT', stat).on('LSTAT', stat).on('FSTAT', (reqid, handle) => {
+            const state = stateOf(handle);
+            if (!state || state.fd == null) return sftp.status(reqid, STATUS_CODE.FAILURE);
+            attempt(reqid, () => sftp.attrs(reqid, attrsOf(fs.fstatSync(state.fd))));
+          }).on('OPENDIR', (reqid, p) => attempt(reqid, () => {
+            const dir = localPath(p);
+            if (!fs.statSync(dir).isDirectory()) throw new Error('Not a directory');
+            sftp.handle(reqid, newHandle({ dir, listed: false }));
+          })).on('READDIR', (reqid, handle) => {
+            const state = stateOf(handle);
+            if (!state || !state.dir) return sftp.status(reqid, STATUS_CODE.FAILURE);
+            if (state.listed) return sftp.status(reqid, STATUS_CODE.EOF);
+            state.listed = true;
+            attempt(reqid, () => sftp.name(reqid, fs.readdirSync(state.dir).map(filename => {
+              const stats = fs.statSync(path.join(state.dir, filename));
+              return { filename, longname: longnameOf(filename, stats), attrs: attrsOf(stats) };
+            })));
+          }).on('OPEN', (reqid, p, flags) => attempt(reqid, () => {
+            const fd = fs.openSync(localPath(p), flagsToString(flags));
+            sftp.handle(reqid, newHandle({ fd }));
+          })).on('READ', (reqid, handle, offset, length) => {
+            const state = stateOf(handle);
+            if (!state || state.fd == null) return sftp.status(reqid, STATUS_CODE.FAILURE);
+            attempt(reqid, () => {
+              const buffer = Buffer.alloc(length);
+              const bytes = fs.readSync(state.fd, buffer, 0, length, offset);
+              if (bytes === 0) return sftp.status(reqid, STATUS_CODE.EOF);
+              sftp.data(reqid, buffer.subarray(0, bytes));
+            });
+          }).on('WRITE', (reqid, handle, offset, data) => {
+            const state = stateOf(handle);
+            if (!state || state.fd == null) return sftp.status(reqid, STATUS_CODE.FAILURE);
+            attempt(reqid, () => {
+              fs.writeSync(state.fd, data, 0, data.length, offset);
+              sftp.status(reqid, STATUS_CODE.OK);
+            });
+          }).on('CLOSE', (reqid, handle) => {
+            const state = stateOf(handle);
+            if (!state) return sftp.status(reqid, STATUS_CODE.FAILURE);
+            handles.delete(handle.readUInt32BE(0));
+            attempt(reqid, () => {
+              if (state.fd != null) fs.closeSync(state.fd);
+              sftp.status(reqid, STATUS_CODE.OK);
+            });
+          }).on('REMOVE', (reqid, p) => attempt(reqid, () => {
+            fs.unlinkSync(localPath(p));
+            sftp.status(reqid, STATUS_CODE.OK);
+          })).on('RMDIR', (reqid, p) => attempt(reqid, () => {
+            fs.rmdirSync(localPath(p));
+            sftp.status(reqid, STATUS_CODE.OK);
+          })).on('MKDIR', (reqid, p) => attempt(reqid, () => {
+            fs.mkdirSync(localPath(p));
+            sftp.status(reqid, STATUS_CODE.OK);
+          })).on('RENAME', (reqid, from, to) => attempt(reqid, () => {
+            if (fs.existsSync(localPath(to))) throw new Error('Target exists');
+            fs.renameSync(localPath(from), localPath(to));
+            sftp.status(reqid, STATUS_CODE.OK);
+          })).on('SETSTAT', reqid => sftp.status(reqid, STATUS_CODE.OK))
+            .on('FSETSTAT', reqid => sftp.status(reqid, STATUS_CODE.OK));
+        });
+      });
+    }).on('error', err => console.error('SFTP stand-in client error:', err.message));
+  });
+
+  return new Promise(resolve => {
+    server.listen(port, host, () => {
+      console.log(`SFTP stand-in serving ${rootDir} on ${host}:${server.address().port} (user "${username}")`);
+      console.log(`Host key fingerprint: ${hostFingerprint}`);
+      server.hostFingerprint = hostFingerprint;
+      resolve(server);
+    });
+  });
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const arg = (name, fallback) => {
+    const i = args.indexOf(`--${name}`);
+    return i >= 0 ? args[i + 1] : fallback;
+  };
+  startSftpStandIn({
+    root: arg('root', path.join(__dirname, 'sftp-root')),
+    port: Number(arg('port', 2222)),
+    username: arg('user', 'test'),
+    password: arg('password', 'test'),
+    authorizedKey: arg('authorized-key'),
+  });
+}
+
+module.exports = { startSftpStandIn };
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const SFTPClient = require('ssh2-sftp-client');
+const { DEFAULT_SITE_ID, siteEnv, siteEnvName } = require('./sites');
+
+/* ========= SFTP transport: one connection per site, serialized operations ========= */
+
+const MAX_ATTEMPTS = Number(process.env.SFTP_MAX_ATTEMPTS) || 4;
+const BASE_RETRY_DELAY_MS = Number(process.env.SFTP_RETRY_DELAY_MS) || 2000;
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+// The connection is closed after this long without work
+const IDLE_CLOSE_MS = 30 * 1000;
+
+// Per site: { config, client, idleTimer, queue }. A site's operations run one
+// after another on its connection; different sites' don't wait for each other.
+const connections = new Map();
+
+function connectionFor(siteId) {
+  if (!connections.has(siteId)) {
+    connections.set(siteId, { config: null, client: null, idleTimer: null, queue: Promise.resolve() });
+  }
+  return connections.get(siteId);
+}
+
+/**
+ * SHA256 fingerprint of a host key, the way OpenSSH prints it ("SHA256:...").
+ */
+function fingerprint(key) {
+  return `SHA256:${crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '')}`;
+}
+
+/**
+ * A site's connection settings from the environment (prefixed SITE_<ID>_ for
+ * sites other than the default one, see siteEnv; never another site's):
+ *   SFTP_HOST, SFTP_PORT, SFTP_USER
+ *   SFTP_PASS, or SFTP_PRIVATE_KEY_PATH (or SFTP_PRIVATE_KEY) with SFTP_PASSPHRASE
+ *   SFTP_HOST_FINGERPRINT  pinned host key(s), "SHA256:..." as printed by ssh-keygen -lf;
+ *                          comma-separate several while the server rotates keys
+ *   SFTP_REMOTE_DIR        base directory; vendor directories are relative to it
+ */
+function sftpConfigFromEnv(siteId = DEFAULT_SITE_ID) {
+  const env = name => siteEnv(siteId, name);
+  const privateKey = env('SFTP_PRIVATE_KEY_PATH')
+    ? fs.readFileSync(env('SFTP_PRIVATE_KEY_PATH'), 'utf8')
+    : env('SFTP_PRIVATE_KEY') && env('SFTP_PRIVATE_KEY').replace(/\\n/g, '\n');
+  return {
+    host: env('SFTP_HOST'),
+    port: Number(env('SFTP_PORT')) || 22,
+    username: env('SFTP_USER'),
+    password: env('SFTP_PASS') || undefined,
+    privateKey: privateKey || undefined,
+    passphrase: env('SFTP_PASSPHRASE') || undefined,
+    hostFingerprints: env('SFTP_HOST_FINGERPRINT').split(',').map(f => f.trim()).filter(Boolean),
+    remoteDir: env('SFTP_REMOTE_DIR'),
+  };
+}
+
+/**
+ * Use these settings for a site instead of the environment's (e.g. for the
+ * local stand-in). An open connection to the old server is closed.
+ */
+function configureSftp(settings, siteId = DEFAULT_SITE_ID) {
+  connectionFor(siteId).config = { hostFingerprints: [], remoteDir: '', ...settings };
+  dropConnection(siteId);
+}
+
+function currentConfig(siteId) {
+  const state = connectionFor(siteId);
+  if (!state.config) state.config = sftpConfigFromEnv(siteId);
+  return state.config;
+}
+
+function dropConnection(siteId) {
+  const state = connectionFor(siteId);
+  clearTimeout(state.idleTimer);
+  const old = state.client;
+  state.client = null;
+  if (old) old.end().catch(() => {});
+}
+
+/**
+ * A site's connection, connecting (with host key pinning) if needed.
+ */
+async function connection(siteId) {
+  const state = connectionFor(siteId);
+  if (state.client) return state.client;
+  const { hostFingerprints, remoteDir, ...connectConfig } = currentConfig(siteId);
+  if (!connectConfig.host) {
+    throw new Error(`No SFTP host configured for site ${siteId} (${siteEnvName(siteId, 'SFTP_HOST')}).`);
+  }
+  const sftp = new SFTPClient();
+  await sftp.connect({
+    ...connectConfig,
+    retries: 0, // retried here, with our own backoff
+    hostVerifier: hostFingerprints.length
+      ? key => {
+        const seen = fingerprint(key);
+        if (hostFingerprints.includes(seen)) return true;
+        console.error(`SFTP host key ${seen} for ${connectConfig.host} is not pinned; refusing to connect.`);
+        return false;
+      }
+      : undefined,
+  });
+  sftp.on('close', () => {
+    if (state.client === sftp) state.client = null;
+  });
+  state.client = sftp;
+  return sftp;
+}
+
+function retryDelay(attempt) {
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Run `fn(sftp)` on a site's connection once everything queued before it for
+ * that site is done. A failed attempt drops the connection and is retried with
+ * backoff, so `fn` has to be safe to run again.
+ */
+function withSftp(fn, { label = 'SFTP operation', siteId = DEFAULT_SITE_ID } = {}) {
+  const state = connectionFor(siteId);
+  const run = async () => {
+    clearTimeout(state.idleTimer);
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await fn(await connection(siteId));
+      } catch (err) {
+        dropConnection(siteId);
+        if (attempt >= MAX_ATTEMPTS) throw err;
+        console.error(`${label} failed (attempt ${attempt}/${MAX_ATTEMPTS}), retrying:`, err.message);
+        await new Promise(resolve => setTimeout(resolve, retryDelay(attempt)));
+      }
+    }
+  };
+  const result = state.queue.then(run);
+  state.queue = result.catch(() => {}).then(() => {
+    clearTimeout(state.idleTimer);
+    state.idleTimer = setTimeout(() => dropConnection(siteId), IDLE_CLOSE_MS);
+    state.idleTimer.unref();
+  });
+  return result;
+}
+
+/**
+ * Remote path of a file in a directory relative to the site's SFTP_REMOTE_DIR
+ * (an absolute directory is used as is).
+ */
+function remotePathFor(fileName, remoteDir = '', siteId = DEFAULT_SITE_ID) {
+  const dir = path.posix.isAbsolute(remoteDir) ? remoteDir : path.posix.join(currentConfig(siteId).remoteDir, remoteDir);
+  return path.posix.join(dir, fileName);
+}
+
+/**
+ * Upload a local file or a Buffer atomically: written under a temporary name
+ * in the target directory, checked for size, then renamed into place, so the
+ * partner never picks up a partial file. Goes to the site's server. Returns
+ * the remote path.
+ */
+function uploadFile(source, { remoteDir = '', fileName, siteId = DEFAULT_SITE_ID } = {}) {
+  const name = fileName || path.basename(source);
+  const remotePath = remotePathFor(name, remoteDir, siteId);
+  const tempPath = path.posix.join(path.posix.dirname(remotePath), `.${name}.${process.pid}.${Date.now()}.part`);
+  const size = Buffer.isBuffer(source) ? source.length : fs.statSync(source).size;
+
+  return withSftp(async sftp => {
+    const dir = path.posix.dirname(remotePath);
+    if (!(await sftp.exists(dir))) await sftp.mkdir(dir, true);
+    try {
+      await sftp.put(Buffer.isBuffer(source) ? source : fs.createReadStream(source), tempPath);
+      const uploaded = (await sftp.stat(tempPath)).size;
+      if (uploaded !== size) throw new Error(`uploaded ${uploaded} of ${size} bytes`);
+      if (await sftp.exists(remotePath)) await sftp.delete(remotePath);
+      await sftp.rename(tempPath, remotePath);
+    } catch (err) {
+      await sftp.delete(tempPath, true).catch(() => {});
+      throw err;
+    }
+    console.log(`Uploaded ${name} to ${remotePath} (${size} bytes)`);
+    return remotePath;
+  }, { label: `Upload of ${name}`, siteId });
+}
+
+/**
+ * Delete a remote file; a file that's already gone is fine.
+ */
+function removeFile(fileName, { remoteDir = '', siteId = DEFAULT_SITE_ID } = {}) {
+  const remotePath = remotePathFor(fileName, remoteDir, siteId);
+  return withSftp(sftp => sftp.delete(remotePath, true), { label: `Delete of ${fileName}`, siteId });
+}
+
+/**
+ * Close every site's connection once its queued work is done (for command-line scripts).
+ */
+function closeSftp() {
+  return Promise.all([...connections.entries()].map(([siteId, state]) => state.queue.then(() => dropConnection(siteId))));
+}
+
+module.exports = {
+  fingerprint,
+  sftpConfigFromEnv,
+  configureSftp,
+  withSftp,
+  uploadFile,
+  removeFile,
+  closeSftp,
+};
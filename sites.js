@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+
+/* ========= Sites (storefronts) ========= */
+
+/*
+ * Each Squarespace site we run is a tenant with its own OAuth app and tokens,
+ * API key, webhook subscriptions (endpoint and topics) and secrets, plan
+ * catalog, group code, and SFTP server and directories. Members, eligibility
+ * snapshots and outbound files belong to a site and never mix with another site's.
+ *
+ * Sites are listed in sites.json (see sites.example.json). Secrets stay in the
+ * environment: the "default" site uses CLIENT_ID, CLIENT_SECRET, API_KEY, STATE
+ * (and ACCESS_TOKEN/REFRESH_TOKEN to seed its token store) and the SFTP_*
+ * settings (see sftpTransport.js); any other site uses the same names prefixed
+ * with SITE_<ID>_, e.g. SITE_OUTDOORS_API_KEY or SITE_OUTDOORS_SFTP_HOST.
+ * Without sites.json there is only the "default" site, configured from the
+ * environment as before.
+ */
+const sitesFilePath = process.env.SITES_CONFIG_PATH || path.join(__dirname, 'sites.json');
+
+// Everything stored before there were sites belongs to this one
+const DEFAULT_SITE_ID = 'default';
+const DEFAULT_WEBHOOK_ENDPOINT_URL = 'https://services.patriotfrontline.com/webhook/squarespace';
+// Topics a site subscribes to unless it lists its own "webhookTopics"
+const DEFAULT_WEBHOOK_TOPICS = ['order.create', 'order.update'];
+
+let sites = null;
+
+/**
+ * Check a parsed sites file and return a list of problems (empty if valid).
+ */
+function validateSites(data) {
+  if (!data || !Array.isArray(data.sites) || data.sites.length === 0) {
+    return ['"sites" must be a non-empty array'];
+  }
+  const errors = [];
+  const ids = new Set();
+  const urls = new Set();
+  data.sites.forEach((site, i) => {
+    const where = `sites[${i}]${site && site.id ? ` (${site.id})` : ''}`;
+    if (!site || typeof site.id !== 'string' || !/^[a-z0-9-]{1,32}$/.test(site.id)) {
+      errors.push(`${where}: "id" must be 1-32 lowercase letters, digits or dashes`);
+    } else if (ids.has(site.id)) {
+      errors.push(`${where}: duplicate site id`);
+    } else {
+      ids.add(site.id);
+    }
+    if (typeof site.webhookEndpointUrl !== 'string' || !/^https:\/\//.test(site.webhookEndpointUrl)) {
+      errors.push(`${where}: "webhookEndpointUrl" must be an https URL`);
+    } else if (urls.has(site.webhookEndpointUrl)) {
+      errors.push(`${where}: same webhookEndpointUrl as an earlier site`);
+    } else {
+      urls.add(site.webhookEndpointUrl);
+    }
+    if (site.webhookTopics != null && (!Array.isArray(site.webhookTopics) || !site.webhookTopics.length ||
+      site.webhookTopics.some(topic => typeof topic !== 'string' || !/^[a-z]+\.[a-z_]+$/.test(topic)))) {
+      errors.push(`${where}: "webhookTopics" must be a non-empty list of topics such as "order.create"`);
+    }
+    if (typeof site.planCatalog !== 'string' || !site.planCatalog) {
+      errors.push(`${where}: "planCatalog" must be the path of the site's plan catalog`);
+    }
+    if (typeof site.groupCode !== 'string' || !site.groupCode || site.groupCode.length > 10) {
+      errors.push(`${where}: "groupCode" must be a string of 1-10 characters`);
+    }
+    const sftp = site.sftp || {};
+    ['remoteDir', 'responseDir'].filter(key => sftp[key] != null && typeof sftp[key] !== 'string')
+      .forEach(key => errors.push(`${where}: "sftp.${key}" must be a string`));
+  });
+  return errors;
+}
+
+/**
+ * The site the environment describes, for deployments without sites.json.
+ */
+function siteFromEnv(env = process.env) {
+  return {
+    id: DEFAULT_SITE_ID,
+    name: env.SITE_NAME || 'Default',
+    webhookEndpointUrl: env.WEBHOOK_ENDPOINT_URL || DEFAULT_WEBHOOK_ENDPOINT_URL,
+    webhookTopics: DEFAULT_WEBHOOK_TOPICS,
+    planCatalog: env.PLAN_CATALOG_PATH || path.join(__dirname, 'plans.json'),
+    groupCode: env.CAREINGTON_GROUP_CODE || '',
+    sftp: { remoteDir: '', responseDir: null },
+  };
+}
+
+/**
+ * Load and validate the sites. Throws if sites.json is invalid, so a typo
+ * stops startup instead of routing one site's orders to another.
+ */
+function loadSites() {
+  if (!fs.existsSync(sitesFilePath)) {
+    sites = [siteFromEnv()];
+    return sites;
+  }
+  const data = JSON.parse(fs.readFileSync(sitesFilePath, 'utf8'));
+  const errors = validateSites(data);
+  if (errors.length) {
+    throw new Error(`Invalid sites file ${sitesFilePath}:\n  ${errors.join('\n  ')}`);
+  }
+  sites = data.sites.map(site => ({
+    ...site,
+    name: site.name || site.id,
+    webhookTopics: site.webhookTopics || DEFAULT_WEBHOOK_TOPICS,
+    planCatalog: path.resolve(__dirname, site.planCatalog),
+    sftp: { remoteDir: '', responseDir: null, ...site.sftp },
+  }));
+  console.log(`Loaded ${sites.length} site(s): ${sites.map(site => site.id).join(', ')}.`);
+  return sites;
+}
+
+/**
+ * Every configured site.
+ */
+function listSites() {
+  return sites || loadSites();
+}
+
+/**
+ * A site by id, or null.
+ */
+function getSite(id) {
+  return listSites().find(site => site.id === id) || null;
+}
+
+/**
+ * A site by id; throws if there is no such site.
+ */
+function requireSite(id) {
+  const site = getSite(id);
+  if (!site) throw new Error(`Unknown site "${id}" (known: ${listSites().map(s => s.id).join(', ')}).`);
+  return site;
+}
+
+/**
+ * A per-site setting from the environment: `name` for the default site,
+ * SITE_<ID>_<name> for the others. Sites never fall back to each other's.
+ */
+function siteEnv(siteId, name) {
+  return process.env[siteEnvName(siteId, name)] || '';
+}
+
+/**
+ * Name of a site's environment variable, e.g. SITE_OUTDOORS_API_KEY (for messages).
+ */
+function siteEnvName(siteId, name) {
+  const prefix = siteId === DEFAULT_SITE_ID ? '' : `SITE_${siteId.toUpperCase().replace(/-/g, '_')}_`;
+  return `${prefix}${name}`;
+}
+
+/**
+ * Remote directory a vendor's files go to for a site: the vendor's directory
+ * under the site's.
+ */
+function remoteDirFor(site, vendor) {
+  return path.posix.join(site.sftp.remoteDir || '', vendor.transport.remoteDir || '');
+}
+
+module.exports = {
+  DEFAULT_SITE_ID,
+  validateSites,
+  loadSites,
+  listSites,
+  getSite,
+  requireSite,
+  siteEnv,
+  siteEnvName,
+  remoteDirFor,
+};
@@ -0,0 +1,419 @@
+const axios = require('axios');
+const { DEFAULT_SITE_ID, siteEnv } = require('./sites');
+
+/* ========= Squarespace API client ========= */
+
+/*
+ * Every call to Squarespace goes through here. Each request is made for a
+ * site and authenticates one of three ways:
+ *   apiKey  the site's Commerce API key (orders, transactions, profiles)
+ *   oauth   the site's OAuth access token (webhook subscriptions); a 401
+ *           refreshes the token once and retries
+ *   client  the site's OAuth client id and secret (token grants)
+ * Requests wait for a token bucket per site and kind of credential, so we
+ * stay under Squarespace's rate limits. 429s are retried after Retry-After
+ * (and hold back that bucket meanwhile); network errors and 5xx responses are
+ * retried with backoff when the request is safe to repeat. Whatever still
+ * fails is thrown as a SquarespaceApiError.
+ */
+
+const MAX_ATTEMPTS = Number(process.env.SQUARESPACE_MAX_ATTEMPTS) || 4;
+const BASE_RETRY_DELAY_MS = Number(process.env.SQUARESPACE_RETRY_DELAY_MS) || 1000;
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+const TIMEOUT_MS = 30 * 1000;
+// Token bucket: sustained requests per minute, and how many may go at once
+const RATE_PER_MINUTE = Number(process.env.SQUARESPACE_RATE_PER_MINUTE) || 240;
+const BURST = Number(process.env.SQUARESPACE_RATE_BURST) || 5;
+
+let config = null;
+// Token buckets by `${site}:${auth}`: { tokens, updatedAt, blockedUntil }
+const buckets = new Map();
+
+/**
+ * @typedef {Object} Page
+ * @property {Object[]} items       the page's orders, documents, profiles, ...
+ * @property {string|null} nextPageCursor
+ */
+
+/**
+ * @typedef {Object} Order  a Commerce order (see the Orders API); the fields
+ *   used here are id, orderNumber, createdOn, modifiedOn, customerEmail,
+ *   fulfillmentStatus, lineItems, billingAddress and grandTotal.
+ */
+
+/**
+ * @typedef {Object} WebhookSubscription
+ * @property {string} id
+ * @property {string} endpointUrl
+ * @property {string[]} topics
+ * @property {string} [secret]  only when created or rotated
+ */
+
+/**
+ * A failed Squarespace request. `status` is the HTTP status (0 if there was
+ * no response), `code` a stable name for it (not_found, rate_limited, ...),
+ * `type` Squarespace's own error type if it sent one, and `details` the
+ * response body. `retryable` says whether trying later could help.
+ */
+class SquarespaceApiError extends Error {
+  constructor({ method, path, status, type = null, message, details = null }) {
+    super(`Squarespace ${method.toUpperCase()} ${path} failed (${status || 'no response'}): ${message}`);
+    this.name = 'SquarespaceApiError';
+    this.method = method;
+    this.path = path;
+    this.status = status;
+    this.code = errorCode(status);
+    this.type = type;
+    this.details = details;
+    this.retryable = status === 0 || status === 429 || status >= 500;
+  }
+}
+
+function errorCode(status) {
+  if (!status) return 'network_error';
+  if (status >= 500) return 'server_error';
+  return {
+    400: 'invalid_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    405: 'method_not_allowed',
+    409: 'conflict',
+    429: 'rate_limited',
+  }[status] || 'request_failed';
+}
+
+function toApiError(err, method, path) {
+  if (!err.response) {
+    return new SquarespaceApiError({ method, path, status: 0, message: err.code || err.message });
+  }
+  const { status, data } = err.response;
+  const body = data && typeof data === 'object' ? data : {};
+  return new SquarespaceApiError({
+    method,
+    path,
+    status,
+    type: body.type || null,
+    message: body.message || (typeof data === 'string' && data) || err.message,
+    details: data || null,
+  });
+}
+
+/**
+ * Base URLs from the environment: SQUARESPACE_API_URL and
+ * SQUARESPACE_LOGIN_URL (for the local stand-in, see squarespaceStandIn.js).
+ */
+function currentConfig() {
+  if (!config) {
+    config = {
+      apiUrl: process.env.SQUARESPACE_API_URL || 'https://api.squarespace.com',
+      loginUrl: process.env.SQUARESPACE_LOGIN_URL || 'https://login.squarespace.com',
+    };
+  }
+  return config;
+}
+
+/**
+ * Use these base URLs (and rate limits) instead of the environment's, e.g. for
+ * the local stand-in.
+ */
+function configureSquarespaceApi(settings) {
+  config = { ...currentConfig(), ...settings };
+  buckets.clear();
+}
+
+/* ========= Rate limiting and retries ========= */
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Take a token from a bucket; resolves once it's our turn. Callers that find
+ * the bucket empty reserve their token (taking it below zero), so they go in
+ * the order they arrived.
+ */
+function takeToken(key) {
+  const ratePerMs = (currentConfig().ratePerMinute || RATE_PER_MINUTE) / 60000;
+  const burst = currentConfig().burst || BURST;
+  const now = Date.now();
+  const bucket = buckets.get(key) || { tokens: burst, updatedAt: now, blockedUntil: 0 };
+  bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * ratePerMs);
+  bucket.updatedAt = now;
+  bucket.tokens -= 1;
+  buckets.set(key, bucket);
+  const wait = Math.max(bucket.tokens < 0 ? -bucket.tokens / ratePerMs : 0, bucket.blockedUntil - now);
+  return wait > 0 ? sleep(wait) : Promise.resolve();
+}
+
+/**
+ * Hold back a bucket until Squarespace says we may go again.
+ */
+function blockBucket(key, ms) {
+  const bucket = buckets.get(key);
+  if (bucket) bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + ms);
+}
+
+/**
+ * Milliseconds a Retry-After header asks for (seconds or an HTTP date), or null.
+ */
+function retryAfterMs(header) {
+  if (header == null || header === '') return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function retryDelay(attempt) {
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+}
+
+/* ========= Requests ========= */
+
+// Required when first used: oauthTokens makes its token grants through this client
+const accessTokens = () => require('./oauthTokens');
+
+async function authorization(siteId, auth) {
+  if (auth === 'apiKey') {
+    const apiKey = siteEnv(siteId, 'API_KEY');
+    if (!apiKey) throw new Error(`No Squarespace API key configured for site ${siteId}.`);
+    return `Bearer ${apiKey}`;
+  }
+  if (auth === 'oauth') return `Bearer ${await accessTokens().getAccessToken(siteId)}`;
+  if (auth === 'client') {
+    return `Basic ${Buffer.from(`${siteEnv(siteId, 'CLIENT_ID')}:${siteEnv(siteId, 'CLIENT_SECRET')}`).toString('base64')}`;
+  }
+  throw new Error(`Unknown Squarespace auth "${auth}"`);
+}
+
+/**
+ * Make a request for a site and return the response body.
+ *   path     e.g. "/1.0/commerce/orders" (on the login host if `login` is set)
+ *   auth     "apiKey", "oauth" or "client" (see above)
+ *   params   query string; data  JSON body
+ *   retrySafe  retry network errors and 5xx responses too (default for GET
+ *            and DELETE); 429s are always retried, as they weren't processed
+ */
+async function request(siteId, { method = 'get', path, auth = 'apiKey', params, data, login = false, retrySafe }) {
+  const { apiUrl, loginUrl } = currentConfig();
+  const bucketKey = `${siteId}:${auth}`;
+  const canRetry = retrySafe != null ? retrySafe : ['get', 'delete'].includes(method);
+  let refreshedToken = false;
+  for (let attempt = 1; ; attempt++) {
+    await takeToken(bucketKey);
+    const token = await authorization(siteId, auth);
+    try {
+      const response = await axios({
+        method,
+        url: `${login ? loginUrl : apiUrl}${path}`,
+        params,
+        data,
+        timeout: TIMEOUT_MS,
+        headers: {
+          'Authorization': token,
+          'User-Agent': process.env.USER_AGENT,
+          ...(data !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        },
+      });
+      return response.data;
+    } catch (err) {
+      const error = toApiError(err, method, path);
+      if (error.status === 401 && auth === 'oauth' && !refreshedToken) {
+        // Refresh unless another request already has, then try again (not counted as an attempt)
+        console.log(`${method.toUpperCase()} ${path} was unauthorized for site ${siteId}; refreshing the access token and retrying.`);
+        if (token === await authorization(siteId, auth)) await accessTokens().refreshTokens(siteId);
+        refreshedToken = true;
+        attempt--;
+        continue;
+      }
+      const retryable = error.status === 429 || (canRetry && error.retryable);
+      if (!retryable || attempt >= MAX_ATTEMPTS) throw error;
+      const retryAfter = error.status === 429 && err.response ? retryAfterMs(err.response.headers['retry-after']) : null;
+      const delay = retryAfter != null ? retryAfter : retryDelay(attempt);
+      if (error.status === 429) blockBucket(bucketKey, delay);
+      console.error(`${error.message} (attempt ${attempt}/${MAX_ATTEMPTS}); retrying in ${delay} ms.`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Every page of a paginated list, following pagination.nextPageCursor. The
+ * filters only go on the first request; later pages use the cursor alone.
+ * Yields { items, nextPageCursor } (see Page); `itemsKey` names the list in
+ * the response ("result" for most endpoints, "documents" for transactions).
+ */
+async function* pages(siteId, { path, auth = 'apiKey', params = {}, itemsKey = 'result' }) {
+  let query = params;
+  for (;;) {
+    const body = await request(siteId, { path, auth, params: query });
+    const pagination = body.pagination || {};
+    const nextPageCursor = pagination.hasNextPage && pagination.nextPageCursor ? pagination.nextPageCursor : null;
+    yield { items: body[itemsKey] || [], nextPageCursor };
+    if (!nextPageCursor) return;
+    query = { cursor: nextPageCursor };
+  }
+}
+
+/**
+ * Every item of a paginated list, one at a time (see pages).
+ */
+async function* items(siteId, options) {
+  for await (const page of pages(siteId, options)) yield* page.items;
+}
+
+/**
+ * Collect an async iterable (e.g. iterateOrders) into an array.
+ */
+async function collect(iterable) {
+  const all = [];
+  for await (const item of iterable) all.push(item);
+  return all;
+}
+
+/* ========= Orders, transactions and profiles (API key) ========= */
+
+/**
+ * One order. Throws a SquarespaceApiError with code "not_found" if there's no such order.
+ * @returns {Promise<Order>}
+ */
+function getOrder(orderId, siteId = DEFAULT_SITE_ID) {
+  return request(siteId, { path: `/1.0/commerce/orders/${encodeURIComponent(orderId)}` });
+}
+
+/**
+ * A site's orders, e.g. { modifiedAfter, modifiedBefore } or { fulfillmentStatus }.
+ * @returns {AsyncGenerator<Order>}
+ */
+function iterateOrders(filters = {}, siteId = DEFAULT_SITE_ID) {
+  return items(siteId, { path: '/1.0/commerce/orders', params: filters });
+}
+
+/**
+ * A site's transaction documents, e.g. { modifiedAfter, modifiedBefore }.
+ */
+function iterateTransactions(filters = {}, siteId = DEFAULT_SITE_ID) {
+  return items(siteId, { path: '/1.0/commerce/transactions', params: filters, itemsKey: 'documents' });
+}
+
+/**
+ * A site's customer profiles, e.g. { filter: 'email,someone@example.com' }.
+ */
+function iterateProfiles(filters = {}, siteId = DEFAULT_SITE_ID) {
+  return items(siteId, { path: '/1.0/profiles', params: filters });
+}
+
+/**
+ * Profiles by id (at most 50).
+ */
+async function getProfiles(profileIds, siteId = DEFAULT_SITE_ID) {
+  const body = await request(siteId, { path: `/1.0/profiles/${profileIds.map(encodeURIComponent).join(',')}` });
+  return body.profiles || [];
+}
+
+/* ========= Webhook subscriptions (OAuth) ========= */
+
+const WEBHOOKS_PATH = '/1.0/webhook_subscriptions';
+
+/**
+ * @returns {Promise<WebhookSubscription[]>}
+ */
+async function listWebhookSubscriptions(siteId = DEFAULT_SITE_ID) {
+  const body = await request(siteId, { path: WEBHOOKS_PATH, auth: 'oauth' });
+  return body.webhookSubscriptions || body.result || [];
+}
+
+/**
+ * Subscribe an endpoint to topics. The response is the only time the
+ * subscription's secret is returned.
+ * @returns {Promise<WebhookSubscription>}
+ */
+function createWebhookSubscription({ endpointUrl, topics }, siteId = DEFAULT_SITE_ID) {
+  return request(siteId, { method: 'post', path: WEBHOOKS_PATH, auth: 'oauth', data: { endpointUrl, topics } });
+}
+
+/**
+ * Change a subscription's endpoint and topics (both are sent).
+ * @returns {Promise<WebhookSubscription>}
+ */
+function updateWebhookSubscription(subscriptionId, { endpointUrl, topics }, siteId = DEFAULT_SITE_ID) {
+  return request(siteId, {
+    method: 'post', path: `${WEBHOOKS_PATH}/${encodeURIComponent(subscriptionId)}`, auth: 'oauth', data: { endpointUrl, topics },
+  });
+}
+
+async function deleteWebhookSubscription(subscriptionId, siteId = DEFAULT_SITE_ID) {
+  await request(siteId, { method: 'delete', path: `${WEBHOOKS_PATH}/${encodeURIComponent(subscriptionId)}`, auth: 'oauth' });
+}
+
+/**
+ * Replace a subscription's secret; returns the new one.
+ */
+async function rotateWebhookSecret(subscriptionId, siteId = DEFAULT_SITE_ID) {
+  const body = await request(siteId, {
+    method: 'post', path: `${WEBHOOKS_PATH}/${encodeURIComponent(subscriptionId)}/actions/rotateSecret`, auth: 'oauth', data: {},
+  });
+  return body.secret;
+}
+
+/**
+ * Have Squarespace send a test notification for a topic; returns the status
+ * code our endpoint answered with.
+ */
+async function sendWebhookTestNotification(subscriptionId, topic, siteId = DEFAULT_SITE_ID) {
+  const body = await request(siteId, {
+    method: 'post', path: `${WEBHOOKS_PATH}/${encodeURIComponent(subscriptionId)}/actions/sendTestNotification`, auth: 'oauth', data: { topic },
+  });
+  return body.statusCode;
+}
+
+/* ========= OAuth ========= */
+
+const OAUTH_SCOPES = ['website.orders', 'website.inventory'];
+
+/**
+ * Where to send an admin to connect a site (the authorization step).
+ */
+function authorizeUrl(siteId, state) {
+  const query = new URLSearchParams({
+    client_id: siteEnv(siteId, 'CLIENT_ID'),
+    response_type: 'code',
+    redirect_uri: process.env.REDIRECT_URI,
+    scope: OAUTH_SCOPES.join(','),
+    state,
+  });
+  return `${currentConfig().loginUrl}/api/1/login/oauth/provider/authorize?${query}`;
+}
+
+/**
+ * Token grant with the site's client credentials: an authorization code
+ * ({ grant_type: 'authorization_code', code, redirect_uri }) or a refresh
+ * ({ grant_type: 'refresh_token', refresh_token }). Returns the token response.
+ * Not retried on 5xx: a refresh token may be used up by a request that failed late.
+ */
+function requestTokens(grant, siteId = DEFAULT_SITE_ID) {
+  return request(siteId, {
+    method: 'post', path: '/api/1/login/oauth/provider/tokens', auth: 'client', login: true, data: grant,
+  });
+}
+
+module.exports = {
+  SquarespaceApiError,
+  configureSquarespaceApi,
+  request,
+  pages,
+  items,
+  collect,
+  getOrder,
+  iterateOrders,
+  iterateTransactions,
+  iterateProfiles,
+  getProfiles,
+  listWebhookSubscriptions,
+  createWebhookSubscription,
+  updateWebhookSubscription,
+  deleteWebhookSubscription,
+  rotateWebhookSecret,
+  sendWebhookTestNotification,
+  authorizeUrl,
+  requestTokens,
+};
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const express = require('express');
+const bodyParser = require('body-parser');
+const axios = require('axios');
+
+/**
+ * Local stand-in for the Squarespace APIs, for trying out the API client
+ * (squarespaceApi.js) without touching a real site. Serves orders,
+ * transactions and profiles with cursor pagination, webhook subscriptions
+ * (with secrets and signed test notifications) and the OAuth token endpoint,
+ * from memory. Any bearer token is accepted.
+ *
+ *   node squarespaceStandIn.js [--port 4050] [--orders 120] [--page-size 50] [--deliver-to http://127.0.0.1:3050/webhook/squarespace]
+ *
+ * Then point SQUARESPACE_API_URL and SQUARESPACE_LOGIN_URL at it. Test
+ * notifications go to --deliver-to instead of the subscription's endpoint if
+ * given. failNext(status, { retryAfter, times }) makes the next API requests
+ * fail, for trying out retries and rate limiting. Not for production use.
+ */
+function startSquarespaceStandIn({
+  port = 4050,
+  host = '127.0.0.1',
+  orders = [],
+  transactions = [],
+  profiles = [],
+  pageSize = 50,
+  deliverTo = null,
+} = {}) {
+  const subscriptions = new Map();
+  const failures = [];
+  const app = express();
+  app.use(bodyParser.json());
+
+  app.use((req, res, next) => {
+    app.locals.requests = (app.locals.requests || 0) + 1;
+    if (!/^(Bearer|Basic) \S+/.test(req.get('authorization') || '')) {
+      return res.status(401).json({ type: 'AUTHORIZATION_ERROR', message: 'Missing credentials' });
+    }
+    const failure = failures[0];
+    if (!failure) return next();
+    if (--failure.times <= 0) failures.shift();
+    if (failure.retryAfter != null) res.set('Retry-After', String(failure.retryAfter));
+    res.status(failure.status).json({ type: failure.status === 429 ? 'RATE_LIMITED' : 'ERROR', message: `Stand-in ${failure.status}` });
+  });
+
+  // One page of a list, by the same cursor scheme for every endpoint. The
+  // cursor carries the first request's filters, as later requests only send it.
+  const page = (req, list, key = 'result') => {
+    const { start, modifiedAfter, modifiedBefore } = req.query.cursor
+      ? JSON.parse(Buffer.from(req.query.cursor, 'base64').toString())
+      : { start: 0, modifiedAfter: req.query.modifiedAfter, modifiedBefore: req.query.modifiedBefore };
+    const filtered = list.filter(item =>
+      (!modifiedAfter || item.modifiedOn > modifiedAfter) &&
+      (!modifiedBefore || item.modifiedOn <= modifiedBefore));
+    const end = start + pageSize;
+    const hasNextPage = end < filtered.length;
+    const nextPageCursor = hasNextPage
+      ? Buffer.from(JSON.stringify({ start: end, modifiedAfter, modifiedBefore })).toString('base64')
+      : null;
+    return { [key]: filtered.slice(start, end), pagination: { hasNextPage, nextPageCursor } };
+  };
+  const notFound = (res, what) => res.status(404).json({ type: 'NOT_FOUND', message: `${what} not found` });
+
+  app.get('/1.0/commerce/orders', (req, res) => res.json(page(req, orders)));
+  app.get('/1.0/commerce/orders/:id', (req, res) => {
+    const order = orders.find(o => o.id === req.params.id);
+    if (!order) return notFound(res, 'Order');
+    res.json(order);
+  });
+  app.get('/1.0/commerce/transactions', (req, res) => res.json(page(req, transactions, 'documents')));
+  app.get('/1.0/profiles', (req, res) => res.json(page(req, profiles)));
+  app.get('/1.0/profiles/:ids', (req, res) => {
+    const ids = req.params.ids.split(',');
+    res.json({ profiles: profiles.filter(p => ids.includes(p.id)) });
+  });
+
+  app.get('/1.0/webhook_subscriptions', (req, res) => {
+    res.json({ webhookSubscriptions: [...subscriptions.values()].map(({ secret, ...sub }) => sub) });
+  });
+  app.post('/1.0/webhook_subscriptions', (req, res) => {
+    const sub = {
+      id: crypto.randomUUID(),
+      endpointUrl: req.body.endpointUrl,
+      topics: req.body.topics || [],
+      secret: crypto.randomBytes(32).toString('hex'),
+      createdOn: new Date().toISOString(),
+    };
+    subscriptions.set(sub.id, sub);
+    res.json(sub);
+  });
+  app.post('/1.0/webhook_subscriptions/:id', (req, res) => {
+    const sub = subscriptions.get(req.params.id);
+    if (!sub) return notFound(res, 'Subscription');
+    Object.assign(sub, { endpointUrl: req.body.endpointUrl || sub.endpointUrl, topics: req.body.topics || sub.topics });
+    const { secret, ...rest } = sub;
+    res.json(rest);
+  });
+  app.delete('/1.0/webhook_subscriptions/:id', (req, res) => {
+    if (!subscriptions.delete(req.params.id)) return notFound(res, 'Subscription');
+    res.status(204).end();
+  });
+  app.post('/1.0/webhook_subscriptions/:id/actions/rotateSecret', (req, res) => {
+    const sub = subscriptions.get(req.params.id);
+    if (!sub) return notFound(res, 'Subscription');
+    sub.secret = crypto.randomBytes(32).toString('hex');
+    res.json({ secret: sub.secret });
+  });
+  app.post('/1.0/webhook_subscriptions/:id/actions/sendTestNotification', async (req, res) => {
+    const sub = subscriptions.get(req.params.id);
+    if (!sub) return notFound(res, 'Subscription');
+    const body = JSON.stringify({
+      id: crypto.randomUUID(),
+      websiteId: 'stand-in',
+      subscriptionId: sub.id,
+      topic: req.body.topic || sub.topics[0],
+      createdOn: new Date().toISOString(),
+      data: { orderId: 'test-order-id', update: 'FULFILLED' },
+    });
+    const signature = crypto.createHmac('sha256', Buffer.from(sub.secret, 'hex')).update(body).digest('hex');
+    try {
+      const response = await axios.post(deliverTo || sub.endpointUrl, body, {
+        headers: { 'Content-Type': 'application/json', 'Squarespace-Signature': signature },
+        validateStatus: () => true,
+      });
+      res.json({ statusCode: response.status });
+    } catch (err) {
+      res.json({ statusCode: 0 });
+    }
+  });
+
+  app.post('/api/1/login/oauth/provider/tokens', (req, res) => {
+    if (!['authorization_code', 'refresh_token'].includes(req.body.grant_type)) {
+      return res.status(400).json({ error: 'unsupported_grant_type' });
+    }
+    res.json({
+      access_token: crypto.randomBytes(16).toString('hex'),
+      refresh_token: crypto.randomBytes(16).toString('hex'),
+      expires_in: 1800,
+      token_type: 'bearer',
+    });
+  });
+
+  return new Promise(resolve => {
+    const server = app.listen(port, host, () => {
+      console.log(`Squarespace stand-in on http://${host}:${server.address().port} (${orders.length} orders)`);
+      server.url = `http://${host}:${server.address().port}`;
+      server.subscriptions = subscriptions;
+      server.requestCount = () => app.locals.requests || 0;
+      server.failNext = (status, { retryAfter = null, times = 1 } = {}) => failures.push({ status, retryAfter, times });
+      resolve(server);
+    });
+  });
+}
+
+/**
+ * Made-up subscription orders, oldest first, for the stand-in.
+ */
+function sampleOrders(count) {
+  const start = Date.parse('2026-01-01T00:00:00Z');
+  return Array.from({ length: count }, (_, i) => {
+    const createdOn = new Date(start + i * 3600 * 1000).toISOString();
+    return {
+      id: `order-${String(i + 1).padStart(5, '0')}`,
+      orderNumber: String(1000 + i),
+      createdOn,
+      modifiedOn: createdOn,
+      customerEmail: `customer${i + 1}@example.com`,
+      fulfillmentStatus: 'FULFILLED',
+      lineItems: [{ lineItemType: 'PAYWALL_PRODUCT', productId: 'stand-in-product', variantId: 'stand-in-monthly', sku: 'SQ-MONTHLY' }],
+      grandTotal: { value: '29.99', currency: 'USD' },
+    };
+  });
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const arg = (name, fallback) => {
+    const i = args.indexOf(`--${name}`);
+    return i >= 0 ? args[i + 1] : fallback;
+  };
+  startSquarespaceStandIn({
+    port: Number(arg('port', 4050)),
+    orders: sampleOrders(Number(arg('orders', 120))),
+    pageSize: Number(arg('page-size', 50)),
+    deliverTo: arg('deliver-to', null),
+  });
+}
+
+module.exports = { startSquarespaceStandIn, sampleOrders };
@@ -0,0 +1,1348 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { DEFAULT_SITE_ID } = require('./sites');
+
+// Path for the SQLite subscription database
+const dbFilePath = process.env.SUBSCRIPTIONS_DB_PATH || path.join(__dirname, 'subscriptions.db');
+
+/**
+ * Versioned schema migrations. Each runs once, in order, inside a transaction.
+ * Never edit a migration that has shipped; add a new one instead.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'members, dependents, orders and payments',
+    up: `
+      CREATE TABLE members (
+        id               INTEGER PRIMARY KEY AUTOINCREMENT,
+        email            TEXT NOT NULL UNIQUE,
+        title            TEXT NOT NULL DEFAULT '',
+        first_name       TEXT NOT NULL DEFAULT '',
+        middle_name      TEXT NOT NULL DEFAULT '',
+        last_name        TEXT NOT NULL DEFAULT '',
+        post_name        TEXT NOT NULL DEFAULT '',
+        unique_id        TEXT NOT NULL DEFAULT '',
+        sequence_num     TEXT NOT NULL DEFAULT '00',
+        address1         TEXT NOT NULL DEFAULT '',
+        address2         TEXT NOT NULL DEFAULT '',
+        city             TEXT NOT NULL DEFAULT '',
+        state            TEXT NOT NULL DEFAULT '',
+        zip              TEXT NOT NULL DEFAULT '',
+        plus4            TEXT NOT NULL DEFAULT '',
+        home_phone       TEXT NOT NULL DEFAULT '',
+        work_phone       TEXT NOT NULL DEFAULT '',
+        coverage         TEXT NOT NULL DEFAULT '',
+        group_code       TEXT NOT NULL DEFAULT '',
+        termination_date TEXT NOT NULL DEFAULT '',
+        effective_date   TEXT NOT NULL DEFAULT '',
+        date_of_birth    TEXT NOT NULL DEFAULT '',
+        relation         TEXT NOT NULL DEFAULT '',
+        student_status   TEXT NOT NULL DEFAULT '',
+        gender           TEXT NOT NULL DEFAULT '',
+        created_on       TEXT NOT NULL,
+        updated_on       TEXT NOT NULL
+      );
+
+      CREATE TABLE dependents (
+        id               INTEGER PRIMARY KEY AUTOINCREMENT,
+        member_id        INTEGER NOT NULL REFERENCES members(id) ON DELETE CASCADE,
+        sequence_num     TEXT NOT NULL,
+        first_name       TEXT NOT NULL DEFAULT '',
+        middle_name      TEXT NOT NULL DEFAULT '',
+        last_name        TEXT NOT NULL DEFAULT '',
+        date_of_birth    TEXT NOT NULL DEFAULT '',
+        relation         TEXT NOT NULL DEFAULT '',
+        student_status   TEXT NOT NULL DEFAULT '',
+        gender           TEXT NOT NULL DEFAULT '',
+        effective_date   TEXT NOT NULL DEFAULT '',
+        termination_date TEXT NOT NULL DEFAULT '',
+        UNIQUE (member_id, sequence_num)
+      );
+
+      CREATE TABLE orders (
+        id           TEXT PRIMARY KEY,
+        member_id    INTEGER NOT NULL REFERENCES members(id) ON DELETE CASCADE,
+        order_number TEXT NOT NULL DEFAULT '',
+        product_name TEXT NOT NULL DEFAULT '',
+        created_on   TEXT NOT NULL DEFAULT '',
+        fulfilled_on TEXT NOT NULL DEFAULT '',
+        raw          TEXT
+      );
+
+      CREATE TABLE payments (
+        id                INTEGER PRIMARY KEY AUTOINCREMENT,
+        member_id         INTEGER NOT NULL REFERENCES members(id) ON DELETE CASCADE,
+        order_id          TEXT NOT NULL UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+        payment_date      TEXT NOT NULL,
+        amount            TEXT NOT NULL,
+        subscription_plan TEXT NOT NULL,
+        next_due_date     TEXT NOT NULL
+      );
+
+      CREATE INDEX payments_member_idx ON payments (member_id, payment_date);
+    `,
+  },
+  {
+    version: 2,
+    description: 'stable member IDs and member identities',
+    up: database => {
+      // Rebuild members without the UNIQUE email constraint: one email may now hold
+      // several memberships, and a member keeps their ID when their email changes.
+      database.exec(`
+        CREATE TABLE members_new (
+          id               INTEGER PRIMARY KEY AUTOINCREMENT,
+          email            TEXT NOT NULL DEFAULT '',
+          title            TEXT NOT NULL DEFAULT '',
+          first_name       TEXT NOT NULL DEFAULT '',
+          middle_name      TEXT NOT NULL DEFAULT '',
+          last_name        TEXT NOT NULL DEFAULT '',
+          post_name        TEXT NOT NULL DEFAULT '',
+          unique_id        TEXT NOT NULL DEFAULT '',
+          sequence_num     TEXT NOT NULL DEFAULT '00',
+          address1         TEXT NOT NULL DEFAULT '',
+          address2         TEXT NOT NULL DEFAULT '',
+          city             TEXT NOT NULL DEFAULT '',
+          state            TEXT NOT NULL DEFAULT '',
+          zip              TEXT NOT NULL DEFAULT '',
+          plus4            TEXT NOT NULL DEFAULT '',
+          home_phone       TEXT NOT NULL DEFAULT '',
+          work_phone       TEXT NOT NULL DEFAULT '',
+          coverage         TEXT NOT NULL DEFAULT '',
+          group_code       TEXT NOT NULL DEFAULT '',
+          termination_date TEXT NOT NULL DEFAULT '',
+          effective_date   TEXT NOT NULL DEFAULT '',
+          date_of_birth    TEXT NOT NULL DEFAULT '',
+          relation         TEXT NOT NULL DEFAULT '',
+          student_status   TEXT NOT NULL DEFAULT '',
+          gender           TEXT NOT NULL DEFAULT '',
+          created_on       TEXT NOT NULL,
+          updated_on       TEXT NOT NULL
+        );
+        INSERT INTO members_new SELECT * FROM members;
+        DROP TABLE members;
+        ALTER TABLE members_new RENAME TO members;
+
+        CREATE TABLE member_identities (
+          member_id INTEGER NOT NULL REFERENCES members(id) ON DELETE CASCADE,
+          kind      TEXT NOT NULL CHECK (kind IN ('customerId', 'email')),
+          value     TEXT NOT NULL,
+          PRIMARY KEY (kind, value)
+        );
+        INSERT INTO member_identities (member_id, kind, value)
+          SELECT id, 'email', lower(email) FROM members WHERE email != '';
+
+        CREATE TABLE member_merges (
+          id             INTEGER PRIMARY KEY AUTOINCREMENT,
+          action         TEXT NOT NULL CHECK (action IN ('merge', 'split')),
+          from_unique_id TEXT NOT NULL,
+          into_unique_id TEXT NOT NULL,
+          details        TEXT,
+          created_on     TEXT NOT NULL
+        );
+      `);
+      // Existing members were keyed by order id; give each a proper member ID.
+      const assign = database.prepare('UPDATE members SET unique_id = ? WHERE id = ?');
+      for (const { id } of database.prepare('SELECT id FROM members').all()) {
+        assign.run(memberIdFor(id), id);
+      }
+      database.exec('CREATE UNIQUE INDEX members_unique_id_idx ON members (unique_id)');
+    },
+  },
+  {
+    version: 3,
+    description: 'eligibility file audit and last-sent snapshot',
+    up: `
+      CREATE TABLE eligibility_files (
+        id           INTEGER PRIMARY KEY AUTOINCREMENT,
+        file_name    TEXT NOT NULL,
+        kind         TEXT NOT NULL CHECK (kind IN ('FULL', 'DELTA')),
+        trigger      TEXT NOT NULL,
+        record_count INTEGER NOT NULL,
+        generated_on TEXT NOT NULL
+      );
+
+      CREATE TABLE eligibility_file_records (
+        file_id    INTEGER NOT NULL REFERENCES eligibility_files(id),
+        record_key TEXT NOT NULL,
+        action     TEXT NOT NULL CHECK (action IN ('add', 'change', 'terminate', 'unchanged')),
+        line       TEXT NOT NULL
+      );
+      CREATE INDEX eligibility_file_records_key_idx ON eligibility_file_records (record_key);
+
+      -- What Careington currently has, as of the last file we sent
+      CREATE TABLE eligibility_snapshot (
+        record_key TEXT PRIMARY KEY,
+        line       TEXT NOT NULL,
+        record     TEXT NOT NULL,
+        file_id    INTEGER NOT NULL REFERENCES eligibility_files(id),
+        sent_on    TEXT NOT NULL
+      );
+    `,
+  },
+  {
+    version: 4,
+    description: 'termination history and acknowledgements',
+    up: `
+      CREATE TABLE member_history (
+        id             INTEGER PRIMARY KEY AUTOINCREMENT,
+        member_id      INTEGER NOT NULL REFERENCES members(id) ON DELETE CASCADE,
+        event          TEXT NOT NULL CHECK (event IN ('terminated', 'reinstated')),
+        effective_date TEXT NOT NULL DEFAULT '',
+        reason         TEXT NOT NULL DEFAULT '',
+        source         TEXT NOT NULL DEFAULT '',
+        created_on     TEXT NOT NULL
+      );
+      CREATE INDEX member_history_member_idx ON member_history (member_id);
+
+      -- Terminations Careington has acknowledged, per eligibility record
+      CREATE TABLE termination_acks (
+        record_key       TEXT NOT NULL,
+        termination_date TEXT NOT NULL,
+        acknowledged_on  TEXT NOT NULL,
+        PRIMARY KEY (record_key, termination_date)
+      );
+    `,
+  },
+  {
+    version: 5,
+    description: 'member lifecycle status',
+    up: `
+      ALTER TABLE members ADD COLUMN lifecycle_status TEXT NOT NULL DEFAULT 'pending';
+      ALTER TABLE members ADD COLUMN lifecycle_changed_on TEXT NOT NULL DEFAULT '';
+      UPDATE members SET lifecycle_status = CASE
+        WHEN termination_date != '' THEN 'terminated'
+        WHEN EXISTS (SELECT 1 FROM payments p WHERE p.member_id = members.id) THEN 'active'
+        ELSE 'pending'
+      END;
+
+      CREATE TABLE lifecycle_transitions (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        member_id   INTEGER NOT NULL REFERENCES members(id) ON DELETE CASCADE,
+        from_status TEXT NOT NULL,
+        to_status   TEXT NOT NULL,
+        reason      TEXT NOT NULL DEFAULT '',
+        source      TEXT NOT NULL DEFAULT '',
+        created_on  TEXT NOT NULL
+      );
+      CREATE INDEX lifecycle_transitions_member_idx ON lifecycle_transitions (member_id);
+    `,
+  },
+  {
+    version: 6,
+    description: 'order review queue',
+    up: `
+      CREATE TABLE review_items (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id    TEXT NOT NULL,
+        reason      TEXT NOT NULL,
+        details     TEXT,
+        created_on  TEXT NOT NULL,
+        resolved_on TEXT,
+        resolution  TEXT
+      );
+      -- one open item per order and reason
+      CREATE UNIQUE INDEX review_items_open_idx ON review_items (order_id, reason) WHERE resolved_on IS NULL;
+    `,
+  },
+  {
+    version: 7,
+    description: 'payment ledger from Squarespace transactions',
+    up: `
+      -- provisional: from the order only; settled: confirmed by a transaction;
+      -- void/refunded: the transaction was voided or refunded in full
+      ALTER TABLE payments ADD COLUMN status TEXT NOT NULL DEFAULT 'provisional';
+
+      CREATE TABLE transactions (
+        id          TEXT PRIMARY KEY,
+        member_id   INTEGER NOT NULL REFERENCES members(id) ON DELETE CASCADE,
+        order_id    TEXT NOT NULL DEFAULT '',
+        created_on  TEXT NOT NULL,
+        modified_on TEXT NOT NULL,
+        voided      INTEGER NOT NULL DEFAULT 0,
+        total       TEXT NOT NULL,
+        net_payment TEXT NOT NULL,
+        currency    TEXT NOT NULL,
+        raw         TEXT
+      );
+      CREATE INDEX transactions_member_idx ON transactions (member_id);
+
+      CREATE TABLE ledger_entries (
+        id             TEXT PRIMARY KEY,
+        transaction_id TEXT NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+        kind           TEXT NOT NULL CHECK (kind IN ('payment', 'refund', 'fee', 'fee_refund')),
+        amount         TEXT NOT NULL,
+        currency       TEXT NOT NULL,
+        occurred_on    TEXT NOT NULL,
+        reference      TEXT NOT NULL DEFAULT ''
+      );
+      CREATE INDEX ledger_entries_transaction_idx ON ledger_entries (transaction_id);
+
+      CREATE TABLE sync_state (
+        key   TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+    `,
+  },
+  {
+    version: 8,
+    description: 'refund and void adjustments',
+    up: `
+      CREATE TABLE payment_adjustments (
+        id             INTEGER PRIMARY KEY AUTOINCREMENT,
+        member_id      INTEGER NOT NULL REFERENCES members(id) ON DELETE CASCADE,
+        transaction_id TEXT NOT NULL,
+        reference      TEXT NOT NULL, -- the refund id, or 'void'
+        kind           TEXT NOT NULL CHECK (kind IN ('full_refund', 'partial_refund', 'void')),
+        amount         TEXT NOT NULL DEFAULT '',
+        action         TEXT NOT NULL DEFAULT '',
+        created_on     TEXT NOT NULL,
+        UNIQUE (transaction_id, reference)
+      );
+      CREATE INDEX payment_adjustments_member_idx ON payment_adjustments (member_id);
+    `,
+  },
+  {
+    version: 9,
+    description: 'eligibility records held back by validation',
+    up: `
+      CREATE TABLE eligibility_held_records (
+        file_id    INTEGER NOT NULL REFERENCES eligibility_files(id),
+        record_key TEXT NOT NULL,
+        errors     TEXT NOT NULL,
+        record     TEXT NOT NULL
+      );
+      CREATE INDEX eligibility_held_records_file_idx ON eligibility_held_records (file_id);
+    `,
+  },
+  {
+    version: 10,
+    description: 'Careington response files',
+    up: `
+      -- Careington's verdict on each record as last sent: pending until a response file says otherwise
+      ALTER TABLE eligibility_snapshot ADD COLUMN careington_status TEXT NOT NULL DEFAULT 'pending';
+      ALTER TABLE eligibility_snapshot ADD COLUMN careington_reason TEXT NOT NULL DEFAULT '';
+      ALTER TABLE eligibility_snapshot ADD COLUMN careington_updated_on TEXT;
+
+      CREATE TABLE careington_response_files (
+        file_name    TEXT PRIMARY KEY,
+        processed_on TEXT NOT NULL,
+        accepted     INTEGER NOT NULL,
+        rejected     INTEGER NOT NULL,
+        pending      INTEGER NOT NULL,
+        unmatched    INTEGER NOT NULL
+      );
+
+      CREATE TABLE careington_responses (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        file_name   TEXT NOT NULL,
+        record_key  TEXT NOT NULL,
+        status      TEXT NOT NULL CHECK (status IN ('accepted', 'rejected', 'pending')),
+        reason      TEXT NOT NULL DEFAULT '',
+        received_on TEXT NOT NULL
+      );
+      CREATE INDEX careington_responses_key_idx ON careington_responses (record_key);
+    `,
+  },
+  {
+    version: 11,
+    description: 'eligibility files, snapshots and acknowledgements per vendor',
+    up: `
+      ALTER TABLE eligibility_files ADD COLUMN vendor TEXT NOT NULL DEFAULT 'careington';
+
+      -- What each vendor currently has, as of the last file we sent it
+      CREATE TABLE eligibility_snapshot_new (
+        vendor              TEXT NOT NULL,
+        record_key          TEXT NOT NULL,
+        line                TEXT NOT NULL,
+        record              TEXT NOT NULL,
+        file_id             INTEGER NOT NULL REFERENCES eligibility_files(id),
+        sent_on             TEXT NOT NULL,
+        response_status     TEXT NOT NULL DEFAULT 'pending',
+        response_reason     TEXT NOT NULL DEFAULT '',
+        response_updated_on TEXT,
+        PRIMARY KEY (vendor, record_key)
+      );
+      INSERT INTO eligibility_snapshot_new
+        SELECT 'careington', record_key, line, record, file_id, sent_on,
+               careington_status, careington_reason, careington_updated_on
+        FROM eligibility_snapshot;
+      DROP TABLE eligibility_snapshot;
+      ALTER TABLE eligibility_snapshot_new RENAME TO eligibility_snapshot;
+
+      CREATE TABLE termination_acks_new (
+        vendor           TEXT NOT NULL,
+        record_key       TEXT NOT NULL,
+        termination_date TEXT NOT NULL,
+        acknowledged_on  TEXT NOT NULL,
+        PRIMARY KEY (vendor, record_key, termination_date)
+      );
+      INSERT INTO termination_acks_new
+        SELECT 'careington', record_key, termination_date, acknowledged_on FROM termination_acks;
+      DROP TABLE termination_acks;
+      ALTER TABLE termination_acks_new RENAME TO termination_acks;
+    `,
+  },
+  {
+    version: 12,
+    description: 'outbound file archive',
+    up: `
+      -- Every generated vendor file, kept under a unique path in the archive directory
+      CREATE TABLE outbound_files (
+        id           INTEGER PRIMARY KEY AUTOINCREMENT,
+        vendor       TEXT NOT NULL,
+        file_name    TEXT NOT NULL,              -- name the vendor receives
+        archive_path TEXT NOT NULL,              -- relative to the archive directory
+        sha256       TEXT NOT NULL,
+        size         INTEGER NOT NULL,
+        kind         TEXT NOT NULL,              -- FULL, DELTA or TEST
+        member_count INTEGER NOT NULL,
+        record_count INTEGER NOT NULL,
+        trigger      TEXT NOT NULL,
+        generated_on TEXT NOT NULL
+      );
+      CREATE INDEX outbound_files_vendor_idx ON outbound_files (vendor, id);
+
+      -- The records in each archived file, for record-level diffs
+      CREATE TABLE outbound_file_records (
+        archive_id INTEGER NOT NULL REFERENCES outbound_files(id),
+        record_key TEXT NOT NULL,
+        action     TEXT NOT NULL,
+        line       TEXT NOT NULL
+      );
+      CREATE INDEX outbound_file_records_archive_idx ON outbound_file_records (archive_id);
+
+      -- Each upload (or re-send) of an archived file and how it went
+      CREATE TABLE outbound_uploads (
+        id           INTEGER PRIMARY KEY AUTOINCREMENT,
+        archive_id   INTEGER NOT NULL REFERENCES outbound_files(id),
+        trigger      TEXT NOT NULL,
+        status       TEXT NOT NULL,              -- uploaded or failed
+        remote_path  TEXT,
+        error        TEXT,
+        attempted_on TEXT NOT NULL
+      );
+      CREATE INDEX outbound_uploads_archive_idx ON outbound_uploads (archive_id);
+
+      ALTER TABLE eligibility_files ADD COLUMN archive_id INTEGER REFERENCES outbound_files(id);
+    `,
+  },
+  {
+    version: 13,
+    description: 'sites (storefronts) own members, review items and eligibility files',
+    up: `
+      -- Everything so far came from the one site we had
+      ALTER TABLE members ADD COLUMN site_id TEXT NOT NULL DEFAULT 'default';
+      CREATE INDEX members_site_id_idx ON members (site_id, id);
+
+      -- The same customer on two sites is two members, so identities are per site
+      CREATE TABLE member_identities_new (
+        member_id INTEGER NOT NULL REFERENCES members(id) ON DELETE CASCADE,
+        site_id   TEXT NOT NULL,
+        kind      TEXT NOT NULL CHECK (kind IN ('customerId', 'email')),
+        value     TEXT NOT NULL,
+        PRIMARY KEY (site_id, kind, value)
+      );
+      INSERT INTO member_identities_new (member_id, site_id, kind, value)
+        SELECT member_id, 'default', kind, value FROM member_identities;
+      DROP TABLE member_identities;
+      ALTER TABLE member_identities_new RENAME TO member_identities;
+
+      ALTER TABLE review_items ADD COLUMN site_id TEXT NOT NULL DEFAULT 'default';
+
+      ALTER TABLE eligibility_files ADD COLUMN site_id TEXT NOT NULL DEFAULT 'default';
+      ALTER TABLE eligibility_snapshot ADD COLUMN site_id TEXT NOT NULL DEFAULT 'default';
+      CREATE INDEX eligibility_snapshot_site_id_idx ON eligibility_snapshot (site_id, vendor);
+      ALTER TABLE outbound_files ADD COLUMN site_id TEXT NOT NULL DEFAULT 'default';
+      CREATE INDEX outbound_files_site_id_idx ON outbound_files (site_id, vendor, id);
+
+      -- Each site's ledger syncs on its own
+      UPDATE sync_state SET key = 'transactions.syncedThrough:default' WHERE key = 'transactions.syncedThrough';
+    `,
+  },
+  {
+    version: 14,
+    description: 'Careington response files per site',
+    up: `
+      -- Each site polls its own server, so two sites can have files with the same name
+      CREATE TABLE careington_response_files_new (
+        site_id      TEXT NOT NULL,
+        file_name    TEXT NOT NULL,
+        processed_on TEXT NOT NULL,
+        accepted     INTEGER NOT NULL,
+        rejected     INTEGER NOT NULL,
+        pending      INTEGER NOT NULL,
+        unmatched    INTEGER NOT NULL,
+        PRIMARY KEY (site_id, file_name)
+      );
+      INSERT INTO careington_response_files_new (site_id, file_name, processed_on, accepted, rejected, pending, unmatched)
+        SELECT 'default', file_name, processed_on, accepted, rejected, pending, unmatched FROM careington_response_files;
+      DROP TABLE careington_response_files;
+      ALTER TABLE careington_response_files_new RENAME TO careington_response_files;
+    `,
+  },
+];
+
+// Careington's Unique ID field is 12 characters: a short prefix plus a zero-padded sequence.
+const MEMBER_ID_PREFIX = process.env.MEMBER_ID_PREFIX || 'PF';
+const MEMBER_ID_LENGTH = 12;
+
+/**
+ * The persistent member ID for a members row id, e.g. PF0000000042.
+ */
+function memberIdFor(rowId) {
+  return MEMBER_ID_PREFIX + String(rowId).padStart(MEMBER_ID_LENGTH - MEMBER_ID_PREFIX.length, '0');
+}
+
+// Member record fields (as used by buildMemberLine) and their column names
+const MEMBER_COLUMNS = {
+  email: 'email',
+  title: 'title',
+  firstName: 'first_name',
+  middleName: 'middle_name',
+  lastName: 'last_name',
+  postName: 'post_name',
+  uniqueId: 'unique_id',
+  sequenceNum: 'sequence_num',
+  address1: 'address1',
+  address2: 'address2',
+  city: 'city',
+  state: 'state',
+  zip: 'zip',
+  plus4: 'plus4',
+  homePhone: 'home_phone',
+  workPhone: 'work_phone',
+  coverage: 'coverage',
+  groupCode: 'group_code',
+  terminationDate: 'termination_date',
+  effectiveDate: 'effective_date',
+  dateOfBirth: 'date_of_birth',
+  relation: 'relation',
+  studentStatus: 'student_status',
+  gender: 'gender',
+};
+
+let db = null;
+
+/**
+ * Open the database (once), enabling WAL and foreign keys, and run pending migrations.
+ */
+function getDb() {
+  if (db) return db;
+  db = new Database(dbFilePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+  return db;
+}
+
+/**
+ * Apply every migration newer than the recorded schema version.
+ */
+function migrate(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version    INTEGER PRIMARY KEY,
+      applied_on TEXT NOT NULL
+    )
+  `);
+  const current = database.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version || 0;
+  // Table rebuilds must not cascade deletes, so foreign keys are off while migrating
+  // and checked once everything has been applied.
+  database.pragma('foreign_keys = OFF');
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= current) continue;
+    database.transaction(() => {
+      if (typeof migration.up === 'function') {
+        migration.up(database);
+      } else {
+        database.exec(migration.up);
+      }
+      database
+        .prepare('INSERT INTO schema_migrations (version, applied_on) VALUES (?, ?)')
+        .run(migration.version, new Date().toISOString());
+    })();
+    console.log(`Applied schema migration ${migration.version}: ${migration.description}`);
+  }
+  database.pragma('foreign_keys = ON');
+  const violations = database.pragma('foreign_key_check');
+  if (violations.length) {
+    throw new Error(`Foreign key violations after migration: ${JSON.stringify(violations)}`);
+  }
+}
+
+/**
+ * Turn a members row (joined with its latest payment) into a member record.
+ */
+function rowToMember(row) {
+  const member = { filler: '', filler2: '' };
+  for (const [field, column] of Object.entries(MEMBER_COLUMNS)) {
+    member[field] = row[column];
+  }
+  member.lastPaymentDate = row.payment_date || '';
+  member.paymentAmount = row.amount || '';
+  member.subscriptionPlan = row.subscription_plan || '';
+  member.nextDueDate = row.next_due_date || '';
+  member.orderId = row.order_id || '';
+  member.productName = row.product_name || '';
+  member.paymentStatus = row.payment_status || '';
+  member.lifecycleStatus = row.lifecycle_status;
+  member.lifecycleChangedOn = row.lifecycle_changed_on;
+  member.siteId = row.site_id;
+  return member;
+}
+
+const MEMBER_SELECT = `
+  SELECT m.*, p.payment_date, p.amount, p.subscription_plan, p.next_due_date, p.order_id, p.status AS payment_status,
+         o.product_name
+  FROM members m
+  LEFT JOIN payments p ON p.id = (
+    SELECT id FROM payments
+    WHERE member_id = m.id AND status NOT IN ('void', 'refunded')
+    ORDER BY payment_date DESC, id DESC LIMIT 1
+  )
+  LEFT JOIN orders o ON o.id = p.order_id
+`;
+
+function rowToDependent(row) {
+  return {
+    sequenceNum: row.sequence_num,
+    firstName: row.first_name,
+    middleName: row.middle_name,
+    lastName: row.last_name,
+    dateOfBirth: row.date_of_birth,
+    relation: row.relation,
+    studentStatus: row.student_status,
+    gender: row.gender,
+    effectiveDate: row.effective_date,
+    terminationDate: row.termination_date,
+  };
+}
+
+/**
+ * Dependents grouped by member row id, optionally for a single member.
+ */
+function dependentsByMember(memberRowId = null) {
+  const rows = memberRowId
+    ? getDb().prepare('SELECT * FROM dependents WHERE member_id = ? ORDER BY sequence_num').all(memberRowId)
+    : getDb().prepare('SELECT * FROM dependents ORDER BY member_id, sequence_num').all();
+  const grouped = new Map();
+  for (const row of rows) {
+    if (!grouped.has(row.member_id)) grouped.set(row.member_id, []);
+    grouped.get(row.member_id).push(rowToDependent(row));
+  }
+  return grouped;
+}
+
+/**
+ * All stored members (of every site, or of one) with their latest payment
+ * details and dependents.
+ */
+function listMembers(siteId = null) {
+  const dependents = dependentsByMember();
+  return getDb().prepare(`${MEMBER_SELECT} ${siteId ? 'WHERE m.site_id = ?' : ''} ORDER BY m.id`)
+    .all(...(siteId ? [siteId] : []))
+    .map(row => ({ ...rowToMember(row), dependents: dependents.get(row.id) || [] }));
+}
+
+/**
+ * One page of members matching the filters, newest first, with the total count.
+ *   q       text matched against member ID, name, email and phone
+ *   plan    subscription plan of the latest payment
+ *   state   address state code
+ *   status  lifecycle status
+ *   site    site id
+ */
+function searchMembers({ q = '', plan = '', state = '', status = '', site = '', limit = 50, offset = 0 } = {}) {
+  const where = [];
+  const params = [];
+  if (q) {
+    where.push(`(m.unique_id LIKE ? OR m.email LIKE ? OR m.first_name || ' ' || m.last_name LIKE ?
+                 OR m.home_phone LIKE ? OR m.work_phone LIKE ?)`);
+    params.push(...Array(5).fill(`%${q}%`));
+  }
+  if (plan) { where.push('p.subscription_plan = ?'); params.push(plan); }
+  if (state) { where.push('m.state = ?'); params.push(state); }
+  if (status) { where.push('m.lifecycle_status = ?'); params.push(status); }
+  if (site) { where.push('m.site_id = ?'); params.push(site); }
+  const filtered = `${MEMBER_SELECT} ${where.length ? `WHERE ${where.join(' AND ')}` : ''}`;
+
+  const { total } = getDb().prepare(`SELECT COUNT(*) AS total FROM (${filtered})`).get(...params);
+  const rows = getDb().prepare(`${filtered} ORDER BY m.id DESC LIMIT ? OFFSET ?`).all(...params, limit, offset);
+  const dependents = dependentsByMember();
+  return {
+    total,
+    members: rows.map(row => ({ ...rowToMember(row), dependents: dependents.get(row.id) || [] })),
+  };
+}
+
+/**
+ * A single member by member ID (Careington Unique ID), or null.
+ */
+function getMember(uniqueId) {
+  const row = getDb().prepare(`${MEMBER_SELECT} WHERE m.unique_id = ?`).get(uniqueId);
+  if (!row) return null;
+  return {
+    ...rowToMember(row),
+    dependents: dependentsByMember(row.id).get(row.id) || [],
+    ledger: ledgerFor(row.id),
+  };
+}
+
+function dependentKey(dep) {
+  return [dep.firstName, dep.lastName, dep.dateOfBirth].map(v => (v || '').trim().toLowerCase()).join('|');
+}
+
+/**
+ * Bring a member's dependents in line with the latest order. Dependents are
+ * matched on name and date of birth; matches keep their sequence number (and
+ * are reinstated if they had been terminated), new ones get the next unused
+ * number (01+), and ones no longer listed are terminated as of `terminationDate`.
+ */
+function syncDependents(memberRowId, dependents, effectiveDate, terminationDate) {
+  const database = getDb();
+  const existing = database.prepare('SELECT * FROM dependents WHERE member_id = ?').all(memberRowId);
+  const existingByKey = new Map(existing.map(row => [dependentKey(rowToDependent(row)), row]));
+  let nextSeq = existing.reduce((max, row) => Math.max(max, Number(row.sequence_num)), 0) + 1;
+
+  const update = database.prepare(`
+    UPDATE dependents SET middle_name = ?, relation = ?, student_status = ?, gender = ?, termination_date = ''
+    WHERE id = ?
+  `);
+  const insert = database.prepare(`
+    INSERT INTO dependents (member_id, sequence_num, first_name, middle_name, last_name, date_of_birth,
+                            relation, student_status, gender, effective_date)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const keep = new Set();
+  for (const dep of dependents) {
+    const key = dependentKey(dep);
+    const row = existingByKey.get(key);
+    if (row) {
+      update.run(dep.middleName || '', dep.relation || '', dep.studentStatus || '', dep.gender || '', row.id);
+      keep.add(row.id);
+    } else {
+      insert.run(
+        memberRowId, String(nextSeq++).padStart(2, '0'), dep.firstName, dep.middleName || '', dep.lastName || '',
+        dep.dateOfBirth || '', dep.relation || '', dep.studentStatus || '', dep.gender || '', effectiveDate || ''
+      );
+      console.log(`Added dependent ${dep.firstName} ${dep.lastName}`);
+    }
+  }
+  const terminate = database.prepare('UPDATE dependents SET termination_date = ? WHERE id = ?');
+  existing.filter(row => !keep.has(row.id) && !row.termination_date).forEach(row => {
+    terminate.run(terminationDate, row.id);
+    console.log(`Terminated dependent ${row.first_name} ${row.last_name} (${row.sequence_num}) as of ${terminationDate}`);
+  });
+}
+
+/**
+ * Add an entry to a member's termination/reinstatement history.
+ */
+function addHistory(memberRowId, event, { effectiveDate = '', reason = '', source = '' } = {}) {
+  getDb().prepare(`
+    INSERT INTO member_history (member_id, event, effective_date, reason, source, created_on)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(memberRowId, event, effectiveDate, reason, source, new Date().toISOString());
+}
+
+/**
+ * Internal row id for a member ID, or undefined.
+ */
+function rowIdFor(uniqueId) {
+  const row = getDb().prepare('SELECT id FROM members WHERE unique_id = ?').get(uniqueId);
+  return row && row.id;
+}
+
+/**
+ * Find the member of a site an order belongs to. In order of preference: the
+ * member the order is already linked to, the Squarespace customer id, then the
+ * email. The email only links an order with a customer id to a member without
+ * one of their own, so one email can hold memberships of two customers. Members
+ * of other sites never match. Returns the row id or undefined.
+ */
+function findMemberRowForOrder({ siteId, orderId, customerId, email }) {
+  const database = getDb();
+  const byOrder = orderId && database.prepare(`
+    SELECT o.member_id FROM orders o JOIN members m ON m.id = o.member_id WHERE o.id = ? AND m.site_id = ?
+  `).get(orderId, siteId);
+  if (byOrder) return byOrder.member_id;
+  const byIdentity = database.prepare('SELECT member_id FROM member_identities WHERE site_id = ? AND kind = ? AND value = ?');
+  const byCustomer = customerId && byIdentity.get(siteId, 'customerId', customerId);
+  if (byCustomer) return byCustomer.member_id;
+  const byEmail = email && byIdentity.get(siteId, 'email', email.toLowerCase());
+  if (!byEmail) return undefined;
+  const otherCustomer = customerId && database
+    .prepare("SELECT 1 FROM member_identities WHERE member_id = ? AND kind = 'customerId'").get(byEmail.member_id);
+  return otherCustomer ? undefined : byEmail.member_id;
+}
+
+/**
+ * Member ID of the site's member a Squarespace order belongs to, or null.
+ */
+function findMemberForOrder(orderDetails, siteId = DEFAULT_SITE_ID) {
+  const rowId = findMemberRowForOrder({
+    siteId,
+    orderId: orderDetails.id,
+    customerId: orderDetails.customerId,
+    email: orderDetails.customerEmail,
+  });
+  if (!rowId) return null;
+  return getDb().prepare('SELECT unique_id FROM members WHERE id = ?').get(rowId).unique_id;
+}
+
+/**
+ * When the newest order applied to a member was placed (Squarespace's
+ * createdOn), or '' if none was.
+ */
+function latestOrderCreatedOn(uniqueId) {
+  const row = getDb().prepare(`
+    SELECT MAX(o.created_on) AS created_on FROM orders o JOIN members m ON m.id = o.member_id WHERE m.unique_id = ?
+  `).get(uniqueId);
+  return (row && row.created_on) || '';
+}
+
+/**
+ * Remember the customer id and email a member was seen with, so later orders
+ * link to them. Identities already claimed by another member are left alone.
+ */
+function linkIdentities(rowId, { customerId, email }) {
+  const link = getDb().prepare(`
+    INSERT OR IGNORE INTO member_identities (member_id, site_id, kind, value)
+    SELECT id, site_id, ?, ? FROM members WHERE id = ?
+  `);
+  if (customerId) link.run('customerId', customerId, rowId);
+  if (email) link.run('email', email.toLowerCase(), rowId);
+}
+
+/**
+ * Insert or update a member, together with the order and payment it came from,
+ * in a single transaction.
+ * `record` has the member fields plus customerId, lastPaymentDate, paymentAmount,
+ * subscriptionPlan, nextDueDate, orderId and productName, and optionally a
+ * `dependents` array to sync (leave it out to keep the current ones) with
+ * `dependentTerminationDate` for dependents that were dropped and
+ * `dependentEffectiveDate` for ones that were added (default: effectiveDate). If record.uniqueId is
+ * empty the member is looked up by order, customer id and email among the
+ * members of record.siteId (default: the default site), and a new member of
+ * that site is created when none matches; an existing member keeps their site.
+ * Saving a terminated member without a termination date reinstates them.
+ * Returns the member ID.
+ */
+function saveMember(record, orderDetails = null) {
+  const database = getDb();
+  const now = new Date().toISOString();
+  const fields = Object.keys(MEMBER_COLUMNS).filter(f => f !== 'uniqueId');
+  const columns = fields.map(f => MEMBER_COLUMNS[f]);
+  const values = fields.map(f => record[f] == null ? '' : String(record[f]));
+
+  return database.transaction(() => {
+    const siteId = record.siteId || DEFAULT_SITE_ID;
+    let memberId = record.uniqueId
+      ? rowIdFor(record.uniqueId)
+      : findMemberRowForOrder({ siteId, orderId: record.orderId, customerId: record.customerId, email: record.email });
+
+    if (memberId) {
+      const { termination_date: wasTerminated } = database
+        .prepare('SELECT termination_date FROM members WHERE id = ?').get(memberId);
+      if (wasTerminated && !record.terminationDate) {
+        addHistory(memberId, 'reinstated', { effectiveDate: record.effectiveDate, reason: 'new order', source: `order:${record.orderId}` });
+        console.log(`Reinstated member ${record.email} (terminated ${wasTerminated})`);
+      }
+      database.prepare(`
+        UPDATE members SET ${columns.map(c => `${c} = ?`).join(', ')}, updated_on = ? WHERE id = ?
+      `).run(...values, now, memberId);
+    } else {
+      memberId = database.prepare(`
+        INSERT INTO members (${columns.join(', ')}, site_id, created_on, updated_on)
+        VALUES (${columns.map(() => '?').join(', ')}, ?, ?, ?)
+      `).run(...values, siteId, now, now).lastInsertRowid;
+      database.prepare('UPDATE members SET unique_id = ? WHERE id = ?').run(memberIdFor(memberId), memberId);
+    }
+    linkIdentities(memberId, record);
+    if (Array.isArray(record.dependents)) {
+      syncDependents(memberId, record.dependents, record.dependentEffectiveDate || record.effectiveDate,
+        record.dependentTerminationDate || '');
+    }
+    const uniqueId = database.prepare('SELECT unique_id FROM members WHERE id = ?').get(memberId).unique_id;
+
+    if (!record.orderId) return uniqueId;
+    database.prepare(`
+      INSERT INTO orders (id, member_id, order_number, product_name, created_on, fulfilled_on, raw)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        member_id = excluded.member_id,
+        product_name = excluded.product_name,
+        fulfilled_on = excluded.fulfilled_on,
+        raw = COALESCE(excluded.raw, orders.raw)
+    `).run(
+      record.orderId,
+      memberId,
+      orderDetails ? String(orderDetails.orderNumber || '') : '',
+      record.productName || '',
+      orderDetails ? orderDetails.createdOn || '' : '',
+      orderDetails ? orderDetails.fulfilledOn || '' : '',
+      orderDetails ? JSON.stringify(orderDetails) : null
+    );
+    database.prepare(`
+      INSERT INTO payments (member_id, order_id, payment_date, amount, subscription_plan, next_due_date)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(order_id) DO UPDATE SET
+        member_id = excluded.member_id,
+        subscription_plan = excluded.subscription_plan,
+        -- dates and amounts confirmed by a transaction win over the order's
+        payment_date = CASE WHEN status = 'provisional' THEN excluded.payment_date ELSE payment_date END,
+        amount = CASE WHEN status = 'provisional' THEN excluded.amount ELSE amount END,
+        next_due_date = CASE WHEN status = 'provisional' THEN excluded.next_due_date ELSE next_due_date END
+    `).run(
+      memberId,
+      record.orderId,
+      record.lastPaymentDate || '',
+      record.paymentAmount || '',
+      record.subscriptionPlan || '',
+      record.nextDueDate || ''
+    );
+    return uniqueId;
+  })();
+}
+
+/**
+ * Terminate a member and any of their dependents still covered.
+ * The member stays in the store (and in eligibility files until Careington
+ * acknowledges the termination) and can be reinstated later.
+ */
+function terminateMember(uniqueId, { terminationDate, reason = '', source = '' }) {
+  const database = getDb();
+  database.transaction(() => {
+    const memberId = rowIdFor(uniqueId);
+    if (!memberId) throw new Error(`Member ${uniqueId} not found.`);
+    database.prepare('UPDATE members SET termination_date = ?, updated_on = ? WHERE id = ?')
+      .run(terminationDate, new Date().toISOString(), memberId);
+    database.prepare(`UPDATE dependents SET termination_date = ? WHERE member_id = ? AND termination_date = ''`)
+      .run(terminationDate, memberId);
+    addHistory(memberId, 'terminated', { effectiveDate: terminationDate, reason, source });
+  })();
+  console.log(`Terminated member ${uniqueId} as of ${terminationDate} (${reason})`);
+}
+
+/**
+ * Reinstate a terminated member, along with the dependents that were
+ * terminated with them.
+ */
+function reinstateMember(uniqueId, { reason = '', source = '' } = {}) {
+  const database = getDb();
+  database.transaction(() => {
+    const row = database.prepare('SELECT id, termination_date FROM members WHERE unique_id = ?').get(uniqueId);
+    if (!row) throw new Error(`Member ${uniqueId} not found.`);
+    if (!row.termination_date) throw new Error(`Member ${uniqueId} is not terminated.`);
+    database.prepare(`UPDATE members SET termination_date = '', updated_on = ? WHERE id = ?`)
+      .run(new Date().toISOString(), row.id);
+    database.prepare(`UPDATE dependents SET termination_date = '' WHERE member_id = ? AND termination_date = ?`)
+      .run(row.id, row.termination_date);
+    addHistory(row.id, 'reinstated', { reason, source });
+  })();
+  console.log(`Reinstated member ${uniqueId} (${reason})`);
+}
+
+/**
+ * Record a lifecycle state change (the transition rules live in lifecycle.js).
+ */
+function setLifecycleStatus(uniqueId, fromStatus, toStatus, { reason = '', source = '' } = {}) {
+  const database = getDb();
+  database.transaction(() => {
+    const memberId = rowIdFor(uniqueId);
+    if (!memberId) throw new Error(`Member ${uniqueId} not found.`);
+    const now = new Date().toISOString();
+    database.prepare('UPDATE members SET lifecycle_status = ?, lifecycle_changed_on = ? WHERE id = ?')
+      .run(toStatus, now, memberId);
+    database.prepare(`
+      INSERT INTO lifecycle_transitions (member_id, from_status, to_status, reason, source, created_on)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(memberId, fromStatus, toStatus, reason, source, now);
+  })();
+}
+
+/**
+ * Lifecycle state changes of a member, oldest first.
+ */
+function getLifecycleTransitions(uniqueId) {
+  return getDb().prepare(`
+    SELECT t.from_status AS fromStatus, t.to_status AS toStatus, t.reason, t.source, t.created_on AS createdOn
+    FROM lifecycle_transitions t JOIN members m ON m.id = t.member_id
+    WHERE m.unique_id = ? ORDER BY t.id
+  `).all(uniqueId);
+}
+
+/**
+ * A member's orders with their payments, newest first.
+ */
+function getMemberOrders(uniqueId) {
+  return getDb().prepare(`
+    SELECT o.id AS orderId, o.order_number AS orderNumber, o.product_name AS productName, o.created_on AS createdOn,
+           p.payment_date AS paymentDate, p.amount, p.subscription_plan AS subscriptionPlan,
+           p.next_due_date AS nextDueDate, p.status AS paymentStatus
+    FROM orders o
+    JOIN members m ON m.id = o.member_id
+    LEFT JOIN payments p ON p.order_id = o.id
+    WHERE m.unique_id = ?
+    ORDER BY COALESCE(p.payment_date, '') DESC, o.created_on DESC
+  `).all(uniqueId);
+}
+
+/**
+ * Termination/reinstatement history of a member, oldest first.
+ */
+function getMemberHistory(uniqueId) {
+  return getDb().prepare(`
+    SELECT h.event, h.effective_date AS effectiveDate, h.reason, h.source, h.created_on AS createdOn
+    FROM member_history h JOIN members m ON m.id = h.member_id
+    WHERE m.unique_id = ? ORDER BY h.id
+  `).all(uniqueId);
+}
+
+/**
+ * Delete a member (and their dependents, orders and payments) by member ID.
+ * Returns true if a member was removed.
+ */
+function deleteMember(uniqueId) {
+  return getDb().prepare('DELETE FROM members WHERE unique_id = ?').run(uniqueId).changes > 0;
+}
+
+/**
+ * Merge a duplicate member into another. Orders, payments, transactions,
+ * adjustments, dependents and identities move to `intoUniqueId`; the duplicate is deleted and the merge is
+ * recorded in member_merges.
+ */
+function mergeMembers(intoUniqueId, fromUniqueId) {
+  const database = getDb();
+  database.transaction(() => {
+    const intoId = rowIdFor(intoUniqueId);
+    const fromId = rowIdFor(fromUniqueId);
+    if (!intoId || !fromId) throw new Error('Both members must exist to merge.');
+    if (intoId === fromId) throw new Error('Cannot merge a member into itself.');
+    const sitesOf = database.prepare('SELECT DISTINCT site_id FROM members WHERE id IN (?, ?)').all(intoId, fromId);
+    if (sitesOf.length > 1) throw new Error('Members of different sites cannot be merged.');
+
+    database.prepare('UPDATE orders SET member_id = ? WHERE member_id = ?').run(intoId, fromId);
+    database.prepare('UPDATE payments SET member_id = ? WHERE member_id = ?').run(intoId, fromId);
+    database.prepare('UPDATE transactions SET member_id = ? WHERE member_id = ?').run(intoId, fromId);
+    database.prepare('UPDATE payment_adjustments SET member_id = ? WHERE member_id = ?').run(intoId, fromId);
+    database.prepare('UPDATE OR IGNORE member_identities SET member_id = ? WHERE member_id = ?').run(intoId, fromId);
+    database.prepare('UPDATE member_history SET member_id = ? WHERE member_id = ?').run(intoId, fromId);
+    database.prepare('UPDATE lifecycle_transitions SET member_id = ? WHERE member_id = ?').run(intoId, fromId);
+
+    // Dependents are renumbered after the surviving member's own.
+    const { maxSeq } = database
+      .prepare('SELECT COALESCE(MAX(CAST(sequence_num AS INTEGER)), 0) AS maxSeq FROM dependents WHERE member_id = ?')
+      .get(intoId);
+    const moveDependent = database.prepare('UPDATE dependents SET member_id = ?, sequence_num = ? WHERE id = ?');
+    database.prepare('SELECT id FROM dependents WHERE member_id = ? ORDER BY sequence_num').all(fromId)
+      .forEach(({ id }, i) => moveDependent.run(intoId, String(maxSeq + i + 1).padStart(2, '0'), id));
+
+    database.prepare('DELETE FROM members WHERE id = ?').run(fromId);
+    database.prepare(`
+      INSERT INTO member_merges (action, from_unique_id, into_unique_id, details, created_on)
+      VALUES ('merge', ?, ?, NULL, ?)
+    `).run(fromUniqueId, intoUniqueId, new Date().toISOString());
+  })();
+  console.log(`Merged member ${fromUniqueId} into ${intoUniqueId}`);
+}
+
+/**
+ * Split orders off a member into a new member with their own member ID.
+ * The new member starts with the source member's contact details; pass `email`
+ * to move that email (and its identity) to the new member as well.
+ * Returns the new member ID.
+ */
+function splitMember(uniqueId, { orderIds, email }) {
+  const database = getDb();
+  const newUniqueId = database.transaction(() => {
+    const fromId = rowIdFor(uniqueId);
+    if (!fromId) throw new Error(`Member ${uniqueId} not found.`);
+    if (!Array.isArray(orderIds) || !orderIds.length) throw new Error('At least one order id is required to split.');
+    const owned = database.prepare('SELECT id FROM orders WHERE member_id = ?').all(fromId).map(o => o.id);
+    const foreign = orderIds.filter(id => !owned.includes(id));
+    if (foreign.length) throw new Error(`Orders not owned by ${uniqueId}: ${foreign.join(', ')}`);
+
+    const now = new Date().toISOString();
+    const columns = Object.values(MEMBER_COLUMNS).filter(c => c !== 'unique_id');
+    const newId = database.prepare(`
+      INSERT INTO members (${columns.join(', ')}, lifecycle_status, site_id, created_on, updated_on)
+      SELECT ${columns.join(', ')}, lifecycle_status, site_id, ?, ? FROM members WHERE id = ?
+    `).run(now, now, fromId).lastInsertRowid;
+    const newMemberId = memberIdFor(newId);
+    database.prepare('UPDATE members SET unique_id = ? WHERE id = ?').run(newMemberId, newId);
+
+    const moveOrder = database.prepare('UPDATE orders SET member_id = ? WHERE id = ?');
+    const movePayment = database.prepare('UPDATE payments SET member_id = ? WHERE order_id = ?');
+    const moveTransactions = database.prepare('UPDATE transactions SET member_id = ? WHERE order_id = ?');
+    const moveAdjustments = database.prepare(`
+      UPDATE payment_adjustments SET member_id = ?
+      WHERE transaction_id IN (SELECT id FROM transactions WHERE order_id = ?)
+    `);
+    orderIds.forEach(orderId => {
+      moveOrder.run(newId, orderId);
+      movePayment.run(newId, orderId);
+      moveTransactions.run(newId, orderId);
+      moveAdjustments.run(newId, orderId);
+    });
+    if (email) {
+      database.prepare('UPDATE members SET email = ? WHERE id = ?').run(email, newId);
+      database.prepare(`
+        DELETE FROM member_identities WHERE site_id = (SELECT site_id FROM members WHERE id = ?) AND kind = 'email' AND value = ?
+      `).run(newId, email.toLowerCase());
+      linkIdentities(newId, { email });
+    }
+
+    database.prepare(`
+      INSERT INTO member_merges (action, from_unique_id, into_unique_id, details, created_on)
+      VALUES ('split', ?, ?, ?, ?)
+    `).run(uniqueId, newMemberId, JSON.stringify({ orderIds, email: email || null }), now);
+    return newMemberId;
+  })();
+  console.log(`Split member ${newUniqueId} off ${uniqueId}`);
+  return newUniqueId;
+}
+
+/**
+ * The member and payment behind one of our orders, or null if we don't know the order.
+ */
+function getOrderPayment(orderId) {
+  const row = getDb().prepare(`
+    SELECT m.unique_id AS memberId, m.site_id AS siteId, p.subscription_plan AS subscriptionPlan,
+           p.payment_date AS paymentDate, p.status
+    FROM orders o
+    JOIN members m ON m.id = o.member_id
+    LEFT JOIN payments p ON p.order_id = o.id
+    WHERE o.id = ?
+  `).get(orderId);
+  return row || null;
+}
+
+/**
+ * Record what the order's transaction says about its payment: 'settled' with
+ * the actual payment date, amount and next due date, or 'void'/'refunded'
+ * (which stops it counting as the member's latest payment).
+ */
+function settlePayment(orderId, { status, paymentDate = null, amount = null, nextDueDate = null }) {
+  return getDb().prepare(`
+    UPDATE payments SET
+      status = ?,
+      payment_date = COALESCE(?, payment_date),
+      amount = COALESCE(?, amount),
+      next_due_date = COALESCE(?, next_due_date)
+    WHERE order_id = ?
+  `).run(status, paymentDate, amount, nextDueDate, orderId).changes > 0;
+}
+
+/**
+ * Store a Squarespace transaction and its ledger entries for a member.
+ * Re-syncing a transaction replaces its entries, so refunds and voids made
+ * later in Squarespace are picked up.
+ */
+function saveTransaction(uniqueId, transaction, entries) {
+  const database = getDb();
+  database.transaction(() => {
+    const memberId = rowIdFor(uniqueId);
+    if (!memberId) throw new Error(`Member ${uniqueId} not found.`);
+    database.prepare(`
+      INSERT INTO transactions (id, member_id, order_id, created_on, modified_on, voided, total, net_payment, currency, raw)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        member_id = excluded.member_id,
+        order_id = excluded.order_id,
+        modified_on = excluded.modified_on,
+        voided = excluded.voided,
+        total = excluded.total,
+        net_payment = excluded.net_payment,
+        currency = excluded.currency,
+        raw = excluded.raw
+    `).run(
+      transaction.id,
+      memberId,
+      transaction.orderId || '',
+      transaction.createdOn,
+      transaction.modifiedOn,
+      transaction.voided ? 1 : 0,
+      transaction.total,
+      transaction.netPayment,
+      transaction.currency,
+      transaction.raw ? JSON.stringify(transaction.raw) : null
+    );
+    database.prepare('DELETE FROM ledger_entries WHERE transaction_id = ?').run(transaction.id);
+    const insert = database.prepare(`
+      INSERT OR REPLACE INTO ledger_entries (id, transaction_id, kind, amount, currency, occurred_on, reference)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    entries.forEach(entry => insert.run(
+      entry.id, transaction.id, entry.kind, entry.amount, entry.currency, entry.occurredOn, entry.reference || ''
+    ));
+  })();
+}
+
+const toCents = value => Math.round(Number(value || 0) * 100);
+const fromCents = cents => (cents / 100).toFixed(2);
+
+/**
+ * A member's payment ledger: every entry from their transactions, oldest
+ * first, with totals, plus the refund/void adjustments made to their coverage.
+ * Entries of voided transactions are listed but not counted.
+ */
+function ledgerFor(memberRowId) {
+  const entries = getDb().prepare(`
+    SELECT e.id, e.transaction_id AS transactionId, t.order_id AS orderId, e.kind, e.amount, e.currency,
+           e.occurred_on AS occurredOn, e.reference, t.voided
+    FROM ledger_entries e JOIN transactions t ON t.id = e.transaction_id
+    WHERE t.member_id = ?
+    ORDER BY e.occurred_on, e.id
+  `).all(memberRowId).map(entry => ({ ...entry, voided: entry.voided === 1 }));
+
+  const sum = kind => entries
+    .filter(entry => entry.kind === kind && !entry.voided)
+    .reduce((total, entry) => total + toCents(entry.amount), 0);
+  const paid = sum('payment');
+  const refunded = sum('refund');
+  const fees = sum('fee') - sum('fee_refund');
+  const adjustments = getDb().prepare(`
+    SELECT transaction_id AS transactionId, reference, kind, amount, action, created_on AS createdOn
+    FROM payment_adjustments WHERE member_id = ? ORDER BY id
+  `).all(memberRowId);
+  return {
+    entries,
+    adjustments,
+    totals: {
+      paid: fromCents(paid),
+      refunded: fromCents(refunded),
+      fees: fromCents(fees),
+      net: fromCents(paid - refunded - fees),
+      currency: entries.length ? entries[0].currency : 'USD',
+    },
+  };
+}
+
+/**
+ * True if a refund or void has already been applied to the member's coverage.
+ */
+function hasAdjustment(transactionId, reference) {
+  return Boolean(getDb().prepare(`
+    SELECT 1 FROM payment_adjustments WHERE transaction_id = ? AND reference = ?
+  `).get(transactionId, reference));
+}
+
+/**
+ * Log a refund or void and what was done about it, keyed by the transaction
+ * (and refund) that caused it so it's only ever applied once.
+ */
+function recordAdjustment(uniqueId, { transactionId, reference, kind, amount = '', action = '' }) {
+  const memberId = rowIdFor(uniqueId);
+  if (!memberId) throw new Error(`Member ${uniqueId} not found.`);
+  getDb().prepare(`
+    INSERT OR IGNORE INTO payment_adjustments (member_id, transaction_id, reference, kind, amount, action, created_on)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(memberId, transactionId, reference, kind, amount, action, new Date().toISOString());
+  console.log(`Adjustment for ${uniqueId} from transaction ${transactionId} (${kind}${amount ? ` ${amount}` : ''}): ${action}`);
+}
+
+function getSyncState(key) {
+  const row = getDb().prepare('SELECT value FROM sync_state WHERE key = ?').get(key);
+  return row ? row.value : null;
+}
+
+function setSyncState(key, value) {
+  getDb().prepare(`
+    INSERT INTO sync_state (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value
+  `).run(key, value);
+}
+
+/**
+ * Put a site's order on the review queue instead of guessing what to do with it.
+ * An order already waiting for review with the same reason isn't added twice.
+ */
+function flagForReview(orderId, reason, details = null, siteId = DEFAULT_SITE_ID) {
+  const added = getDb().prepare(`
+    INSERT OR IGNORE INTO review_items (order_id, reason, details, site_id, created_on) VALUES (?, ?, ?, ?, ?)
+  `).run(orderId, reason, details ? JSON.stringify(details) : null, siteId, new Date().toISOString()).changes > 0;
+  if (added) console.log(`Order ${orderId} flagged for review: ${reason}`);
+  return added;
+}
+
+/**
+ * Review queue items (of every site, or of one), open ones only unless
+ * `includeResolved` is set.
+ */
+function listReviewItems({ includeResolved = false, siteId = null } = {}) {
+  const where = [includeResolved ? '' : 'resolved_on IS NULL', siteId ? 'site_id = ?' : ''].filter(Boolean);
+  return getDb().prepare(`
+    SELECT id, site_id AS siteId, order_id AS orderId, reason, details, created_on AS createdOn,
+           resolved_on AS resolvedOn, resolution
+    FROM review_items ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id
+  `).all(...(siteId ? [siteId] : [])).map(item => ({ ...item, details: item.details ? JSON.parse(item.details) : null }));
+}
+
+function getReviewItem(id) {
+  const item = getDb().prepare(`
+    SELECT id, site_id AS siteId, order_id AS orderId, reason, resolved_on AS resolvedOn FROM review_items WHERE id = ?
+  `).get(id);
+  return item || null;
+}
+
+/**
+ * Close a review item with a note on how it was resolved.
+ */
+function resolveReviewItem(id, resolution) {
+  return getDb().prepare(`
+    UPDATE review_items SET resolved_on = ?, resolution = ? WHERE id = ? AND resolved_on IS NULL
+  `).run(new Date().toISOString(), resolution || '', id).changes > 0;
+}
+
+/**
+ * One-time import of the legacy subscriptions.json store.
+ * The whole file goes in one transaction and is then renamed to *.imported,
+ * so it is never imported twice. A file that doesn't parse aborts startup
+ * rather than leaving us with an empty store.
+ */
+function importSubscriptionsJson(jsonFilePath) {
+  if (!fs.existsSync(jsonFilePath)) return 0;
+  const legacy = JSON.parse(fs.readFileSync(jsonFilePath, 'utf8'));
+  // The legacy store used the order id as uniqueId; members get real IDs on import.
+  const records = Object.entries(legacy)
+    .map(([email, record]) => ({ ...record, email: record.email || email, uniqueId: '' }));
+  getDb().transaction(() => {
+    records.forEach(record => saveMember(record));
+  })();
+  fs.renameSync(jsonFilePath, `${jsonFilePath}.imported`);
+  console.log(`Imported ${records.length} subscriptions from ${jsonFilePath}`);
+  return records.length;
+}
+
+module.exports = {
+  getDb,
+  listMembers,
+  searchMembers,
+  getMember,
+  findMemberForOrder,
+  latestOrderCreatedOn,
+  saveMember,
+  terminateMember,
+  reinstateMember,
+  setLifecycleStatus,
+  getLifecycleTransitions,
+  getMemberHistory,
+  getMemberOrders,
+  deleteMember,
+  mergeMembers,
+  splitMember,
+  getOrderPayment,
+  settlePayment,
+  saveTransaction,
+  hasAdjustment,
+  recordAdjustment,
+  getSyncState,
+  setSyncState,
+  flagForReview,
+  listReviewItems,
+  getReviewItem,
+  resolveReviewItem,
+  importSubscriptionsJson,
+};
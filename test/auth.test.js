@@ -0,0 +1,87 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { tempDir, startApp } = require('./support');
+
+// Management routes against the running app: who gets in with which role,
+// and changes made with a session cookie need the session's CSRF token.
+
+const VIEWER = 'viewer-key-0123456789';
+const OPERATOR = 'operator-key-0123456789';
+const ADMIN = 'admin-key-0123456789';
+
+let app;
+
+before(async () => {
+  app = await startApp(tempDir('auth'), {
+    API_KEYS: `ops-viewer:viewer:${VIEWER},ops:operator:${OPERATOR},owner:admin:${ADMIN}`,
+    SESSION_SECRET: 'test-session-secret',
+  });
+});
+after(() => app.stop());
+
+const call = (method, path, { key, cookie, csrf, body } = {}) => fetch(`${app.url}${path}`, {
+  method,
+  headers: {
+    'Content-Type': 'application/json',
+    ...(key ? { Authorization: `Bearer ${key}` } : {}),
+    ...(cookie ? { Cookie: cookie } : {}),
+    ...(csrf ? { 'X-CSRF-Token': csrf } : {}),
+  },
+  body: body ? JSON.stringify(body) : undefined,
+});
+const errorOf = async res => (await res.json()).error;
+// The app's log reaches us a little after its response
+async function assertLogged(pattern) {
+  for (let i = 0; i < 50 && !pattern.test(app.output()); i++) await new Promise(resolve => setTimeout(resolve, 20));
+  assert.match(app.output(), pattern);
+}
+
+test('callers without a known key are turned away', async () => {
+  const anonymous = await call('GET', '/webhook-queue');
+  assert.equal(anonymous.status, 401);
+  assert.equal(anonymous.headers.get('www-authenticate'), 'Bearer');
+  assert.equal((await call('GET', '/webhook-queue', { key: 'not-a-real-key-at-all' })).status, 401);
+  await assertLogged(/Access denied: anonymous \(unknown API key\) GET \/webhook-queue/);
+});
+
+test('a viewer can read but not change anything', async () => {
+  assert.equal((await call('GET', '/webhook-queue', { key: VIEWER })).status, 200);
+  const res = await call('POST', '/webhook-queue/dead-letter/missing/retry', { key: VIEWER });
+  assert.equal(res.status, 403);
+  assert.equal(await errorOf(res), 'Requires the operator role.');
+});
+
+test('an operator can make changes but not admin ones', async () => {
+  assert.equal((await call('POST', '/webhook-queue/dead-letter/missing/retry', { key: OPERATOR })).status, 404);
+  const res = await call('POST', '/backfill', { key: OPERATOR, body: {} });
+  assert.equal(res.status, 403);
+  assert.equal(await errorOf(res), 'Requires the admin role.');
+  assert.equal((await call('POST', '/test-generate-file', { key: OPERATOR })).status, 403);
+  await assertLogged(/Access denied: ops \(operator\) POST \/backfill/);
+});
+
+test('an admin has every role', async () => {
+  assert.equal((await call('GET', '/review-queue', { key: ADMIN })).status, 200);
+  assert.equal((await call('POST', '/webhook-queue/dead-letter/missing/retry', { key: ADMIN })).status, 404);
+  await assertLogged(/Access granted: owner \(admin\) GET \/review-queue/);
+});
+
+test('the old GET that deleted webhooks is gone', async () => {
+  assert.equal((await call('GET', '/delete-webhook/some-id', { key: ADMIN })).status, 404);
+});
+
+test('a session needs its CSRF token for changes', async () => {
+  assert.equal((await call('POST', '/login', { body: { apiKey: 'wrong' } })).status, 401);
+  const login = await call('POST', '/login', { body: { apiKey: OPERATOR } });
+  assert.equal(login.status, 200);
+  const { role, csrfToken } = await login.json();
+  assert.equal(role, 'operator');
+  const cookie = login.headers.get('set-cookie').split(';')[0];
+
+  assert.equal((await call('GET', '/webhook-queue', { cookie })).status, 200);
+  const forged = await call('POST', '/webhook-queue/dead-letter/missing/retry', { cookie });
+  assert.equal(forged.status, 403);
+  assert.equal(await errorOf(forged), 'Missing or invalid CSRF token.');
+  assert.equal((await call('POST', '/webhook-queue/dead-letter/missing/retry', { cookie, csrf: 'made-up' })).status, 403);
+  assert.equal((await call('POST', '/webhook-queue/dead-letter/missing/retry', { cookie, csrf: csrfToken })).status, 404);
+});
@@ -0,0 +1,104 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { subDays } = require('date-fns');
+const { tempDir, isolatedEnv } = require('./support');
+
+// Backfilling orders from the Squarespace stand-in: replays in order, never
+// rolls a member back to an older order and never undoes a termination.
+
+const dir = tempDir('backfill');
+Object.assign(process.env, isolatedEnv(dir, { API_KEY: 'test-api-key', SQUARESPACE_MAX_ATTEMPTS: '1' }));
+
+const squarespace = require('../squarespaceApi');
+const { getMember, findMemberForOrder, saveMember, listReviewItems } = require('../storage');
+const { terminate } = require('../lifecycle');
+const { backfillOrders } = require('../orders');
+const { startSquarespaceStandIn } = require('../squarespaceStandIn');
+
+const daysAgo = days => subDays(new Date(), days).toISOString();
+
+/**
+ * A monthly subscription order in the test catalog. The subscription product
+ * is under lineItems unless `itemsKey` says otherwise.
+ */
+function order(id, { email, createdOn, city = 'Testville', itemsKey = 'lineItems' }) {
+  return {
+    id,
+    orderNumber: id,
+    createdOn,
+    modifiedOn: createdOn,
+    customerEmail: email,
+    fulfillmentStatus: 'FULFILLED',
+    billingAddress: { firstName: 'Test', lastName: id, address1: '1 Main St', city, state: 'TX', postalCode: '75001' },
+    [itemsKey]: [{
+      lineItemType: 'PAYWALL_PRODUCT',
+      productId: 'test-product',
+      variantId: 'test-monthly',
+      productName: 'Monthly membership',
+      unitPricePaid: { value: '29.99', currency: 'USD' },
+    }],
+    grandTotal: { value: '29.99', currency: 'USD' },
+  };
+}
+
+const orders = [
+  order('a-1', { email: 'a@example.com', createdOn: daysAgo(20), city: 'Oldtown' }),
+  order('a-2', { email: 'a@example.com', createdOn: daysAgo(2), city: 'Newtown' }),
+  order('b-1', { email: 'b@example.com', createdOn: daysAgo(5), itemsKey: 'salesLineItems' }),
+];
+const memberOf = orderId => getMember(findMemberForOrder(orders.find(o => o.id === orderId)));
+const backfill = (options = {}) => backfillOrders({ from: new Date(daysAgo(30)), to: new Date(), ...options });
+let standIn;
+
+before(async () => {
+  standIn = await startSquarespaceStandIn({ port: 0, orders });
+  squarespace.configureSquarespaceApi({ apiUrl: standIn.url, loginUrl: standIn.url, ratePerMinute: 60000, burst: 100 });
+});
+after(() => new Promise(resolve => standIn.close(resolve)));
+
+test('a backfill into an empty store enrolls every subscription order, oldest first', async () => {
+  const report = await backfill();
+  assert.equal(report.ordersReplayed, 3);
+  assert.deepEqual(report.ordersSkipped, []);
+  assert.equal(memberOf('a-2').city, 'Newtown');
+  // Found under salesLineItems
+  assert.equal(memberOf('b-1').subscriptionPlan, 'Monthly');
+});
+
+test('a second backfill doesn\'t roll members back to older orders', async () => {
+  const report = await backfill();
+  assert.deepEqual(report.ordersSkipped.map(skip => skip.orderId), ['a-1']);
+  assert.match(report.ordersSkipped[0].reason, /older than member .*'s latest order/);
+  assert.equal(memberOf('a-2').city, 'Newtown');
+  assert.equal(memberOf('a-2').orderId, 'a-2');
+});
+
+test('a backfill never reinstates a terminated member', async () => {
+  const memberId = findMemberForOrder(orders[2]);
+  terminate(memberId, { terminationDate: '2026-01-31', reason: 'admin', source: 'test' });
+  // A newer order that no webhook brought in
+  orders.push(order('b-2', { email: 'b@example.com', createdOn: daysAgo(1), city: 'Elsewhere' }));
+
+  const report = await backfill();
+  assert.deepEqual(report.ordersSkipped.map(skip => skip.orderId).sort(), ['a-1', 'b-1', 'b-2']);
+  const member = getMember(memberId);
+  assert.equal(member.terminationDate, '2026-01-31');
+  assert.equal(member.lifecycleStatus, 'terminated');
+  assert.equal(member.city, 'Testville');
+  // The newer order waits for an admin to decide
+  const flagged = listReviewItems().find(item => item.orderId === 'b-2');
+  assert.equal(flagged.reason, 'terminated_member');
+  assert.equal(flagged.details.memberId, memberId);
+  assert.equal(listReviewItems().filter(item => item.orderId === 'b-1').length, 0);
+});
+
+test('reconciliation fetches the site\'s orders once for members outside the range', async () => {
+  saveMember({ email: 'ghost@example.com', firstName: 'Ghost', lastName: 'Member', orderId: 'gone-order' });
+  const requests = standIn.requestCount();
+  const report = await backfill({ from: new Date(daysAgo(3)), dryRun: true });
+
+  // The ranged fetch, then one pass over every order for b-1 and gone-order
+  assert.equal(standIn.requestCount() - requests, 2);
+  assert.deepEqual(report.orphanedMembers.map(member => member.orderId), ['gone-order']);
+  assert.equal(report.ordersReplayed, 0);
+});
@@ -0,0 +1,137 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, isolatedEnv, freePort } = require('./support');
+
+// The Careington response poller against the local SFTP stand-in: files are
+// picked up, applied to the records we sent and archived, once.
+
+const dir = tempDir('responses');
+Object.assign(process.env, isolatedEnv(dir));
+const sftpRoot = path.join(dir, 'sftp-root');
+
+const { getDb } = require('../storage');
+const { configureSftp, closeSftp } = require('../sftpTransport');
+const { listCareingtonStatuses } = require('../eligibility');
+const { pollResponseFiles, parseResponseFile } = require('../careingtonResponses');
+const { startSftpStandIn } = require('../sftpStandIn');
+
+const RESPONSE_DIR = '/returns';
+const ARCHIVE_DIR = '/returns/archive';
+let server;
+
+const poll = () => pollResponseFiles({ responseDir: RESPONSE_DIR, archiveDir: ARCHIVE_DIR });
+const drop = (name, text) => fs.writeFileSync(path.join(sftpRoot, 'returns', name), text);
+const remaining = () => fs.readdirSync(path.join(sftpRoot, 'returns')).filter(name => name !== 'archive');
+const archived = () => fs.readdirSync(path.join(sftpRoot, 'returns', 'archive'));
+const statusOf = memberId => listCareingtonStatuses().find(row => row.memberId === memberId);
+
+/**
+ * Records as if a Careington file had been sent with them.
+ */
+function seedSentRecords(records) {
+  const database = getDb();
+  const now = new Date().toISOString();
+  const fileId = database.prepare(`
+    INSERT INTO eligibility_files (site_id, vendor, file_name, kind, trigger, record_count, generated_on)
+    VALUES ('default', 'careington', 'TESTGRP030226_FULL.txt', 'FULL', 'test', ?, ?)
+  `).run(records.length, now).lastInsertRowid;
+  const insert = database.prepare(`
+    INSERT INTO eligibility_snapshot (vendor, record_key, line, record, file_id, sent_on, site_id)
+    VALUES ('careington', ?, ?, ?, ?, ?, 'default')
+  `);
+  records.forEach(record => insert.run(`${record.uniqueId}00`, `line of ${record.uniqueId}`,
+    JSON.stringify({ sequenceNum: '00', ...record }), fileId, now));
+}
+
+before(async () => {
+  fs.mkdirSync(path.join(sftpRoot, 'returns'), { recursive: true });
+  server = await startSftpStandIn({ root: sftpRoot, port: await freePort(), username: 'test', password: 'test' });
+  configureSftp({
+    host: '127.0.0.1',
+    port: server.address().port,
+    username: 'test',
+    password: 'test',
+    hostFingerprints: [server.hostFingerprint],
+  });
+  seedSentRecords([
+    { uniqueId: 'SQ000001', firstName: 'Ada', lastName: 'Lovelace' },
+    { uniqueId: 'SQ000002', firstName: 'Alan', lastName: 'Turing' },
+    { uniqueId: 'SQ000003', firstName: 'Grace', lastName: 'Hopper', terminationDate: '2026-03-31' },
+  ]);
+});
+after(async () => {
+  await closeSftp();
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('parses the short form and echoed CI007 lines, skipping headers and trailers', () => {
+  const echoed = ['', 'Ada', '', 'Lovelace', '', 'SQ000001', '00', ...Array(19).fill(''), 'R', 'Bad zip'].join('|');
+  const entries = parseResponseFile(['HDR|TESTGRP|030326', 'SQ000002|00|A|', echoed, 'TRL|2', ''].join('\n'));
+  assert.deepEqual(entries, [
+    { recordKey: 'SQ00000200', status: 'accepted', reason: '' },
+    { recordKey: 'SQ00000100', status: 'rejected', reason: 'Bad zip' },
+  ]);
+});
+
+test('an ack file is picked up, applied to the sent records and archived', async () => {
+  drop('TESTGRP_ACK_030326.txt', 'SQ000001|00|A|\r\nSQ000003|00|A|Terminated\r\nSQ999999|00|A|\r\n');
+  const [result] = await poll();
+
+  assert.equal(result.file, 'TESTGRP_ACK_030326.txt');
+  assert.deepEqual(result.counts, { accepted: 2, rejected: 0, pending: 0, unmatched: 1 });
+  assert.equal(statusOf('SQ000001').status, 'accepted');
+  assert.equal(statusOf('SQ000002').status, 'pending');
+  // An accepted termination is acknowledged, so it isn't sent again
+  assert.ok(getDb().prepare(`
+    SELECT 1 FROM termination_acks WHERE vendor = 'careington' AND record_key = 'SQ00000300' AND termination_date = '2026-03-31'
+  `).get());
+  assert.deepEqual(remaining(), []);
+  assert.deepEqual(archived(), ['TESTGRP_ACK_030326.txt']);
+});
+
+test('a reject file marks its records rejected with the reason', async () => {
+  // In an error file a line without a status is a rejection
+  drop('TESTGRP_ERR_030426.txt', 'SQ000002|00||Invalid date of birth\n');
+  const [result] = await poll();
+
+  assert.deepEqual(result.counts, { accepted: 0, rejected: 1, pending: 0, unmatched: 0 });
+  const row = statusOf('SQ000002');
+  assert.equal(row.status, 'rejected');
+  assert.equal(row.reason, 'Invalid date of birth');
+  assert.equal(row.name, 'Alan Turing');
+});
+
+test('a file that was already processed is archived without being applied again', async () => {
+  // As if archiving failed after the file was applied
+  drop('TESTGRP_ACK_030326.txt', 'SQ000001|00|R|Should not apply\n');
+  const responses = () => getDb().prepare('SELECT COUNT(*) AS n FROM careington_responses').get().n;
+  const before = responses();
+  const [result] = await poll();
+
+  assert.equal(result.counts, null);
+  assert.equal(responses(), before);
+  assert.equal(statusOf('SQ000001').status, 'accepted');
+  assert.deepEqual(remaining(), []);
+  // The earlier copy in the archive is kept
+  assert.equal(archived().filter(name => name.startsWith('TESTGRP_ACK_030326.txt')).length, 2);
+});
+
+test('a malformed file changes nothing and doesn\'t hold up the other files', async () => {
+  drop('TESTGRP_ACK_030526.txt', 'this is not a response file\n\u0000\u0001garbage|x\n|||\n');
+  drop('TESTGRP_ACK_030626.txt', 'SQ000002|00|A|\n');
+  const results = await poll();
+
+  const malformed = results.find(result => result.file === 'TESTGRP_ACK_030526.txt');
+  assert.deepEqual(malformed.counts, { accepted: 0, rejected: 0, pending: 0, unmatched: 0 });
+  const good = results.find(result => result.file === 'TESTGRP_ACK_030626.txt');
+  assert.equal(good.counts.accepted, 1);
+  assert.equal(statusOf('SQ000002').status, 'accepted');
+  assert.equal(statusOf('SQ000001').status, 'accepted');
+  assert.deepEqual(remaining(), []);
+});
+
+test('an empty response directory is fine', async () => {
+  assert.deepEqual(await poll(), []);
+});
@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { toAscii, normalizeRecord, validateRecords } = require('../ci007');
+
+const record = (fields = {}) => ({
+  firstName: 'Ana',
+  lastName: 'Lopez',
+  uniqueId: 'PF0000000001',
+  sequenceNum: '00',
+  address1: '1 Main St',
+  city: 'Austin',
+  state: 'TX',
+  zip: '78701',
+  coverage: 'MO',
+  groupCode: 'TESTGRP',
+  effectiveDate: '2026-03-01',
+  terminationDate: '',
+  email: 'ana@example.com',
+  ...fields,
+});
+
+test('text is written as plain ASCII without pipes', () => {
+  assert.equal(toAscii('José Nuñez'), 'Jose Nunez');
+  assert.equal(toAscii('Straße  Øst'), 'Strasse Ost');
+  assert.equal(toAscii('A|B\u0007 C’s'), "A B C's");
+});
+
+test('records are normalized to the CI007 layout', () => {
+  const { record: normalized, errors, warnings } = normalizeRecord(record({
+    firstName: 'Maximiliano-Alejandro',
+    lastName: 'Peña|Ruiz',
+    state: 'new york',
+    zip: '10001-2345',
+    homePhone: '+1 (212) 555-0100',
+    workPhone: '555-0100',
+    coverage: 'mf',
+    email: 'not an email',
+  }));
+  assert.deepEqual(errors, []);
+  assert.equal(normalized.firstName, 'Maximiliano-Ale');
+  assert.equal(normalized.lastName, 'Pena Ruiz');
+  assert.equal(normalized.state, 'NY');
+  assert.equal(normalized.zip, '10001');
+  assert.equal(normalized.plus4, '2345');
+  assert.equal(normalized.homePhone, '2125550100');
+  assert.equal(normalized.workPhone, '');
+  assert.equal(normalized.coverage, 'MF');
+  assert.equal(normalized.email, '');
+  assert.deepEqual(warnings, [
+    'firstName: truncated to 15 characters',
+    'lastName: "Peña|Ruiz" written as "Pena Ruiz"',
+    'workPhone has an invalid format; left blank',
+    'email has an invalid format; left blank',
+  ]);
+});
+
+test('records with missing or invalid required fields are rejected', () => {
+  const { errors } = normalizeRecord(record({
+    lastName: '',
+    uniqueId: 'PF00000000001',
+    state: 'Ontario',
+    zip: '7870',
+    effectiveDate: '2026-02-30',
+    relation: 'X',
+  }));
+  assert.deepEqual(errors, [
+    'lastName is required',
+    'uniqueId is longer than 12 characters',
+    'state "ONTARIO" is not an allowed value',
+    'state is longer than 2 characters',
+    'zip has an invalid format',
+    'effectiveDate is not a valid date',
+    'relation "X" is not an allowed value',
+  ]);
+});
+
+test('invalid records are held back with their errors, the rest are sent', () => {
+  const bad = record({ uniqueId: 'PF0000000002', city: '' });
+  const { valid, invalid } = validateRecords([record({ firstName: 'Zoë' }), bad]);
+  assert.deepEqual(valid.map(r => r.firstName), ['Zoe']);
+  assert.deepEqual(invalid, [{ record: bad, errors: ['city is required'], warnings: [] }]);
+});
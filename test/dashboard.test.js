@@ -0,0 +1,94 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { tempDir, isolatedEnv, startApp } = require('./support');
+
+// The admin dashboard against the running app: log in with an API key, see
+// members and the review queue, and act on them only with the right role.
+
+const VIEWER = 'viewer-key-0123456789';
+const OPERATOR = 'operator-key-0123456789';
+
+const dir = tempDir('dashboard');
+Object.assign(process.env, isolatedEnv(dir));
+
+const { saveMember, flagForReview } = require('../storage');
+
+let app;
+let memberId;
+
+before(async () => {
+  memberId = saveMember({
+    sequenceNum: '00',
+    firstName: 'Dana',
+    lastName: '<b>Lee</b>',
+    email: 'dana@example.com',
+    effectiveDate: '2026-03-01',
+    subscriptionPlan: 'Monthly',
+  });
+  flagForReview('order-unmapped', 'unmapped_product', { productId: 'other' });
+  app = await startApp(dir, {
+    API_KEYS: `support:viewer:${VIEWER},ops:operator:${OPERATOR}`,
+    SESSION_SECRET: 'test-session-secret',
+  });
+});
+after(() => app.stop());
+
+const get = (path, cookie) => fetch(`${app.url}${path}`, { redirect: 'manual', headers: cookie ? { Cookie: cookie } : {} });
+const postForm = (path, fields, cookie) => fetch(`${app.url}${path}`, {
+  method: 'POST',
+  redirect: 'manual',
+  headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...(cookie ? { Cookie: cookie } : {}) },
+  body: new URLSearchParams(fields).toString(),
+});
+
+async function logIn(apiKey) {
+  const res = await postForm('/admin/login', { apiKey });
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('location'), '/admin');
+  return res.headers.get('set-cookie').split(';')[0];
+}
+
+test('visitors without a session are sent to the login page', async () => {
+  const res = await get('/admin/members');
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('location'), '/admin/login');
+
+  const refused = await postForm('/admin/login', { apiKey: 'wrong' });
+  assert.equal(refused.status, 401);
+  assert.match(await refused.text(), /Unknown API key\./);
+});
+
+test('members are listed and shown with their details, escaped', async () => {
+  const cookie = await logIn(VIEWER);
+  const list = await (await get('/admin/members', cookie)).text();
+  assert.match(list, new RegExp(`<a href="/admin/members/${memberId}">${memberId}</a>`));
+  assert.match(list, /Dana &lt;b&gt;Lee&lt;\/b&gt;/);
+  assert.match(list, /support \(viewer\)/);
+
+  const detail = await get(`/admin/members/${memberId}`, cookie);
+  assert.equal(detail.status, 200);
+  assert.match(await detail.text(), /dana@example\.com/);
+  assert.equal((await get('/admin/members/PF9999999999', cookie)).status, 404);
+});
+
+test('a viewer sees the review queue but gets no buttons and cannot act', async () => {
+  const cookie = await logIn(VIEWER);
+  const page = await (await get('/admin/review', cookie)).text();
+  assert.match(page, /order-unmapped/);
+  assert.doesNotMatch(page, /Dismiss/);
+  assert.equal((await postForm('/admin/review/1/dismiss', {}, cookie)).status, 403);
+});
+
+test('an operator acts on the review queue with the page\'s CSRF token', async () => {
+  const cookie = await logIn(OPERATOR);
+  const page = await (await get('/admin/review', cookie)).text();
+  const [, csrf] = page.match(/action="\/admin\/review\/1\/dismiss">\s*<input type="hidden" name="_csrf" value="([^"]+)">/);
+
+  assert.equal((await postForm('/admin/review/1/dismiss', {}, cookie)).status, 403);
+  const res = await postForm('/admin/review/1/dismiss', { _csrf: csrf }, cookie);
+  assert.equal(res.status, 302);
+  const location = new URL(res.headers.get('location'), app.url);
+  assert.equal(location.pathname, '/admin/review');
+  assert.equal(location.searchParams.get('notice'), 'Review item for order order-unmapped dismissed.');
+  assert.doesNotMatch(await (await get('/admin/review', cookie)).text(), /order-unmapped/);
+});
@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { tempDir, isolatedEnv } = require('./support');
+
+// Dependents from order customizations: parsing, coverage codes, keeping
+// sequence numbers across orders, and one eligibility record each.
+
+Object.assign(process.env, isolatedEnv(tempDir('dependents')));
+
+const {
+  isDependentLabel,
+  parseDependents,
+  coverageForDependents,
+  eligibilityRecords,
+} = require('../dependents');
+const { saveMember, getMember } = require('../storage');
+const { updateSubscriptionRecord } = require('../orders');
+
+const customizations = [
+  { label: 'Date of Birth', value: '1/10/1982' },
+  { label: 'Spouse First Name', value: 'Pat' },
+  { label: 'Spouse Date of Birth', value: '2/3/1983' },
+  { label: 'Spouse Gender', value: 'female' },
+  { label: 'Child 1 Name', value: 'Sam Other' },
+  { label: 'Child 1 Date of Birth', value: '2010-05-06' },
+  { label: 'Child 1 Student', value: 'Yes' },
+  { label: 'Child 2 Name', value: '' },
+];
+
+test('dependents are parsed from their labelled customizations', () => {
+  assert.equal(isDependentLabel('Spouse Date of Birth'), true);
+  assert.equal(isDependentLabel('Date of Birth'), false);
+  assert.deepEqual(parseDependents(customizations, 'Member'), [
+    { firstName: 'Pat', middleName: '', lastName: 'Member', dateOfBirth: '1983-02-03', relation: 'S', studentStatus: '', gender: 'F' },
+    { firstName: 'Sam', middleName: '', lastName: 'Other', dateOfBirth: '2010-05-06', relation: 'C', studentStatus: 'Y', gender: '' },
+  ]);
+  assert.deepEqual(parseDependents([{ label: 'Date of Birth', value: '1/10/1982' }]), []);
+  // A renewal without customizations says nothing about dependents
+  assert.equal(parseDependents(undefined), null);
+});
+
+test('coverage follows the number of covered dependents', () => {
+  assert.equal(coverageForDependents([]), 'MO');
+  assert.equal(coverageForDependents([{}]), 'MD');
+  assert.equal(coverageForDependents([{}, {}]), 'MF');
+  assert.equal(coverageForDependents([{}, { terminationDate: '2026-03-31' }]), 'MD');
+});
+
+const save = (uniqueId, dependents, email = 'family@example.com', dependentTerminationDate = '') => saveMember({
+  uniqueId,
+  dependentTerminationDate,
+  sequenceNum: '00',
+  firstName: 'Test',
+  lastName: 'Member',
+  email,
+  effectiveDate: '2026-03-01',
+  ...(dependents ? { dependents } : {}),
+});
+const names = uniqueId => getMember(uniqueId).dependents.map(dep => `${dep.sequenceNum} ${dep.firstName}`);
+
+test('dependents keep their sequence number; new ones get the next, dropped ones are terminated', () => {
+  const memberId = save('', parseDependents(customizations, 'Member'));
+  assert.deepEqual(names(memberId), ['01 Pat', '02 Sam']);
+
+  const [pat, sam] = parseDependents(customizations, 'Member');
+  save(memberId, [sam, { firstName: 'Alex', lastName: 'Member', dateOfBirth: '2015-01-01', relation: 'C' }], undefined, '2026-03-31');
+  assert.deepEqual(names(memberId), ['01 Pat', '02 Sam', '03 Alex']);
+  assert.deepEqual(getMember(memberId).dependents.map(dep => dep.terminationDate), ['2026-03-31', '', '']);
+
+  // Leaving dependents out keeps the current ones; listing one again reinstates it
+  save(memberId);
+  assert.equal(getMember(memberId).dependents[0].terminationDate, '2026-03-31');
+  save(memberId, [pat, sam], undefined, '2026-04-30');
+  assert.deepEqual(getMember(memberId).dependents.map(dep => dep.terminationDate), ['', '', '2026-04-30']);
+});
+
+test('each dependent gets an eligibility record under the primary\'s Unique ID', () => {
+  const memberId = save('', [{ firstName: 'Pat', lastName: 'Member', relation: 'S' }], 'couple@example.com');
+  const records = eligibilityRecords([getMember(memberId)]);
+  assert.deepEqual(records.map(record => [record.uniqueId, record.sequenceNum, record.firstName, record.email]), [
+    [memberId, '00', 'Test', 'couple@example.com'],
+    [memberId, '01', 'Pat', ''],
+  ]);
+  assert.equal(records[1].effectiveDate, '2026-03-01');
+});
+
+test('a dependent dropped on renewal is covered through what the member already paid for', () => {
+  const order = (id, createdOn, orderCustomizations) => ({
+    id,
+    createdOn,
+    customerEmail: 'renewing@example.com',
+    billingAddress: { firstName: 'Test', lastName: 'Member', address1: '1 Main St', city: 'Dallas', state: 'TX', postalCode: '75201' },
+    lineItems: [{
+      lineItemType: 'PAYWALL_PRODUCT',
+      productId: 'test-product',
+      variantId: 'test-monthly',
+      productName: 'Monthly membership',
+      unitPricePaid: { value: '29.99', currency: 'USD' },
+      customizations: orderCustomizations,
+    }],
+  });
+  const memberId = updateSubscriptionRecord(order('renewing-1', '2026-01-20T12:00:00Z', customizations),
+    { asOf: new Date('2026-01-20T12:00:00Z') });
+
+  // Renewed early, without the spouse: paid through 2026-02-19, so covered to the end of February
+  updateSubscriptionRecord(order('renewing-2', '2026-02-10T12:00:00Z', customizations.filter(c => !c.label.startsWith('Spouse'))),
+    { asOf: new Date('2026-02-10T12:00:00Z') });
+  assert.deepEqual(getMember(memberId).dependents.map(dep => [dep.firstName, dep.terminationDate]), [
+    ['Pat', '2026-02-28'],
+    ['Sam', ''],
+  ]);
+});
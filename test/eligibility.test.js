@@ -0,0 +1,188 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { subDays, format } = require('date-fns');
+const { tempDir, isolatedEnv, freePort } = require('./support');
+
+// Careington FULL/DELTA files against the last-sent snapshot: a DELTA holds
+// only what changed since the last file, and nothing goes out when nothing did.
+// Then whole runs uploaded to the SFTP stand-in: renewals don't look like
+// changes, and overlapping runs don't send the same DELTA twice.
+
+const dir = tempDir('eligibility');
+Object.assign(process.env, isolatedEnv(dir));
+const sftpRoot = path.join(dir, 'sftp-root');
+
+const { saveMember, deleteMember, listMembers, getMember, terminateMember, reinstateMember } = require('../storage');
+const { sendEligibilityFile, listSentFiles, listHeldRecords, acknowledgeTermination } = require('../eligibility');
+const { toCareingtonTerminationDate } = require('../coverageDates');
+const { evaluateMember, terminate } = require('../lifecycle');
+const { updateSubscriptionRecord } = require('../orders');
+const { configureSftp, uploadFile, closeSftp } = require('../sftpTransport');
+const { startSftpStandIn } = require('../sftpStandIn');
+
+let sentLines = [];
+// Stands in for the SFTP upload; takes the archived file's lines
+const upload = async filePath => {
+  sentLines = fs.readFileSync(filePath, 'utf8').split('\n');
+};
+const send = isFull => sendEligibilityFile({ isFull, trigger: 'test', upload });
+// A paid-up member, active as far as the lifecycle goes
+function save(fields = {}) {
+  const memberId = saveMember({
+    sequenceNum: '00',
+    firstName: 'Test',
+    lastName: 'Member',
+    address1: '1 Main St',
+    city: 'Dallas',
+    state: 'TX',
+    zip: '75201',
+    coverage: 'MO',
+    groupCode: 'TESTGRP',
+    effectiveDate: '2026-03-01',
+    orderId: `order-${fields.email}`,
+    lastPaymentDate: '20260301',
+    nextDueDate: '20990101',
+    ...fields,
+  });
+  evaluateMember(memberId);
+  return memberId;
+}
+const fieldsOf = line => line.split('|');
+
+test('a FULL file lists every member and a DELTA without changes sends nothing', async () => {
+  save({ email: 'a@example.com' });
+  save({ email: 'b@example.com' });
+  assert.match(await send(true), /TESTGRP\d{6}_FULL\.txt$/);
+  assert.equal(sentLines.length, 2);
+
+  assert.equal(await send(false), null);
+  const [skipped, full] = listSentFiles();
+  assert.deepEqual([skipped.kind, skipped.file_name, skipped.record_count], ['DELTA', '', 0]);
+  assert.deepEqual([full.kind, full.record_count], ['FULL', 2]);
+});
+
+test('a DELTA holds only the changed, added and terminated records', async () => {
+  const [a, b] = listMembers();
+  save({ uniqueId: a.uniqueId, email: 'a@example.com', city: 'Austin' });
+  deleteMember(b.uniqueId);
+  const c = save({ email: 'c@example.com' });
+
+  assert.match(await send(false), /TESTGRP\d{6}_DELTA\.txt$/);
+  const byId = new Map(sentLines.map(line => [fieldsOf(line)[5], fieldsOf(line)]));
+  assert.deepEqual([...byId.keys()].sort(), [a.uniqueId, b.uniqueId, c].sort());
+  assert.equal(byId.get(a.uniqueId)[10], 'Austin');
+  // Records gone from the store go out once more, terminated
+  const [yyyy, mm, dd] = toCareingtonTerminationDate(new Date(), b.effectiveDate).split('-');
+  assert.equal(byId.get(b.uniqueId)[18], `${mm}${dd}${yyyy}`);
+  assert.equal(byId.get(c)[18], '');
+
+  assert.equal(await send(false), null);
+});
+
+test('a terminated member goes out in every DELTA until Careington acknowledges it', async () => {
+  const [a] = listMembers();
+  terminateMember(a.uniqueId, { terminationDate: '2026-03-31', reason: 'test' });
+
+  await send(false);
+  assert.deepEqual(sentLines.map(line => [fieldsOf(line)[5], fieldsOf(line)[18]]), [[a.uniqueId, '03312026']]);
+  await send(false);
+  assert.equal(sentLines.length, 1);
+
+  assert.equal(acknowledgeTermination(getMember(a.uniqueId)), 1);
+  assert.equal(await send(false), null);
+
+  // Reinstated, the member goes out again without a termination date
+  reinstateMember(a.uniqueId, { reason: 'test' });
+  await send(false);
+  assert.deepEqual(sentLines.map(line => [fieldsOf(line)[5], fieldsOf(line)[18]]), [[a.uniqueId, '']]);
+});
+
+test('a record that fails validation is held back and reported, not terminated', async () => {
+  const [a] = listMembers();
+  save({ uniqueId: a.uniqueId, email: 'a@example.com', state: 'Texas', zip: 'none' });
+
+  assert.equal(await send(false), null);
+  const [run] = listSentFiles();
+  assert.equal(run.held_count, 1);
+  assert.deepEqual(listHeldRecords(run.id).map(held => [held.recordKey, held.errors]), [
+    [`${a.uniqueId}00`, ['zip has an invalid format']],
+  ]);
+
+  // Once fixed it goes out with the change
+  save({ uniqueId: a.uniqueId, email: 'a@example.com', state: 'Texas', zip: '73301' });
+  await send(false);
+  assert.deepEqual(sentLines.map(line => [fieldsOf(line)[5], fieldsOf(line)[11], fieldsOf(line)[12]]), [[a.uniqueId, 'TX', '73301']]);
+});
+
+/* ========= Runs uploaded over SFTP ========= */
+
+const daysAgo = days => subDays(new Date(), days).toISOString();
+const sftpUpload = (filePath, transport) => uploadFile(filePath, { remoteDir: transport.remoteDir });
+const sendToSftp = (isFull, trigger = 'test') => sendEligibilityFile({ vendor: 'careington', isFull, trigger, upload: sftpUpload });
+let server;
+
+function order(id, { email, createdOn, address1 = '1 Main St' }) {
+  return {
+    id,
+    createdOn,
+    customerEmail: email,
+    billingAddress: { firstName: 'Test', lastName: 'Member', address1, city: 'Dallas', state: 'TX', postalCode: '75001' },
+    lineItems: [{
+      lineItemType: 'PAYWALL_PRODUCT',
+      productId: 'test-product',
+      variantId: 'test-monthly',
+      productName: 'Monthly membership',
+      unitPricePaid: { value: '29.99', currency: 'USD' },
+    }],
+  };
+}
+
+before(async () => {
+  server = await startSftpStandIn({ root: sftpRoot, port: await freePort() });
+  configureSftp({
+    host: '127.0.0.1', port: server.address().port, username: 'test', password: 'test', hostFingerprints: [server.hostFingerprint],
+  });
+});
+after(async () => {
+  await closeSftp();
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('a renewal keeps the member\'s effective date and sends no DELTA', async () => {
+  const first = daysAgo(20);
+  const memberId = updateSubscriptionRecord(order('renew-1', { email: 'renew@example.com', createdOn: first }));
+  assert.ok(await sendToSftp(true));
+
+  assert.equal(updateSubscriptionRecord(order('renew-2', { email: 'renew@example.com', createdOn: daysAgo(5) })), memberId);
+  const member = getMember(memberId);
+  assert.equal(member.effectiveDate, format(new Date(first), 'yyyy-MM-dd'));
+  assert.equal(member.orderId, 'renew-2');
+  assert.equal(await sendToSftp(false), null);
+});
+
+test('a terminated member who orders again starts from the new order', async () => {
+  const memberId = updateSubscriptionRecord(order('back-1', { email: 'back@example.com', createdOn: daysAgo(60) }));
+  terminate(memberId, { terminationDate: format(new Date(daysAgo(20)), 'yyyy-MM-dd'), reason: 'test' });
+  const returned = daysAgo(3);
+  updateSubscriptionRecord(order('back-2', { email: 'back@example.com', createdOn: returned }));
+  const member = getMember(memberId);
+  assert.equal(member.terminationDate, '');
+  assert.equal(member.effectiveDate, format(new Date(returned), 'yyyy-MM-dd'));
+});
+
+test('overlapping runs for a site and vendor send each change once', async () => {
+  await sendToSftp(true);
+  const sentBefore = listSentFiles(100, 'careington').filter(file => file.file_name).length;
+  updateSubscriptionRecord(order('renew-3', { email: 'renew@example.com', createdOn: daysAgo(1), address1: '2 Elm St' }));
+
+  // As if a webhook, the scheduler and an operator all fired at once
+  const results = await Promise.all([sendToSftp(false, 'webhook:test'), sendToSftp(false, 'schedule'), sendToSftp(false, 'manual')]);
+  assert.equal(results.filter(Boolean).length, 1);
+  const sent = listSentFiles(100, 'careington').filter(file => file.file_name);
+  assert.equal(sent.length, sentBefore + 1);
+  assert.equal(sent[0].kind, 'DELTA');
+  assert.equal(sent[0].record_count, 1);
+  assert.ok(fs.readdirSync(sftpRoot).length >= 1);
+});
@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { subDays } = require('date-fns');
+const { tempDir, isolatedEnv } = require('./support');
+
+// Ledger sync from the Squarespace stand-in: a transaction that fails to apply
+// holds the site's sync point back, so the next sync fetches it again.
+
+const dir = tempDir('ledger');
+Object.assign(process.env, isolatedEnv(dir, { API_KEY: 'test-api-key', SQUARESPACE_MAX_ATTEMPTS: '1' }));
+
+const squarespace = require('../squarespaceApi');
+const { getDb, getSyncState } = require('../storage');
+const { updateSubscriptionRecord } = require('../orders');
+const { syncTransactions } = require('../ledger');
+const { startSquarespaceStandIn } = require('../squarespaceStandIn');
+
+const daysAgo = days => subDays(new Date(), days).toISOString();
+const syncedThrough = () => getSyncState('transactions.syncedThrough:default');
+const ledgerIds = () => getDb().prepare('SELECT id FROM transactions ORDER BY id').all().map(row => row.id);
+
+function transaction(id, orderId, modifiedOn) {
+  return {
+    id,
+    salesOrderId: orderId,
+    createdOn: modifiedOn,
+    modifiedOn,
+    voided: false,
+    total: { value: '29.99', currency: 'USD' },
+    totalNetPayment: { value: '29.99', currency: 'USD' },
+    payments: [{
+      id: `${id}-payment`,
+      paidOn: modifiedOn,
+      amount: { value: '29.99', currency: 'USD' },
+      refundedAmount: { value: '0.00', currency: 'USD' },
+    }],
+  };
+}
+
+const transactions = [
+  transaction('t-1', 'o-1', daysAgo(6)),
+  // No payment amount: can't be booked until Squarespace sends it complete
+  { ...transaction('t-2', 'o-2', daysAgo(4)), payments: [{ id: 't-2-payment', paidOn: daysAgo(4) }] },
+  transaction('t-3', 'o-3', daysAgo(2)),
+];
+let standIn;
+
+before(async () => {
+  ['o-1', 'o-2', 'o-3'].forEach((id, index) => updateSubscriptionRecord({
+    id,
+    createdOn: daysAgo(7),
+    customerEmail: `ledger${index}@example.com`,
+    billingAddress: { firstName: 'Test', lastName: id, address1: '1 Main St', city: 'Dallas', state: 'TX', postalCode: '75001' },
+    lineItems: [{
+      lineItemType: 'PAYWALL_PRODUCT',
+      productId: 'test-product',
+      variantId: 'test-monthly',
+      productName: 'Monthly membership',
+      unitPricePaid: { value: '29.99', currency: 'USD' },
+    }],
+  }));
+  standIn = await startSquarespaceStandIn({ port: 0, transactions });
+  squarespace.configureSquarespaceApi({ apiUrl: standIn.url, loginUrl: standIn.url, ratePerMinute: 60000, burst: 100 });
+});
+after(() => new Promise(resolve => standIn.close(resolve)));
+
+test('a failed transaction holds the sync point at its modifiedOn', async () => {
+  const result = await syncTransactions();
+  assert.deepEqual(result.failed, ['t-2']);
+  assert.deepEqual(ledgerIds(), ['t-1', 't-3']);
+  assert.equal(syncedThrough(), transactions[1].modifiedOn);
+});
+
+test('the next sync fetches it again and then moves on', async () => {
+  transactions[1] = transaction('t-2', 'o-2', transactions[1].modifiedOn);
+  const to = new Date();
+  const result = await syncTransactions({ to });
+  assert.deepEqual(result.failed, []);
+  assert.deepEqual(ledgerIds(), ['t-1', 't-2', 't-3']);
+  assert.equal(syncedThrough(), to.toISOString());
+});
@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { tempDir, isolatedEnv } = require('./support');
+
+// The member lifecycle: which state payments put a member in, and the
+// transitions (with their terminations and reinstatements) between states.
+
+Object.assign(process.env, isolatedEnv(tempDir('lifecycle')));
+
+const { saveMember, getMember, getLifecycleTransitions } = require('../storage');
+const { targetStatus, isIncludedInEligibility, evaluateMember, terminate, reinstate } = require('../lifecycle');
+
+// Days after the 1 March 2026 due date
+const day = days => new Date(2026, 2, 1 + days, 12);
+const paid = (fields = {}) => ({
+  lifecycleStatus: 'active',
+  subscriptionPlan: 'Monthly',
+  lastPaymentDate: '20260201',
+  nextDueDate: '20260301',
+  terminationDate: '',
+  ...fields,
+});
+
+test('payments and due dates decide the state', () => {
+  assert.equal(targetStatus(paid({ lastPaymentDate: '', nextDueDate: '', lifecycleStatus: 'pending' }), day(0)), 'pending');
+  assert.equal(targetStatus(paid(), day(0)), 'active');
+  assert.equal(targetStatus(paid(), day(2)), 'past_due');
+  assert.equal(targetStatus(paid(), day(5)), 'grace');
+  assert.equal(targetStatus(paid(), day(8)), 'lapsed');
+  // Annual plans have a longer grace period
+  assert.equal(targetStatus(paid({ subscriptionPlan: 'Annual' }), day(20)), 'grace');
+});
+
+test('terminations stick until a new payment reinstates the member', () => {
+  assert.equal(targetStatus(paid({ terminationDate: '2026-03-31' }), day(0)), 'terminated');
+  assert.equal(targetStatus(paid({ terminationDate: '2026-02-28', lifecycleStatus: 'lapsed' }), day(0)), 'lapsed');
+  assert.equal(targetStatus(paid({ lifecycleStatus: 'lapsed', nextDueDate: '20260401' }), day(0)), 'reinstated');
+});
+
+test('pending members are left out of eligibility files', () => {
+  assert.equal(isIncludedInEligibility({ lifecycleStatus: 'pending' }), false);
+  assert.equal(isIncludedInEligibility({ lifecycleStatus: 'lapsed' }), true);
+});
+
+test('a member moves through the states, with every transition recorded', () => {
+  const memberId = saveMember({
+    sequenceNum: '00',
+    firstName: 'Test',
+    email: 'cycle@example.com',
+    effectiveDate: '2026-02-01',
+    subscriptionPlan: 'Monthly',
+    orderId: 'cycle-1',
+    lastPaymentDate: '20260201',
+    nextDueDate: '20260301',
+  });
+  assert.equal(getMember(memberId).lifecycleStatus, 'pending');
+  assert.throws(() => reinstate(memberId), /can't go from pending to reinstated/);
+
+  assert.equal(evaluateMember(memberId, day(0)), 'active');
+  assert.equal(evaluateMember(memberId, day(2)), 'past_due');
+  assert.equal(evaluateMember(memberId, day(10)), 'lapsed');
+  // Terminated at the end of what they paid for (through 28 February)
+  assert.equal(getMember(memberId).terminationDate, '2026-02-28');
+
+  reinstate(memberId, { reason: 'paid by phone', source: 'admin' });
+  assert.equal(getMember(memberId).terminationDate, '');
+  terminate(memberId, { terminationDate: '2026-03-31', reason: 'canceled' });
+  assert.equal(getMember(memberId).terminationDate, '2026-03-31');
+
+  assert.deepEqual(getLifecycleTransitions(memberId).map(t => `${t.fromStatus}>${t.toStatus}`), [
+    'pending>active',
+    'active>past_due',
+    'past_due>lapsed',
+    'lapsed>reinstated',
+    'reinstated>terminated',
+  ]);
+});
@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { subDays } = require('date-fns');
+const { tempDir, isolatedEnv, startApp } = require('./support');
+
+// Terminate and reinstate answer the same way at /api/members/... and at the
+// older /members/... paths.
+
+const dir = tempDir('member-actions');
+Object.assign(process.env, isolatedEnv(dir));
+
+const { updateSubscriptionRecord } = require('../orders');
+
+const ADMIN_TOKEN = 'admin-token-for-tests';
+const PREFIXES = ['/api/members', '/members'];
+let app;
+let memberId;
+let activeId;
+
+const post = (path, body = {}) => fetch(`${app.url}${path}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${ADMIN_TOKEN}` },
+  body: JSON.stringify(body),
+});
+
+function order(id, email) {
+  return {
+    id,
+    createdOn: subDays(new Date(), 5).toISOString(),
+    customerEmail: email,
+    billingAddress: { firstName: 'Test', lastName: 'Member', address1: '1 Main St', city: 'Dallas', state: 'TX', postalCode: '75001' },
+    lineItems: [{
+      lineItemType: 'PAYWALL_PRODUCT',
+      productId: 'test-product',
+      variantId: 'test-monthly',
+      productName: 'Monthly membership',
+      unitPricePaid: { value: '29.99', currency: 'USD' },
+    }],
+  };
+}
+
+before(async () => {
+  memberId = updateSubscriptionRecord(order('actions-1', 'actions@example.com'));
+  activeId = updateSubscriptionRecord(order('actions-2', 'active@example.com'));
+  app = await startApp(dir, { ADMIN_API_TOKEN: ADMIN_TOKEN });
+});
+after(() => app && app.stop());
+
+for (const prefix of PREFIXES) {
+  test(`${prefix}: an unknown member is 404 and a bad date is 400`, async () => {
+    for (const action of ['terminate', 'reinstate']) {
+      const res = await post(`${prefix}/NOSUCH/${action}`);
+      assert.equal(res.status, 404);
+      assert.deepEqual(await res.json(), { error: 'Member not found.' });
+    }
+    const res = await post(`${prefix}/${memberId}/terminate`, { terminationDate: '03/31/2026' });
+    assert.equal(res.status, 400);
+    assert.deepEqual(await res.json(), { errors: ['terminationDate: must be a date (YYYY-MM-DD)'] });
+  });
+
+  test(`${prefix}: terminate and reinstate a member`, async () => {
+    let res = await post(`${prefix}/${memberId}/terminate`, { terminationDate: '2026-12-31', reason: 'test' });
+    assert.equal(res.status, 200);
+    let member = await res.json();
+    assert.equal(member.lifecycleStatus, 'terminated');
+    assert.equal(member.terminationDate, '2026-12-31');
+
+    res = await post(`${prefix}/${memberId}/reinstate`);
+    assert.equal(res.status, 200);
+    member = await res.json();
+    assert.equal(member.lifecycleStatus, 'reinstated');
+    assert.equal(member.terminationDate, '');
+  });
+
+  test(`${prefix}: reinstating a member who was never terminated is 409`, async () => {
+    const res = await post(`${prefix}/${activeId}/reinstate`);
+    assert.equal(res.status, 409);
+    assert.match((await res.json()).error, /can't go from .* to reinstated/);
+  });
+}
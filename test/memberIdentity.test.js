@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { tempDir, isolatedEnv } = require('./support');
+
+// Stable member IDs: orders link to a member by order, Squarespace customer
+// ID, then email, and operators can merge duplicates or split members apart.
+
+Object.assign(process.env, isolatedEnv(tempDir('member-identity')));
+
+const {
+  getDb,
+  getMember,
+  findMemberForOrder,
+  saveMember,
+  mergeMembers,
+  splitMember,
+} = require('../storage');
+
+/**
+ * Save a member from a bare-bones order and return their member ID.
+ */
+function saveOrder({ orderId, email, customerId = '', firstName = 'Test' }) {
+  return saveMember({
+    uniqueId: '',
+    firstName,
+    lastName: 'Member',
+    email,
+    customerId,
+    orderId,
+    lastPaymentDate: '20260301',
+    paymentAmount: '29.99',
+    subscriptionPlan: 'monthly',
+    nextDueDate: '20260401',
+  });
+}
+const ownerOf = orderId => findMemberForOrder({ id: orderId });
+const merges = () => getDb().prepare('SELECT action, from_unique_id, into_unique_id FROM member_merges ORDER BY id').all();
+
+test('new members get a 12-character member ID that stays with them', () => {
+  const memberId = saveOrder({ orderId: 'a-1', email: 'a@example.com', customerId: 'cust-a' });
+  assert.match(memberId, /^PF\d{10}$/);
+  assert.equal(saveOrder({ orderId: 'a-1', email: 'changed@example.com', customerId: 'cust-a' }), memberId);
+  assert.equal(getMember(memberId).email, 'changed@example.com');
+});
+
+test('later orders link by customer ID, then by email (in any case)', () => {
+  const memberId = ownerOf('a-1');
+  assert.equal(saveOrder({ orderId: 'a-2', email: 'new-address@example.com', customerId: 'cust-a' }), memberId);
+  assert.equal(saveOrder({ orderId: 'a-3', email: 'A@Example.com' }), memberId);
+  assert.equal(findMemberForOrder({ id: 'unknown', customerEmail: 'NEW-ADDRESS@example.com' }), memberId);
+  assert.notEqual(saveOrder({ orderId: 'b-1', email: 'b@example.com', customerId: 'cust-b' }), memberId);
+});
+
+test('one email can hold the memberships of two customers', () => {
+  const first = saveOrder({ orderId: 'h-1', email: 'household@example.com', customerId: 'cust-h1' });
+  const second = saveOrder({ orderId: 'h-2', email: 'household@example.com', customerId: 'cust-h2' });
+  assert.notEqual(second, first);
+
+  // Each keeps its own renewals; an order with only the email goes to the first
+  assert.equal(saveOrder({ orderId: 'h-3', email: 'household@example.com', customerId: 'cust-h2' }), second);
+  assert.equal(saveOrder({ orderId: 'h-4', email: 'household@example.com', customerId: 'cust-h1' }), first);
+  assert.equal(findMemberForOrder({ id: 'unknown', customerEmail: 'household@example.com' }), first);
+});
+
+test('merging moves the duplicate\'s orders and identities and deletes it', () => {
+  const keep = ownerOf('a-1');
+  const duplicate = saveOrder({ orderId: 'c-1', email: 'c@example.com' });
+  mergeMembers(keep, duplicate);
+
+  assert.equal(getMember(duplicate), null);
+  assert.equal(ownerOf('c-1'), keep);
+  assert.equal(findMemberForOrder({ id: 'unknown', customerEmail: 'c@example.com' }), keep);
+  assert.deepEqual(merges().at(-1), { action: 'merge', from_unique_id: duplicate, into_unique_id: keep });
+  assert.throws(() => mergeMembers(keep, keep), /into itself/);
+  assert.throws(() => mergeMembers(keep, 'PF9999999999'), /must exist/);
+});
+
+test('splitting moves orders, and optionally an email, to a new member', () => {
+  const from = ownerOf('a-1');
+  const split = splitMember(from, { orderIds: ['c-1'], email: 'c@example.com' });
+
+  assert.notEqual(split, from);
+  assert.equal(ownerOf('c-1'), split);
+  assert.equal(ownerOf('a-1'), from);
+  assert.equal(getMember(split).email, 'c@example.com');
+  assert.equal(saveOrder({ orderId: 'c-2', email: 'c@example.com' }), split);
+  assert.deepEqual(merges().at(-1), { action: 'split', from_unique_id: from, into_unique_id: split });
+
+  assert.throws(() => splitMember(from, { orderIds: ['b-1'] }), /Orders not owned by/);
+  assert.throws(() => splitMember(from, { orderIds: [] }), /At least one order/);
+});
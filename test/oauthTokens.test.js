@@ -0,0 +1,83 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const crypto = require('crypto');
+const { tempDir, isolatedEnv, startApp } = require('./support');
+
+// The encrypted token store and its refreshes against the Squarespace
+// stand-in: tokens from .env move into the store, and everyone who needs a
+// fresh token shares a single refresh.
+
+const dir = tempDir('tokens');
+Object.assign(process.env, isolatedEnv(dir, {
+  CLIENT_ID: 'test-client',
+  CLIENT_SECRET: 'test-client-secret',
+  TOKEN_STORE_KEY: crypto.randomBytes(32).toString('hex'),
+  ACCESS_TOKEN: 'env-access',
+  REFRESH_TOKEN: 'env-refresh',
+}));
+
+const squarespace = require('../squarespaceApi');
+const { startSquarespaceStandIn } = require('../squarespaceStandIn');
+
+const load = () => {
+  delete require.cache[require.resolve('../oauthTokens')];
+  return require('../oauthTokens');
+};
+let standIn;
+
+// Requests the stand-in sees while `fn` runs
+async function countRequests(fn) {
+  const before = standIn.requestCount();
+  await fn();
+  return standIn.requestCount() - before;
+}
+
+before(async () => {
+  standIn = await startSquarespaceStandIn({ port: 0 });
+  squarespace.configureSquarespaceApi({ apiUrl: standIn.url, loginUrl: standIn.url, ratePerMinute: 60000, burst: 100 });
+});
+after(() => new Promise(resolve => standIn.close(resolve)));
+
+test('tokens from .env move into the encrypted store and are refreshed once for everyone', async () => {
+  const { getAccessToken } = load();
+  // Their expiry is unknown, so the first callers all wait for one refresh
+  let tokens;
+  assert.equal(await countRequests(async () => {
+    tokens = await Promise.all([getAccessToken(), getAccessToken(), getAccessToken()]);
+  }), 1);
+  assert.notEqual(tokens[0], 'env-access');
+  assert.deepEqual(tokens, Array(3).fill(tokens[0]));
+
+  const stored = fs.readFileSync(process.env.TOKEN_STORE_PATH, 'utf8');
+  assert.equal(stored.includes(tokens[0]), false);
+  assert.equal(fs.statSync(process.env.TOKEN_STORE_PATH).mode & 0o777, 0o600);
+
+  // A restart reads the store, not .env, and needs no refresh
+  let restarted;
+  assert.equal(await countRequests(async () => { restarted = await load().getAccessToken(); }), 0);
+  assert.equal(restarted, tokens[0]);
+});
+
+test('a request rejected as unauthorized refreshes the token and is retried', async () => {
+  const { getAccessToken } = load();
+  const token = await getAccessToken();
+  standIn.failNext(401);
+  // The rejected request, the refresh and the retry
+  assert.equal(await countRequests(() => squarespace.listWebhookSubscriptions()), 3);
+  assert.notEqual(await getAccessToken(), token);
+});
+
+test('a store that cannot be decrypted is left alone', async () => {
+  process.env.TOKEN_STORE_KEY = crypto.randomBytes(32).toString('hex');
+  const contents = fs.readFileSync(process.env.TOKEN_STORE_PATH, 'utf8');
+  await assert.rejects(load().getAccessToken(), /Can't read the token store .* \(wrong key\?\)/);
+  assert.equal(fs.readFileSync(process.env.TOKEN_STORE_PATH, 'utf8'), contents);
+});
+
+test('the app refuses to start with tokens in .env but no TOKEN_STORE_KEY, and says how to make one', async () => {
+  const appDir = tempDir('tokens-no-key');
+  await assert.rejects(startApp(appDir, { REFRESH_TOKEN: 'env-refresh' }),
+    /TOKEN_STORE_KEY is not set.*openssl rand -base64 32/);
+  assert.deepEqual(fs.readdirSync(appDir).filter(name => name.startsWith('oauth-tokens')), []);
+});
@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { tempDir, isolatedEnv } = require('./support');
+
+Object.assign(process.env, isolatedEnv(tempDir('plans')));
+
+const { validatePlanCatalog, findPlanForLineItem, getPlan } = require('../planCatalog');
+
+test('line items map to plans by their match keys', () => {
+  assert.equal(findPlanForLineItem({ productId: 'test-product', variantId: 'test-annual' }).name, 'Annual');
+  assert.equal(findPlanForLineItem({ productId: 'test-product', variantId: 'other' }), null);
+  assert.equal(getPlan('Monthly').groupCode, 'TESTGRP');
+  assert.equal(getPlan('Missing'), null);
+});
+
+test('an invalid catalog lists every problem', () => {
+  assert.deepEqual(validatePlanCatalog({ plans: [] }), ['"plans" must be a non-empty array']);
+  const errors = validatePlanCatalog({
+    plans: [
+      { name: 'A', interval: 'month', match: { sku: 'X' } },
+      { name: 'A', interval: 'day', coverage: 'family', match: { sku: 'X', color: 'red' } },
+    ],
+  });
+  assert.deepEqual(errors, [
+    'plans[1] (A): duplicate plan name',
+    'plans[1] (A): "interval" must be one of week, month, year',
+    'plans[1] (A): "coverage" must be a two-letter Careington coverage code',
+    'plans[1] (A): invalid match key "color"',
+    'plans[1] (A): same match as an earlier plan',
+  ]);
+});
@@ -0,0 +1,126 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { format, addMonths, subDays, parseISO } = require('date-fns');
+const { tempDir, isolatedEnv } = require('./support');
+
+// Refunds and voids picked up by the ledger sync, and what they do to coverage.
+
+Object.assign(process.env, isolatedEnv(tempDir('refunds')));
+
+const { saveMember, getMember, listReviewItems } = require('../storage');
+const { applyTransaction } = require('../ledger');
+const { toCareingtonTerminationDate } = require('../coverageDates');
+
+const today = new Date();
+const ymd = date => format(date, 'yyyyMMdd');
+const money = value => ({ value, currency: 'USD' });
+
+function saveOrder(email, orderId, paidOn = today) {
+  return saveMember({
+    sequenceNum: '00',
+    firstName: 'Test',
+    email,
+    effectiveDate: format(subDays(paidOn, 1), 'yyyy-MM-dd'),
+    subscriptionPlan: 'Monthly',
+    orderId,
+    lastPaymentDate: ymd(paidOn),
+    paymentAmount: '30.00',
+    nextDueDate: ymd(addMonths(paidOn, 1)),
+  });
+}
+
+/**
+ * A transaction for `orderId` with one $30 payment, refunded by `refunds`.
+ */
+function transaction(orderId, { refunds = [], voided = false } = {}) {
+  const refunded = refunds.reduce((total, value) => total + Number(value), 0);
+  return {
+    id: `txn-${orderId}`,
+    salesOrderId: orderId,
+    createdOn: today.toISOString(),
+    modifiedOn: today.toISOString(),
+    voided,
+    total: money('30.00'),
+    totalNetPayment: money((30 - refunded).toFixed(2)),
+    payments: [{
+      id: `pay-${orderId}`,
+      amount: money('30.00'),
+      refundedAmount: money(refunded.toFixed(2)),
+      paidOn: today.toISOString(),
+      refunds: refunds.map((value, i) => ({ id: `ref-${orderId}-${i}`, amount: money(value), refundedOn: today.toISOString() })),
+    }],
+  };
+}
+
+test('a full refund of the only payment cancels the member retroactively, once', () => {
+  const memberId = saveOrder('full@example.com', 'order-full');
+  assert.equal(applyTransaction(transaction('order-full', { refunds: ['30.00'] })), memberId);
+  applyTransaction(transaction('order-full', { refunds: ['30.00'] }));
+
+  const member = getMember(memberId);
+  const effectiveDate = member.effectiveDate;
+  assert.equal(member.terminationDate, toCareingtonTerminationDate(parseISO(effectiveDate), effectiveDate));
+  assert.deepEqual(member.ledger.adjustments.map(a => [a.transactionId, a.reference, a.kind, a.action]), [
+    ['txn-order-full', 'ref-order-full-0', 'full_refund', `cancelled retroactively as of ${member.terminationDate}`],
+  ]);
+});
+
+test('a full refund leaves coverage alone while other payments still cover today', () => {
+  const memberId = saveOrder('renewal@example.com', 'order-first', subDays(today, 3));
+  saveOrder('renewal@example.com', 'order-renewal');
+  applyTransaction(transaction('order-renewal', { refunds: ['30.00'] }));
+
+  const member = getMember(memberId);
+  assert.equal(member.terminationDate, '');
+  assert.equal(member.orderId, 'order-first');
+  assert.match(member.ledger.adjustments[0].action, /^coverage unchanged, paid through/);
+});
+
+test('a partial refund goes to the review queue instead of changing coverage', () => {
+  const memberId = saveOrder('partial@example.com', 'order-partial');
+  applyTransaction(transaction('order-partial', { refunds: ['10.00'] }));
+
+  const member = getMember(memberId);
+  assert.equal(member.terminationDate, '');
+  assert.equal(member.paymentAmount, '20.00');
+  assert.deepEqual(member.ledger.adjustments.map(a => [a.kind, a.amount, a.action]), [
+    ['partial_refund', '10.00', 'flagged for review'],
+  ]);
+  const item = listReviewItems().find(i => i.orderId === 'order-partial');
+  assert.equal(item.reason, 'partial_refund');
+  assert.deepEqual(item.details, { memberId, transactionId: 'txn-order-partial', refundId: 'ref-order-partial-0', amount: '10.00' });
+});
+
+test('each refund is full or partial by its own payment, not the whole order', () => {
+  const memberId = saveOrder('split@example.com', 'order-split');
+  const doc = transaction('order-split');
+  doc.payments = [
+    { ...doc.payments[0], id: 'pay-split-kept' },
+    {
+      id: 'pay-split-refunded',
+      amount: money('5.00'),
+      refundedAmount: money('5.00'),
+      paidOn: today.toISOString(),
+      refunds: [{ id: 'ref-split', amount: money('5.00'), refundedOn: today.toISOString() }],
+    },
+  ];
+  applyTransaction(doc);
+
+  // The order is still paid for, so the refunded payment ends no coverage
+  const member = getMember(memberId);
+  assert.equal(member.terminationDate, '');
+  assert.deepEqual(member.ledger.adjustments.map(a => [a.reference, a.kind]), [['ref-split', 'full_refund']]);
+  assert.match(member.ledger.adjustments[0].action, /^coverage unchanged, paid through/);
+  assert.equal(listReviewItems().find(i => i.orderId === 'order-split'), undefined);
+});
+
+test('a voided transaction ends the coverage it paid for', () => {
+  const memberId = saveOrder('void@example.com', 'order-void');
+  applyTransaction(transaction('order-void', { voided: true }));
+
+  const member = getMember(memberId);
+  assert.deepEqual(member.ledger.adjustments.map(a => [a.reference, a.kind, a.amount, a.action]), [
+    ['void', 'void', '30.00', `cancelled retroactively as of ${member.terminationDate}`],
+  ]);
+  assert.equal(member.ledger.totals.paid, '0.00');
+});
@@ -0,0 +1,67 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { tempDir, isolatedEnv, startApp } = require('./support');
+
+// Resolving review items by replaying their order: every outcome answers,
+// including Squarespace failing.
+
+const dir = tempDir('review');
+Object.assign(process.env, isolatedEnv(dir));
+
+const { flagForReview, listReviewItems } = require('../storage');
+const { startSquarespaceStandIn, sampleOrders } = require('../squarespaceStandIn');
+
+const OPERATOR_KEY = 'operator-key-for-tests';
+let standIn;
+let app;
+
+const resolve = (id, body) => fetch(`${app.url}/review-queue/${id}/resolve`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${OPERATOR_KEY}` },
+  body: JSON.stringify(body),
+});
+const itemFor = orderId => listReviewItems().find(item => item.orderId === orderId);
+
+before(async () => {
+  // Squarespace's sample orders are for a product the test catalog doesn't have
+  standIn = await startSquarespaceStandIn({ port: 0, orders: sampleOrders(1) });
+  ['order-00001', 'missing-order', 'flaky-order', 'dismissed-order'].forEach(orderId =>
+    flagForReview(orderId, 'product not in the plan catalog'));
+  app = await startApp(dir, {
+    API_KEYS: `tester:operator:${OPERATOR_KEY}`,
+    API_KEY: 'test-api-key',
+    SQUARESPACE_API_URL: standIn.url,
+    SQUARESPACE_MAX_ATTEMPTS: '1',
+  });
+});
+after(async () => {
+  if (app) await app.stop();
+  await new Promise(done => standIn.close(done));
+});
+
+test('an order that still can\'t be enrolled is a 409 and stays open', async () => {
+  const res = await resolve(itemFor('order-00001').id, { replay: true });
+  assert.equal(res.status, 409);
+  assert.ok(itemFor('order-00001'));
+});
+
+test('an order Squarespace doesn\'t have is a 404', async () => {
+  const res = await resolve(itemFor('missing-order').id, { replay: true });
+  assert.equal(res.status, 404);
+});
+
+test('a Squarespace error is a 502 with its message', async () => {
+  standIn.failNext(503);
+  const res = await resolve(itemFor('flaky-order').id, { replay: true });
+  assert.equal(res.status, 502);
+  assert.match(await res.text(), /Squarespace GET .* failed \(503\)/);
+  assert.ok(itemFor('flaky-order'));
+});
+
+test('dismissing closes the item without fetching the order', async () => {
+  const requests = standIn.requestCount();
+  const res = await resolve(itemFor('dismissed-order').id, { resolution: 'test order' });
+  assert.equal(res.status, 200);
+  assert.equal(itemFor('dismissed-order'), undefined);
+  assert.equal(standIn.requestCount(), requests);
+});
@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, isolatedEnv, freePort } = require('./support');
+
+// The SFTP transport against the local stand-in: atomic, serialized uploads
+// that leave nothing half-written behind, and host key pinning.
+
+const dir = tempDir('sftp');
+Object.assign(process.env, isolatedEnv(dir));
+const sftpRoot = path.join(dir, 'sftp-root');
+
+const { configureSftp, uploadFile, removeFile, closeSftp } = require('../sftpTransport');
+const { startSftpStandIn } = require('../sftpStandIn');
+
+let server;
+const settings = () => ({
+  host: '127.0.0.1',
+  port: server.address().port,
+  username: 'test',
+  password: 'test',
+  hostFingerprints: [server.hostFingerprint],
+});
+const listing = remoteDir => fs.readdirSync(path.join(sftpRoot, remoteDir)).sort();
+
+before(async () => {
+  server = await startSftpStandIn({ root: sftpRoot, port: await freePort(), username: 'test', password: 'test' });
+  configureSftp(settings());
+});
+after(async () => {
+  await closeSftp();
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('files are uploaded under their own name, replacing an older copy', async () => {
+  const local = path.join(dir, 'TESTGRP040126_FULL.txt');
+  fs.writeFileSync(local, 'first');
+  assert.equal(await uploadFile(local, { remoteDir: 'outbound' }), 'outbound/TESTGRP040126_FULL.txt');
+  fs.writeFileSync(local, 'second version');
+  await uploadFile(local, { remoteDir: 'outbound' });
+
+  assert.deepEqual(listing('outbound'), ['TESTGRP040126_FULL.txt']);
+  assert.equal(fs.readFileSync(path.join(sftpRoot, 'outbound', 'TESTGRP040126_FULL.txt'), 'utf8'), 'second version');
+});
+
+test('concurrent uploads take turns on the one connection', async () => {
+  await Promise.all(['a', 'b', 'c'].map(name =>
+    uploadFile(Buffer.from(`file ${name}`), { remoteDir: 'batch', fileName: `${name}.txt` })
+  ));
+  assert.deepEqual(listing('batch'), ['a.txt', 'b.txt', 'c.txt']);
+  assert.equal(fs.readFileSync(path.join(sftpRoot, 'batch', 'b.txt'), 'utf8'), 'file b');
+});
+
+test('a failed upload removes its temporary file', async () => {
+  // A directory in the way can't be replaced, so the rename never happens
+  fs.mkdirSync(path.join(sftpRoot, 'blocked', 'report.txt'), { recursive: true });
+  await assert.rejects(uploadFile(Buffer.from('report'), { remoteDir: 'blocked', fileName: 'report.txt' }));
+  assert.deepEqual(listing('blocked'), ['report.txt']);
+
+  await removeFile('a.txt', { remoteDir: 'batch' });
+  await removeFile('a.txt', { remoteDir: 'batch' });
+  assert.deepEqual(listing('batch'), ['b.txt', 'c.txt']);
+});
+
+test('a server whose host key is not pinned is refused', async () => {
+  configureSftp({ ...settings(), hostFingerprints: ['SHA256:not-the-stand-in'] });
+  try {
+    await assert.rejects(uploadFile(Buffer.from('x'), { fileName: 'pinned.txt' }));
+    assert.equal(fs.existsSync(path.join(sftpRoot, 'pinned.txt')), false);
+  } finally {
+    configureSftp(settings());
+  }
+});
@@ -0,0 +1,100 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, isolatedEnv, freePort } = require('./support');
+
+// Each site's files go to that site's own SFTP server, with its own
+// credentials, and its responses are polled from there.
+
+const dir = tempDir('site-sftp');
+Object.assign(process.env, isolatedEnv(dir));
+const plans = process.env.PLAN_CATALOG_PATH;
+fs.writeFileSync(process.env.SITES_CONFIG_PATH, JSON.stringify({
+  sites: [
+    { id: 'default', webhookEndpointUrl: 'https://example.com/webhook/squarespace', planCatalog: plans, groupCode: 'TESTGRP' },
+    {
+      id: 'outdoors',
+      webhookEndpointUrl: 'https://example.com/webhook/squarespace/outdoors',
+      planCatalog: plans,
+      groupCode: 'OUTGRP',
+      sftp: { responseDir: '/returns/outdoors' },
+    },
+    { id: 'nohost', webhookEndpointUrl: 'https://example.com/webhook/squarespace/nohost', planCatalog: plans, groupCode: 'NOGRP' },
+  ],
+}));
+
+const { sendEligibilityFile } = require('../eligibility');
+const { pollAllResponseFiles } = require('../careingtonResponses');
+const { uploadFile, closeSftp } = require('../sftpTransport');
+const { startSftpStandIn } = require('../sftpStandIn');
+
+const upload = (filePath, transport) => uploadFile(filePath, { remoteDir: transport.remoteDir, siteId: transport.siteId });
+const sendSdf = site => sendEligibilityFile({ site, vendor: 'sdf', isFull: true, trigger: 'test', upload });
+const servers = {};
+
+/**
+ * An SFTP stand-in for a site, with the site's own user and password in its
+ * environment variables.
+ */
+async function serverFor(prefix, name) {
+  const root = path.join(dir, `sftp-${name}`);
+  const server = await startSftpStandIn({ root, port: await freePort(), username: `${name}-user`, password: `${name}-pass` });
+  Object.assign(process.env, {
+    [`${prefix}SFTP_HOST`]: '127.0.0.1',
+    [`${prefix}SFTP_PORT`]: String(server.address().port),
+    [`${prefix}SFTP_USER`]: `${name}-user`,
+    [`${prefix}SFTP_PASS`]: `${name}-pass`,
+    [`${prefix}SFTP_HOST_FINGERPRINT`]: server.hostFingerprint,
+  });
+  return { server, root };
+}
+
+before(async () => {
+  servers.default = await serverFor('', 'default');
+  servers.outdoors = await serverFor('SITE_OUTDOORS_', 'outdoors');
+});
+after(async () => {
+  await closeSftp();
+  await Promise.all(Object.values(servers).map(({ server }) => new Promise(resolve => server.close(resolve))));
+});
+
+test('each site\'s file goes to its own server, under a name with the site', async () => {
+  const defaultFile = path.basename(await sendSdf('default'));
+  const outdoorsFile = path.basename(await sendSdf('outdoors'));
+
+  assert.match(defaultFile, /^SHAREING\d{6}_full\.txt$/);
+  assert.match(outdoorsFile, /^SHAREING_OUTDOORS\d{6}_full\.txt$/);
+  assert.deepEqual(fs.readdirSync(servers.default.root), [defaultFile]);
+  assert.deepEqual(fs.readdirSync(servers.outdoors.root), [outdoorsFile]);
+});
+
+test('a site without its own SFTP host doesn\'t use another site\'s', async () => {
+  await assert.rejects(sendSdf('nohost'), /No SFTP host configured for site nohost \(SITE_NOHOST_SFTP_HOST\)/);
+});
+
+test('responses are polled from each site\'s own server', async () => {
+  const returns = path.join(servers.outdoors.root, 'returns', 'outdoors');
+  fs.mkdirSync(returns, { recursive: true });
+  fs.writeFileSync(path.join(returns, 'OUTGRP_ACK_030326.txt'), 'SQ000001|00|A|\n');
+
+  const results = await pollAllResponseFiles();
+  const picked = results.find(result => result.file === 'OUTGRP_ACK_030326.txt');
+  assert.equal(picked.site, 'outdoors');
+  assert.deepEqual(fs.readdirSync(path.join(returns, 'archive')), ['OUTGRP_ACK_030326.txt']);
+  assert.match(results.find(result => result.site === 'nohost').error, /No SFTP host configured/);
+});
+
+test('a file processed for one site is still processed for another with the same name', async () => {
+  const defaultReturns = path.join(servers.default.root, 'returns');
+  const outdoorsReturns = path.join(servers.outdoors.root, 'returns', 'outdoors');
+  fs.mkdirSync(defaultReturns, { recursive: true });
+  fs.writeFileSync(path.join(defaultReturns, 'ACK_030426.txt'), 'SQ000001|00|A|\n');
+  fs.writeFileSync(path.join(outdoorsReturns, 'ACK_030426.txt'), 'SQ000002|00|A|\n');
+
+  const picked = (await pollAllResponseFiles()).filter(result => result.file === 'ACK_030426.txt');
+  assert.deepEqual(picked.map(result => [result.site, result.counts && result.counts.unmatched]), [
+    ['default', 1],
+    ['outdoors', 1],
+  ]);
+});
@@ -0,0 +1,177 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { tempDir, isolatedEnv } = require('./support');
+
+// The API client against the local stand-in: paging, the rate-limit bucket,
+// 429 / 5xx / 401 handling and error mapping.
+
+const dir = tempDir('squarespace');
+Object.assign(process.env, isolatedEnv(dir, {
+  API_KEY: 'test-api-key',
+  CLIENT_ID: 'test-client',
+  CLIENT_SECRET: 'test-client-secret',
+  ACCESS_TOKEN: 'stale-access-token',
+  REFRESH_TOKEN: 'test-refresh-token',
+  TOKEN_STORE_KEY: crypto.randomBytes(32).toString('base64'),
+  SQUARESPACE_MAX_ATTEMPTS: '3',
+  SQUARESPACE_RETRY_DELAY_MS: '20',
+}));
+
+const squarespace = require('../squarespaceApi');
+const { getAccessToken } = require('../oauthTokens');
+const { startSquarespaceStandIn, sampleOrders } = require('../squarespaceStandIn');
+
+const orders = sampleOrders(120);
+let standIn;
+
+// Fast buckets unless a test is about the bucket
+const useStandIn = (limits = { ratePerMinute: 60000, burst: 100 }) =>
+  squarespace.configureSquarespaceApi({ apiUrl: standIn.url, loginUrl: standIn.url, ...limits });
+
+// Requests the stand-in sees while `fn` runs
+async function countRequests(fn) {
+  const before = standIn.requestCount();
+  await fn();
+  return standIn.requestCount() - before;
+}
+
+before(async () => {
+  standIn = await startSquarespaceStandIn({ port: 0, orders, pageSize: 50 });
+});
+after(() => new Promise(resolve => standIn.close(resolve)));
+
+/* ========= Paging ========= */
+
+test('pages follow the cursor until there is no next page', async () => {
+  useStandIn();
+  const seen = [];
+  for await (const page of squarespace.pages('default', { path: '/1.0/commerce/orders' })) {
+    seen.push({ count: page.items.length, more: Boolean(page.nextPageCursor) });
+  }
+  assert.deepEqual(seen, [{ count: 50, more: true }, { count: 50, more: true }, { count: 20, more: false }]);
+});
+
+test('iterateOrders yields every order once, in order', async () => {
+  useStandIn();
+  const all = await squarespace.collect(squarespace.iterateOrders());
+  assert.deepEqual(all.map(order => order.id), orders.map(order => order.id));
+});
+
+test('filters apply to the first page and carry through the cursor', async () => {
+  useStandIn();
+  const since = orders[59].modifiedOn;
+  const newer = await squarespace.collect(squarespace.iterateOrders({ modifiedAfter: since }));
+  assert.equal(newer.length, 60);
+  assert.ok(newer.every(order => order.modifiedOn > since));
+});
+
+/* ========= Rate limiting ========= */
+
+test('requests beyond the burst wait for the bucket to refill', async () => {
+  // 10 a second after a burst of 5: 15 requests take about a second
+  useStandIn({ ratePerMinute: 600, burst: 5 });
+  const started = Date.now();
+  await Promise.all(Array.from({ length: 15 }, (_, i) => squarespace.getOrder(orders[i].id)));
+  const elapsed = Date.now() - started;
+  assert.ok(elapsed >= 900, `took ${elapsed} ms`);
+  assert.ok(elapsed < 3000, `took ${elapsed} ms`);
+});
+
+test('a 429 is retried after its Retry-After', async () => {
+  useStandIn();
+  standIn.failNext(429, { retryAfter: 1 });
+  const started = Date.now();
+  let order;
+  const requests = await countRequests(async () => {
+    order = await squarespace.getOrder(orders[0].id);
+  });
+  assert.equal(order.id, orders[0].id);
+  assert.equal(requests, 2);
+  assert.ok(Date.now() - started >= 1000);
+});
+
+test('a 429 is retried even for a request that is not safe to repeat', async () => {
+  useStandIn();
+  standIn.failNext(429, { retryAfter: 0 });
+  const requests = await countRequests(() => squarespace.createWebhookSubscription({
+    endpointUrl: 'https://example.com/webhook/squarespace', topics: ['order.create'],
+  }));
+  // Including the token refresh on first use of the stored tokens
+  assert.ok(requests >= 2);
+  assert.equal(standIn.subscriptions.size, 1);
+});
+
+/* ========= Retries and errors ========= */
+
+test('a GET is retried on 5xx responses', async () => {
+  useStandIn();
+  standIn.failNext(503, { times: 2 });
+  let order;
+  const requests = await countRequests(async () => {
+    order = await squarespace.getOrder(orders[1].id);
+  });
+  assert.equal(order.id, orders[1].id);
+  assert.equal(requests, 3);
+});
+
+test('a GET gives up after the last attempt', async () => {
+  useStandIn();
+  standIn.failNext(500, { times: 3 });
+  await assert.rejects(squarespace.getOrder(orders[1].id), err => {
+    assert.ok(err instanceof squarespace.SquarespaceApiError);
+    assert.equal(err.status, 500);
+    assert.equal(err.code, 'server_error');
+    assert.equal(err.retryable, true);
+    return true;
+  });
+});
+
+test('a POST is not retried on a 5xx response', async () => {
+  useStandIn();
+  standIn.failNext(502);
+  const requests = await countRequests(() => assert.rejects(
+    squarespace.createWebhookSubscription({ endpointUrl: 'https://example.com/other', topics: ['order.create'] }),
+    { code: 'server_error', status: 502 },
+  ));
+  assert.equal(requests, 1);
+});
+
+test('a missing order is a not_found error with Squarespace\'s type', async () => {
+  useStandIn();
+  await assert.rejects(squarespace.getOrder('no-such-order'), err => {
+    assert.equal(err.status, 404);
+    assert.equal(err.code, 'not_found');
+    assert.equal(err.type, 'NOT_FOUND');
+    assert.equal(err.retryable, false);
+    return true;
+  });
+});
+
+test('a 401 with the API key is not retried', async () => {
+  useStandIn();
+  standIn.failNext(401);
+  const requests = await countRequests(() => assert.rejects(squarespace.getOrder(orders[0].id), { code: 'unauthorized' }));
+  assert.equal(requests, 1);
+});
+
+test('a 401 with the OAuth token refreshes it once and retries', async () => {
+  useStandIn();
+  await squarespace.listWebhookSubscriptions();
+  const stale = await getAccessToken();
+  standIn.failNext(401);
+  let subscriptions;
+  const requests = await countRequests(async () => {
+    subscriptions = await squarespace.listWebhookSubscriptions();
+  });
+  // The rejected list, the refresh grant and the retried list
+  assert.equal(requests, 3);
+  assert.ok(Array.isArray(subscriptions));
+  assert.notEqual(await getAccessToken(), stale);
+});
+
+test('a second 401 after refreshing is thrown', async () => {
+  useStandIn();
+  standIn.failNext(401, { times: 2 });
+  await assert.rejects(squarespace.listWebhookSubscriptions(), { code: 'unauthorized' });
+});
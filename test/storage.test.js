@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, isolatedEnv } = require('./support');
+
+// The SQLite store: migrations run once, and the legacy subscriptions.json
+// import happens once and never half-way.
+
+const dir = tempDir('storage');
+Object.assign(process.env, isolatedEnv(dir));
+
+/**
+ * The store as a freshly started process sees it.
+ */
+function restart() {
+  delete require.cache[require.resolve('../storage')];
+  return require('../storage');
+}
+
+const legacyRecord = (email, orderId) => ({
+  email,
+  firstName: 'Test',
+  lastName: 'Member',
+  uniqueId: 'SQ000001',
+  lastPaymentDate: '20260301',
+  paymentAmount: '29.99',
+  subscriptionPlan: 'monthly',
+  nextDueDate: '20260401',
+  orderId,
+  productName: 'Monthly membership',
+});
+
+let storage = restart();
+const versions = () => storage.getDb().prepare('SELECT version FROM schema_migrations ORDER BY version').all();
+
+test('migrations run once, however often the store is opened', () => {
+  const applied = versions();
+  assert.ok(applied.length >= 1);
+  storage = restart();
+  assert.deepEqual(versions(), applied);
+});
+
+test('subscriptions.json is imported once and then set aside', () => {
+  const jsonPath = path.join(dir, 'subscriptions.json');
+  fs.writeFileSync(jsonPath, JSON.stringify({
+    'one@example.com': legacyRecord('one@example.com', 'order-1'),
+    'two@example.com': { ...legacyRecord('', 'order-2'), uniqueId: 'SQ000002' },
+  }));
+
+  assert.equal(storage.importSubscriptionsJson(jsonPath), 2);
+  assert.equal(fs.existsSync(jsonPath), false);
+  assert.ok(fs.existsSync(`${jsonPath}.imported`));
+  assert.equal(storage.importSubscriptionsJson(jsonPath), 0);
+
+  assert.deepEqual(storage.listMembers().map(member => member.email), ['one@example.com', 'two@example.com']);
+  const member = storage.listMembers()[0];
+  assert.equal(member.orderId, 'order-1');
+  assert.equal(member.nextDueDate, '20260401');
+});
+
+test('an unparseable subscriptions.json is left alone and nothing is imported', () => {
+  const jsonPath = path.join(dir, 'broken.json');
+  fs.writeFileSync(jsonPath, '{ "three@example.com": ');
+  assert.throws(() => storage.importSubscriptionsJson(jsonPath), SyntaxError);
+  assert.ok(fs.existsSync(jsonPath));
+  assert.equal(storage.listMembers().length, 2);
+});
+
+test('saving a member again updates it in place', () => {
+  const uniqueId = storage.saveMember({ ...legacyRecord('one@example.com', 'order-1'), uniqueId: '', city: 'Dallas', paymentAmount: '19.99' });
+  assert.equal(storage.listMembers().length, 2);
+  const member = storage.getMember(uniqueId);
+  assert.equal(member.city, 'Dallas');
+  assert.equal(member.paymentAmount, '19.99');
+  assert.equal(storage.getDb().prepare('SELECT COUNT(*) AS count FROM payments').get().count, 2);
+
+  assert.equal(storage.deleteMember(uniqueId), true);
+  assert.equal(storage.getDb().prepare('SELECT COUNT(*) AS count FROM payments').get().count, 1);
+});
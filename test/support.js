@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+
+/* ========= Test helpers ========= */
+
+/*
+ * Tests never touch the real stores, .env or servers: every path lives in a
+ * temporary directory, the app runs with that directory as its working
+ * directory (so dotenv finds no .env), and SFTP and Squarespace point at
+ * local addresses.
+ */
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+function tempDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), `submanager-${prefix}-`));
+}
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name));
+}
+
+/**
+ * A port nothing is listening on right now.
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Environment with every store under `dir`, for requiring modules in-process
+ * or for starting the app. `extra` overrides.
+ */
+function isolatedEnv(dir, extra = {}) {
+  return {
+    SUBSCRIPTIONS_DB_PATH: path.join(dir, 'subscriptions.db'),
+    SITES_CONFIG_PATH: path.join(dir, 'sites.json'),
+    PLAN_CATALOG_PATH: path.join(FIXTURES, 'plan-catalog.json'),
+    CAREINGTON_GROUP_CODE: 'TESTGRP',
+    OUTBOUND_ARCHIVE_DIR: path.join(dir, 'outbound'),
+    WEBHOOK_SECRETS_PATH: path.join(dir, 'webhook-secrets.json'),
+    WEBHOOK_QUEUE_PATH: path.join(dir, 'webhook-queue.json'),
+    TOKEN_STORE_PATH: path.join(dir, 'oauth-tokens.enc'),
+    SQUARESPACE_API_URL: 'http://127.0.0.1:1',
+    SQUARESPACE_LOGIN_URL: 'http://127.0.0.1:1',
+    SFTP_HOST: '127.0.0.1',
+    SFTP_PORT: '1',
+    SFTP_MAX_ATTEMPTS: '1',
+    ELIGIBILITY_RUN_HOUR: '99',
+    ...extra,
+  };
+}
+
+/**
+ * Start main.js in `dir` and resolve once it listens. Returns { url, stop, output }.
+ */
+async function startApp(dir, extra = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(ROOT, 'main.js')], {
+    cwd: dir,
+    env: { PATH: process.env.PATH, ...isolatedEnv(dir, { PORT: String(port), ...extra }) },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`App did not start:\n${output}`)), 20000);
+    child.stdout.on('data', () => {
+      if (output.includes('Server running on port')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`App exited with ${code}:\n${output}`));
+    });
+  });
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    output: () => output,
+    stop: () => new Promise(resolve => {
+      if (child.exitCode !== null) return resolve();
+      child.removeAllListeners('exit');
+      child.on('exit', () => resolve());
+      child.kill();
+    }),
+  };
+}
+
+module.exports = {
+  ROOT,
+  tempDir,
+  readFixture,
+  freePort,
+  isolatedEnv,
+  startApp,
+};
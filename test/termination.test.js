@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { tempDir, isolatedEnv } = require('./support');
+
+// Terminating instead of deleting: Careington's end-of-month dates, and
+// members (with their dependents) terminated, reinstated and kept on record.
+
+Object.assign(process.env, isolatedEnv(tempDir('termination')));
+
+const { toCareingtonEffectiveDate, toCareingtonTerminationDate } = require('../coverageDates');
+const { saveMember, getMember, terminateMember, reinstateMember, getMemberHistory } = require('../storage');
+
+test('coverage starts on the 1st and ends on a month end, with a mid-month cut-off', () => {
+  assert.deepEqual(toCareingtonEffectiveDate('2026-03-10T12:00:00'), new Date(2026, 2, 1));
+  assert.deepEqual(toCareingtonEffectiveDate('2026-03-20T12:00:00'), new Date(2026, 3, 1));
+  assert.deepEqual(toCareingtonEffectiveDate('2026-12-20T12:00:00'), new Date(2027, 0, 1));
+
+  assert.equal(toCareingtonTerminationDate('2026-03-10'), '2026-02-28');
+  assert.equal(toCareingtonTerminationDate('2026-03-20'), '2026-03-31');
+  // Never before coverage started
+  assert.equal(toCareingtonTerminationDate('2026-03-10', '2026-03-05T12:00:00'), '2026-03-01');
+});
+
+test('a terminated member and their dependents are kept and can be reinstated', () => {
+  const memberId = saveMember({
+    sequenceNum: '00',
+    firstName: 'Test',
+    lastName: 'Member',
+    email: 'term@example.com',
+    effectiveDate: '2026-01-01',
+    dependents: [{ firstName: 'Pat', lastName: 'Member', dateOfBirth: '1983-02-03', relation: 'S' }],
+  });
+
+  terminateMember(memberId, { terminationDate: '2026-03-31', reason: 'canceled', source: 'order:o-1' });
+  let member = getMember(memberId);
+  assert.equal(member.terminationDate, '2026-03-31');
+  assert.equal(member.dependents[0].terminationDate, '2026-03-31');
+
+  reinstateMember(memberId, { reason: 'manual', source: 'admin' });
+  member = getMember(memberId);
+  assert.equal(member.terminationDate, '');
+  assert.equal(member.dependents[0].terminationDate, '');
+  assert.throws(() => reinstateMember(memberId), /is not terminated/);
+  assert.throws(() => terminateMember('PF9999999999', { terminationDate: '2026-03-31' }), /not found/);
+
+  assert.deepEqual(getMemberHistory(memberId).map(({ event, effectiveDate, reason }) => [event, effectiveDate, reason]), [
+    ['terminated', '2026-03-31', 'canceled'],
+    ['reinstated', '', 'manual'],
+  ]);
+});
+
+test('a new order for a terminated member reinstates them', () => {
+  const memberId = saveMember({ sequenceNum: '00', firstName: 'Back', email: 'back@example.com', effectiveDate: '2026-01-01' });
+  terminateMember(memberId, { terminationDate: '2026-02-28', reason: 'lapsed' });
+  saveMember({ sequenceNum: '00', firstName: 'Back', email: 'back@example.com', effectiveDate: '2026-04-01', orderId: 'back-2' });
+
+  assert.equal(getMember(memberId).terminationDate, '');
+  assert.deepEqual(getMemberHistory(memberId).map(entry => [entry.event, entry.reason]), [
+    ['terminated', 'lapsed'],
+    ['reinstated', 'new order'],
+  ]);
+});
@@ -0,0 +1,69 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, freePort, startApp } = require('./support');
+const { startSftpStandIn } = require('../sftpStandIn');
+
+// POST /test-generate-file: the test file is archived, then uploaded; a failed
+// upload answers with the archived file so it can be re-sent.
+
+const ADMIN_TOKEN = 'admin-token-for-tests';
+const generate = app => fetch(`${app.url}/test-generate-file`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${ADMIN_TOKEN}` },
+  body: '{}',
+});
+
+describe('without a reachable SFTP server', () => {
+  let app;
+  before(async () => {
+    app = await startApp(tempDir('test-file-down'), { ADMIN_API_TOKEN: ADMIN_TOKEN });
+  });
+  after(() => app && app.stop());
+
+  test('answers 500 with the archived file and the upload error', async () => {
+    const res = await generate(app);
+    assert.equal(res.status, 500);
+    const body = await res.json();
+    assert.ok(Number.isInteger(body.archiveId));
+    assert.match(body.error, /^Upload failed: /);
+    assert.ok(fs.existsSync(body.filePath));
+
+    const download = await fetch(`${app.url}/outbound-files/${body.archiveId}/download`, {
+      headers: { Authorization: `Bearer ${ADMIN_TOKEN}` },
+    });
+    assert.equal(download.status, 200);
+    assert.equal(await download.text(), fs.readFileSync(body.filePath, 'utf8'));
+  });
+});
+
+describe('with the SFTP stand-in', () => {
+  const dir = tempDir('test-file-up');
+  const sftpRoot = path.join(dir, 'sftp-root');
+  let server;
+  let app;
+  before(async () => {
+    server = await startSftpStandIn({ root: sftpRoot, port: await freePort() });
+    app = await startApp(dir, {
+      ADMIN_API_TOKEN: ADMIN_TOKEN,
+      SFTP_PORT: String(server.address().port),
+      SFTP_USER: 'test',
+      SFTP_PASS: 'test',
+      SFTP_HOST_FINGERPRINT: server.hostFingerprint,
+    });
+  });
+  after(async () => {
+    if (app) await app.stop();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('uploads the test file', async () => {
+    const res = await generate(app);
+    assert.equal(res.status, 200);
+    const uploaded = fs.readdirSync(sftpRoot);
+    assert.equal(uploaded.length, 1);
+    assert.match(uploaded[0], /^TEST_TESTGRP\d{6}_FULL\.txt$/);
+    assert.equal(fs.readFileSync(path.join(sftpRoot, uploaded[0]), 'utf8').split('\n').length, 4);
+  });
+});
@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { tempDir, isolatedEnv } = require('./support');
+
+// When each vendor sends its FULL file: ELIGIBILITY_FULL_WEEKDAY and
+// X12_FULL_WEEKDAY take "daily" or a weekday number, and nothing else.
+
+Object.assign(process.env, isolatedEnv(tempDir('vendor-schedule')), {
+  ELIGIBILITY_FULL_WEEKDAY: 'daily',
+  X12_FULL_WEEKDAY: '3',
+});
+
+const { getVendor } = require('../vendors');
+const { fullOnFromEnv } = require('../vendors/schedule');
+
+test('vendors take their FULL day from the environment', () => {
+  assert.equal(getVendor('careington').schedule.fullOn, 'daily');
+  assert.equal(getVendor('x12-834').schedule.fullOn, 3);
+});
+
+test('an unset weekday is Sunday', () => {
+  delete process.env.TEST_FULL_WEEKDAY;
+  assert.equal(fullOnFromEnv('TEST_FULL_WEEKDAY'), 0);
+  process.env.TEST_FULL_WEEKDAY = ' Daily ';
+  assert.equal(fullOnFromEnv('TEST_FULL_WEEKDAY'), 'daily');
+});
+
+test('anything but "daily" or 0-6 is refused', () => {
+  for (const value of ['7', 'sunday', '1.5', '-1']) {
+    process.env.TEST_FULL_WEEKDAY = value;
+    assert.throws(() => fullOnFromEnv('TEST_FULL_WEEKDAY'), /TEST_FULL_WEEKDAY must be "daily" or a weekday number 0-6/);
+  }
+});
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { tempDir, isolatedEnv } = require('./support');
+
+// The on-disk webhook queue: duplicates are dropped, events survive a
+// restart, and failed events can be retried from the dead-letter list.
+
+Object.assign(process.env, isolatedEnv(tempDir('webhook-queue')), { WEBHOOK_MAX_ATTEMPTS: '1' });
+
+/**
+ * The queue as a freshly started process sees it.
+ */
+function restart() {
+  delete require.cache[require.resolve('../webhookQueue')];
+  return require('../webhookQueue');
+}
+
+/**
+ * Resolve once `check()` is true, failing after two seconds.
+ */
+async function waitFor(check) {
+  for (let tries = 0; !check(); tries++) {
+    if (tries > 100) throw new Error('Timed out waiting for the webhook queue');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+const event = (id, orderId = 'order-1') => ({ id, topic: 'order.create', data: { orderId } });
+let queue = restart();
+const handled = [];
+let failing = new Set(['order-bad']);
+const handle = async ({ id, data }) => {
+  if (failing.has(data.orderId)) throw new Error(`Order ${data.orderId} not found`);
+  handled.push(id);
+};
+
+test('an event is queued once; its retries are duplicates', () => {
+  assert.equal(queue.enqueueWebhookEvent('evt-1', event('evt-1')), true);
+  assert.equal(queue.enqueueWebhookEvent('evt-1', event('evt-1')), false);
+  assert.equal(queue.getQueueStatus().pending, 1);
+});
+
+test('queued events are processed after a restart and still recognised as duplicates', async () => {
+  queue = restart();
+  queue.startWebhookWorker(handle);
+  await waitFor(() => queue.getQueueStatus().processed === 1);
+  assert.deepEqual(handled, ['evt-1']);
+
+  queue = restart();
+  assert.equal(queue.enqueueWebhookEvent('evt-1', event('evt-1')), false);
+});
+
+test('a failed event goes to the dead-letter list and can be retried', async () => {
+  queue.startWebhookWorker(handle);
+  queue.enqueueWebhookEvent('evt-2', event('evt-2', 'order-bad'));
+  await waitFor(() => queue.getQueueStatus().deadLetter['evt-2']);
+  const { deadLetter } = queue.getQueueStatus();
+  assert.equal(deadLetter['evt-2'].lastError, 'Order order-bad not found');
+  assert.equal(deadLetter['evt-2'].attempts, 1);
+
+  failing = new Set();
+  assert.equal(queue.retryDeadLetter('evt-2'), true);
+  assert.equal(queue.retryDeadLetter('evt-unknown'), false);
+  await waitFor(() => queue.getQueueStatus().processed === 2);
+  assert.deepEqual(handled, ['evt-1', 'evt-2']);
+  assert.deepEqual(queue.getQueueStatus().deadLetter, {});
+});
@@ -0,0 +1,119 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { tempDir, readFixture, isolatedEnv, startApp } = require('./support');
+
+// Webhook signatures: the store, the check, and the endpoint's 401s, with
+// fixture payloads signed here with a known secret.
+
+const dir = tempDir('webhooks');
+Object.assign(process.env, isolatedEnv(dir));
+const secretsPath = process.env.WEBHOOK_SECRETS_PATH;
+
+const {
+  loadWebhookSecrets,
+  saveWebhookSecret,
+  removeWebhookSecret,
+  computeSignature,
+  verifyWebhookSignature,
+} = require('../webhookSecrets');
+
+const SECRET = 'a1b2c3d4e5f60718293a4b5c6d7e8f90a1b2c3d4e5f60718293a4b5c6d7e8f90';
+const OTHER_SECRET = 'ffeeddccbbaa99887766554433221100ffeeddccbbaa99887766554433221100';
+const payload = readFixture('order-create.json');
+const tampered = Buffer.from(payload.toString().replace('test-order-1', 'test-order-2'));
+
+before(() => {
+  fs.rmSync(secretsPath, { force: true });
+  saveWebhookSecret('default', 'test-subscription', SECRET);
+});
+
+test('secrets are stored by site and subscription and can be removed', () => {
+  saveWebhookSecret('default', 'old-subscription', OTHER_SECRET);
+  assert.deepEqual(loadWebhookSecrets('default'), { 'test-subscription': SECRET, 'old-subscription': OTHER_SECRET });
+  removeWebhookSecret('default', 'old-subscription');
+  assert.deepEqual(loadWebhookSecrets(), { 'test-subscription': SECRET });
+  assert.deepEqual(JSON.parse(fs.readFileSync(secretsPath, 'utf8')), { default: { 'test-subscription': SECRET } });
+});
+
+test('a signature made with a stored secret verifies', () => {
+  assert.equal(verifyWebhookSignature(payload, computeSignature(payload, SECRET)), true);
+});
+
+test('a tampered body does not verify', () => {
+  assert.equal(verifyWebhookSignature(tampered, computeSignature(payload, SECRET)), false);
+});
+
+test('a missing, malformed or foreign signature does not verify', () => {
+  assert.equal(verifyWebhookSignature(payload, undefined), false);
+  assert.equal(verifyWebhookSignature(payload, 'not-hex'), false);
+  assert.equal(verifyWebhookSignature(payload, computeSignature(payload, OTHER_SECRET)), false);
+});
+
+test('another site\'s secrets never verify', () => {
+  assert.equal(verifyWebhookSignature(payload, computeSignature(payload, SECRET), 'outdoors'), false);
+});
+
+test('an unparseable secrets file throws instead of being overwritten', () => {
+  const saved = fs.readFileSync(secretsPath);
+  try {
+    fs.writeFileSync(secretsPath, '{ "default": { "test-subscription": ');
+    assert.throws(() => loadWebhookSecrets(), /Can't parse the webhook secrets file/);
+    assert.throws(() => saveWebhookSecret('default', 'another', OTHER_SECRET), /Can't parse/);
+    assert.equal(fs.readFileSync(secretsPath, 'utf8'), '{ "default": { "test-subscription": ');
+  } finally {
+    fs.writeFileSync(secretsPath, saved);
+  }
+});
+
+test('a legacy flat secrets file belongs to the default site', () => {
+  const saved = fs.readFileSync(secretsPath);
+  try {
+    fs.writeFileSync(secretsPath, JSON.stringify({ 'old-subscription': SECRET }));
+    assert.deepEqual(loadWebhookSecrets('default'), { 'old-subscription': SECRET });
+  } finally {
+    fs.writeFileSync(secretsPath, saved);
+  }
+});
+
+/* ========= The webhook endpoint ========= */
+
+let app;
+before(async () => {
+  app = await startApp(dir);
+});
+after(() => app && app.stop());
+
+const post = (body, signature) => fetch(`${app.url}/webhook/squarespace`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...(signature ? { 'Squarespace-Signature': signature } : {}) },
+  body,
+});
+
+test('the endpoint accepts a correctly signed notification', async () => {
+  const res = await post(payload, computeSignature(payload, SECRET));
+  assert.equal(res.status, 200);
+  assert.equal(await res.text(), 'Event queued');
+});
+
+test('the endpoint logs the notification id and topic, not its payload', async () => {
+  const logLine = 'Webhook 5f1b2a3c4d5e6f7a8b9c0d1e (order.create) for site default';
+  for (let i = 0; i < 50 && !app.output().includes(logLine); i++) await new Promise(resolve => setTimeout(resolve, 20));
+  assert.ok(app.output().includes(logLine), app.output());
+  assert.doesNotMatch(app.output(), /test-website|"data"/);
+});
+
+test('the endpoint rejects a tampered body with 401', async () => {
+  const res = await post(tampered, computeSignature(payload, SECRET));
+  assert.equal(res.status, 401);
+});
+
+test('the endpoint rejects a missing signature with 401', async () => {
+  const res = await post(payload, null);
+  assert.equal(res.status, 401);
+});
+
+test('the endpoint rejects a wrong signature with 401', async () => {
+  const res = await post(payload, computeSignature(payload, OTHER_SECRET));
+  assert.equal(res.status, 401);
+});
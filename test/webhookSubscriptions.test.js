@@ -0,0 +1,96 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const crypto = require('crypto');
+const { tempDir, isolatedEnv } = require('./support');
+
+// The webhook reconciler against the Squarespace stand-in: the plan it works
+// out from what Squarespace lists, a dry run that only prints it, and a real
+// run that applies it.
+
+Object.assign(process.env, isolatedEnv(tempDir('subscriptions'), {
+  CLIENT_ID: 'test-client',
+  CLIENT_SECRET: 'test-client-secret',
+  TOKEN_STORE_KEY: crypto.randomBytes(32).toString('hex'),
+  REFRESH_TOKEN: 'test-refresh-token',
+}));
+
+const squarespace = require('../squarespaceApi');
+const { startSquarespaceStandIn } = require('../squarespaceStandIn');
+const { getAccessToken } = require('../oauthTokens');
+const { loadWebhookSecrets, saveWebhookSecret } = require('../webhookSecrets');
+const { planWebhookChanges, describeStep, reconcileWebhooks } = require('../webhookSubscriptions');
+
+const ENDPOINT = 'https://example.com/webhook/squarespace';
+const site = { id: 'default', webhookEndpointUrl: ENDPOINT, webhookTopics: ['order.create', 'order.update'] };
+const sub = (id, fields = {}) => ({ id, endpointUrl: ENDPOINT, topics: ['order.update', 'order.create'], ...fields });
+
+let standIn;
+
+// Requests the stand-in sees while `fn` runs
+async function countRequests(fn) {
+  const before = standIn.requestCount();
+  await fn();
+  return standIn.requestCount() - before;
+}
+
+before(async () => {
+  standIn = await startSquarespaceStandIn({ port: 0 });
+  squarespace.configureSquarespaceApi({ apiUrl: standIn.url, loginUrl: standIn.url, ratePerMinute: 60000, burst: 100 });
+  await getAccessToken();
+});
+after(() => new Promise(resolve => standIn.close(resolve)));
+
+beforeEach(() => {
+  fs.rmSync(process.env.WEBHOOK_SECRETS_PATH, { force: true });
+  standIn.subscriptions.clear();
+  standIn.subscriptions.set('old', { ...sub('old', { endpointUrl: 'https://old.example.com/hook' }), secret: 'old-secret' });
+  saveWebhookSecret('default', 'old', 'old-secret');
+});
+
+test('nothing changes when the one subscription matches and its secret is stored', () => {
+  assert.deepEqual(planWebhookChanges(site, [sub('a')], { a: 'secret' }), []);
+});
+
+test('the plan creates, updates, rotates, deletes and forgets to converge', () => {
+  assert.deepEqual(planWebhookChanges(site, [], {}).map(describeStep), [
+    `create order.create, order.update -> ${ENDPOINT} (no subscription for this endpoint)`,
+  ]);
+
+  const steps = planWebhookChanges(site, [
+    sub('old', { endpointUrl: 'https://old.example.com/hook' }),
+    sub('partial', { topics: ['order.create'] }),
+    sub('dup', { topics: ['order.create'] }),
+  ], { partial: 'secret', gone: 'secret' });
+  assert.deepEqual(steps.map(describeStep), [
+    `update partial order.create, order.update -> ${ENDPOINT} (topics are order.create)`,
+    'delete old order.update, order.create -> https://old.example.com/hook (stale endpoint)',
+    `delete dup order.create -> ${ENDPOINT} (duplicate for this endpoint)`,
+    'forget gone (subscription no longer exists)',
+  ]);
+
+  // The subscription with the right topics wins over the one we have a secret for
+  assert.deepEqual(planWebhookChanges(site, [sub('known', { topics: [] }), sub('right')], { known: 'secret' })
+    .map(step => [step.action, step.subscriptionId]), [['rotate', 'right'], ['delete', 'known']]);
+});
+
+test('a dry run prints the plan and changes nothing', async () => {
+  let result;
+  // Listing the subscriptions is all it does
+  assert.equal(await countRequests(async () => { result = await reconcileWebhooks(site, { dryRun: true }); }), 1);
+  assert.deepEqual(result.steps.map(step => step.action), ['create', 'delete']);
+  assert.ok(result.steps.every(step => step.ok === undefined));
+  assert.deepEqual([...standIn.subscriptions.keys()], ['old']);
+  assert.deepEqual(loadWebhookSecrets('default'), { old: 'old-secret' });
+});
+
+test('a real run converges on the one subscription, keeping its secret', async () => {
+  const { steps } = await reconcileWebhooks(site);
+  assert.deepEqual(steps.map(step => [step.action, step.ok]), [['create', true], ['delete', true]]);
+
+  const [created] = standIn.subscriptions.values();
+  assert.equal(standIn.subscriptions.size, 1);
+  assert.deepEqual([created.endpointUrl, created.topics], [ENDPOINT, site.webhookTopics]);
+  assert.deepEqual(loadWebhookSecrets('default'), { [created.id]: created.secret });
+  assert.deepEqual((await reconcileWebhooks(site)).steps, []);
+});
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { build834, validate834 } = require('../x12');
+
+const subscriber = {
+  uniqueId: 'PF0000000001',
+  sequenceNum: '00',
+  firstName: 'José',
+  lastName: 'Nuñez',
+  address1: '1 Main St',
+  city: 'Austin',
+  state: 'TX',
+  zip: '78701',
+  email: 'jose@example.com',
+  coverage: 'MF',
+  groupCode: 'TESTGRP',
+  subscriptionPlan: 'Monthly',
+  effectiveDate: '2026-03-01',
+  terminationDate: '',
+};
+const spouse = {
+  ...subscriber,
+  sequenceNum: '01',
+  firstName: 'Ana',
+  relation: 'S',
+  dateOfBirth: '1990-05-04',
+  gender: 'F',
+  terminationDate: '2026-04-30',
+};
+const options = {
+  controlNumber: 42,
+  sender: { id: 'TESTGRP', name: 'Sponsor' },
+  receiver: { id: 'PAYER', name: 'Payer' },
+  isFull: false,
+  date: new Date(2026, 3, 1, 9, 30),
+};
+
+const build = entries => build834(entries, options);
+const segments = text => text.split('~\n').map(s => s.replace(/~$/, ''));
+
+test('an 834 has member loops with maintenance types inside a valid envelope', () => {
+  const text = build([{ action: 'add', record: subscriber }, { action: 'terminate', record: spouse }]);
+  assert.deepEqual(validate834(text), { valid: true, errors: [] });
+
+  const lines = segments(text);
+  assert.match(lines[0], /^ISA\*00\*.*\*00501\*000000042\*0\*P\*:$/);
+  assert.equal(lines[0].length, 105);
+  assert.equal(lines[3], 'BGN*00*000000042*20260401*0930****2');
+  assert.deepEqual(lines.filter(s => s.startsWith('INS')), ['INS*Y*18*021*28*A', 'INS*N*01*024*07*A']);
+  assert.ok(lines.includes('NM1*IL*1*Nunez*Jose'));
+  assert.ok(lines.includes('HD*024**DEN*Monthly*FAM'));
+  assert.ok(lines.includes('DTP*349*D8*20260430'));
+  assert.ok(lines.includes('DMG*D8*19900504*F'));
+  assert.equal(lines.at(-1), 'IEA*1*000000042');
+});
+
+test('the validator reports broken envelopes and member loops', () => {
+  assert.deepEqual(validate834('NOT X12'), { valid: false, errors: ['not an X12 interchange (no ISA header)'] });
+
+  const text = build([{ action: 'add', record: subscriber }]);
+  const counted = text.replace(/SE\*(\d+)\*0001/, 'SE*99*0001');
+  assert.match(validate834(counted).errors[0], /^segment \d+ \(SE\): SE01 99 but \d+ segments$/);
+
+  const noCoverage = text.replace(/HD\*[^~]*~\n/, '').replace(/SE\*(\d+)/, (_, n) => `SE*${n - 1}`);
+  assert.deepEqual(validate834(noCoverage).errors, ['segment 7 (INS): member loop has no HD health coverage']);
+
+  const orphan = build([{ action: 'add', record: spouse }]);
+  assert.ok(validate834(orphan).errors.includes('segment 7 (INS): dependent before any subscriber'));
+
+  const wrongControl = text.replace(/IEA\*1\*000000042/, 'IEA*1*000000043');
+  assert.ok(validate834(wrongControl).errors.some(e => /IEA02 000000043 does not match ISA13 000000042/.test(e)));
+});
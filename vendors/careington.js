@@ -0,0 +1,78 @@
+const { format: dfFormat, parseISO } = require('date-fns');
+const { eligibilityRecords } = require('../dependents');
+const { isIncludedInEligibility } = require('../lifecycle');
+const { validateRecords } = require('../ci007');
+const { formatDateMMDDYYYY, toCareingtonEffectiveDate } = require('../coverageDates');
+const { formatLine } = require('./layout');
+const { fullOnFromEnv } = require('./schedule');
+
+/* ========= Careington CI007 (pipe-delimited) ========= */
+
+// Field widths are enforced by the validator (ci007.js); the file itself has no padding.
+const CI007_LAYOUT = {
+  type: 'delimited',
+  delimiter: '|',
+  fields: [
+    { name: 'title' },          // Title (3)
+    { name: 'firstName' },      // First Name (15)
+    { name: 'middleName' },     // Middle Initial (1)
+    { name: 'lastName' },       // Last Name (20)
+    { name: 'postName' },       // Post Name (4)
+    { name: 'uniqueId' },       // Unique ID (12)
+    { name: 'sequenceNum' },    // Sequence Number (2)
+    { name: 'filler' },         // Filler (9)
+    { name: 'address1' },       // Address Line 1 (33)
+    { name: 'address2' },       // Address Line 2 (33)
+    { name: 'city' },           // City (21)
+    { name: 'state' },          // State (2)
+    { name: 'zip' },            // Zip (5)
+    { name: 'plus4' },          // Plus 4 (4)
+    { name: 'homePhone' },      // Home Phone (10)
+    { name: 'workPhone' },      // Work Phone (10)
+    { name: 'coverage' },       // Coverage (2)
+    { name: 'groupCode' },      // Group Code (10)
+    {                           // Termination Date (8)
+      name: 'terminationDate',
+      value: m => m.terminationDate ? formatDateMMDDYYYY(parseISO(m.terminationDate)) : '',
+    },
+    {                           // Effective Date (8)
+      name: 'effectiveDate',
+      value: m => formatDateMMDDYYYY(toCareingtonEffectiveDate(m.effectiveDate)),
+    },
+    {                           // Date of Birth (8)
+      name: 'dateOfBirth',
+      value: m => m.dateOfBirth ? formatDateMMDDYYYY(new Date(m.dateOfBirth)) : '',
+    },
+    { name: 'relation' },       // Relation (1)
+    { name: 'studentStatus' },  // Student Status (1)
+    { name: 'filler2' },        // Filler (4)
+    { name: 'gender' },         // Gender (1)
+    { name: 'email' },          // Email (64)
+  ],
+};
+
+function buildMemberLine(member) {
+  return formatLine(CI007_LAYOUT, member);
+}
+
+module.exports = {
+  name: 'careington',
+  label: 'Careington CI007',
+  tracksChanges: true,
+  includeMember: isIncludedInEligibility,
+  toRecords: eligibilityRecords,
+  validate: validateRecords,
+  layout: CI007_LAYOUT,
+  fileName({ isFull, isTest, date, site }) {
+    const prefix = isTest ? 'TEST_' : '';
+    return `${prefix}${site.groupCode}${dfFormat(date, 'MMddyy')}_${isFull ? 'FULL' : 'DELTA'}.txt`;
+  },
+  // FULL on ELIGIBILITY_FULL_WEEKDAY ("daily" or 0-6, 0 = Sunday), DELTAs daily or after every processed webhook event
+  schedule: {
+    runHour: Number(process.env.ELIGIBILITY_RUN_HOUR || 2),
+    fullOn: fullOnFromEnv('ELIGIBILITY_FULL_WEEKDAY'),
+    delta: process.env.ELIGIBILITY_DELTA_SCHEDULE || 'daily',
+  },
+  transport: { type: 'sftp', remoteDir: process.env.CAREINGTON_REMOTE_DIR || '' },
+  buildMemberLine,
+};
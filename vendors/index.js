@@ -0,0 +1,59 @@
+const careington = require('./careington');
+const sdf = require('./sdf');
+const x12834 = require('./x12834');
+const { formatLine } = require('./layout');
+const { getPlan } = require('../planCatalog');
+
+/*
+ * An eligibility vendor adapter describes one partner's file:
+ *   name             id used in the plan catalog ("vendors") and the file audit
+ *   label            for logs
+ *   includeMember(m) whether a member in this lifecycle state belongs in the vendor's files
+ *   toRecords(ms)    members → file records (e.g. one per dependent)
+ *   validate(rs)     optional; { valid, invalid } with invalid records held back
+ *   layout           delimited or fixed-width field layout (see layout.js), or instead
+ *   formatRecord(r)  the record as compared against the snapshot, and
+ *   buildFile(entries, { isFull, isTest, date, site })  the file contents, for formats
+ *                    that aren't one line per record (entries are { action, record })
+ *   fileName({ isFull, isTest, date, site })  `site` is the site the file is for (see sites.js)
+ *   tracksChanges    true: FULL/DELTA files diffed against what the vendor was last sent;
+ *                    false: every file is a full list of the current records
+ *   schedule         { runHour, fullOn: weekday (0 = Sunday) or 'daily', delta: 'daily' | 'event' | 'none' }
+ *   transport        { type: 'sftp', remoteDir } (under each site's own remote directory)
+ * Add a vendor by writing an adapter and listing it here.
+ */
+const VENDORS = [careington, sdf, x12834];
+const VENDOR_NAMES = VENDORS.map(vendor => vendor.name);
+
+// Vendors for members whose plan doesn't list any
+const DEFAULT_VENDORS = (process.env.DEFAULT_VENDORS || 'careington,sdf').split(',').map(name => name.trim());
+
+function getVendor(name) {
+  const vendor = VENDORS.find(v => v.name === name);
+  if (!vendor) throw new Error(`Unknown eligibility vendor "${name}" (known: ${VENDOR_NAMES.join(', ')}).`);
+  return vendor;
+}
+DEFAULT_VENDORS.forEach(getVendor);
+
+/**
+ * Names of the vendors a member is enrolled with, from their plan (in their site's catalog).
+ */
+function vendorsForMember(member) {
+  const plan = getPlan(member.subscriptionPlan, member.siteId);
+  return plan && plan.vendors ? plan.vendors : DEFAULT_VENDORS;
+}
+
+/**
+ * A vendor file line for a record.
+ */
+function formatRecord(vendor, record) {
+  return vendor.formatRecord ? vendor.formatRecord(record) : formatLine(vendor.layout, record);
+}
+
+module.exports = {
+  VENDORS,
+  VENDOR_NAMES,
+  getVendor,
+  vendorsForMember,
+  formatRecord,
+};
@@ -0,0 +1,18 @@
+/**
+ * Format one record as a line of a vendor file.
+ *   { type: 'delimited', delimiter: '|', fields }  values joined by the delimiter, no padding
+ *   { type: 'fixed', fields }                       each value cut/padded to its width
+ * Each field is { name, width?, align?: 'left' | 'right', value?(record) }; without
+ * `value` the field is read from record[name].
+ */
+function formatLine(layout, record) {
+  const values = layout.fields.map(field => {
+    const value = String(field.value ? field.value(record) : record[field.name] || '');
+    if (layout.type !== 'fixed') return value;
+    const fitted = value.slice(0, field.width);
+    return field.align === 'right' ? fitted.padStart(field.width, ' ') : fitted.padEnd(field.width, ' ');
+  });
+  return values.join(layout.type === 'fixed' ? '' : layout.delimiter);
+}
+
+module.exports = { formatLine };
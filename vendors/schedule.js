@@ -0,0 +1,15 @@
+/**
+ * The `fullOn` of a vendor schedule from an environment variable: "daily", or a
+ * weekday number 0–6 (0 = Sunday, the default). Anything else stops startup
+ * rather than quietly never sending a FULL.
+ */
+function fullOnFromEnv(name) {
+  const value = (process.env[name] || '0').trim().toLowerCase();
+  if (value === 'daily') return 'daily';
+  if (!/^[0-6]$/.test(value)) {
+    throw new Error(`${name} must be "daily" or a weekday number 0-6 (0 = Sunday), not "${process.env[name]}".`);
+  }
+  return Number(value);
+}
+
+module.exports = { fullOnFromEnv };
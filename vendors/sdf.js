@@ -0,0 +1,42 @@
+const { format } = require('date-fns');
+const { isCovered } = require('../lifecycle');
+const { DEFAULT_SITE_ID } = require('../sites');
+
+/* ========= Legacy subscription SDF (ASCII fixed width) ========= */
+
+/*
+ * One line per covered member (active, past due, grace, reinstated); no
+ * dependents and no terminations, since the file is always a full list.
+ */
+const SDF_LAYOUT = {
+  type: 'fixed',
+  fields: [
+    { name: 'email',            width: 50 },                   // Customer Email
+    { name: 'subscriptionPlan', width: 10 },                   // Subscription Plan
+    { name: 'lastPaymentDate',  width: 8 },                    // Last Payment Date (YYYYMMDD)
+    { name: 'nextDueDate',      width: 8 },                    // Next Due Date (YYYYMMDD)
+    { name: 'paymentAmount',    width: 8, align: 'right' },    // Payment Amount
+    { name: 'firstName',        width: 20 },                   // First Name
+    { name: 'lastName',         width: 20 },                   // Last Name
+    { name: 'orderId',          width: 24 },                   // Order ID
+  ],
+};
+
+module.exports = {
+  name: 'sdf',
+  label: 'Subscription SDF',
+  tracksChanges: false,
+  includeMember: isCovered,
+  toRecords: members => members.map(({ dependents, ledger, ...member }) => member),
+  layout: SDF_LAYOUT,
+  // Every site sends under the same group code, so the site is in the name
+  // (the default site's files keep the name they always had)
+  fileName({ isTest, date, site }) {
+    const groupCode = process.env.SHAREINGTON_GROUP_CODE || 'SHAREING';
+    const siteTag = site.id === DEFAULT_SITE_ID ? '' : `_${site.id.toUpperCase()}`;
+    return `${isTest ? 'TEST_' : ''}${groupCode}${siteTag}${format(date, 'MMddyy')}_full.txt`;
+  },
+  // A full file every day
+  schedule: { runHour: Number(process.env.ELIGIBILITY_RUN_HOUR || 2), fullOn: 'daily', delta: 'none' },
+  transport: { type: 'sftp', remoteDir: process.env.SDF_REMOTE_DIR || '' },
+};
@@ -0,0 +1,89 @@
+const { format } = require('date-fns');
+const { eligibilityRecords } = require('../dependents');
+const { isIncludedInEligibility } = require('../lifecycle');
+const { getSyncState, setSyncState } = require('../storage');
+const { siteEnv } = require('../sites');
+const { fullOnFromEnv } = require('./schedule');
+const { memberLoop, build834, validate834, MAINTENANCE_TYPES } = require('../x12');
+
+/* ========= ANSI X12 834 benefit enrollment ========= */
+
+const CONTROL_NUMBER_KEY = 'x12-834.controlNumber';
+const INSURANCE_LINE = process.env.X12_INSURANCE_LINE || 'DEN';
+
+// X12_SENDER_ID (SITE_<ID>_X12_SENDER_ID for other sites), else the site's group code
+const sender = site => ({
+  id: siteEnv(site.id, 'X12_SENDER_ID') || site.groupCode || '',
+  name: process.env.X12_SENDER_NAME || 'Patriot Frontline',
+});
+const receiver = () => ({
+  id: process.env.X12_RECEIVER_ID || '',
+  name: process.env.X12_RECEIVER_NAME || '',
+});
+
+/**
+ * Next interchange control number; they run 1..999999999 and then wrap.
+ */
+function nextControlNumber() {
+  const next = (Number(getSyncState(CONTROL_NUMBER_KEY)) || 0) % 999999999 + 1;
+  setSyncState(CONTROL_NUMBER_KEY, String(next));
+  return next;
+}
+
+/**
+ * Records without the fields every member loop needs are held back.
+ */
+function validateRecords(records) {
+  const valid = [];
+  const invalid = [];
+  for (const record of records) {
+    const errors = ['uniqueId', 'firstName', 'lastName', 'effectiveDate']
+      .filter(field => !String(record[field] || '').trim())
+      .map(field => `${field} is required`);
+    if (errors.length) invalid.push({ record, errors, warnings: [] });
+    else valid.push(record);
+  }
+  return { valid, invalid };
+}
+
+/**
+ * The whole interchange for a run. Each member's maintenance type comes from
+ * the snapshot diff (add, change, terminate, unchanged); a file that fails the
+ * structural check is never written.
+ */
+function buildFile(entries, { isFull, isTest, date, site }) {
+  const text = build834(entries, {
+    controlNumber: nextControlNumber(),
+    sender: sender(site),
+    receiver: receiver(),
+    isFull,
+    isTest,
+    date,
+    insuranceLine: INSURANCE_LINE,
+  });
+  const { valid, errors } = validate834(text);
+  if (!valid) throw new Error(`Generated 834 failed validation: ${errors.join('; ')}`);
+  return text;
+}
+
+module.exports = {
+  name: 'x12-834',
+  label: 'X12 834',
+  tracksChanges: true,
+  includeMember: isIncludedInEligibility,
+  toRecords: eligibilityRecords,
+  validate: validateRecords,
+  // Compared against the snapshot without a maintenance type of its own
+  formatRecord: record => memberLoop(record, MAINTENANCE_TYPES.unchanged, { insuranceLine: INSURANCE_LINE }).join('~'),
+  buildFile,
+  fileName({ isFull, isTest, date, site }) {
+    return `${isTest ? 'TEST_' : ''}${sender(site).id}_834_${format(date, 'yyyyMMddHHmm')}_${isFull ? 'FULL' : 'DELTA'}.x12`;
+  },
+  // FULL on X12_FULL_WEEKDAY ("daily" or 0-6, 0 = Sunday), DELTAs daily
+  schedule: {
+    runHour: Number(process.env.ELIGIBILITY_RUN_HOUR || 2),
+    fullOn: fullOnFromEnv('X12_FULL_WEEKDAY'),
+    delta: process.env.X12_DELTA_SCHEDULE || 'daily',
+  },
+  transport: { type: 'sftp', remoteDir: process.env.X12_REMOTE_DIR || '' },
+};
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+
+// Path for the persistent webhook event queue
+const queueFilePath = process.env.WEBHOOK_QUEUE_PATH || path.join(__dirname, 'webhook-queue.json');
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const POLL_INTERVAL_MS = 5 * 1000;
+// How long processed event ids are remembered for de-duplication
+const PROCESSED_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+let queue = null;
+let handler = null;
+let draining = false;
+
+/**
+ * Load the queue from disk (once) and return it.
+ */
+function loadQueue() {
+  if (queue) return queue;
+  queue = { pending: {}, processed: {}, deadLetter: {} };
+  if (fs.existsSync(queueFilePath)) {
+    // A corrupt queue file must not be silently replaced, or events are lost.
+    queue = { ...queue, ...JSON.parse(fs.readFileSync(queueFilePath, 'utf8')) };
+  }
+  return queue;
+}
+
+/**
+ * Write the queue to disk atomically (temp file + rename).
+ */
+function saveQueue() {
+  const tmpPath = `${queueFilePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(queue, null, 2), 'utf8');
+  fs.renameSync(tmpPath, queueFilePath);
+}
+
+/**
+ * Exponential backoff: 30s, 1m, 2m, ... capped at an hour.
+ */
+function retryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Persist an incoming webhook event.
+ * Returns false if an event with this id was already queued, processed or dead-lettered.
+ */
+function enqueueWebhookEvent(eventId, event) {
+  const q = loadQueue();
+  if (q.pending[eventId] || q.processed[eventId] || q.deadLetter[eventId]) {
+    console.log(`Duplicate webhook event ${eventId} ignored.`);
+    return false;
+  }
+  q.pending[eventId] = {
+    event,
+    attempts: 0,
+    receivedOn: new Date().toISOString(),
+    nextAttemptAt: Date.now(),
+    lastError: null,
+  };
+  saveQueue();
+  console.log(`Queued webhook event ${eventId}`);
+  setImmediate(drainQueue);
+  return true;
+}
+
+/**
+ * Drop processed ids older than the retention window.
+ */
+function pruneProcessed(q) {
+  const cutoff = Date.now() - PROCESSED_RETENTION_MS;
+  for (const [eventId, processedOn] of Object.entries(q.processed)) {
+    if (new Date(processedOn).getTime() < cutoff) delete q.processed[eventId];
+  }
+}
+
+/**
+ * Process every pending event that is due, oldest first.
+ * Only one drain runs at a time so events are handled serially.
+ */
+async function drainQueue() {
+  if (draining || !handler) return;
+  draining = true;
+  try {
+    const q = loadQueue();
+    const due = Object.entries(q.pending)
+      .filter(([, entry]) => entry.nextAttemptAt <= Date.now())
+      .sort(([, a], [, b]) => a.receivedOn.localeCompare(b.receivedOn));
+
+    for (const [eventId, entry] of due) {
+      entry.attempts += 1;
+      try {
+        await handler(entry.event);
+        delete q.pending[eventId];
+        q.processed[eventId] = new Date().toISOString();
+        console.log(`Processed webhook event ${eventId}`);
+      } catch (err) {
+        entry.lastError = err.message;
+        if (entry.attempts >= MAX_ATTEMPTS) {
+          delete q.pending[eventId];
+          q.deadLetter[eventId] = { ...entry, failedOn: new Date().toISOString() };
+          console.error(`Webhook event ${eventId} moved to dead-letter list after ${entry.attempts} attempts:`, err.message);
+        } else {
+          entry.nextAttemptAt = Date.now() + retryDelay(entry.attempts);
+          console.error(`Webhook event ${eventId} failed (attempt ${entry.attempts}), retrying at ${new Date(entry.nextAttemptAt).toISOString()}:`, err.message);
+        }
+      }
+      saveQueue();
+    }
+    pruneProcessed(q);
+  } catch (err) {
+    console.error("Error draining webhook queue:", err);
+  } finally {
+    draining = false;
+  }
+}
+
+/**
+ * Start the background worker. `processEvent` receives the stored event
+ * and should throw to have it retried.
+ */
+function startWebhookWorker(processEvent) {
+  handler = processEvent;
+  loadQueue();
+  // Whatever the worker serves (the HTTP server) keeps the process alive, not the worker
+  setInterval(drainQueue, POLL_INTERVAL_MS).unref();
+  setImmediate(drainQueue);
+}
+
+/**
+ * Move a dead-lettered event back onto the pending queue.
+ */
+function retryDeadLetter(eventId) {
+  const q = loadQueue();
+  const entry = q.deadLetter[eventId];
+  if (!entry) return false;
+  delete q.deadLetter[eventId];
+  q.pending[eventId] = {
+    event: entry.event,
+    attempts: 0,
+    receivedOn: entry.receivedOn,
+    nextAttemptAt: Date.now(),
+    lastError: entry.lastError,
+  };
+  saveQueue();
+  setImmediate(drainQueue);
+  return true;
+}
+
+/**
+ * Summary of the queue for status endpoints.
+ */
+function getQueueStatus() {
+  const q = loadQueue();
+  return {
+    pending: Object.keys(q.pending).length,
+    processed: Object.keys(q.processed).length,
+    deadLetter: q.deadLetter,
+  };
+}
+
+module.exports = {
+  enqueueWebhookEvent,
+  startWebhookWorker,
+  retryDeadLetter,
+  getQueueStatus,
+};
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_SITE_ID } = require('./sites');
+
+// Path for persistent webhook secret store: { "<site id>": { "<subscription id>": "<secret>" } }
+const secretsFilePath = process.env.WEBHOOK_SECRETS_PATH || path.join(__dirname, 'webhook-secrets.json');
+
+/**
+ * Read the secret store. A file that can't be parsed throws rather than
+ * reading as empty, since the next save would then wipe every secret.
+ */
+function loadSecretsFile() {
+  if (!fs.existsSync(secretsFilePath)) return {};
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(secretsFilePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Can't parse the webhook secrets file ${secretsFilePath}: ${err.message}`);
+  }
+  // Before there were sites the file held the default site's secrets directly
+  const isLegacy = Object.values(data).some(value => typeof value === 'string');
+  return isLegacy ? { [DEFAULT_SITE_ID]: data } : data;
+}
+
+function saveSecretsFile(secrets) {
+  fs.writeFileSync(secretsFilePath, JSON.stringify(secrets, null, 2), { encoding: 'utf8', mode: 0o600 });
+}
+
+/**
+ * Load a site's stored webhook subscription secrets, keyed by subscription id.
+ */
+function loadWebhookSecrets(siteId = DEFAULT_SITE_ID) {
+  return loadSecretsFile()[siteId] || {};
+}
+
+/**
+ * Store the secret Squarespace returned for one of a site's webhook subscriptions.
+ */
+function saveWebhookSecret(siteId, subscriptionId, secret) {
+  const secrets = loadSecretsFile();
+  secrets[siteId] = { ...secrets[siteId], [subscriptionId]: secret };
+  saveSecretsFile(secrets);
+  console.log(`Stored webhook secret for subscription ${subscriptionId} of site ${siteId}`);
+}
+
+/**
+ * Forget the secret of a site's deleted webhook subscription.
+ */
+function removeWebhookSecret(siteId, subscriptionId) {
+  const secrets = loadSecretsFile();
+  if (!secrets[siteId] || !secrets[siteId][subscriptionId]) return;
+  delete secrets[siteId][subscriptionId];
+  saveSecretsFile(secrets);
+}
+
+/**
+ * Compute the Squarespace-Signature for a raw request body.
+ * The secret is hex encoded; the signature is the hex HMAC-SHA256 of the body.
+ */
+function computeSignature(rawBody, secret) {
+  return crypto
+    .createHmac('sha256', Buffer.from(secret, 'hex'))
+    .update(rawBody)
+    .digest('hex');
+}
+
+/**
+ * Check a Squarespace-Signature header against a site's stored secrets.
+ * Each subscription has its own secret and the request doesn't say which one
+ * signed it, so the signature is valid if any of the site's matches. Another
+ * site's secrets never validate a request.
+ */
+function verifyWebhookSignature(rawBody, signature, siteId = DEFAULT_SITE_ID) {
+  if (!rawBody || !signature) return false;
+  const received = Buffer.from(String(signature), 'hex');
+  return Object.values(loadWebhookSecrets(siteId)).some(secret => {
+    const expected = Buffer.from(computeSignature(rawBody, secret), 'hex');
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  });
+}
+
+module.exports = {
+  loadWebhookSecrets,
+  saveWebhookSecret,
+  removeWebhookSecret,
+  computeSignature,
+  verifyWebhookSignature,
+};
@@ -0,0 +1,185 @@
+const squarespace = require('./squarespaceApi');
+const { loadWebhookSecrets, saveWebhookSecret, removeWebhookSecret } = require('./webhookSecrets');
+
+/* ========= Webhook subscriptions: reconciliation and test notifications ========= */
+
+/*
+ * Each site should have exactly one subscription: its webhookEndpointUrl with
+ * its webhookTopics (see sites.js), and a stored secret to verify deliveries.
+ * The reconciler lists what Squarespace has, plans the changes that get there
+ * (create, update topics, delete duplicates and stale endpoints, rotate a
+ * secret we don't have, forget secrets of subscriptions that are gone) and
+ * applies them unless it's a dry run.
+ */
+// Order id Squarespace puts in test notifications
+const TEST_ORDER_ID = 'test-order-id';
+// How long to wait for a test notification to reach our endpoint
+const TEST_TIMEOUT_MS = Number(process.env.WEBHOOK_TEST_TIMEOUT_MS) || 15 * 1000;
+
+// Test notifications sent and not yet received, by `${site}:${subscription}`
+const pendingTests = new Map();
+
+const sameTopics = (a, b) => a.length === b.length && [...a].sort().join() === [...b].sort().join();
+
+/**
+ * A site's webhook subscriptions as Squarespace has them.
+ */
+function listSubscriptions(site) {
+  return squarespace.listWebhookSubscriptions(site.id);
+}
+
+/**
+ * Work out the changes that bring a site's subscriptions to the desired one.
+ * Pure: takes the listed subscriptions and stored secrets, returns the steps.
+ * Of the subscriptions at our endpoint the one that already has the right
+ * topics (then the one we have a secret for) is kept; the rest are deleted.
+ */
+function planWebhookChanges(site, subscriptions, secrets) {
+  const desired = { endpointUrl: site.webhookEndpointUrl, topics: site.webhookTopics };
+  const ours = subscriptions.filter(sub => sub.endpointUrl === desired.endpointUrl);
+  const rank = sub => (sameTopics(sub.topics || [], desired.topics) ? 2 : 0) + (secrets[sub.id] ? 1 : 0);
+  const keep = ours.reduce((best, sub) => (!best || rank(sub) > rank(best) ? sub : best), null);
+  const steps = [];
+
+  if (!keep) {
+    steps.push({ action: 'create', ...desired, reason: 'no subscription for this endpoint' });
+  } else {
+    if (!sameTopics(keep.topics || [], desired.topics)) {
+      steps.push({ action: 'update', subscriptionId: keep.id, ...desired, reason: `topics are ${(keep.topics || []).join(', ') || 'none'}` });
+    }
+    if (!secrets[keep.id]) {
+      steps.push({ action: 'rotate', subscriptionId: keep.id, reason: 'no stored secret to verify deliveries' });
+    }
+  }
+  subscriptions.filter(sub => sub !== keep).forEach(sub => steps.push({
+    action: 'delete',
+    subscriptionId: sub.id,
+    endpointUrl: sub.endpointUrl,
+    topics: sub.topics || [],
+    reason: sub.endpointUrl === desired.endpointUrl ? 'duplicate for this endpoint' : 'stale endpoint',
+  }));
+  Object.keys(secrets).filter(id => !subscriptions.some(sub => sub.id === id)).forEach(id => steps.push({
+    action: 'forget', subscriptionId: id, reason: 'subscription no longer exists',
+  }));
+  return steps;
+}
+
+/**
+ * One line for a planned step, e.g. "delete 123 order.create -> https://... (stale endpoint)".
+ */
+const describeStep = step => [
+  step.action,
+  step.subscriptionId,
+  step.topics && step.topics.join(', '),
+  step.endpointUrl && `-> ${step.endpointUrl}`,
+  `(${step.reason})`,
+].filter(Boolean).join(' ');
+
+async function applyStep(site, step) {
+  switch (step.action) {
+    case 'create': {
+      const created = await squarespace.createWebhookSubscription(step, site.id);
+      // The secret is only ever returned here (and on rotation), so keep it for signature checks.
+      const { secret, ...subscription } = created;
+      if (secret) saveWebhookSecret(site.id, subscription.id, secret);
+      return { subscriptionId: subscription.id };
+    }
+    case 'update':
+      await squarespace.updateWebhookSubscription(step.subscriptionId, step, site.id);
+      return {};
+    case 'rotate':
+      saveWebhookSecret(site.id, step.subscriptionId, await squarespace.rotateWebhookSecret(step.subscriptionId, site.id));
+      return {};
+    case 'delete':
+      await deleteSubscription(site, step.subscriptionId);
+      return {};
+    case 'forget':
+      removeWebhookSecret(site.id, step.subscriptionId);
+      return {};
+    default:
+      throw new Error(`Unknown webhook step "${step.action}"`);
+  }
+}
+
+/**
+ * Bring a site's subscriptions to the desired one. With dryRun only the plan
+ * is worked out and printed. A failed step is recorded and the rest still run.
+ * Returns { siteId, dryRun, steps } where applied steps have ok (and error).
+ */
+async function reconcileWebhooks(site, { dryRun = false } = {}) {
+  const subscriptions = await listSubscriptions(site);
+  const steps = planWebhookChanges(site, subscriptions, loadWebhookSecrets(site.id));
+  console.log(`Webhook plan for site ${site.id}${dryRun ? ' (dry run)' : ''}: ` +
+    (steps.length ? `\n  ${steps.map(describeStep).join('\n  ')}` : 'nothing to change'));
+  if (dryRun) return { siteId: site.id, dryRun, steps };
+
+  for (const step of steps) {
+    try {
+      Object.assign(step, await applyStep(site, step), { ok: true });
+    } catch (err) {
+      console.error(`Webhook step failed for site ${site.id}: ${describeStep(step)}:`, err.message);
+      Object.assign(step, { ok: false, error: err.message });
+    }
+  }
+  return { siteId: site.id, dryRun, steps };
+}
+
+/**
+ * Delete one of a site's subscriptions and forget its secret.
+ */
+async function deleteSubscription(site, subscriptionId) {
+  await squarespace.deleteWebhookSubscription(subscriptionId, site.id);
+  removeWebhookSecret(site.id, subscriptionId);
+}
+
+/**
+ * Have Squarespace send a test notification to the site's subscription and
+ * wait for it to arrive at our endpoint with a valid signature. Returns
+ * { subscriptionId, topic, statusCode (what our endpoint answered, as
+ * Squarespace saw it), received, receivedOn }.
+ */
+async function sendTestNotification(site, { timeoutMs = TEST_TIMEOUT_MS } = {}) {
+  const subscription = (await listSubscriptions(site)).find(sub => sub.endpointUrl === site.webhookEndpointUrl);
+  if (!subscription) throw new Error(`Site ${site.id} has no subscription for ${site.webhookEndpointUrl}; reconcile first.`);
+  const topic = (subscription.topics || site.webhookTopics)[0];
+  const key = `${site.id}:${subscription.id}`;
+
+  let timer;
+  const arrival = new Promise(resolve => {
+    pendingTests.set(key, { topic, resolve });
+    timer = setTimeout(() => resolve(null), timeoutMs);
+  });
+  try {
+    const statusCode = await squarespace.sendWebhookTestNotification(subscription.id, topic, site.id);
+    const receivedOn = await arrival;
+    const result = { subscriptionId: subscription.id, topic, statusCode, received: Boolean(receivedOn), receivedOn };
+    console.log(`Test notification for site ${site.id} ${result.received ? 'received' : 'NOT received'} (endpoint answered ${result.statusCode}).`);
+    return result;
+  } finally {
+    clearTimeout(timer);
+    pendingTests.delete(key);
+  }
+}
+
+/**
+ * Called by the webhook endpoint for each verified notification: true if it
+ * is the test notification we're waiting for (which then isn't queued).
+ */
+function confirmTestNotification(siteId, notification) {
+  const pending = pendingTests.get(`${siteId}:${notification.subscriptionId}`);
+  if (!pending || notification.topic !== pending.topic) return false;
+  if (!notification.data || notification.data.orderId !== TEST_ORDER_ID) return false;
+  pending.resolve(new Date().toISOString());
+  return true;
+}
+
+module.exports = {
+  TEST_ORDER_ID,
+  listSubscriptions,
+  planWebhookChanges,
+  describeStep,
+  reconcileWebhooks,
+  deleteSubscription,
+  sendTestNotification,
+  confirmTestNotification,
+};
@@ -0,0 +1,271 @@
+const { format, parseISO, isValid, parse } = require('date-fns');
+const { toAscii } = require('./ci007');
+
+/* ========= ANSI X12 834 (005010X220A1) benefit enrollment ========= */
+
+const VERSION = '005010X220A1';
+const ELEMENT = '*';
+const SUB_ELEMENT = ':';
+const REPETITION = '^';
+const SEGMENT = '~';
+
+// INS03 / HD01 maintenance type code for each diff action
+const MAINTENANCE_TYPES = {
+  add: '021',        // addition
+  change: '001',     // change
+  terminate: '024',  // cancellation or termination
+  unchanged: '030',  // audit or compare
+};
+// INS04 maintenance reason for each maintenance type
+const MAINTENANCE_REASONS = { '021': '28', '001': 'AI', '024': '07', '030': 'XN' };
+
+// INS02 individual relationship code for our relation codes
+const RELATIONSHIPS = { '': '18', S: '01', C: '19' };
+// HD05 coverage level for our coverage codes
+const COVERAGE_LEVELS = { MO: 'IND', MD: 'E1D', MF: 'FAM' };
+
+/**
+ * An element value with the delimiters and anything outside printable ASCII removed.
+ */
+function clean(value) {
+  return toAscii(value).replace(/[*~:^]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * A segment with its trailing empty elements dropped, as X12 requires.
+ */
+function segment(id, ...elements) {
+  const values = elements.map(value => (value == null ? '' : String(value)));
+  while (values.length && values[values.length - 1] === '') values.pop();
+  return [id, ...values].join(ELEMENT);
+}
+
+/**
+ * A store date (YYYY-MM-DD, an ISO timestamp or legacy YYYYMMDD) as CCYYMMDD, or ''.
+ */
+function toD8(value) {
+  if (!value) return '';
+  const text = String(value);
+  const date = /^\d{8}$/.test(text) ? parse(text, 'yyyyMMdd', new Date()) : parseISO(text);
+  return isValid(date) ? format(date, 'yyyyMMdd') : '';
+}
+
+/**
+ * The 2000 member loop (with 2100A and 2300) for one eligibility record.
+ * The sequence number tells subscribers ("00") from dependents.
+ */
+function memberLoop(record, maintenanceType, { insuranceLine = 'DEN' } = {}) {
+  const isSubscriber = (record.sequenceNum || '00') === '00';
+  const effective = toD8(record.effectiveDate);
+  const terminated = toD8(record.terminationDate);
+  const phone = clean(record.homePhone || record.workPhone);
+  const email = clean(record.email);
+  const contact = [phone && 'HP', phone, email && 'EM', email].filter(Boolean);
+
+  return [
+    segment('INS', isSubscriber ? 'Y' : 'N', isSubscriber ? '18' : RELATIONSHIPS[record.relation] || '19',
+      maintenanceType, MAINTENANCE_REASONS[maintenanceType], 'A'),
+    segment('REF', '0F', clean(record.uniqueId)),
+    record.groupCode && segment('REF', '1L', clean(record.groupCode)),
+    effective && segment('DTP', '356', 'D8', effective),
+    terminated && segment('DTP', '357', 'D8', terminated),
+    segment('NM1', 'IL', '1', clean(record.lastName), clean(record.firstName), clean(record.middleName),
+      clean(record.title), clean(record.postName)),
+    contact.length && segment('PER', 'IP', '', ...contact),
+    isSubscriber && record.address1 && segment('N3', clean(record.address1), clean(record.address2)),
+    isSubscriber && record.city && segment('N4', clean(record.city), clean(record.state),
+      clean(record.zip) + clean(record.plus4)),
+    toD8(record.dateOfBirth) && segment('DMG', 'D8', toD8(record.dateOfBirth), record.gender || 'U'),
+    segment('HD', maintenanceType, '', insuranceLine, clean(record.subscriptionPlan),
+      COVERAGE_LEVELS[record.coverage] || ''),
+    effective && segment('DTP', '348', 'D8', effective),
+    terminated && segment('DTP', '349', 'D8', terminated),
+  ].filter(Boolean);
+}
+
+/**
+ * Build a complete 834 interchange: one ISA/GS/ST envelope around a 2000 loop
+ * per entry ({ action, record } from the snapshot diff).
+ *   controlNumber  interchange and group control number (ISA13/GS06)
+ *   sender/receiver  { id, name } of the sponsor (us) and the payer (the partner)
+ *   isFull         FULL files replace what the partner has (BGN08 RX), DELTAs update it (2)
+ *   isTest         marks the interchange as test data (ISA15 T)
+ */
+function build834(entries, { controlNumber, sender, receiver, isFull, isTest = false, date = new Date(), insuranceLine }) {
+  const control = String(controlNumber).padStart(9, '0');
+  const isa = [
+    'ISA', '00', ''.padEnd(10), '00', ''.padEnd(10),
+    'ZZ', clean(sender.id).padEnd(15).slice(0, 15), 'ZZ', clean(receiver.id).padEnd(15).slice(0, 15),
+    format(date, 'yyMMdd'), format(date, 'HHmm'), REPETITION, '00501', control, '0', isTest ? 'T' : 'P', SUB_ELEMENT,
+  ].join(ELEMENT);
+
+  const transaction = [
+    segment('ST', '834', '0001', VERSION),
+    segment('BGN', '00', control, format(date, 'yyyyMMdd'), format(date, 'HHmm'), '', '', '', isFull ? 'RX' : '2'),
+    segment('N1', 'P5', clean(sender.name), 'FI', clean(sender.id)),
+    segment('N1', 'IN', clean(receiver.name), 'FI', clean(receiver.id)),
+    ...entries.flatMap(({ action, record }) => memberLoop(record, MAINTENANCE_TYPES[action], { insuranceLine })),
+  ];
+  transaction.push(segment('SE', transaction.length + 1, '0001'));
+
+  return [
+    isa,
+    segment('GS', 'BE', clean(sender.id), clean(receiver.id), format(date, 'yyyyMMdd'), format(date, 'HHmm'),
+      Number(controlNumber), 'X', VERSION),
+    ...transaction,
+    segment('GE', '1', Number(controlNumber)),
+    segment('IEA', '1', control),
+  ].map(s => s + SEGMENT).join('\n');
+}
+
+const isD8 = value => /^\d{8}$/.test(value || '') && isValid(parse(value, 'yyyyMMdd', new Date()));
+
+/**
+ * Structural check of an 834 interchange: envelope order, control numbers and
+ * counts, and the required segments and codes of each member loop.
+ * Returns { valid, errors } with errors as "segment N (ID): problem".
+ */
+function validate834(text) {
+  const errors = [];
+  const source = String(text || '').replace(/^\s+/, '');
+  if (!source.startsWith('ISA') || source.length < 106) {
+    return { valid: false, errors: ['not an X12 interchange (no ISA header)'] };
+  }
+  const elementSep = source[3];
+  const segmentSep = source[105];
+  const segments = source.split(segmentSep).map(s => s.trim()).filter(Boolean).map(s => s.split(elementSep));
+  const problem = (index, message) => errors.push(`segment ${index + 1} (${segments[index][0]}): ${message}`);
+
+  const isa = segments[0];
+  if (isa.length !== 17) problem(0, `ISA has ${isa.length - 1} elements, expected 16`);
+  if (isa[12] !== '00501') problem(0, `ISA12 version ${isa[12]} is not 00501`);
+  if (!/^\d{9}$/.test(isa[13] || '')) problem(0, 'ISA13 control number must be 9 digits');
+
+  const last = segments.length - 1;
+  if (segments[last][0] !== 'IEA') {
+    problem(last, 'interchange does not end with IEA');
+  } else if (segments[last][2] !== isa[13]) {
+    problem(last, `IEA02 ${segments[last][2]} does not match ISA13 ${isa[13]}`);
+  }
+
+  let groups = 0;
+  let group = null;
+  let transaction = null;
+  let subscriberId = null;
+  let member = null;
+  const closeMember = () => {
+    if (!member) return;
+    if (!member.id) problem(member.index, 'member loop has no REF*0F subscriber identifier');
+    if (!member.name) problem(member.index, 'member loop has no NM1*IL member name');
+    if (!member.hd) problem(member.index, 'member loop has no HD health coverage');
+    member = null;
+  };
+
+  segments.forEach((elements, index) => {
+    const [id] = elements;
+    if (index === 0 || index === last) return;
+    switch (id) {
+      case 'GS':
+        if (group) problem(index, 'GS inside an open functional group');
+        if (elements[1] !== 'BE') problem(index, 'GS01 must be BE for benefit enrollment');
+        if (elements[8] !== VERSION) problem(index, `GS08 must be ${VERSION}`);
+        group = { index, control: elements[6], transactions: 0 };
+        groups += 1;
+        break;
+      case 'GE':
+        if (!group) { problem(index, 'GE without GS'); break; }
+        if (Number(elements[1]) !== group.transactions) problem(index, `GE01 ${elements[1]} but ${group.transactions} transaction sets`);
+        if (elements[2] !== group.control) problem(index, `GE02 ${elements[2]} does not match GS06 ${group.control}`);
+        group = null;
+        break;
+      case 'ST':
+        if (!group) problem(index, 'ST outside a functional group');
+        if (transaction) problem(index, 'ST inside an open transaction set');
+        if (elements[1] !== '834') problem(index, `ST01 ${elements[1]} is not 834`);
+        if (elements[3] !== VERSION) problem(index, `ST03 must be ${VERSION}`);
+        transaction = { index, control: elements[2], sponsor: false, payer: false };
+        subscriberId = null;
+        if (group) group.transactions += 1;
+        break;
+      case 'SE':
+        if (!transaction) { problem(index, 'SE without ST'); break; }
+        closeMember();
+        if (Number(elements[1]) !== index - transaction.index + 1) {
+          problem(index, `SE01 ${elements[1]} but ${index - transaction.index + 1} segments`);
+        }
+        if (elements[2] !== transaction.control) problem(index, `SE02 ${elements[2]} does not match ST02 ${transaction.control}`);
+        transaction = null;
+        break;
+      case 'BGN':
+        if (!transaction || index !== transaction.index + 1) problem(index, 'BGN must follow ST');
+        if (!isD8(elements[3])) problem(index, 'BGN03 is not a valid date');
+        if (!['2', '4', 'RX'].includes(elements[8])) problem(index, 'BGN08 must be 2, 4 or RX');
+        break;
+      case 'N1':
+        if (!transaction) break;
+        if (elements[1] === 'P5') transaction.sponsor = true;
+        if (elements[1] === 'IN') transaction.payer = true;
+        break;
+      case 'INS': {
+        if (!transaction) { problem(index, 'INS outside a transaction set'); break; }
+        closeMember();
+        if (!transaction.sponsor || !transaction.payer) problem(index, 'member loop before the N1 sponsor and payer');
+        const [, subscriber, relationship, maintenance] = elements;
+        if (!['Y', 'N'].includes(subscriber)) problem(index, 'INS01 must be Y or N');
+        if ((subscriber === 'Y') !== (relationship === '18')) problem(index, 'INS02 must be 18 exactly when INS01 is Y');
+        if (!Object.values(MAINTENANCE_TYPES).includes(maintenance)) problem(index, `INS03 ${maintenance} is not a known maintenance type`);
+        if (!elements[5]) problem(index, 'INS05 benefit status is required');
+        if (subscriber === 'N' && !subscriberId) problem(index, 'dependent before any subscriber');
+        member = { index, subscriber: subscriber === 'Y', id: null, name: false, hd: false };
+        break;
+      }
+      case 'REF':
+        if (member && elements[1] === '0F') {
+          member.id = elements[2];
+          if (member.subscriber) subscriberId = elements[2];
+          else if (elements[2] !== subscriberId) problem(index, `dependent of ${elements[2]} follows subscriber ${subscriberId}`);
+        }
+        break;
+      case 'NM1':
+        if (member && elements[1] === 'IL') {
+          member.name = true;
+          if (!elements[3]) problem(index, 'NM103 last name is required');
+        }
+        break;
+      case 'DMG':
+        if (elements[1] !== 'D8' || !isD8(elements[2])) problem(index, 'DMG needs a D8 date of birth');
+        break;
+      case 'HD':
+        if (!member) { problem(index, 'HD outside a member loop'); break; }
+        member.hd = true;
+        if (!Object.values(MAINTENANCE_TYPES).includes(elements[1])) problem(index, `HD01 ${elements[1]} is not a known maintenance type`);
+        if (!elements[3]) problem(index, 'HD03 insurance line is required');
+        break;
+      case 'DTP':
+        if (elements[2] !== 'D8' || !isD8(elements[3])) problem(index, `DTP ${elements[1]} needs a D8 date`);
+        break;
+      default:
+        break;
+    }
+  });
+  if (transaction) problem(transaction.index, 'transaction set has no SE');
+  if (group) problem(group.index, 'functional group has no GE');
+  if (segments[last][0] === 'IEA' && Number(segments[last][1]) !== groups) {
+    problem(last, `IEA01 ${segments[last][1]} but ${groups} functional groups`);
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+// Check a file by hand: node x12.js <file.x12>
+if (require.main === module) {
+  const { valid, errors } = validate834(require('fs').readFileSync(process.argv[2], 'utf8'));
+  console.log(valid ? 'Valid 834 interchange.' : errors.join('\n'));
+  process.exitCode = valid ? 0 : 1;
+}
+
+module.exports = {
+  MAINTENANCE_TYPES,
+  memberLoop,
+  build834,
+  validate834,
+};